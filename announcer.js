@@ -0,0 +1,229 @@
+/**
+ * Frame Announcer - Describes detected frames in words for the accessible results panel,
+ * an ARIA live region and optional speech synthesis
+ * Announcements are only made for meaningful changes (frames appearing or disappearing,
+ * a frame's tolerance status settling on a new value), not for every detection result.
+ */
+
+class FrameAnnouncer {
+    constructor() {
+        this.speechEnabled = false;
+        this.settleResults = 5; // A new status must be seen this many results in a row
+        this.minInterval = 3000; // ms between announcements; later changes wait their turn
+
+        this.announcedStatus = new Map(); // frameId -> status last announced
+        this.pendingStatus = new Map(); // frameId -> { status, count }
+        this.announcedCount = 0;
+        this.pendingCount = { value: 0, count: 0 };
+        this.lastAnnouncement = -Infinity;
+    }
+
+    /**
+     * Check if the browser can speak announcements
+     */
+    static isSpeechSupported() {
+        return typeof window !== 'undefined' && 'speechSynthesis' in window &&
+            typeof window.SpeechSynthesisUtterance === 'function';
+    }
+
+    /**
+     * Turn spoken announcements on or off
+     */
+    setSpeechEnabled(enabled) {
+        this.speechEnabled = !!enabled && FrameAnnouncer.isSpeechSupported();
+        if (!this.speechEnabled && FrameAnnouncer.isSpeechSupported()) {
+            window.speechSynthesis.cancel();
+        }
+    }
+
+    /**
+     * Name each frame by where it sits among the others: "left", "middle", "right",
+     * or "2nd from left" when there are more than three
+     * Returns a Map of frameId -> name
+     */
+    static describePositions(frames) {
+        const names = new Map();
+        const centerX = frame => frame.rect.x + frame.rect.width / 2;
+        const sorted = [...frames].sort((a, b) => centerX(a) - centerX(b));
+        const ordinal = n => n + ({ 1: 'st', 2: 'nd', 3: 'rd' }[n] || 'th');
+
+        sorted.forEach((frame, index) => {
+            let name;
+            if (sorted.length === 1) {
+                name = 'frame';
+            } else if (index === 0) {
+                name = 'left frame';
+            } else if (index === sorted.length - 1) {
+                name = 'right frame';
+            } else if (sorted.length === 3) {
+                name = 'middle frame';
+            } else {
+                name = `${ordinal(index + 1)} frame from left`;
+            }
+            names.set(frame.frameId, name);
+        });
+        return names;
+    }
+
+    /**
+     * Describe frames from left to right
+     * Returns [{ frameId, position, status, tilt, direction, lowConfidence, text }], where
+     * text reads e.g. "left frame, tilted 3 degrees clockwise"
+     */
+    describe(frames) {
+        const positions = FrameAnnouncer.describePositions(frames);
+        const order = [...positions.keys()];
+
+        return order.map(frameId => {
+            const frame = frames.find(f => f.frameId === frameId);
+            const status = frame.tolerance ? frame.tolerance.status : null;
+            const direction = frame.tilt > 0 ? 'clockwise' : 'counter-clockwise';
+            const degrees = Math.round(Math.abs(frame.tilt) * 10) / 10;
+            const amount = `${degrees} ${degrees === 1 ? 'degree' : 'degrees'} ${direction}`;
+
+            let reading;
+            if (frame.noOrientation) {
+                reading = 'round, no orientation';
+            } else if (status === 'level') {
+                reading = 'level';
+            } else if (status === 'slight') {
+                reading = `slightly tilted, ${amount}`;
+            } else {
+                reading = `tilted ${amount}`;
+            }
+            if (frame.lowConfidence) {
+                reading += ', uncertain';
+            }
+
+            return {
+                frameId: frameId,
+                position: positions.get(frameId),
+                status: status,
+                tilt: frame.tilt,
+                direction: direction,
+                lowConfidence: !!frame.lowConfidence,
+                text: `${positions.get(frameId)}, ${reading}`
+            };
+        });
+    }
+
+    /**
+     * The announcement for one set of detection results, or null if nothing meaningful
+     * changed (or the last announcement was too recent)
+     * Low-confidence frames are left out.
+     */
+    getAnnouncement(frames, now = Date.now()) {
+        const descriptions = this.describe(frames.filter(frame => !frame.lowConfidence));
+
+        // Count changes and per-frame status changes only count once they have settled
+        this.pendingCount = descriptions.length === this.pendingCount.value
+            ? { value: descriptions.length, count: this.pendingCount.count + 1 }
+            : { value: descriptions.length, count: 1 };
+        const countChanged = this.pendingCount.value !== this.announcedCount &&
+            this.pendingCount.count >= this.settleResults;
+
+        const changed = descriptions.filter(description => {
+            const pending = this.pendingStatus.get(description.frameId);
+            const count = pending && pending.status === description.status ? pending.count + 1 : 1;
+            this.pendingStatus.set(description.frameId, { status: description.status, count: count });
+            return description.status !== this.announcedStatus.get(description.frameId) &&
+                count >= this.settleResults;
+        });
+
+        // Forget frames that left the view
+        const inView = new Set(descriptions.map(description => description.frameId));
+        [...this.pendingStatus.keys()].filter(id => !inView.has(id)).forEach(id => this.pendingStatus.delete(id));
+
+        if ((!countChanged && changed.length === 0) || now - this.lastAnnouncement < this.minInterval) {
+            return null;
+        }
+
+        // After a count change, read every frame so their positions make sense again
+        const toRead = countChanged ? descriptions : changed;
+        if (countChanged) {
+            this.announcedCount = descriptions.length;
+            this.announcedStatus.clear();
+        }
+        toRead.forEach(description => this.announcedStatus.set(description.frameId, description.status));
+        this.lastAnnouncement = now;
+
+        return FrameAnnouncer.formatAnnouncement(toRead, countChanged ? descriptions.length : null);
+    }
+
+    /**
+     * Everything about a set of frames at once, e.g. for an opened photo
+     * Low-confidence frames are left out.
+     */
+    getSummary(frames) {
+        const descriptions = this.describe(frames.filter(frame => !frame.lowConfidence));
+        return FrameAnnouncer.formatAnnouncement(descriptions, descriptions.length);
+    }
+
+    /**
+     * Join frame descriptions into sentences, led by the frame count if one is given
+     */
+    static formatAnnouncement(descriptions, count = null) {
+        const parts = descriptions.map(description => description.text);
+        if (count !== null) {
+            parts.unshift(count === 0 ? 'No frames detected' : `${count} ${count === 1 ? 'frame' : 'frames'} detected`);
+        }
+        return parts.map(part => part.charAt(0).toUpperCase() + part.slice(1) + '.').join(' ');
+    }
+
+    /**
+     * Forget what has been announced, e.g. when detection stops
+     */
+    reset() {
+        this.announcedStatus.clear();
+        this.pendingStatus.clear();
+        this.announcedCount = 0;
+        this.pendingCount = { value: 0, count: 0 };
+        this.lastAnnouncement = -Infinity;
+        if (FrameAnnouncer.isSpeechSupported()) {
+            window.speechSynthesis.cancel();
+        }
+    }
+
+    /**
+     * Put an announcement in the live region and speak it if speech is on
+     */
+    announce(liveRegion, text) {
+        liveRegion.textContent = text;
+        if (this.speechEnabled) {
+            // Drop anything still queued; only the latest state matters
+            window.speechSynthesis.cancel();
+            window.speechSynthesis.speak(new window.SpeechSynthesisUtterance(text));
+        }
+    }
+
+    /**
+     * Show frame descriptions as a list, updating existing items in place so a screen
+     * reader's position in the list is kept
+     */
+    static renderList(listElement, descriptions) {
+        const items = listElement.children;
+        descriptions.forEach((description, index) => {
+            let item = items[index];
+            if (!item) {
+                item = document.createElement('li');
+                listElement.appendChild(item);
+            }
+            const text = `#${description.frameId} ${description.text}`;
+            if (item.textContent !== text) {
+                item.textContent = text;
+            }
+            const className = `frame-status-${description.lowConfidence ? 'uncertain' : (description.status || 'unknown')}`;
+            if (item.className !== className) {
+                item.className = className;
+            }
+        });
+        while (items.length > descriptions.length) {
+            listElement.removeChild(listElement.lastChild);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameAnnouncer;
+}
@@ -5,11 +5,27 @@
 let cameraManager;
 let frameDetector;
 let sensorManager;
+let sensorCalibration;
+let lensCalibration;
+let galleryAnalyzer;
+let correctionAdvisor;
+let audioGuidance;
+let frameAnnouncer;
+let detectorWorker = null;
+let sessionRecorder;
+let sessionPlayer;
+let stillImage = null; // Upright canvas of an opened photo (still image mode)
+let stillImageName = '';
+let stillResults = null; // Detection results of the opened photo, redrawn when a frame is locked
 let isRunning = false;
+let isReplaying = false;
+let isCalibratingLens = false;
 let animationFrameId = null;
-let openCvReady = false;
+let openCvReady = false; // OpenCV.js is loaded on the main thread (see loadOpenCV)
+let openCvLoading = null; // Promise of the main-thread load, once started
 let lastProcessTime = 0;
 const MIN_PROCESS_INTERVAL = 33; // Minimum 33ms between frames (~30fps max)
+let isPickingReference = false; // The next tap on the view picks the size reference object
 
 // DOM elements
 const videoElement = document.getElementById('videoElement');
@@ -18,14 +34,52 @@ const cameraSelect = document.getElementById('cameraSelect');
 const startBtn = document.getElementById('startBtn');
 const stopBtn = document.getElementById('stopBtn');
 const snapshotBtn = document.getElementById('snapshotBtn');
+const openImageBtn = document.getElementById('openImageBtn');
+const imageInput = document.getElementById('imageInput');
+const recordBtn = document.getElementById('recordBtn');
+const guidanceBtn = document.getElementById('guidanceBtn');
+const muteGuidanceBtn = document.getElementById('muteGuidanceBtn');
+const updateBtn = document.getElementById('updateBtn');
+const replayBtn = document.getElementById('replayBtn');
+const sessionInput = document.getElementById('sessionInput');
+const videoContainer = document.getElementById('videoContainer');
 const enableSensorsBtn = document.getElementById('enableSensorsBtn');
+const sensorBackendControls = document.getElementById('sensorBackendControls');
+const sensorBackendSelect = document.getElementById('sensorBackendSelect');
+const calibrationControls = document.getElementById('calibrationControls');
+const calibrateBtn = document.getElementById('calibrateBtn');
+const clearCalibrationBtn = document.getElementById('clearCalibrationBtn');
+const calibrationInfoText = document.getElementById('calibrationInfo');
+const lensCalibrateBtn = document.getElementById('lensCalibrateBtn');
+const lensResetBtn = document.getElementById('lensResetBtn');
+const lensInfoText = document.getElementById('lensInfo');
 const useBackCameraCheckbox = document.getElementById('useBackCamera');
 const sensitivitySlider = document.getElementById('sensitivity');
 const sensitivityValue = document.getElementById('sensitivityValue');
 const smoothingSlider = document.getElementById('smoothing');
 const smoothingValue = document.getElementById('smoothingValue');
+const confidenceSlider = document.getElementById('confidenceThreshold');
+const confidenceValue = document.getElementById('confidenceThresholdValue');
+const hideLowConfidenceCheckbox = document.getElementById('hideLowConfidence');
+const toleranceSelect = document.getElementById('toleranceSelect');
+const backendSelect = document.getElementById('backendSelect');
+const compareBackendSelect = document.getElementById('compareBackendSelect');
+const toleranceCustomControls = document.getElementById('toleranceCustomControls');
+const toleranceUnitSelect = document.getElementById('toleranceUnitSelect');
+const toleranceLevelInput = document.getElementById('toleranceLevelInput');
+const toleranceSlightInput = document.getElementById('toleranceSlightInput');
 const statusText = document.getElementById('statusText');
 const framesDetectedText = document.getElementById('framesDetected');
+const frameList = document.getElementById('frameList');
+const frameAnnouncements = document.getElementById('frameAnnouncements');
+const speakCheckbox = document.getElementById('speakCheckbox');
+const correctionInfoText = document.getElementById('correctionInfo');
+const frameWidthSelect = document.getElementById('frameWidthSelect');
+const frameWidthInput = document.getElementById('frameWidthInput');
+const hangingMethodSelect = document.getElementById('hangingMethodSelect');
+const hookSpacingInput = document.getElementById('hookSpacingInput');
+const sizeSourceSelect = document.getElementById('sizeSourceSelect');
+const cameraDistanceInput = document.getElementById('cameraDistanceInput');
 
 /**
  * Initialize the application
@@ -42,10 +96,60 @@ async function initApp() {
     cameraManager = new CameraManager();
     frameDetector = new FrameDetector();
     sensorManager = new SensorManager();
+    sensorCalibration = new SensorCalibration(sensorManager);
+    sensorManager.onScreenAngleChange = angle => sessionRecorder.recordSetting('screenAngle', angle);
+    lensCalibration = new LensCalibration();
+    galleryAnalyzer = new GalleryAnalyzer();
+    correctionAdvisor = new CorrectionAdvisor();
+    populateFrameWidthSelect();
+    populateSizeSourceSelect();
+    populateToleranceSelect();
+    populateBackendSelects();
+    audioGuidance = new AudioGuidance();
+    frameAnnouncer = new FrameAnnouncer();
+    if (!FrameAnnouncer.isSpeechSupported()) {
+        speakCheckbox.disabled = true;
+        speakCheckbox.parentElement.title = 'Speech is not supported in this browser';
+    }
+    if (!AudioGuidance.isSupported() && !audioGuidance.vibrate) {
+        guidanceBtn.style.display = 'none';
+    }
+    sessionRecorder = new SessionRecorder();
+    sessionPlayer = new SessionPlayer(videoElement, sensorManager);
+
+    if (!SessionRecorder.isSupported()) {
+        recordBtn.style.display = 'none';
+    }
+
+    // Run detection in a Web Worker where supported; main thread is the fallback,
+    // which only then loads its own OpenCV.js
+    if (DetectorWorkerClient.isSupported()) {
+        detectorWorker = new DetectorWorkerClient();
+        detectorWorker.init()
+            .then(() => console.log('Frame detection running in Web Worker'))
+            .catch(error => {
+                console.warn('Detection worker unavailable, using main thread:', error.message);
+                detectorWorker = null;
+                loadOpenCV();
+            });
+    } else {
+        loadOpenCV();
+    }
 
     // Check sensor support and show info
     if (sensorManager.isSupported) {
         console.log('Device sensors supported');
+
+        // The gravity + gyroscope backend needs DeviceMotion
+        if (sensorManager.isMotionSupported) {
+            sensorBackendControls.style.display = 'flex';
+        }
+
+        // Apply saved zero offsets and offer calibration
+        sensorCalibration.load();
+        calibrationControls.style.display = 'flex';
+        updateCalibrationInfo();
+        setInterval(updateCalibrationInfo, 60000);
         
         // On iOS 13+, show enable sensors button
         if (typeof DeviceOrientationEvent.requestPermission === 'function') {
@@ -95,6 +199,68 @@ function populateCameraSelect(cameras) {
     startBtn.disabled = false;
 }
 
+/**
+ * Populate frame width presets
+ */
+function populateFrameWidthSelect() {
+    CorrectionAdvisor.getWidthPresets().forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.width;
+        option.textContent = `${preset.label} (${preset.width} mm)`;
+        frameWidthSelect.appendChild(option);
+    });
+
+    const custom = document.createElement('option');
+    custom.value = 'custom';
+    custom.textContent = 'Custom...';
+    frameWidthSelect.appendChild(custom);
+}
+
+/**
+ * Populate size sources: a camera distance or the reference objects
+ */
+function populateSizeSourceSelect() {
+    SizeEstimator.getReferenceObjects().forEach(object => {
+        const option = document.createElement('option');
+        option.value = object.id;
+        option.textContent = `${object.label} (tap it)`;
+        sizeSourceSelect.appendChild(option);
+    });
+}
+
+/**
+ * Populate tolerance profiles
+ */
+function populateToleranceSelect() {
+    ToleranceManager.getPresets().forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.unit === 'mm'
+            ? `${profile.name} (±${profile.level} mm across the frame)`
+            : `${profile.name} (±${profile.level}°)`;
+        toleranceSelect.appendChild(option);
+    });
+
+    const custom = document.createElement('option');
+    custom.value = 'custom';
+    custom.textContent = 'Custom...';
+    toleranceSelect.appendChild(custom);
+}
+
+/**
+ * Populate the detector backends and the comparison choices
+ */
+function populateBackendSelects() {
+    DetectorBackends.getAll().forEach(backend => {
+        [backendSelect, compareBackendSelect].forEach(select => {
+            const option = document.createElement('option');
+            option.value = backend.id;
+            option.textContent = backend.name;
+            select.appendChild(option);
+        });
+    });
+}
+
 /**
  * Set up event listeners
  */
@@ -103,12 +269,106 @@ function setupEventListeners() {
     stopBtn.addEventListener('click', stopDetection);
     snapshotBtn.addEventListener('click', saveSnapshot);
     enableSensorsBtn.addEventListener('click', requestSensorPermission);
+    calibrateBtn.addEventListener('click', calibrateSensors);
+    sensorBackendSelect.addEventListener('change', (e) => {
+        sensorManager.setBackend(e.target.value);
+        sensorBackendSelect.value = sensorManager.backend;
+        sessionRecorder.recordSetting('sensorBackend', sensorManager.backend);
+    });
+    clearCalibrationBtn.addEventListener('click', () => {
+        sensorCalibration.clear();
+        updateCalibrationInfo();
+        updateStatus('Sensor calibration removed.', 'info');
+    });
+    lensCalibrateBtn.addEventListener('click', toggleLensCalibration);
+    lensResetBtn.addEventListener('click', () => {
+        lensCalibration.clear(getCurrentCameraId());
+        loadLensCalibration();
+        updateStatus('Lens calibration removed for this camera.', 'info');
+    });
+    openImageBtn.addEventListener('click', () => imageInput.click());
+    recordBtn.addEventListener('click', toggleRecording);
+    guidanceBtn.addEventListener('click', toggleGuidance);
+    speakCheckbox.addEventListener('change', (e) => {
+        frameAnnouncer.setSpeechEnabled(e.target.checked);
+    });
+    muteGuidanceBtn.addEventListener('click', () => {
+        audioGuidance.setMuted(!audioGuidance.isMuted);
+        muteGuidanceBtn.textContent = audioGuidance.isMuted ? '🔈 Unmute' : '🔇 Mute';
+    });
+
+    replayBtn.addEventListener('click', () => {
+        if (isReplaying) {
+            sessionPlayer.stop();
+        } else {
+            sessionInput.click();
+        }
+    });
+
+    sessionInput.addEventListener('change', (e) => {
+        const files = Array.from(e.target.files);
+        const videoFile = files.find(file => file.type.startsWith('video/'));
+        const logFile = files.find(file => file.name.endsWith('.json'));
+        if (videoFile && logFile) {
+            replaySession(videoFile, logFile);
+        } else {
+            updateStatus('Select both the recorded video and its .json log to replay a session.', 'error');
+        }
+        e.target.value = '';
+    });
+
+    imageInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            openImageFile(file);
+        }
+        // Allow opening the same file again
+        e.target.value = '';
+    });
+
+    // Tap a frame to lock onto it, tap empty space to unlock
+    videoContainer.addEventListener('click', (e) => {
+        if (!canvasOutput.width || (!isRunning && !isReplaying && !stillImage)) {
+            return;
+        }
+        if (isPickingReference) {
+            pickSizeReference(getCanvasPoint(e));
+            return;
+        }
+        const frame = frameDetector.lockFrameAt(getCanvasPoint(e));
+        updateStatus(frame ? `Locked on frame #${frame.frameId}. Tap empty space to unlock.` : 'Frame lock released.', 'info');
+
+        // A photo is not redrawn by the detection loop
+        if (stillImage && stillResults && !isRunning) {
+            drawStillResults();
+        }
+    });
+
+    // Drag-and-drop an image onto the view
+    videoContainer.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        videoContainer.classList.add('drag-over');
+    });
+    videoContainer.addEventListener('dragleave', () => {
+        videoContainer.classList.remove('drag-over');
+    });
+    videoContainer.addEventListener('drop', (e) => {
+        e.preventDefault();
+        videoContainer.classList.remove('drag-over');
+        const file = e.dataTransfer.files[0];
+        if (file) {
+            openImageFile(file);
+        }
+    });
     
     cameraSelect.addEventListener('change', async (e) => {
         if (isRunning) {
             try {
                 const facingMode = useBackCameraCheckbox.checked ? 'environment' : 'user';
                 await cameraManager.switchCamera(e.target.value);
+                updateSensorFacingMode(facingMode);
+                updateCameraFieldOfView();
+                loadLensCalibration();
                 updateStatus('Camera switched successfully.', 'success');
             } catch (error) {
                 updateStatus(`Error switching camera: ${error.message}`, 'error');
@@ -123,6 +383,9 @@ function setupEventListeners() {
                 await cameraManager.stopCamera();
                 const facingMode = e.target.checked ? 'environment' : 'user';
                 await cameraManager.startCamera(null, facingMode);
+                updateSensorFacingMode(facingMode);
+                updateCameraFieldOfView();
+                loadLensCalibration();
                 await waitForVideoReady();
                 updateStatus('Camera switched successfully.', 'success');
             } catch (error) {
@@ -134,21 +397,192 @@ function setupEventListeners() {
     sensitivitySlider.addEventListener('input', (e) => {
         const value = e.target.value;
         sensitivityValue.textContent = value;
-        frameDetector.setSensitivity(parseInt(value));
+        applyDetectorSetting('setSensitivity', parseInt(value));
+
+        // Re-run the one-shot analysis so the photo reflects the new sensitivity
+        if (stillImage && !isRunning) {
+            analyzeStillImage();
+        }
     });
     
+    confidenceSlider.addEventListener('input', (e) => {
+        const value = parseInt(e.target.value);
+        confidenceValue.textContent = `${value}%`;
+        applyDetectorSetting('setConfidenceThreshold', value / 100);
+
+        if (stillImage && !isRunning) {
+            analyzeStillImage();
+        }
+    });
+
+    hideLowConfidenceCheckbox.addEventListener('change', (e) => {
+        applyDetectorSetting('setHideLowConfidence', e.target.checked);
+        if (stillImage && !isRunning) {
+            analyzeStillImage();
+        }
+    });
+
+    toleranceSelect.addEventListener('change', applyToleranceSettings);
+
+    backendSelect.addEventListener('change', (e) => {
+        applyDetectorSetting('setBackend', e.target.value);
+        if (stillImage && !isRunning) {
+            analyzeStillImage();
+        }
+    });
+
+    compareBackendSelect.addEventListener('change', (e) => {
+        applyDetectorSetting('setComparisonBackend', e.target.value || null);
+        if (stillImage && !isRunning) {
+            analyzeStillImage();
+        }
+    });
+    [toleranceUnitSelect, toleranceLevelInput, toleranceSlightInput].forEach(control => {
+        control.addEventListener('input', applyToleranceSettings);
+    });
+
+    [frameWidthSelect, frameWidthInput, hangingMethodSelect, hookSpacingInput].forEach(control => {
+        control.addEventListener('input', applyCorrectionSettings);
+    });
+
+    sizeSourceSelect.addEventListener('input', applySizeSettings);
+    cameraDistanceInput.addEventListener('input', applySizeSettings);
+
     smoothingSlider.addEventListener('input', (e) => {
         const value = e.target.value;
         smoothingValue.textContent = value;
+        sessionRecorder.recordSetting('smoothing', parseInt(value));
         if (sensorManager) {
             sensorManager.setSmoothingLevel(parseInt(value));
         }
         if (frameDetector) {
-            frameDetector.setSmoothingLevel(parseInt(value));
+            applyDetectorSetting('setSmoothingLevel', parseInt(value));
         }
     });
 }
 
+/**
+ * Apply a detector setting on the main thread and in the detection worker
+ */
+function applyDetectorSetting(method, ...args) {
+    frameDetector[method](...args);
+    if (detectorWorker) {
+        detectorWorker.call(method, ...args);
+    }
+    // Sessions log the detector's complete settings, so a replay measures the same way
+    sessionRecorder.recordSetting('detector', frameDetector.getSettings());
+}
+
+/**
+ * Read frame width and hanging method into the correction advisor
+ */
+function applyCorrectionSettings() {
+    const isCustom = frameWidthSelect.value === 'custom';
+    frameWidthInput.hidden = !isCustom;
+    hookSpacingInput.hidden = hangingMethodSelect.value !== 'two-hooks';
+
+    const width = isCustom ? parseFloat(frameWidthInput.value) : parseFloat(frameWidthSelect.value);
+    correctionAdvisor.setFrameWidth(width || null);
+    correctionAdvisor.setHangingMethod(hangingMethodSelect.value);
+    correctionAdvisor.setHookSpacing(parseFloat(hookSpacingInput.value) || null);
+    applyDetectorSetting('setToleranceFrameWidth', width || null);
+
+    // Update the instructions on the open photo
+    if (stillImage && !isRunning) {
+        analyzeStillImage();
+    }
+}
+
+/**
+ * Apply the selected size source: a camera distance, or a reference object to tap in the view
+ */
+function applySizeSettings() {
+    const source = sizeSourceSelect.value;
+    cameraDistanceInput.hidden = source !== 'distance';
+    applyDetectorSetting('setCameraDistance', source === 'distance' ? parseFloat(cameraDistanceInput.value) || null : null);
+    resetSizeReference();
+
+    if (stillImage && !isRunning) {
+        analyzeStillImage();
+    }
+    const object = getSelectedReferenceObject();
+    if (object) {
+        updateStatus(`Size reference: ${object.label}. Hold it flat against the wall and tap it to measure sizes.`, 'info');
+    }
+}
+
+/**
+ * The reference object chosen under "Sizes From", or undefined
+ */
+function getSelectedReferenceObject() {
+    return SizeEstimator.getReferenceObjects().find(object => object.id === sizeSourceSelect.value);
+}
+
+/**
+ * Forget the reference object (frame IDs start over with a new scene); if one is
+ * selected, the next tap picks it again
+ */
+function resetSizeReference() {
+    applyDetectorSetting('setSizeReference', null, null);
+    isPickingReference = !!getSelectedReferenceObject();
+}
+
+/**
+ * Use the detected quad at a canvas point as the selected reference object
+ */
+function pickSizeReference(point) {
+    const frame = frameDetector.getFrameAt(frameDetector.lastDrawnFrames, point);
+    if (!frame) {
+        updateStatus('No outline found there. Tap inside the reference object once it is outlined.', 'error');
+        return;
+    }
+
+    applyDetectorSetting('setSizeReference', frame.frameId, sizeSourceSelect.value);
+    isPickingReference = false;
+
+    // A photo is not redrawn by the detection loop
+    if (stillImage && !isRunning) {
+        analyzeStillImage();
+    }
+    updateStatus(`Frame #${frame.frameId} is the size reference. Sizes are shown below each frame's label.`, 'success');
+}
+
+/**
+ * Tell the detector the running camera's field of view (narrowed by zoom and in portrait)
+ */
+function updateCameraFieldOfView() {
+    applyDetectorSetting('setFieldOfView', cameraManager.getFieldOfView(frameDetector.lensFieldOfView));
+}
+
+/**
+ * Apply the selected tolerance profile (and the custom thresholds) to the detector
+ */
+function applyToleranceSettings() {
+    const isCustom = toleranceSelect.value === 'custom';
+    toleranceCustomControls.hidden = !isCustom;
+
+    const custom = isCustom ? {
+        unit: toleranceUnitSelect.value,
+        level: parseFloat(toleranceLevelInput.value),
+        slight: parseFloat(toleranceSlightInput.value)
+    } : null;
+    applyDetectorSetting('setToleranceProfile', toleranceSelect.value, custom);
+
+    if (stillImage && !isRunning) {
+        analyzeStillImage();
+    }
+}
+
+/**
+ * Tell the sensor manager which way the running camera faces, so device tilt
+ * is measured in its image; the track's own facingMode wins over the request
+ */
+function updateSensorFacingMode(requestedFacingMode) {
+    const camera = cameraManager.getCurrentCamera();
+    sensorManager.setFacingMode((camera && camera.facingMode) || requestedFacingMode);
+    sessionRecorder.recordSetting('facingMode', sensorManager.facingMode);
+}
+
 /**
  * Request sensor permission (iOS 13+)
  */
@@ -169,12 +603,154 @@ async function requestSensorPermission() {
     }
 }
 
+/**
+ * Run one step of the two-position sensor calibration
+ * First tap measures the phone lying flat, second tap measures it turned 180°
+ */
+async function calibrateSensors() {
+    calibrateBtn.disabled = true;
+
+    try {
+        if (!sensorManager.isActiveAndReady() && !(await sensorManager.start())) {
+            throw new Error('Sensors could not be started');
+        }
+
+        if (!sensorCalibration.isAwaitingSecondPosition()) {
+            updateStatus('Measuring... keep the phone flat and still.', 'info');
+            await sensorCalibration.measureFirstPosition();
+            calibrateBtn.textContent = '⚖ Measure Turned';
+            updateStatus('Now turn the phone 180° on the same spot and tap "⚖ Measure Turned".', 'info');
+        } else {
+            updateStatus('Measuring turned position... keep the phone still.', 'info');
+            await sensorCalibration.measureSecondPosition();
+            calibrateBtn.textContent = '⚖ Calibrate Sensors';
+            updateStatus('Sensor calibration saved for this device.', 'success');
+        }
+    } catch (error) {
+        sensorCalibration.cancel();
+        calibrateBtn.textContent = '⚖ Calibrate Sensors';
+        updateStatus(`Calibration failed: ${error.message}`, 'error');
+        console.error('Calibration error:', error);
+    } finally {
+        calibrateBtn.disabled = false;
+        updateCalibrationInfo();
+
+        // Sensors started only for calibration are stopped again
+        if (!isRunning && !isReplaying && !sensorCalibration.isAwaitingSecondPosition()) {
+            sensorManager.stop();
+        }
+    }
+}
+
+/**
+ * deviceId of the running camera, used to key its lens calibration
+ */
+function getCurrentCameraId() {
+    const camera = cameraManager.getCurrentCamera();
+    return camera ? camera.deviceId : cameraSelect.value;
+}
+
+/**
+ * Apply the running camera's saved lens calibration (or none) to the detector
+ */
+function loadLensCalibration() {
+    const calibration = lensCalibration.load(getCurrentCameraId());
+    applyDetectorSetting('setLensCalibration', calibration);
+    updateLensInfo(calibration);
+}
+
+/**
+ * Enter or leave lens calibration mode
+ * While calibrating, frames are searched for the checkerboard instead of picture frames.
+ */
+function toggleLensCalibration() {
+    isCalibratingLens = !isCalibratingLens;
+    lensCalibrateBtn.textContent = isCalibratingLens ? '✖ Cancel Lens Calibration' : '📐 Calibrate Lens';
+
+    if (isCalibratingLens) {
+        lensCalibration.reset();
+        // Calibration runs on the main thread, which may have to load OpenCV.js first
+        loadOpenCV().then(ready => {
+            if (!isCalibratingLens) {
+                return;
+            }
+            if (ready) {
+                updateStatus(`Show the checkerboard from ${lensCalibration.minViews} different angles and distances, filling the corners of the view too.`, 'info');
+            } else {
+                isCalibratingLens = false;
+                lensCalibrateBtn.textContent = '📐 Calibrate Lens';
+            }
+        });
+    } else {
+        updateStatus('Lens calibration stopped.', 'info');
+    }
+}
+
+/**
+ * Look for the checkerboard in the current video frame and collect it as a calibration view
+ */
+function processLensCalibrationFrame() {
+    const width = videoElement.videoWidth;
+    const height = videoElement.videoHeight;
+    if (!width || !height) {
+        return;
+    }
+
+    const src = frameDetector.captureFrame(videoElement, width, height);
+    let view;
+    try {
+        view = lensCalibration.addView(src);
+    } finally {
+        src.delete();
+    }
+
+    if (canvasOutput.width !== width || canvasOutput.height !== height) {
+        canvasOutput.width = width;
+        canvasOutput.height = height;
+    }
+    canvasOutput.getContext('2d').drawImage(frameDetector.captureCanvas, 0, 0);
+    lensCalibration.drawCorners(canvasOutput, view.corners);
+
+    if (view.added) {
+        updateStatus(`Lens calibration: ${view.count}/${lensCalibration.minViews} views. Move the board to a new position.`, 'info');
+    }
+    if (lensCalibration.isReady()) {
+        finishLensCalibration();
+    }
+}
+
+/**
+ * Compute the lens calibration from the collected views and save it for this camera
+ */
+function finishLensCalibration() {
+    isCalibratingLens = false;
+    lensCalibrateBtn.textContent = '📐 Calibrate Lens';
+
+    try {
+        updateStatus('Computing lens calibration...', 'info');
+        const calibration = lensCalibration.calibrate();
+        lensCalibration.save(getCurrentCameraId(), calibration);
+        applyDetectorSetting('setLensCalibration', calibration);
+        updateLensInfo(calibration);
+        updateStatus(`Lens calibrated (reprojection error ${calibration.rmsError.toFixed(2)} px). Frames are now undistorted.`, 'success');
+    } catch (error) {
+        updateStatus(`Lens calibration failed: ${error.message}`, 'error');
+        console.error('Lens calibration error:', error);
+    }
+}
+
 /**
  * Start camera and detection
  */
 async function startDetection() {
     try {
+        if (isReplaying) {
+            updateStatus('Stop the replay before starting the camera.', 'error');
+            return;
+        }
+
         updateStatus('Starting camera...', 'info');
+        stillImage = null;
         
         // Determine camera to use
         const deviceId = cameraSelect.value;
@@ -186,6 +762,10 @@ async function startDetection() {
         } else {
             await cameraManager.startCamera(null, facingMode);
         }
+        updateSensorFacingMode(facingMode);
+        updateCameraFieldOfView();
+        loadLensCalibration();
+        resetSizeReference();
         
         // Try to start sensors if supported and not already started
         if (sensorManager.isSupported && !sensorManager.isActiveAndReady()) {
@@ -222,6 +802,8 @@ async function startDetection() {
         startBtn.disabled = true;
         stopBtn.disabled = false;
         snapshotBtn.disabled = false;
+        lensCalibrateBtn.disabled = false;
+        recordBtn.disabled = false;
         cameraSelect.disabled = false;
         
         updateStatus('Detection running. Point camera at picture frames.', 'success');
@@ -266,16 +848,29 @@ function stopDetection() {
         animationFrameId = null;
     }
     
+    // Finish the recording while the camera stream is still alive
+    if (sessionRecorder.isRecording) {
+        toggleRecording();
+    }
+
     cameraManager.stopCamera();
+    applyDetectorSetting('resetTracking');
+    audioGuidance.update(null);
     
     // Stop sensors
     if (sensorManager) {
         sensorManager.stop();
     }
     
+    if (isCalibratingLens) {
+        toggleLensCalibration();
+    }
+
     startBtn.disabled = false;
     stopBtn.disabled = true;
     snapshotBtn.disabled = true;
+    lensCalibrateBtn.disabled = true;
+    recordBtn.disabled = true;
     cameraSelect.disabled = false;
     
     // Clear canvas
@@ -283,14 +878,289 @@ function stopDetection() {
     ctx.clearRect(0, 0, canvasOutput.width, canvasOutput.height);
     
     updateStatus('Detection stopped.', 'info');
-    updateFrameCount(0);
+    resetFrameStatus();
+    updateCorrectionInfo([]);
+    updateFrameList([]);
+    frameAnnouncer.reset();
+}
+
+/**
+ * Turn audio/haptic guidance on or off
+ */
+async function toggleGuidance() {
+    try {
+        if (audioGuidance.isEnabled) {
+            audioGuidance.disable();
+            updateStatus('Audio guidance off.', 'info');
+        } else {
+            await audioGuidance.enable();
+            updateStatus('Audio guidance on: beeps speed up and move away from the steady tone the more the frame is tilted (higher = right side low).', 'info');
+        }
+    } catch (error) {
+        updateStatus(`Audio guidance unavailable: ${error.message}`, 'error');
+        console.error('Guidance error:', error);
+    }
+    guidanceBtn.textContent = audioGuidance.isEnabled ? '🔊 Guidance On' : '🔊 Guidance';
+    muteGuidanceBtn.style.display = audioGuidance.isEnabled ? 'inline-block' : 'none';
+}
+
+/**
+ * Start or stop recording the camera and sensor stream
+ */
+async function toggleRecording() {
+    try {
+        if (!sessionRecorder.isRecording) {
+            // Frame IDs start from 1 with the recording, as they do in its replay; a size
+            // reference is tapped again so its ID is one the replay will see
+            applyDetectorSetting('resetTracking', true);
+            resetSizeReference();
+
+            sessionRecorder.start(cameraManager.currentStream, sensorManager, {
+                smoothing: parseInt(smoothingSlider.value),
+                sensorBackend: sensorManager.backend,
+                screenAngle: sensorManager.screenAngle,
+                facingMode: sensorManager.facingMode,
+                detector: frameDetector.getSettings()
+            });
+            recordBtn.textContent = '⏹ Stop Recording';
+            updateStatus('Recording session...', 'info');
+            return;
+        }
+
+        recordBtn.textContent = '⏺ Record';
+        const session = await sessionRecorder.stop();
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        SessionRecorder.download(session, `frame-checker-session-${timestamp}`);
+        updateStatus('Session saved (video + .json log). Use "Replay Session" to re-run it.', 'success');
+    } catch (error) {
+        recordBtn.textContent = '⏺ Record';
+        updateStatus(`Recording error: ${error.message}`, 'error');
+        console.error('Recording error:', error);
+    }
+}
+
+/**
+ * Replay a recorded session through the detector, frame by frame
+ */
+async function replaySession(videoFile, logFile) {
+    // Replay runs detection on the main thread
+    if (!await loadOpenCV()) {
+        return;
+    }
+
+    // Put the live settings back afterwards
+    const liveSettings = getLiveSettings();
+
+    try {
+        if (isRunning) {
+            stopDetection();
+        }
+        stillImage = null;
+
+        updateStatus(`Loading session ${videoFile.name}...`, 'info');
+        const log = await sessionPlayer.load(videoFile, logFile);
+
+        // Same starting state as a fresh live session
+        frameDetector.resetTracking(true);
+        frameDetector.lastCameraTilt = undefined;
+        if (log.sensorReadings.length > 0) {
+            frameDetector.enableSensorFusion(sensorManager);
+        } else {
+            frameDetector.disableSensorFusion();
+        }
+
+        isReplaying = true;
+        startBtn.disabled = true;
+        snapshotBtn.disabled = false;
+        replayBtn.textContent = '⏹ Stop Replay';
+        updateStatus(`Replaying session recorded ${log.startedAt}...`, 'info');
+
+        // Main-thread detection keeps the replay deterministic (no dropped frames)
+        const frameCount = await sessionPlayer.play({
+            applySetting: applyRecordedSetting,
+            onFrame: () => {
+                const results = frameDetector.analyzeFrame(videoElement);
+                if (results) {
+                    frameDetector.drawResults(frameDetector.captureCanvas, results, canvasOutput);
+                    handleDetectionResults(results);
+                }
+            }
+        });
+
+        updateStatus(`Replay finished: ${frameCount} frames analyzed.`, 'success');
+    } catch (error) {
+        updateStatus(`Replay error: ${error.message}`, 'error');
+        console.error('Replay error:', error);
+    } finally {
+        isReplaying = false;
+        frameDetector.disableSensorFusion();
+        frameDetector.resetTracking();
+        restoreLiveSettings(liveSettings);
+        sessionPlayer.unload();
+        startBtn.disabled = false;
+        replayBtn.textContent = '⏵ Replay Session';
+    }
+}
+
+/**
+ * Apply a recorded setting
+ * Detector settings are complete snapshots for the main-thread detector that runs the
+ * replay; screen rotation and camera facing go straight to the sensor manager, and the
+ * rest move their slider or select.
+ */
+function applyRecordedSetting(name, value) {
+    if (name === 'detector') {
+        frameDetector.applySettings(value);
+        return;
+    }
+    if (name === 'screenAngle') {
+        sensorManager.setScreenAngle(value);
+        return;
+    }
+    if (name === 'facingMode') {
+        sensorManager.setFacingMode(value);
+        return;
+    }
+
+    const control = getRecordedControls()[name];
+    if (control) {
+        setControlValue(control, value);
+    }
+}
+
+/**
+ * Controls a recorded setting moves during replay
+ */
+function getRecordedControls() {
+    return {
+        smoothing: smoothingSlider,
+        sensorBackend: sensorBackendSelect
+    };
+}
+
+/**
+ * Set a control's value and run its handler as if the user had changed it
+ */
+function setControlValue(control, value) {
+    control.value = value;
+    control.dispatchEvent(new Event(control.tagName === 'SELECT' ? 'change' : 'input'));
+}
+
+/**
+ * Everything a replay may change: the recorded controls, screen rotation, camera facing
+ * and the main-thread detector's settings
+ */
+function getLiveSettings() {
+    const controls = {};
+    Object.entries(getRecordedControls()).forEach(([name, control]) => {
+        controls[name] = control.value;
+    });
+    return {
+        controls: controls,
+        screenAngle: sensorManager.screenAngle,
+        facingMode: sensorManager.facingMode,
+        detector: frameDetector.getSettings()
+    };
+}
+
+/**
+ * Put back the settings from getLiveSettings() after a replay
+ */
+function restoreLiveSettings(settings) {
+    Object.entries(getRecordedControls()).forEach(([name, control]) => {
+        if (control.value !== settings.controls[name]) {
+            setControlValue(control, settings.controls[name]);
+        }
+    });
+    sensorManager.setScreenAngle(settings.screenAngle);
+    sensorManager.setFacingMode(settings.facingMode);
+    frameDetector.applySettings(settings.detector);
+}
+
+/**
+ * Open a photo and analyze it instead of the live camera
+ */
+async function openImageFile(file) {
+    try {
+        // Photos are analyzed on the main thread
+        if (!await loadOpenCV()) {
+            return;
+        }
+
+        updateStatus(`Loading ${file.name}...`, 'info');
+        const image = await ImageLoader.load(file);
+
+        if (isRunning) {
+            stopDetection();
+        }
+
+        // A photo may come from any camera, so the live camera's lens calibration and zoom do not apply
+        applyDetectorSetting('setLensCalibration', null);
+        applyDetectorSetting('setFieldOfView', frameDetector.lensFieldOfView);
+        updateLensInfo(null);
+        resetSizeReference();
+
+        stillImage = image;
+        stillImageName = file.name;
+        analyzeStillImage();
+    } catch (error) {
+        updateStatus(`Error opening image: ${error.message}`, 'error');
+        console.error('Image open error:', error);
+    }
+}
+
+/**
+ * Run detection once on the opened photo and draw the annotated result
+ */
+function analyzeStillImage() {
+    if (!openCvReady) {
+        updateStatus('OpenCV.js is still loading. Please try again in a moment.', 'error');
+        return;
+    }
+
+    const results = frameDetector.analyzeStillImage(stillImage);
+    if (!results) {
+        updateStatus('Could not analyze the image.', 'error');
+        return;
+    }
+
+    stillResults = results;
+    drawStillResults();
+    frameAnnouncer.announce(frameAnnouncements, frameAnnouncer.getSummary(results.frames));
+
+    snapshotBtn.disabled = false;
+    updateStatus(`Analyzed ${stillImageName}: ${results.frames.length} frame(s) found.`, 'success');
+}
+
+/**
+ * Draw the opened photo with its detection results and overlays
+ */
+function drawStillResults() {
+    frameDetector.drawResults(stillImage, stillResults, canvasOutput);
+    handleDetectionResults(stillResults);
+}
+
+/**
+ * Map a pointer event to canvas pixels
+ * The canvas is scaled with object-fit: contain, so the letterbox bars are taken off first.
+ */
+function getCanvasPoint(event) {
+    const bounds = canvasOutput.getBoundingClientRect();
+    const scale = Math.min(bounds.width / canvasOutput.width, bounds.height / canvasOutput.height);
+    const offsetX = (bounds.width - canvasOutput.width * scale) / 2;
+    const offsetY = (bounds.height - canvasOutput.height * scale) / 2;
+    return {
+        x: (event.clientX - bounds.left - offsetX) / scale,
+        y: (event.clientY - bounds.top - offsetY) / scale
+    };
 }
 
 /**
  * Save a snapshot of the current detection view
  */
 function saveSnapshot() {
-    if (!isRunning || !canvasOutput) {
+    if ((!isRunning && !isReplaying && !stillImage) || !canvasOutput) {
         updateStatus('Cannot save snapshot - detection not running', 'error');
         return;
     }
@@ -330,7 +1200,7 @@ function saveSnapshot() {
  * Process each video frame
  */
 function processFrame() {
-    if (!isRunning || !openCvReady) {
+    if (!isRunning) {
         return;
     }
 
@@ -343,14 +1213,24 @@ function processFrame() {
     lastProcessTime = now;
 
     try {
-        // Detect frames in current video frame
-        const detectedFrames = frameDetector.detectFrames(videoElement, canvasOutput);
-        
-        // Update frame count and camera tilt info
-        updateFrameCount(detectedFrames.length);
-        updateCameraTiltInfo();
-        updateSensorInfo();
-        
+        if (isCalibratingLens) {
+            // Calibration runs on the main thread once OpenCV.js has loaded here
+            if (openCvReady) {
+                processLensCalibrationFrame();
+            }
+        } else if (detectorWorker && detectorWorker.isReady) {
+            // Capture and post, skipping frames while the worker is busy
+            if (!detectorWorker.isBusy) {
+                processFrameInWorker();
+            }
+        } else if (openCvReady) {
+            // Synchronous fallback: detect frames in current video frame on the main thread
+            const results = frameDetector.analyzeFrame(videoElement);
+            if (results) {
+                frameDetector.drawResults(frameDetector.captureCanvas, results, canvasOutput);
+                handleDetectionResults(results);
+            }
+        }
     } catch (error) {
         console.error('Frame processing error:', error);
     }
@@ -359,6 +1239,67 @@ function processFrame() {
     animationFrameId = requestAnimationFrame(processFrame);
 }
 
+/**
+ * Send the current video frame to the detection worker and draw its results
+ */
+async function processFrameInWorker() {
+    const sensorActive = frameDetector.isSensorFusionActive();
+    const deviceTilt = sensorActive ? sensorManager.getDeviceTilt() : null;
+    const tiltVariance = sensorActive ? sensorManager.getTiltVariance() : null;
+
+    try {
+        const response = await detectorWorker.processFrame(videoElement, deviceTilt, tiltVariance);
+        if (!response) {
+            return;
+        }
+
+        if (isRunning) {
+            frameDetector.drawResults(response.image, response.results, canvasOutput);
+            handleDetectionResults(response.results);
+        }
+        response.image.close();
+    } catch (error) {
+        console.error('Worker frame processing error:', error);
+    }
+}
+
+/**
+ * Update overlays and status from one set of detection results
+ */
+function handleDetectionResults(results) {
+    sessionRecorder.recordDetections(results);
+
+    // Low-confidence detections are shown (greyed out) but not used for advice, nor is the size reference
+    const confidentFrames = results.frames.filter(frame => !frame.lowConfidence && !frame.isReference);
+
+    // Analyze the layout of all frames in view and draw guide lines
+    const galleryAnalysis = galleryAnalyzer.analyze(confidentFrames, results.scale);
+    galleryAnalyzer.drawGuides(canvasOutput, galleryAnalysis);
+
+    // Physical instructions (mm) for tilted frames; round frames without a hanger have no tilt to correct
+    const orientedFrames = confidentFrames.filter(frame => !frame.noOrientation);
+    const corrections = correctionAdvisor.getCorrections(orientedFrames);
+    correctionAdvisor.drawInstructions(canvasOutput, orientedFrames, corrections);
+
+    // Sound and vibration for the locked (or largest) frame
+    audioGuidance.update(AudioGuidance.selectFrame(results.frames, frameDetector.lockedFrameId));
+
+    // Update frame count and camera tilt info
+    updateFrameCount(confidentFrames.length, results.frames.filter(frame => frame.lowConfidence).length);
+    updateCameraTiltInfo(results.cameraTilt);
+    updateSensorInfo();
+    updateDistanceInfo(results.scale);
+    updateGalleryInfo(galleryAnalysis);
+    updateCorrectionInfo(corrections);
+
+    // Accessible frame list and announcements of meaningful changes (a photo is announced once when opened)
+    updateFrameList(results.frames);
+    const announcement = stillImage ? null : frameAnnouncer.getAnnouncement(results.frames);
+    if (announcement) {
+        frameAnnouncer.announce(frameAnnouncements, announcement);
+    }
+}
+
 /**
  * Update status text
  */
@@ -367,88 +1308,211 @@ function updateStatus(message, type = 'info') {
     statusText.className = type;
 }
 
+/**
+ * Parts of the frame status line, shown in this order and joined with " | "
+ */
+const frameStatus = { frames: 'Frames detected: 0', camera: '', device: '', distance: '', gallery: '' };
+
+/**
+ * Show the frame status line from its parts
+ */
+function renderFrameStatus() {
+    framesDetectedText.textContent = Object.values(frameStatus).filter(part => part).join(' | ');
+}
+
+/**
+ * Clear the frame status line back to no frames
+ */
+function resetFrameStatus() {
+    frameStatus.camera = '';
+    frameStatus.device = '';
+    frameStatus.distance = '';
+    frameStatus.gallery = '';
+    updateFrameCount(0);
+}
+
 /**
  * Update detected frames count
  */
-function updateFrameCount(count) {
-    framesDetectedText.textContent = `Frames detected: ${count}`;
+function updateFrameCount(count, uncertainCount = 0) {
+    frameStatus.frames = uncertainCount > 0
+        ? `Frames detected: ${count} (+${uncertainCount} low confidence)`
+        : `Frames detected: ${count}`;
+    renderFrameStatus();
 }
 
 /**
  * Update camera tilt compensation info
  */
-function updateCameraTiltInfo() {
-    const cameraTilt = frameDetector.getCameraTilt();
-    if (Math.abs(cameraTilt) > 0.5) {
-        const tiltInfo = ` | Camera: ${cameraTilt.toFixed(1)}° ${cameraTilt > 0 ? '↻' : '↺'}`;
-        if (!framesDetectedText.textContent.includes('Camera:')) {
-            framesDetectedText.textContent += tiltInfo;
-        } else {
-            // Update existing tilt info
-            framesDetectedText.textContent = framesDetectedText.textContent.replace(
-                /\| Camera:.*$/,
-                tiltInfo
-            );
-        }
-    }
+function updateCameraTiltInfo(cameraTilt) {
+    frameStatus.camera = Math.abs(cameraTilt) > 0.5
+        ? `Camera: ${cameraTilt.toFixed(1)}° ${cameraTilt > 0 ? '↻' : '↺'}`
+        : '';
+    renderFrameStatus();
 }
 
 /**
  * Update sensor fusion info
  */
 function updateSensorInfo() {
+    frameStatus.device = '';
     if (sensorManager && sensorManager.isActiveAndReady()) {
         const orientation = sensorManager.getDeviceOrientation();
         const modeText = orientation.mode === 'landscape' ? '🔄 Landscape' : '📱 Portrait';
-        const sensorInfo = ` | Device: ${modeText} ${orientation.tilt.toFixed(1)}°`;
-        
-        if (!framesDetectedText.textContent.includes('Device:')) {
-            framesDetectedText.textContent += sensorInfo;
-        } else {
-            // Update existing sensor info
-            framesDetectedText.textContent = framesDetectedText.textContent.replace(
-                /\| Device:.*?(\||$)/,
-                sensorInfo + '$1'
-            );
-        }
+        frameStatus.device = `Device: ${modeText} ${orientation.tilt.toFixed(1)}°`;
     }
+    renderFrameStatus();
+}
+
+/**
+ * Update the estimated camera to wall distance (from the reference object or as entered),
+ * or say which reference object to tap
+ */
+function updateDistanceInfo(scale) {
+    frameStatus.distance = '';
+    if (isPickingReference) {
+        frameStatus.distance = `Sizes: tap the reference (${getSelectedReferenceObject().label})`;
+    } else if (scale) {
+        const stale = scale.method === 'reference' && !scale.referenceVisible ? ', reference out of view' : '';
+        frameStatus.distance = `Distance: ${(scale.distance / 1000).toFixed(1)} m${stale}`;
+    }
+    renderFrameStatus();
+}
+
+/**
+ * Update gallery layout info
+ */
+function updateGalleryInfo(analysis) {
+    const summary = galleryAnalyzer.getSummary(analysis);
+    frameStatus.gallery = summary ? `Gallery: ${summary}` : '';
+    renderFrameStatus();
+}
+
+/**
+ * Show every detected frame's status, tilt and direction in the results list
+ */
+function updateFrameList(frames) {
+    FrameAnnouncer.renderList(frameList, frameAnnouncer.describe(frames));
+}
+
+/**
+ * Update sensor calibration status and age
+ */
+function updateCalibrationInfo() {
+    calibrationInfoText.textContent = sensorCalibration.getStatusText();
+}
+
+/**
+ * Show whether frames are lens corrected
+ */
+function updateLensInfo(calibration) {
+    lensInfoText.textContent = calibration
+        ? `Lens calibrated ${new Date(calibration.calibratedAt).toLocaleDateString()} (error ${calibration.rmsError.toFixed(2)} px)`
+        : 'Lens not calibrated: readings near the edge of the view may be bent by distortion.';
+    lensResetBtn.disabled = !calibration;
+}
+
+/**
+ * Update correction instructions
+ */
+function updateCorrectionInfo(corrections) {
+    correctionInfoText.textContent = correctionAdvisor.getSummary(corrections);
 }
 
 /**
  * Called when OpenCV.js is ready
  */
-function onOpenCvReady() {
+function onOpenCvReady(source) {
     openCvReady = true;
-    console.log('OpenCV.js is ready');
+    console.log(`OpenCV.js is ready (${source})`);
     updateStatus('OpenCV loaded. Ready to start detection.', 'success');
 }
 
 /**
  * Called when OpenCV.js fails to load
  */
-function onOpenCvError() {
+function onOpenCvError(error) {
     openCvReady = false;
-    console.error('Failed to load OpenCV.js');
-    updateStatus('Error: Failed to load OpenCV.js. Please refresh the page.', 'error');
-    startBtn.disabled = true;
+    console.error('Failed to load OpenCV.js:', error);
+    updateStatus('Error: OpenCV.js could not be loaded, so frames cannot be detected. Connect to the internet once and reload, or put opencv.js in the lib/ folder (see lib/README.md).', 'error');
+    // The live camera still works when the worker detects frames
+    if (!detectorWorker) {
+        startBtn.disabled = true;
+    }
 }
 
 /**
- * Wait for OpenCV to load, then initialize
+ * Load OpenCV on the main thread (bundled build first, then the CDN), once
+ * Needed when detection cannot run in the worker, and for photos, replays and lens
+ * calibration. Resolves with true when it is ready; a failed load can be tried again.
  */
-function waitForOpenCV() {
-    if (typeof cv !== 'undefined' && cv.Mat) {
-        onOpenCvReady();
-        initApp();
-    } else {
-        updateStatus('Loading OpenCV.js...', 'info');
-        setTimeout(waitForOpenCV, 100);
+function loadOpenCV() {
+    if (!openCvLoading) {
+        openCvLoading = (async () => {
+            updateStatus('Loading OpenCV.js...', 'info');
+            const loader = new OpenCvLoader();
+            try {
+                await loader.load((url, error) => {
+                    console.warn(`OpenCV.js from ${url} failed: ${error.message}`);
+                    updateStatus('Loading OpenCV.js from the internet...', 'info');
+                });
+            } catch (error) {
+                openCvLoading = null;
+                onOpenCvError(error);
+                return false;
+            }
+            onOpenCvReady(loader.source);
+            return true;
+        })();
+    }
+    return openCvLoading;
+}
+
+/**
+ * Register the service worker for offline use, and offer updates when a new version is waiting
+ */
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+        return;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.register('service-worker.js');
+
+        const offerUpdate = (worker) => {
+            updateBtn.style.display = 'inline-block';
+            updateBtn.onclick = () => worker.postMessage({ type: 'skip-waiting' });
+        };
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            offerUpdate(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // The first install takes over straight away; later ones wait for the user
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    offerUpdate(worker);
+                }
+            });
+        });
+
+        // Reload once the new version has taken over, so every file comes from one version
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!reloading && updateBtn.style.display !== 'none') {
+                reloading = true;
+                location.reload();
+            }
+        });
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
     }
 }
 
 // Start the application when DOM is ready
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', waitForOpenCV);
+    document.addEventListener('DOMContentLoaded', initApp);
 } else {
-    waitForOpenCV();
+    initApp();
 }
+registerServiceWorker();
@@ -105,6 +105,23 @@ class CameraManager {
         return track ? track.getSettings() : null;
     }
 
+    /**
+     * Horizontal field of view (degrees) of the current camera's image
+     * Browsers do not report the lens's field of view, so `lensFieldOfView` (across the long
+     * side of the image, unzoomed) is narrowed for the track's zoom and for a portrait image.
+     * Returns `lensFieldOfView` when no camera is running.
+     */
+    getFieldOfView(lensFieldOfView) {
+        const camera = this.getCurrentCamera();
+        if (!camera) return lensFieldOfView;
+
+        let halfWidth = Math.tan((lensFieldOfView / 2) * (Math.PI / 180)) / (camera.zoom > 0 ? camera.zoom : 1);
+        if (camera.width && camera.height && camera.height > camera.width) {
+            halfWidth *= camera.width / camera.height;
+        }
+        return 2 * Math.atan(halfWidth) * (180 / Math.PI);
+    }
+
     /**
      * Check if camera access is supported
      */
@@ -0,0 +1,182 @@
+/**
+ * Correction Advisor - Turns a frame's tilt into a physical instruction
+ * ("Raise the right corner 18 mm") from the frame's real width and how it is hung
+ */
+
+class CorrectionAdvisor {
+    constructor() {
+        this.frameWidth = null; // Real frame width in mm (null = unknown, direction only)
+        this.hangingMethod = 'corners'; // 'corners', 'wire' or 'two-hooks'
+        this.hookSpacing = null; // Distance between two hooks in mm (null = half the frame width)
+        this.minCorrection = 1; // Corrections below this (mm) count as level
+        this.lastCorrections = [];
+    }
+
+    /**
+     * Common frame widths in mm
+     */
+    static getWidthPresets() {
+        return [
+            { label: '13×18 cm / 5×7"', width: 127 },
+            { label: '20×25 cm / 8×10"', width: 203 },
+            { label: 'A4', width: 210 },
+            { label: '28×35 cm / 11×14"', width: 279 },
+            { label: 'A3', width: 297 },
+            { label: '30×40 cm', width: 300 },
+            { label: '40×50 cm / 16×20"', width: 406 },
+            { label: 'A2', width: 420 },
+            { label: '50×70 cm', width: 500 },
+            { label: '61×91 cm / 24×36"', width: 610 },
+            { label: '70×100 cm', width: 700 }
+        ];
+    }
+
+    /**
+     * Set the real frame width in mm (null or 0 = unknown)
+     */
+    setFrameWidth(width) {
+        this.frameWidth = width > 0 ? width : null;
+    }
+
+    /**
+     * Set how the frame hangs: 'corners', 'wire' or 'two-hooks'
+     */
+    setHangingMethod(method) {
+        if (['corners', 'wire', 'two-hooks'].includes(method)) {
+            this.hangingMethod = method;
+        }
+    }
+
+    /**
+     * Set the distance between two hooks in mm (null or 0 = half the frame width)
+     */
+    setHookSpacing(spacing) {
+        this.hookSpacing = spacing > 0 ? spacing : null;
+    }
+
+    /**
+     * Get corrections for all frames
+     */
+    getCorrections(frames) {
+        this.lastCorrections = frames.map(frame => this.getCorrection(frame));
+        return this.lastCorrections;
+    }
+
+    /**
+     * Work out what to move, which way and by how much for one frame
+     * Positive (clockwise) tilt means the right side hangs low. Without an entered frame
+     * width, the frame's measured size (see SizeEstimator) is used and amounts are approximate.
+     */
+    getCorrection(frame) {
+        const tiltRad = frame.tilt * (Math.PI / 180);
+        const side = frame.tilt > 0 ? 'right' : 'left';
+        const estimated = !this.frameWidth && !!frame.size;
+        const frameWidth = this.frameWidth || (frame.size ? frame.size.width : null);
+        let lever; // Distance (mm) over which the tilt has to be taken out
+
+        switch (this.hangingMethod) {
+            case 'two-hooks':
+                // Raise the low hook; the frame pivots on the other one
+                lever = this.hookSpacing || (frameWidth && frameWidth / 2);
+                break;
+            case 'wire':
+                // The frame settles with its center of mass below the hook. A hook sitting
+                // e mm off the wire's middle tilts it by atan(e / d), d = hook to center
+                // (about half the frame height), so the hook must move d * tan(tilt).
+                lever = frameWidth && frameWidth * this.getAspectRatio(frame) / 2;
+                break;
+            default:
+                lever = frameWidth;
+                break;
+        }
+
+        const amount = lever ? Math.round(lever * Math.abs(Math.tan(tiltRad))) : null;
+        let isLevel = amount !== null ? amount < this.minCorrection : Math.abs(frame.tilt) < 0.1;
+        // The detector's tolerance profile decides what counts as level, so advice matches the colors
+        if (frame.tolerance) {
+            isLevel = frame.tolerance.status === 'level';
+        }
+        let distance = '';
+        if (amount !== null) {
+            distance = amount >= this.minCorrection ? ` ${estimated ? '≈' : ''}${amount} mm` : ` under ${this.minCorrection} mm`;
+        }
+
+        let text;
+        if (isLevel) {
+            text = 'Level';
+        } else if (this.hangingMethod === 'wire') {
+            // Right side low = hook left of the wire's middle, so it must move right
+            text = `Slide the wire hook${distance} ${side}`;
+        } else {
+            text = `Raise the ${side} ${this.hangingMethod === 'two-hooks' ? 'hook' : 'corner'}${distance}`;
+        }
+
+        return {
+            frameId: frame.frameId,
+            method: this.hangingMethod,
+            side: side,
+            amount: isLevel ? 0 : amount,
+            isLevel: isLevel,
+            text: text
+        };
+    }
+
+    /**
+     * Height/width of a frame from its edge lengths in the image
+     */
+    getAspectRatio(frame) {
+        if (frame.level && frame.level.edges) {
+            const { top, right, bottom, left } = frame.level.edges;
+            const width = top.length + bottom.length;
+            if (width > 0) {
+                return (left.length + right.length) / width;
+            }
+        }
+        return frame.rect.height / frame.rect.width;
+    }
+
+    /**
+     * Draw each instruction below its frame
+     */
+    drawInstructions(canvasElement, frames, corrections) {
+        const ctx = canvasElement.getContext('2d');
+        ctx.save();
+        ctx.font = 'bold 14px Arial';
+
+        frames.forEach((frame, index) => {
+            const correction = corrections[index];
+            if (!correction || correction.isLevel) return;
+
+            const { rect } = frame;
+            const textMetrics = ctx.measureText(correction.text);
+            const x = rect.x;
+            const y = Math.min(rect.y + rect.height + 8, canvasElement.height - 24);
+
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+            ctx.fillRect(x, y, textMetrics.width + 12, 22);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(correction.text, x + 6, y + 16);
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * One-line summary of the corrections for the status panel
+     */
+    getSummary(corrections = this.lastCorrections) {
+        const needed = corrections.filter(c => !c.isLevel);
+        if (corrections.length === 0) {
+            return '';
+        }
+        if (needed.length === 0) {
+            return 'All frames level';
+        }
+        return needed.map(c => `#${c.frameId}: ${c.text}`).join(' · ');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CorrectionAdvisor;
+}
@@ -0,0 +1,525 @@
+/**
+ * Detector Backends - Interchangeable ways of finding frame candidates in an image
+ * FrameDetector prepares the grayscale image and turns every candidate into a frame (edge
+ * refinement, tilt, confidence, tracking), so all backends produce the same frame results.
+ *
+ * A backend has an `id`, a display `name` and findCandidates(images, settings):
+ *   images    { gray, blurred } 8-bit single-channel cv.Mats, owned by the caller
+ *   settings  { sensitivity (1-10), minArea (px²) }
+ *   returns   [{ corners, cornerCount, area, rect, points, shape }]
+ *             corners are the polygon's vertices ({ x, y }, at least four), rect its bounding
+ *             box and area its area in px². Outline-based backends give the outline `points`
+ *             the polygon was fitted to; others report `shape` ({ straightness, fit }, 0-1)
+ *             themselves. Backends that see inside a candidate may add `nested`: the quads
+ *             within it, outside-in ([{ corners, area, rect }], e.g. mat window and artwork).
+ */
+
+/**
+ * The original pipeline: Canny edges, dilated, outermost contours approximated by polygons
+ * Fast and precise on frames that contrast with the wall.
+ */
+class ContourBackend {
+    constructor() {
+        this.id = 'contour';
+        this.name = 'Edge contours';
+    }
+
+    findCandidates({ blurred }, { sensitivity, minArea }) {
+        const edges = new cv.Mat();
+        const dilated = new cv.Mat();
+        const kernel = cv.Mat.ones(3, 3, cv.CV_8U);
+
+        try {
+            cv.Canny(blurred, edges, 50 - (sensitivity * 3), 150 - (sensitivity * 5));
+            // Dilate edges to close gaps
+            cv.dilate(edges, dilated, kernel);
+            return ContourBackend.findQuads(dilated, minArea);
+        } finally {
+            edges.delete();
+            dilated.delete();
+            kernel.delete();
+        }
+    }
+
+    /**
+     * Polygons of at least four corners around the outermost contours of a binary image,
+     * each with the quads nested inside it
+     */
+    static findQuads(binary, minArea) {
+        const contours = new cv.MatVector();
+        const hierarchy = new cv.Mat();
+        const candidates = [];
+
+        try {
+            cv.findContours(binary, contours, hierarchy, cv.RETR_TREE, cv.CHAIN_APPROX_SIMPLE);
+            const links = hierarchy.data32S; // [next, previous, first child, parent] per contour
+
+            for (let i = 0; i < contours.size(); i++) {
+                // Inner contours are only looked at as part of the frame around them
+                if (links[i * 4 + 3] !== -1) {
+                    continue;
+                }
+
+                const contour = contours.get(i);
+                const area = cv.contourArea(contour);
+                if (area < minArea) {
+                    contour.delete();
+                    continue;
+                }
+
+                // Approximate contour to polygon
+                const approx = new cv.Mat();
+                cv.approxPolyDP(contour, approx, 0.02 * cv.arcLength(contour, true), true);
+
+                if (approx.rows >= 4) {
+                    candidates.push({
+                        corners: ContourBackend.toPoints(approx, 10),
+                        cornerCount: approx.rows,
+                        area: area,
+                        rect: cv.boundingRect(approx),
+                        points: ContourBackend.toPoints(contour),
+                        nested: ContourBackend.findNested(contours, links, i, area)
+                    });
+                }
+
+                approx.delete();
+                contour.delete();
+            }
+        } finally {
+            contours.delete();
+            hierarchy.delete();
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Quads nested inside contour `index`, outside-in
+     * A closed edge has an outer contour with a hole in it, and the outer contour of the next
+     * edge inside is a child of that hole. At each level the largest such contour is followed
+     * as long as it is a convex quad; anything else (e.g. the picture's content) ends the chain.
+     * Follows at most `maxNested` quads (frame's inner edge, mat window, artwork), each at
+     * least `minArea` of the outer area.
+     */
+    static findNested(contours, links, index, outerArea, maxNested = 3, minArea = 0.1) {
+        const nested = [];
+        let current = index;
+
+        while (nested.length < maxNested) {
+            let largest = -1;
+            let largestArea = minArea * outerArea;
+            for (let hole = links[current * 4 + 2]; hole !== -1; hole = links[hole * 4]) {
+                for (let child = links[hole * 4 + 2]; child !== -1; child = links[child * 4]) {
+                    const contour = contours.get(child);
+                    const area = cv.contourArea(contour);
+                    contour.delete();
+                    if (area > largestArea) {
+                        largest = child;
+                        largestArea = area;
+                    }
+                }
+            }
+            if (largest < 0) {
+                break;
+            }
+
+            const contour = contours.get(largest);
+            const approx = new cv.Mat();
+            cv.approxPolyDP(contour, approx, 0.02 * cv.arcLength(contour, true), true);
+            const isQuad = approx.rows === 4 && cv.isContourConvex(approx);
+            if (isQuad) {
+                nested.push({
+                    corners: ContourBackend.toPoints(approx),
+                    area: largestArea,
+                    rect: cv.boundingRect(approx)
+                });
+            }
+            approx.delete();
+            contour.delete();
+            if (!isQuad) {
+                break;
+            }
+            current = largest;
+        }
+
+        return nested;
+    }
+
+    /**
+     * Points of a CV_32SC2 point Mat (at most `limit` of them)
+     */
+    static toPoints(mat, limit = Infinity) {
+        const points = [];
+        for (let i = 0; i < Math.min(mat.rows, limit); i++) {
+            points.push({ x: mat.data32S[i * 2], y: mat.data32S[i * 2 + 1] });
+        }
+        return points;
+    }
+}
+
+/**
+ * Edges found relative to their surroundings: gradient magnitude above the local mean
+ * gradient (an adaptive threshold), then the same contour search as ContourBackend
+ * Finds faint frame edges against a similarly coloured wall that fixed Canny thresholds miss.
+ */
+class AdaptiveThresholdBackend {
+    constructor() {
+        this.id = 'adaptive';
+        this.name = 'Adaptive threshold';
+        this.blockFraction = 1 / 16; // Neighbourhood size as a fraction of the shorter image side
+    }
+
+    findCandidates({ blurred }, { sensitivity, minArea }) {
+        const gradX = new cv.Mat();
+        const gradY = new cv.Mat();
+        const magnitude = new cv.Mat();
+        const gradient = new cv.Mat();
+        const binary = new cv.Mat();
+        const kernel = cv.Mat.ones(3, 3, cv.CV_8U);
+
+        try {
+            cv.Sobel(blurred, gradX, cv.CV_32F, 1, 0);
+            cv.Sobel(blurred, gradY, cv.CV_32F, 0, 1);
+            cv.magnitude(gradX, gradY, magnitude);
+            magnitude.convertTo(gradient, cv.CV_8U);
+
+            // Keep pixels whose gradient stands out from the local mean by a sensitivity-dependent margin
+            let blockSize = Math.round(Math.min(blurred.rows, blurred.cols) * this.blockFraction) | 1;
+            blockSize = Math.max(blockSize, 11);
+            const margin = 3 + (10 - sensitivity) / 2;
+            cv.adaptiveThreshold(gradient, binary, 255, cv.ADAPTIVE_THRESH_MEAN_C, cv.THRESH_BINARY,
+                blockSize, -margin);
+
+            // Join broken edges like the contour backend's dilation
+            cv.morphologyEx(binary, binary, cv.MORPH_CLOSE, kernel);
+            return ContourBackend.findQuads(binary, minArea);
+        } finally {
+            gradX.delete();
+            gradY.delete();
+            magnitude.delete();
+            gradient.delete();
+            binary.delete();
+            kernel.delete();
+        }
+    }
+}
+
+/**
+ * Quads assembled from straight line segments (probabilistic Hough transform)
+ * Near-horizontal and near-vertical segments are merged into lines, and every pair of
+ * horizontal lines is combined with every pair of vertical lines; a quad is kept when
+ * segments cover enough of each of its four sides. Works when the outline is broken
+ * (glare, a similar wall colour on one side) or touches other edges, where contours fail.
+ */
+class LineSegmentBackend {
+    constructor() {
+        this.id = 'lines';
+        this.name = 'Line segments';
+        this.maxAxisAngle = 30; // Degrees a segment may be off horizontal/vertical
+        this.mergeAngle = 2; // Degrees between segments merged into one line
+        this.mergeDistance = 3; // Pixels between segments merged into one line
+        this.maxLines = 24; // Longest lines per direction combined into quads
+        this.maxSkew = 12; // Degrees opposite sides may differ
+        this.minCoverage = 0.5; // Fraction of every side that segments must cover
+        this.maxOverlap = 0.5; // Fraction of the smaller bounding box two quads may share before the weaker is dropped
+    }
+
+    findCandidates({ blurred }, { sensitivity, minArea }) {
+        const edges = new cv.Mat();
+        const lines = new cv.Mat();
+        const kernel = cv.Mat.ones(3, 3, cv.CV_8U);
+        const minSide = Math.sqrt(minArea) / 2;
+
+        let segments;
+        try {
+            // Lower thresholds than the contour backend: straightness, not contrast, rejects clutter
+            cv.Canny(blurred, edges, 15 - sensitivity, 45 - (sensitivity * 3));
+            // Thicken the edges: a one-pixel edge a degree or two off the axis is a staircase
+            // that the Hough transform breaks into short steps
+            cv.dilate(edges, edges, kernel);
+            cv.HoughLinesP(edges, lines, 1, Math.PI / 180, Math.round(minSide / 2), minSide / 2, 5);
+
+            segments = [];
+            for (let i = 0; i < lines.rows; i++) {
+                const [x1, y1, x2, y2] = lines.data32S.slice(i * 4, i * 4 + 4);
+                segments.push({ a: { x: x1, y: y1 }, b: { x: x2, y: y2 }, length: Math.hypot(x2 - x1, y2 - y1) });
+            }
+        } finally {
+            edges.delete();
+            lines.delete();
+            kernel.delete();
+        }
+
+        const horizontal = this.mergeSegments(segments.filter(s => this.isHorizontal(s)));
+        const vertical = this.mergeSegments(segments.filter(s => this.isVertical(s)));
+        return this.assembleQuads(horizontal, vertical, minArea, minSide);
+    }
+
+    /**
+     * Angle of a segment in degrees, in (-90, 90]
+     */
+    segmentAngle(segment) {
+        let angle = Math.atan2(segment.b.y - segment.a.y, segment.b.x - segment.a.x) * 180 / Math.PI;
+        if (angle > 90) angle -= 180;
+        if (angle <= -90) angle += 180;
+        return angle;
+    }
+
+    isHorizontal(segment) {
+        return Math.abs(this.segmentAngle(segment)) <= this.maxAxisAngle;
+    }
+
+    isVertical(segment) {
+        return Math.abs(this.segmentAngle(segment)) >= 90 - this.maxAxisAngle;
+    }
+
+    /**
+     * Group collinear segments into lines, longest first
+     * Returns [{ point, direction (unit), angle, length, segments, center, extent }]: the line
+     * runs through its longest segment, `center` is the length-weighted middle of its segments
+     * and `extent` their [min, max] x (or y, for vertical lines).
+     */
+    mergeSegments(segments) {
+        const merged = [];
+        [...segments].sort((s, t) => t.length - s.length).forEach(segment => {
+            const angle = this.segmentAngle(segment);
+            const line = merged.find(candidate => {
+                const difference = Math.abs(candidate.angle - angle);
+                return Math.min(difference, 180 - difference) <= this.mergeAngle &&
+                    this.distanceToLine(segment.a, candidate) <= this.mergeDistance &&
+                    this.distanceToLine(segment.b, candidate) <= this.mergeDistance;
+            });
+
+            if (line) {
+                line.segments.push(segment);
+                line.length += segment.length;
+            } else {
+                merged.push({
+                    point: segment.a,
+                    direction: { x: (segment.b.x - segment.a.x) / segment.length, y: (segment.b.y - segment.a.y) / segment.length },
+                    angle: angle,
+                    length: segment.length,
+                    segments: [segment]
+                });
+            }
+        });
+
+        const lines = merged.sort((s, t) => t.length - s.length).slice(0, this.maxLines);
+        lines.forEach(line => {
+            const axis = Math.abs(line.angle) <= 45 ? 'x' : 'y';
+            const ends = line.segments.flatMap(segment => [segment.a[axis], segment.b[axis]]);
+            line.extent = [Math.min(...ends), Math.max(...ends)];
+            line.center = {
+                x: line.segments.reduce((sum, seg) => sum + (seg.a.x + seg.b.x) / 2 * seg.length, 0) / line.length,
+                y: line.segments.reduce((sum, seg) => sum + (seg.a.y + seg.b.y) / 2 * seg.length, 0) / line.length
+            };
+        });
+        return lines;
+    }
+
+    /**
+     * Perpendicular distance of a point from a merged line
+     */
+    distanceToLine(point, line) {
+        return Math.abs((point.x - line.point.x) * line.direction.y - (point.y - line.point.y) * line.direction.x);
+    }
+
+    /**
+     * Where two merged lines cross, or null if they are (nearly) parallel
+     */
+    intersect(first, second) {
+        const cross = first.direction.x * second.direction.y - first.direction.y * second.direction.x;
+        if (Math.abs(cross) < 1e-6) {
+            return null;
+        }
+        const dx = second.point.x - first.point.x;
+        const dy = second.point.y - first.point.y;
+        const t = (dx * second.direction.y - dy * second.direction.x) / cross;
+        return { x: first.point.x + t * first.direction.x, y: first.point.y + t * first.direction.y };
+    }
+
+    /**
+     * Fraction of the side a-b covered by the line's segments
+     */
+    coverage(line, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        if (lengthSquared === 0) {
+            return 0;
+        }
+
+        // Each segment's extent along the side, clipped to it, then the union of those intervals
+        const intervals = line.segments.map(segment => {
+            const t1 = ((segment.a.x - a.x) * dx + (segment.a.y - a.y) * dy) / lengthSquared;
+            const t2 = ((segment.b.x - a.x) * dx + (segment.b.y - a.y) * dy) / lengthSquared;
+            return [Math.max(0, Math.min(t1, t2)), Math.min(1, Math.max(t1, t2))];
+        }).filter(([start, end]) => end > start).sort((i, j) => i[0] - j[0]);
+
+        let covered = 0;
+        let reached = 0;
+        intervals.forEach(([start, end]) => {
+            if (end > reached) {
+                covered += end - Math.max(start, reached);
+                reached = end;
+            }
+        });
+        return covered;
+    }
+
+    /**
+     * Combine pairs of horizontal and vertical lines into quads supported on all four sides
+     */
+    assembleQuads(horizontal, vertical, minArea, minSide) {
+        const found = [];
+        const skew = (first, second) => {
+            const difference = Math.abs(first.angle - second.angle);
+            return Math.min(difference, 180 - difference);
+        };
+
+        const pairs = (lines, axis) => {
+            const result = [];
+            for (let i = 0; i < lines.length; i++) {
+                for (let j = i + 1; j < lines.length; j++) {
+                    const [first, second] = lines[i].center[axis] < lines[j].center[axis] ? [lines[i], lines[j]] : [lines[j], lines[i]];
+                    if (second.center[axis] - first.center[axis] >= minSide && skew(first, second) <= this.maxSkew) {
+                        result.push([first, second]);
+                    }
+                }
+            }
+            return result;
+        };
+
+        // Quick check before the exact coverage: the line's segments must reach far enough across the span
+        const spans = (line, from, to) => {
+            const overlap = Math.min(line.extent[1], to) - Math.max(line.extent[0], from);
+            return overlap >= this.minCoverage * (to - from);
+        };
+
+        const rows = pairs(horizontal, 'y');
+        const columns = pairs(vertical, 'x');
+        const crossings = new Map();
+        const cross = (first, second) => {
+            const key = `${horizontal.indexOf(first)},${vertical.indexOf(second)}`;
+            if (!crossings.has(key)) {
+                crossings.set(key, this.intersect(first, second));
+            }
+            return crossings.get(key);
+        };
+
+        rows.forEach(([top, bottom]) => {
+            columns.forEach(([left, right]) => {
+                if (!spans(top, left.center.x, right.center.x) || !spans(bottom, left.center.x, right.center.x) ||
+                    !spans(left, top.center.y, bottom.center.y) || !spans(right, top.center.y, bottom.center.y)) {
+                    return;
+                }
+
+                const corners = [cross(top, left), cross(top, right), cross(bottom, right), cross(bottom, left)];
+                if (corners.some(corner => !corner)) {
+                    return;
+                }
+
+                // Sides in order: top, right, bottom, left
+                const sides = [[top, 0, 1], [right, 1, 2], [bottom, 3, 2], [left, 0, 3]];
+                const covered = [];
+                for (const [line, from, to] of sides) {
+                    const fraction = this.coverage(line, corners[from], corners[to]);
+                    if (fraction < this.minCoverage) {
+                        return;
+                    }
+                    covered.push(fraction);
+                }
+
+                const area = Math.abs(corners.reduce((sum, p, i) => {
+                    const next = corners[(i + 1) % 4];
+                    return sum + p.x * next.y - next.x * p.y;
+                }, 0)) / 2;
+                if (area < minArea) {
+                    return;
+                }
+
+                const xs = corners.map(c => c.x);
+                const ys = corners.map(c => c.y);
+                const rect = {
+                    x: Math.floor(Math.min(...xs)),
+                    y: Math.floor(Math.min(...ys)),
+                    width: Math.ceil(Math.max(...xs) - Math.min(...xs)),
+                    height: Math.ceil(Math.max(...ys) - Math.min(...ys))
+                };
+                const support = covered.reduce((sum, c) => sum + c, 0) / 4;
+
+                found.push({
+                    corners: corners,
+                    cornerCount: 4,
+                    area: area,
+                    rect: rect,
+                    shape: { straightness: support, fit: Math.min(...covered) },
+                    support: support
+                });
+            });
+        });
+
+        // Best supported (then largest) first. A weaker quad overlapping a kept one is the same
+        // frame, or spans neighbouring frames whose edges line up
+        found.sort((a, b) => (b.support - a.support) || (b.area - a.area));
+        const kept = [];
+        found.forEach(candidate => {
+            if (!kept.some(other => LineSegmentBackend.overlap(candidate.rect, other.rect) > this.maxOverlap)) {
+                kept.push(candidate);
+            }
+        });
+        return kept;
+    }
+
+    /**
+     * Area two rectangles share, as a fraction of the smaller one
+     */
+    static overlap(a, b) {
+        const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+        const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+        if (width <= 0 || height <= 0) {
+            return 0;
+        }
+        return width * height / Math.min(a.width * a.height, b.width * b.height);
+    }
+}
+
+/**
+ * Registry of the available backends, selected by id at runtime
+ */
+class DetectorBackends {
+    /**
+     * The backend with this id, or undefined
+     */
+    static get(id) {
+        return DetectorBackends.getAll().find(backend => backend.id === id);
+    }
+
+    /**
+     * All backends; the first is the default
+     */
+    static getAll() {
+        if (!DetectorBackends.backends) {
+            DetectorBackends.backends = [new ContourBackend(), new AdaptiveThresholdBackend(), new LineSegmentBackend()];
+        }
+        return DetectorBackends.backends;
+    }
+
+    /**
+     * Add a backend (or replace the one with the same id)
+     */
+    static register(backend) {
+        const backends = DetectorBackends.getAll();
+        const index = backends.findIndex(existing => existing.id === backend.id);
+        if (index >= 0) {
+            backends[index] = backend;
+        } else {
+            backends.push(backend);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DetectorBackends, ContourBackend, AdaptiveThresholdBackend, LineSegmentBackend };
+}
@@ -0,0 +1,168 @@
+/**
+ * Detector Worker Client - Main thread side of detector-worker.js
+ * Posts video frames to the worker and drops frames while it is busy
+ * Frames go as VideoFrames where the browser has them (no copy into a bitmap), else as ImageBitmaps
+ */
+
+class DetectorWorkerClient {
+    constructor(workerUrl = 'detector-worker.js') {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.isReady = false;
+        this.isBusy = false;
+        this.droppedFrames = 0;
+        this.pendingResolve = null;
+        this.useVideoFrame = typeof VideoFrame === 'function'; // Cleared if the worker cannot analyze one
+        this.initTimeout = 30000; // ms to wait for OpenCV.js inside the worker, whose importScripts cannot time out
+    }
+
+    /**
+     * Start the worker and wait until OpenCV.js is loaded inside it
+     */
+    init() {
+        return new Promise((resolve, reject) => {
+            this.worker = new Worker(this.workerUrl);
+
+            const timeoutId = setTimeout(() => {
+                this.terminate();
+                reject(new Error('Detection worker did not start in time'));
+            }, this.initTimeout);
+
+            this.worker.onmessage = (event) => {
+                const message = event.data;
+
+                if (message.type === 'ready') {
+                    clearTimeout(timeoutId);
+                    this.isReady = true;
+                    resolve();
+                } else if (message.type === 'error') {
+                    clearTimeout(timeoutId);
+                    this.terminate();
+                    reject(new Error(message.message));
+                } else if (message.type === 'results') {
+                    this.handleResults(message);
+                }
+            };
+
+            this.worker.onerror = (event) => {
+                clearTimeout(timeoutId);
+                this.terminate();
+                reject(new Error(event.message || 'Detection worker failed'));
+            };
+
+            this.worker.postMessage({ type: 'init' });
+        });
+    }
+
+    /**
+     * Send a frame to the worker
+     * Resolves with { results, image } or null if the frame was dropped.
+     * The caller must close() the returned image after drawing it.
+     */
+    async processFrame(source, deviceTilt = null, tiltVariance = null) {
+        if (!this.isReady || this.isBusy) {
+            this.droppedFrames++;
+            return null;
+        }
+
+        this.isBusy = true;
+
+        let image;
+        try {
+            image = await this.grabFrame(source);
+        } catch (error) {
+            this.isBusy = false;
+            throw error;
+        }
+
+        return new Promise(resolve => {
+            this.pendingResolve = resolve;
+            this.worker.postMessage({
+                type: 'frame',
+                image: image,
+                deviceTilt: deviceTilt,
+                tiltVariance: tiltVariance
+            }, [image]);
+        });
+    }
+
+    /**
+     * Take the current frame of `source` as a transferable image
+     * A video gives a VideoFrame; anything else, or a video without a frame yet, an ImageBitmap.
+     */
+    async grabFrame(source) {
+        if (this.useVideoFrame && source.videoWidth !== undefined) {
+            try {
+                return new VideoFrame(source);
+            } catch (error) {
+                // No decoded frame yet, or the browser cannot wrap this video
+            }
+        }
+        return createImageBitmap(source);
+    }
+
+    /**
+     * Handle analysis results from the worker
+     */
+    handleResults(message) {
+        this.isBusy = false;
+
+        const resolve = this.pendingResolve;
+        this.pendingResolve = null;
+
+        if (!message.results) {
+            // A worker without VideoFrame support gets bitmaps from now on
+            if (typeof VideoFrame === 'function' && message.image instanceof VideoFrame) {
+                this.useVideoFrame = false;
+            }
+            message.image.close();
+            if (resolve) resolve(null);
+            return;
+        }
+
+        if (resolve) {
+            resolve({ results: message.results, image: message.image });
+        } else {
+            message.image.close();
+        }
+    }
+
+    /**
+     * Call a FrameDetector method inside the worker (e.g., setSensitivity)
+     */
+    call(method, ...args) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'call', method: method, args: args });
+        }
+    }
+
+    /**
+     * Stop the worker
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.isReady = false;
+        this.isBusy = false;
+        if (this.pendingResolve) {
+            this.pendingResolve(null);
+            this.pendingResolve = null;
+        }
+    }
+
+    /**
+     * Check if the worker path is available in this browser
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+               typeof OffscreenCanvas !== 'undefined' &&
+               typeof createImageBitmap === 'function';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DetectorWorkerClient;
+}
@@ -0,0 +1,95 @@
+/**
+ * Detector Worker - Runs the OpenCV detection pipeline off the main thread
+ * Receives ImageBitmap/VideoFrame inputs and posts back plain result objects
+ */
+
+importScripts('opencv-loader.js', 'tracker.js', 'fusion.js', 'lens-calibration.js', 'tolerance.js', 'detector-backends.js', 'shape-classifier.js', 'size-estimator.js', 'detector.js');
+
+let frameDetector = null;
+
+// Settings calls that arrive while OpenCV.js is still loading, replayed once the detector exists
+const pendingCalls = [];
+
+// Stands in for the main thread's SensorManager: device tilt and its variance arrive with each frame
+const sensorProxy = {
+    deviceTilt: null,
+    tiltVariance: null,
+    isActiveAndReady() {
+        return this.deviceTilt !== null;
+    },
+    getDeviceTilt() {
+        return this.deviceTilt;
+    },
+    getTiltVariance() {
+        return this.tiltVariance !== null ? this.tiltVariance : frameDetector.defaultSensorVariance;
+    }
+};
+
+/**
+ * Load OpenCV.js into the worker (bundled build first, then the CDN) and wait for the WASM runtime
+ */
+async function loadOpenCV() {
+    await new OpenCvLoader().load((url, error) => console.warn(`Worker: ${url} failed (${error.message})`));
+}
+
+/**
+ * Forward a setting (setSensitivity, setSmoothingLevel, ...) to the detector
+ */
+function callDetector({ method, args }) {
+    if (typeof frameDetector[method] === 'function') {
+        frameDetector[method](...args);
+    }
+}
+
+/**
+ * Handle messages from DetectorWorkerClient
+ */
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'init':
+            try {
+                await loadOpenCV();
+                frameDetector = new FrameDetector();
+                frameDetector.enableSensorFusion(sensorProxy);
+                pendingCalls.splice(0).forEach(callDetector);
+                self.postMessage({ type: 'ready' });
+            } catch (error) {
+                self.postMessage({ type: 'error', message: `Failed to load OpenCV.js: ${error.message}` });
+            }
+            break;
+
+        case 'frame': {
+            const { deviceTilt, tiltVariance } = message;
+            let image = message.image;
+            sensorProxy.deviceTilt = deviceTilt;
+            sensorProxy.tiltVariance = tiltVariance;
+
+            let results = null;
+            try {
+                results = frameDetector.analyzeFrame(image);
+            } catch (error) {
+                console.error('Worker frame analysis error:', error);
+            }
+
+            // Lens-corrected frames were measured on the undistorted capture canvas, so show that instead
+            if (results && results.lensCorrected && frameDetector.captureCanvas.transferToImageBitmap) {
+                image.close();
+                image = frameDetector.captureCanvas.transferToImageBitmap();
+            }
+
+            // Hand the image back so the main thread draws exactly what was analyzed
+            self.postMessage({ type: 'results', results: results, image: image }, [image]);
+            break;
+        }
+
+        case 'call':
+            if (frameDetector) {
+                callDetector(message);
+            } else {
+                pendingCalls.push(message);
+            }
+            break;
+    }
+};
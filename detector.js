@@ -11,16 +11,85 @@ class FrameDetector {
         this.lastDetectedFrames = [];
         this.cameraTilt = 0; // Detected camera tilt compensation
         this.environmentalVerticals = []; // Reference vertical lines from environment
+        this.verticalVanishingPoint = null; // Homogeneous [x, y, w] where the verticals meet
+        this.frameSideMargin = 6; // Pixels from a frame's side within which a line counts as that side, not a wall vertical
         
         // Sensor fusion
         this.sensorManager = null;
         this.useSensorFusion = false;
         this.deviceTilt = 0; // Device tilt from sensors
         this.fusedTilt = 0; // Combined camera + sensor tilt
+        this.tiltFusion = new TiltFusion(); // Kalman filter behind fusedTilt
+        this.tiltUncertainty = null; // One standard deviation of fusedTilt (degrees)
+        this.dominantTiltSource = 'none'; // 'sensor', 'camera' or 'none'
+        this.sensorWeight = 0; // Share of this frame's fusion update that came from the sensors (0-1)
+        this.cameraMeasurement = null; // This frame's { tilt, variance } from the wall verticals
+        this.defaultSensorVariance = 1; // deg², for sensor sources that do not report their noise
+        this.mismatchThreshold = 3; // Degrees sensor and camera tilt may differ before flagging a mismatch
+        this.sensorMismatch = false; // Sensor roll and wall verticals disagree (wrong axis, bad calibration, ...)
         
         // Frame stability tracking (to smooth frame tilt measurements)
         this.frameStabilityBuffer = new Map(); // frameId -> tilt history
         this.frameStabilityWindow = 10; // Number of measurements to average
+
+        // Multi-object tracking gives each frame a stable ID
+        this.tracker = new FrameTracker();
+        this.tracker.onTrackRemoved = frameId => this.frameStabilityBuffer.delete(frameId);
+
+        // Reusable canvas for reading video frames into OpenCV
+        this.captureCanvas = null;
+        this.captureContext = null;
+
+        // Lens distortion correction (see LensCalibration)
+        this.lensCalibration = null; // { cameraMatrix, distCoeffs, imageSize } or null for uncorrected frames
+        this.undistortMaps = null; // Remap tables for the current frame size, built lazily
+        this.borderMargin = 0.05; // Fraction of the image where uncorrected distortion bends edges most
+
+        // Level analysis
+        this.skewTolerance = 3; // Max degrees an edge may deviate from the combined rotation
+        this.lensFieldOfView = 65; // Typical phone camera FOV (degrees) across the long side of the image, unzoomed
+        this.assumedFieldOfView = this.lensFieldOfView; // Horizontal FOV of the current image for perspective correction and sizes, unless the lens is calibrated
+        this.edgeTrim = 0.1; // Fraction of each side next to the corners left out of the line fit
+        this.edgeSearchRadius = 4; // Pixels either side of the polygon side searched for the edge
+        this.minEdgeContrast = 8; // Smallest gray-level gradient accepted as an edge point
+        this.minEdgeFitPoints = 5; // Edge points needed to fit a side
+
+        // Mat and artwork inside a frame (see analyzeNesting)
+        this.maxArtworkRotation = 0.5; // Degrees the artwork may be turned inside its frame
+        this.maxMarginDifference = 0.015; // Left/right or top/bottom margin difference, as a fraction of the frame width
+
+        // Frames that are not rectangles (see ShapeClassifier)
+        this.shapeClassifier = new ShapeClassifier();
+
+        // Real-world sizes from a reference object or the camera distance (see SizeEstimator)
+        this.sizeEstimator = new SizeEstimator();
+
+        // How candidate quads are found (see DetectorBackends); a second backend can run alongside for comparison
+        this.backend = DetectorBackends.get('contour');
+        this.comparisonBackend = null;
+
+        // When a frame counts as level (named profiles, degrees or mm across the frame)
+        this.tolerance = new ToleranceManager();
+
+        // Tap-to-lock: one frame is followed with a large gauge, the others are dimmed
+        this.lockedFrameId = null;
+        this.lockMissCount = 0; // Consecutive drawn results without the locked frame
+        this.maxLockMisses = 60; // The lock is dropped once the frame has been gone this long
+        this.lastDrawnFrames = []; // Frames of the last drawResults, for hit testing taps
+
+        // Detection confidence (0-1 per frame)
+        this.confidenceThreshold = 0.5; // Frames scoring below this are flagged lowConfidence
+        this.hideLowConfidence = false; // Skip low-confidence frames when drawing (otherwise greyed out)
+        this.confidenceWeights = {
+            corners: 0.2, // Polygon approximation found exactly four corners (or a recognized shape)
+            straightness: 0.2, // Contour runs along the quad's edges
+            parallelism: 0.15, // Opposite edges are (nearly) parallel
+            fit: 0.2, // Contour area matches the quad's area
+            tracking: 0.1, // Frame has been tracked over several frames
+            agreement: 0.15 // Sensor and camera agree on the camera tilt
+        };
+        this.maxParallelDeviation = 15; // Degrees between opposite edges that scores 0
+        this.confidenceTrackAge = 5; // Frames of tracking for full tracking confidence
     }
 
     /**
@@ -42,46 +111,74 @@ class FrameDetector {
     }
 
     /**
-     * Process video frame to detect picture frames
+     * Process video frame to detect picture frames and draw the results
+     * Synchronous path; returns the detected frames
+     * Without a canvas (or with a cv.Mat source, e.g. in Node) nothing is drawn
      */
-    detectFrames(videoElement, canvasElement) {
-        if (this.isProcessing || typeof cv === 'undefined') {
+    detectFrames(source, canvasElement = null) {
+        const results = this.analyzeFrame(source);
+        if (!results) {
             return this.lastDetectedFrames;
         }
 
-        // Check if video has valid dimensions
-        if (!videoElement.videoWidth || !videoElement.videoHeight || 
-            videoElement.videoWidth === 0 || videoElement.videoHeight === 0) {
-            return this.lastDetectedFrames;
+        // Draw the captured frame, so the overlay matches what was analyzed
+        if (canvasElement && !this.isMatSource(source)) {
+            this.drawResults(this.captureCanvas, results, canvasElement);
+        }
+        return results.frames;
+    }
+
+    /**
+     * Analyze a still photo once
+     * A photo has no relation to the phone's current orientation and no previous
+     * frames to smooth against, so sensors and tracking history are left out
+     */
+    analyzeStillImage(image) {
+        const useSensorFusion = this.useSensorFusion;
+        this.useSensorFusion = false;
+        // Number the photo's frames from 1, so analysing it again (after a setting changes)
+        // gives the same IDs and a size reference picked on it still applies
+        this.resetTracking(true);
+        this.lastCameraTilt = undefined;
+
+        try {
+            return this.analyzeFrame(image);
+        } finally {
+            // Start the next live session from a clean state
+            this.useSensorFusion = useSensorFusion;
+            this.resetTracking();
+            this.lastCameraTilt = undefined;
+        }
+    }
+
+    /**
+     * Analyze one frame without drawing
+     * Accepts any drawable source (video, image, ImageBitmap, VideoFrame, canvas) or a cv.Mat,
+     * and returns a plain results object (safe to post from a Web Worker), or null if skipped
+     */
+    analyzeFrame(source) {
+        if (this.isProcessing || typeof cv === 'undefined') {
+            return null;
+        }
+
+        // Check if the source has valid dimensions
+        const { width, height } = this.getSourceSize(source);
+        if (!width || !height) {
+            return null;
         }
 
         this.isProcessing = true;
         const detectedFrames = [];
+        let results = null;
 
         try {
-            // Capture frame directly to canvas first
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = videoElement.videoWidth;
-            tempCanvas.height = videoElement.videoHeight;
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCtx.drawImage(videoElement, 0, 0, tempCanvas.width, tempCanvas.height);
-            
-            // Create OpenCV mat from canvas
-            const src = cv.imread(tempCanvas);
+            // Create OpenCV mat from the captured frame
+            let src = this.captureFrame(source, width, height);
 
-            // First, detect environmental reference lines (walls, door frames, etc.)
-            this.detectEnvironmentalVerticals(src);
-            
-            // Get device orientation if available
-            if (this.useSensorFusion && this.sensorManager && this.sensorManager.isActiveAndReady()) {
-                this.deviceTilt = this.sensorManager.getDeviceTilt();
-                // Combine camera tilt detection with sensor data
-                // Sensor data is more reliable for overall device orientation
-                // Camera detection is better for detecting wall verticals
-                this.fusedTilt = this.deviceTilt * 0.7 + this.cameraTilt * 0.3;
-            } else {
-                // No sensor data - use camera detection only
-                this.fusedTilt = this.cameraTilt;
+            // Straighten lens distortion first, so edges and verticals are measured on straight lines
+            const lensCorrected = !!this.lensCalibration;
+            if (lensCorrected) {
+                src = this.undistortFrame(src, !this.isMatSource(source));
             }
 
             // Convert to grayscale
@@ -93,90 +190,142 @@ class FrameDetector {
             const ksize = new cv.Size(5, 5);
             cv.GaussianBlur(gray, blurred, ksize, 0);
 
-            // Edge detection using Canny
-            const edges = new cv.Mat();
-            const threshold1 = 50 - (this.sensitivity * 3);
-            const threshold2 = 150 - (this.sensitivity * 5);
-            cv.Canny(blurred, edges, threshold1, threshold2);
-
-            // Dilate edges to close gaps
-            const kernel = cv.Mat.ones(3, 3, cv.CV_8U);
-            const dilated = new cv.Mat();
-            cv.dilate(edges, dilated, kernel);
-
-            // Find contours
-            const contours = new cv.MatVector();
-            const hierarchy = new cv.Mat();
-            cv.findContours(dilated, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
-
-            // Process each contour
-            for (let i = 0; i < contours.size(); i++) {
-                const contour = contours.get(i);
-                const area = cv.contourArea(contour);
-
-                // Filter by area (adjust minimum based on sensitivity)
-                const minArea = this.minContourArea / (this.sensitivity / 5);
-                if (area < minArea) {
-                    continue;
-                }
+            // Find candidate quads with the selected backend (see DetectorBackends)
+            const images = { gray: gray, blurred: blurred };
+            const settings = {
+                sensitivity: this.sensitivity,
+                minArea: this.minContourArea / (this.sensitivity / 5) // Adjust minimum based on sensitivity
+            };
+            const started = this.now();
+            const candidates = this.backend.findCandidates(images, settings);
+            let backendTime = this.now() - started;
 
-                // Approximate contour to polygon
-                const approx = new cv.Mat();
-                const peri = cv.arcLength(contour, true);
-                cv.approxPolyDP(contour, approx, 0.02 * peri, true);
-
-                // Look for quadrilaterals (4 corners)
-                if (approx.rows >= 4) {
-                    // Get the 4 corner points
-                    const corners = this.getCorners(approx);
-                    
-                    if (corners.length >= 4) {
-                        // Get bounding rectangle
-                        const rect = cv.boundingRect(approx);
-                        
-                        // Calculate aspect ratio to filter out unlikely frames
-                        const aspectRatio = rect.width / rect.height;
-                        if (aspectRatio > 0.3 && aspectRatio < 3.0) {
-                            // Calculate tilt by analyzing the vertical edges
-                            const rawTilt = this.calculateFrameTilt(corners);
-                            
-                            // Apply compensation using fused tilt (camera + sensors)
-                            const compensatedTilt = rawTilt - this.fusedTilt;
-                            
-                            // Create a frame ID based on position for stability tracking
-                            const frameId = `${Math.round(rect.x / 50)}_${Math.round(rect.y / 50)}`;
-                            
-                            // Apply temporal smoothing to frame tilt
-                            const stabilizedTilt = this.stabilizeFrameTilt(frameId, compensatedTilt);
-                            
-                            detectedFrames.push({
-                                rect: rect,
-                                tilt: stabilizedTilt,
-                                rawTilt: rawTilt,
-                                compensatedTilt: compensatedTilt,
-                                area: area,
-                                corners: corners,
-                                frameId: frameId
-                            });
-                        }
-                    }
+            // Detect environmental reference lines (walls, door frames, etc.), leaving out the candidates' own sides
+            this.detectEnvironmentalVerticals(src, candidates);
+            
+            // Get device orientation if available
+            let sensorMeasurement = null;
+            if (this.useSensorFusion && this.sensorManager && this.sensorManager.isActiveAndReady()) {
+                this.deviceTilt = this.sensorManager.getDeviceTilt();
+                sensorMeasurement = {
+                    tilt: this.deviceTilt,
+                    variance: typeof this.sensorManager.getTiltVariance === 'function'
+                        ? this.sensorManager.getTiltVariance()
+                        : this.defaultSensorVariance
+                };
+
+                // Only meaningful when the camera actually measured wall verticals
+                this.sensorMismatch = this.environmentalVerticals.length >= 2 &&
+                    Math.abs(this.deviceTilt - this.cameraTilt) > this.mismatchThreshold;
+            } else {
+                this.sensorMismatch = false;
+            }
+
+            // Combine sensor and camera, each weighted by its own noise
+            // (without sensors this filters the camera measurement alone)
+            const estimate = this.tiltFusion.update({
+                sensor: sensorMeasurement,
+                camera: this.cameraMeasurement
+            });
+            this.fusedTilt = estimate.tilt;
+            this.tiltUncertainty = estimate.uncertainty;
+            this.dominantTiltSource = estimate.dominantSource;
+            this.sensorWeight = estimate.weights.sensor;
+
+            // True vertical direction in the image, used for perspective correction
+            const trueVertical = this.getTrueVerticalPoint(src.cols, src.rows);
+
+            const buildStarted = this.now();
+            candidates.forEach(candidate => {
+                const frame = this.buildFrame(candidate, blurred, trueVertical, src.cols, src.rows);
+                if (frame) {
+                    detectedFrames.push(frame);
                 }
+            });
+            backendTime += this.now() - buildStarted;
 
-                approx.delete();
+            // Comparison mode: a second backend on the same image, untracked and unsmoothed
+            let comparison = null;
+            if (this.comparisonBackend && this.comparisonBackend !== this.backend) {
+                const comparisonStarted = this.now();
+                const frames = [];
+                this.comparisonBackend.findCandidates(images, settings).forEach(candidate => {
+                    const frame = this.buildFrame(candidate, blurred, trueVertical, src.cols, src.rows);
+                    if (frame) {
+                        frame.tilt = frame.compensatedTilt;
+                        frame.tolerance = frame.noOrientation ? null : this.tolerance.classify(frame.tilt);
+                        frames.push(frame);
+                    }
+                });
+                comparison = {
+                    backend: this.comparisonBackend.id,
+                    backendName: this.comparisonBackend.name,
+                    backendTime: this.now() - comparisonStarted,
+                    frames: frames
+                };
             }
 
-            // Draw results on canvas
-            this.drawResults(src, detectedFrames, canvasElement);
+            // Associate detections with tracked frames to get stable frame IDs
+            const tracks = this.tracker.update(detectedFrames.map(frame => {
+                const { topLeft, topRight, bottomRight, bottomLeft } = frame.level.corners;
+                return { corners: [topLeft, topRight, bottomRight, bottomLeft] };
+            }));
+
+            detectedFrames.forEach((frame, index) => {
+                frame.frameId = tracks[index].id;
+            });
+
+            // The wall's scale (mm per pixel), from the reference object among these frames or the camera distance
+            const scale = this.sizeEstimator.getScale(detectedFrames, this.getFocalLength(src.cols));
+
+            const sensorAgreement = this.getSensorAgreement();
+            detectedFrames.forEach((frame, index) => {
+                const track = tracks[index];
+                frame.trackAge = track.age;
+                frame.outline = track.corners; // Smoothed corners, in topLeft/topRight/bottomRight/bottomLeft order
+                frame.size = this.sizeEstimator.measure(frame, scale);
+                frame.isReference = !!this.sizeEstimator.reference && this.sizeEstimator.reference.frameId === track.id;
+
+                // Apply temporal smoothing to frame tilt; a measured width stands in for an entered one
+                frame.tilt = this.stabilizeFrameTilt(track.id, frame.compensatedTilt);
+                frame.tolerance = frame.noOrientation ? null : this.tolerance.classify(frame.tilt, frame.size && frame.size.width);
+
+                // Without lens correction, barrel distortion bends edges near the image border
+                frame.nearBorder = !lensCorrected &&
+                    LensCalibration.isNearBorder(frame.corners, src.cols, src.rows, this.borderMargin);
+
+                const confidence = this.calculateConfidence(frame, sensorAgreement);
+                frame.confidence = confidence.score;
+                frame.confidenceFactors = confidence.factors;
+                frame.lowConfidence = confidence.score < this.confidenceThreshold;
+            });
+
+            results = {
+                frames: detectedFrames,
+                width: src.cols,
+                height: src.rows,
+                cameraTilt: this.cameraTilt,
+                deviceTilt: this.deviceTilt,
+                fusedTilt: this.fusedTilt,
+                sensorFusionActive: !!this.isSensorFusionActive(),
+                sensorMismatch: this.sensorMismatch,
+                tiltUncertainty: this.tiltUncertainty,
+                dominantTiltSource: this.dominantTiltSource,
+                lensCorrected: lensCorrected,
+                confidenceThreshold: this.confidenceThreshold,
+                toleranceProfile: this.tolerance.profileId,
+                toleranceDescription: this.tolerance.getDescription(),
+                scale: scale,
+                backend: this.backend.id,
+                backendName: this.backend.name,
+                backendTime: backendTime,
+                comparison: comparison
+            };
 
             // Cleanup
             src.delete();
             gray.delete();
             blurred.delete();
-            edges.delete();
-            dilated.delete();
-            kernel.delete();
-            contours.delete();
-            hierarchy.delete();
 
             this.lastDetectedFrames = detectedFrames;
         } catch (error) {
@@ -185,21 +334,416 @@ class FrameDetector {
             this.isProcessing = false;
         }
 
-        return detectedFrames;
+        return results;
     }
 
     /**
-     * Get corner points from contour
+     * Turn a backend's candidate polygon into a frame measurement, or null if its shape is
+     * implausible for a picture frame
+     * `gray` is the blurred grayscale frame, used to refine the edges.
      */
-    getCorners(approx) {
-        const corners = [];
-        for (let i = 0; i < Math.min(approx.rows, 10); i++) {
-            corners.push({
-                x: approx.data32S[i * 2],
-                y: approx.data32S[i * 2 + 1]
+    buildFrame(candidate, gray, trueVertical, imageWidth, imageHeight) {
+        const { rect, area } = candidate;
+
+        // Filter out unlikely aspect ratios
+        const aspectRatio = rect.width / rect.height;
+        if (!(aspectRatio > 0.3 && aspectRatio < 3.0)) {
+            return null;
+        }
+
+        // Round, oval, octagonal and arched frames get their own tilt rule; their corners
+        // are an upright box around the outline at that tilt
+        const classified = this.shapeClassifier.classify(candidate);
+
+        // Fit each side to its sub-pixel edge points; the fitted lines meet at the corners
+        const refined = classified ? null : this.refineQuadEdges(gray, candidate.corners);
+        const corners = classified ? classified.corners : (refined ? refined.corners : candidate.corners);
+
+        // Calculate tilt by analyzing all four edges
+        const level = this.analyzeFrameLevel(corners);
+        const rawTilt = level.rotation;
+
+        // Rectify the frame on the wall plane and measure it against
+        // true vertical. Falls back to plain compensation using fused
+        // tilt (camera + sensors) when the quad cannot be rectified.
+        // A round frame without a hanging feature has no orientation to measure
+        const noOrientation = !!classified && classified.tilt === null;
+        const perspectiveTilt = noOrientation
+            ? null
+            : this.calculatePerspectiveTilt(corners, trueVertical, imageWidth, imageHeight);
+        const compensatedTilt = perspectiveTilt !== null
+            ? perspectiveTilt
+            : rawTilt - this.fusedTilt;
+        // The sides' own tilts against the same true vertical, for the V/H readout
+        const sideTilts = this.calculateSideTilts(corners, trueVertical, imageWidth, imageHeight);
+
+        // Backends without an outline judge the shape themselves
+        let shape;
+        if (classified) {
+            shape = {
+                type: classified.type,
+                cornerCount: candidate.cornerCount,
+                straightness: classified.straightness,
+                fit: classified.fit
+            };
+        } else if (candidate.points) {
+            shape = { type: 'rectangle', ...this.measureQuadFit(candidate.points, candidate.cornerCount, level.corners, area) };
+        } else {
+            shape = { type: 'rectangle', cornerCount: candidate.cornerCount, ...candidate.shape };
+        }
+
+        // Mat window and artwork, for backends that see quads nested inside the frame
+        const nesting = !classified && candidate.nested && candidate.nested.length > 0
+            ? this.analyzeNesting(level.corners, candidate.nested, gray)
+            : null;
+
+        return {
+            rect: rect,
+            rawTilt: noOrientation ? 0 : rawTilt,
+            compensatedTilt: noOrientation ? 0 : compensatedTilt,
+            verticalTilt: sideTilts ? sideTilts.verticalTilt : level.verticalTilt - this.fusedTilt,
+            horizontalTilt: sideTilts ? sideTilts.horizontalTilt : level.horizontalTilt - this.fusedTilt,
+            perspectiveCorrected: perspectiveTilt !== null,
+            level: level,
+            area: area,
+            corners: corners,
+            edgeRefined: !!refined,
+            shape: shape,
+            noOrientation: noOrientation,
+            ellipse: classified ? classified.ellipse : null, // { center, major, minor, angle } for round and oval frames
+            polygon: classified ? classified.polygon : null, // Outline of octagonal and arched frames
+            hanger: classified ? classified.hanger : null, // Hanging feature that orients a round frame
+            nesting: nesting
+        };
+    }
+
+    /**
+     * Measure the quads nested in a frame (frame's inner edge, mat window, artwork) on the
+     * frame's own plane
+     * The frame is rectified onto an upright rectangle, so each inner quad's rotation is
+     * relative to the frame, and margins on opposite sides compare even when the wall is seen
+     * at an angle. The innermost quad is taken as the artwork, the one around it as the mat
+     * window and any further out as the frame's opening.
+     * Returns { width, layers: [{ role, corners, rotation, margins, even }], artworkRotation,
+     * artworkRotated, marginsEven } or null; margins (to the quad around each layer) are in
+     * rectified pixels, `width` pixels being the frame's width.
+     */
+    analyzeNesting(frameCorners, nested, gray) {
+        const { topLeft, topRight, bottomRight, bottomLeft } = frameCorners;
+        const width = (Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) +
+                       Math.hypot(bottomRight.x - bottomLeft.x, bottomRight.y - bottomLeft.y)) / 2;
+        const height = (Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y) +
+                        Math.hypot(bottomRight.x - topRight.x, bottomRight.y - topRight.y)) / 2;
+        if (width < 1 || height < 1) return null;
+
+        const homography = this.getRectifyingHomography(frameCorners, width, height);
+        const maxDifference = this.maxMarginDifference * width;
+        let enclosing = { left: 0, right: width, top: 0, bottom: height };
+
+        const layers = nested.map((quad, index) => {
+            const refined = this.refineQuadEdges(gray, quad.corners);
+            const corners = this.sortCorners(refined ? refined.corners : quad.corners.slice(0, 4));
+            const rectified = {};
+            Object.keys(corners).forEach(name => {
+                rectified[name] = this.applyHomography(homography, corners[name]);
             });
+
+            const sides = {
+                left: (rectified.topLeft.x + rectified.bottomLeft.x) / 2,
+                right: (rectified.topRight.x + rectified.bottomRight.x) / 2,
+                top: (rectified.topLeft.y + rectified.topRight.y) / 2,
+                bottom: (rectified.bottomLeft.y + rectified.bottomRight.y) / 2
+            };
+            const margins = {
+                left: sides.left - enclosing.left,
+                right: enclosing.right - sides.right,
+                top: sides.top - enclosing.top,
+                bottom: enclosing.bottom - sides.bottom
+            };
+            enclosing = sides;
+
+            const fromInside = nested.length - 1 - index;
+            return {
+                role: ['artwork', 'mat'][fromInside] || 'opening',
+                corners: corners,
+                rotation: this.analyzeFrameLevel(Object.values(rectified)).rotation,
+                margins: margins,
+                even: Math.abs(margins.left - margins.right) <= maxDifference &&
+                      Math.abs(margins.top - margins.bottom) <= maxDifference
+            };
+        });
+
+        const artwork = layers[layers.length - 1];
+        return {
+            width: width,
+            layers: layers,
+            artworkRotation: artwork.rotation,
+            artworkRotated: Math.abs(artwork.rotation) > this.maxArtworkRotation,
+            marginsEven: layers.every(layer => layer.even)
+        };
+    }
+
+    /**
+     * Homography (row-major array of 9) taking a quad's sorted corners onto the upright
+     * rectangle (0, 0)-(width, height)
+     */
+    getRectifyingHomography(sorted, width, height) {
+        const { topLeft, topRight, bottomRight, bottomLeft } = sorted;
+        const srcPoints = cv.matFromArray(4, 1, cv.CV_32FC2, [
+            topLeft.x, topLeft.y, topRight.x, topRight.y,
+            bottomRight.x, bottomRight.y, bottomLeft.x, bottomLeft.y
+        ]);
+        const dstPoints = cv.matFromArray(4, 1, cv.CV_32FC2, [
+            0, 0, width, 0, width, height, 0, height
+        ]);
+        const homography = cv.getPerspectiveTransform(srcPoints, dstPoints);
+        const h = Array.from(homography.data64F);
+
+        srcPoints.delete();
+        dstPoints.delete();
+        homography.delete();
+        return h;
+    }
+
+    /**
+     * Map an image point through a homography from getRectifyingHomography
+     */
+    applyHomography(h, point) {
+        const w = h[6] * point.x + h[7] * point.y + h[8];
+        return {
+            x: (h[0] * point.x + h[1] * point.y + h[2]) / w,
+            y: (h[3] * point.x + h[4] * point.y + h[5]) / w
+        };
+    }
+
+    /**
+     * Current time in ms, for timing backends
+     */
+    now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    /**
+     * Get pixel dimensions of a drawable source
+     */
+    getSourceSize(source) {
+        if (this.isMatSource(source)) {
+            return { width: source.cols, height: source.rows };
+        }
+        if (source.videoWidth !== undefined) {
+            return { width: source.videoWidth, height: source.videoHeight };
+        }
+        if (source.naturalWidth !== undefined) {
+            // Image element: width/height are the displayed size
+            return { width: source.naturalWidth, height: source.naturalHeight };
+        }
+        if (source.displayWidth !== undefined) {
+            // VideoFrame
+            return { width: source.displayWidth, height: source.displayHeight };
         }
-        return corners;
+        return { width: source.width, height: source.height };
+    }
+
+    /**
+     * Draw the source into a reusable capture canvas and read it into a cv.Mat
+     * Uses OffscreenCanvas where available, so this also works inside a Web Worker
+     */
+    captureFrame(source, width, height) {
+        // Mats are used directly (no DOM needed), converted to the RGBA layout of canvas pixels
+        if (this.isMatSource(source)) {
+            const src = new cv.Mat();
+            if (source.channels() === 1) {
+                cv.cvtColor(source, src, cv.COLOR_GRAY2RGBA);
+            } else if (source.channels() === 3) {
+                cv.cvtColor(source, src, cv.COLOR_RGB2RGBA);
+            } else {
+                source.copyTo(src);
+            }
+            return src;
+        }
+
+        if (!this.captureCanvas) {
+            this.captureCanvas = typeof OffscreenCanvas !== 'undefined'
+                ? new OffscreenCanvas(width, height)
+                : document.createElement('canvas');
+            this.captureContext = this.captureCanvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        if (this.captureCanvas.width !== width || this.captureCanvas.height !== height) {
+            this.captureCanvas.width = width;
+            this.captureCanvas.height = height;
+        }
+
+        this.captureContext.drawImage(source, 0, 0, width, height);
+        const imageData = this.captureContext.getImageData(0, 0, width, height);
+        return cv.matFromImageData(imageData);
+    }
+
+    /**
+     * Remap a captured frame through the lens calibration's undistortion maps
+     * Frees `src` and returns the corrected Mat. With `writeBack`, the corrected pixels
+     * also replace the capture canvas, so drawing shows what was measured.
+     */
+    undistortFrame(src, writeBack) {
+        if (!this.undistortMaps ||
+            this.undistortMaps.width !== src.cols || this.undistortMaps.height !== src.rows) {
+            this.freeUndistortMaps();
+            this.undistortMaps = LensCalibration.createUndistortMaps(this.lensCalibration, src.cols, src.rows);
+        }
+
+        const dst = new cv.Mat();
+        cv.remap(src, dst, this.undistortMaps.map1, this.undistortMaps.map2, cv.INTER_LINEAR,
+            cv.BORDER_CONSTANT, new cv.Scalar(0, 0, 0, 255));
+        src.delete();
+
+        if (writeBack && this.captureContext) {
+            const imageData = new ImageData(new Uint8ClampedArray(dst.data), dst.cols, dst.rows);
+            this.captureContext.putImageData(imageData, 0, 0);
+        }
+        return dst;
+    }
+
+    /**
+     * Use a lens calibration (from LensCalibration.calibrate) to undistort frames, or null to stop
+     */
+    setLensCalibration(calibration) {
+        this.lensCalibration = calibration || null;
+        this.freeUndistortMaps();
+    }
+
+    /**
+     * Release the cached undistortion maps
+     */
+    freeUndistortMaps() {
+        if (this.undistortMaps) {
+            this.undistortMaps.map1.delete();
+            this.undistortMaps.map2.delete();
+            this.undistortMaps = null;
+        }
+    }
+
+    /**
+     * Check if a source is an OpenCV Mat rather than a drawable element
+     */
+    isMatSource(source) {
+        return typeof cv !== 'undefined' && source instanceof cv.Mat;
+    }
+
+    /**
+     * Refine a quad's sides by fitting a line to sub-pixel edge points along each one
+     * Integer corners from approxPolyDP are off by up to a pixel, which on a short side is
+     * over half a degree; a robust (Huber) fit over the whole side averages that out.
+     * `gray` is the blurred grayscale frame.
+     * Returns { corners (topLeft, topRight, bottomRight, bottomLeft), lines } or null
+     * when a side has too few edge points or the fitted corners moved implausibly far.
+     */
+    refineQuadEdges(gray, corners) {
+        const { topLeft, topRight, bottomRight, bottomLeft } = this.sortCorners(corners.slice(0, 4));
+        const quad = [topLeft, topRight, bottomRight, bottomLeft];
+
+        // Sides in order: top, right, bottom, left
+        const lines = [];
+        for (let i = 0; i < 4; i++) {
+            const line = this.fitEdgeLine(gray, quad[i], quad[(i + 1) % 4]);
+            if (!line) {
+                return null;
+            }
+            lines.push(line);
+        }
+
+        // Corner i lies where the side before it meets side i
+        const shortestSide = Math.min(...quad.map((p, i) => {
+            const next = quad[(i + 1) % 4];
+            return Math.hypot(next.x - p.x, next.y - p.y);
+        }));
+        const maxShift = Math.max(4, 0.1 * shortestSide);
+        const refined = [];
+        for (let i = 0; i < 4; i++) {
+            const corner = this.intersectLines(lines[(i + 3) % 4], lines[i]);
+            if (!corner || Math.hypot(corner.x - quad[i].x, corner.y - quad[i].y) > maxShift) {
+                return null;
+            }
+            refined.push(corner);
+        }
+
+        return { corners: refined, lines: lines };
+    }
+
+    /**
+     * Fit a line to the edge running near the side from a to b
+     * Each pixel column (or row, for steep sides) along the side is searched across it for
+     * the strongest gray-level gradient, located to a fraction of a pixel with a parabola
+     * through the peak. Returns { point, direction } or null.
+     */
+    fitEdgeLine(gray, a, b) {
+        const steep = Math.abs(b.y - a.y) > Math.abs(b.x - a.x);
+        // Work in (along, across) = (x, y) for shallow sides, (y, x) for steep ones
+        const [a0, a1, b0, b1] = steep ? [a.y, a.x, b.y, b.x] : [a.x, a.y, b.x, b.y];
+        const span = b0 - a0;
+        if (Math.abs(span) < 1) {
+            return null;
+        }
+
+        const data = gray.data;
+        const cols = gray.cols;
+        const alongMax = steep ? gray.rows : gray.cols;
+        const acrossMax = steep ? gray.cols : gray.rows;
+        const pixel = (along, across) => (steep ? data[along * cols + across] : data[across * cols + along]);
+
+        const start = Math.ceil(Math.min(a0, b0) + Math.abs(span) * this.edgeTrim);
+        const end = Math.floor(Math.max(a0, b0) - Math.abs(span) * this.edgeTrim);
+        const points = [];
+        for (let along = Math.max(0, start); along <= Math.min(alongMax - 1, end); along++) {
+            const expected = Math.round(a1 + (b1 - a1) * (along - a0) / span);
+            const from = Math.max(1, expected - this.edgeSearchRadius);
+            const to = Math.min(acrossMax - 2, expected + this.edgeSearchRadius);
+
+            let peak = -1;
+            let peakGradient = 0;
+            for (let across = from; across <= to; across++) {
+                const gradient = Math.abs(pixel(along, across + 1) - pixel(along, across - 1));
+                if (gradient > peakGradient) {
+                    peakGradient = gradient;
+                    peak = across;
+                }
+            }
+            if (peak < 0 || peakGradient < this.minEdgeContrast || peak === from || peak === to) {
+                continue;
+            }
+
+            const before = Math.abs(pixel(along, peak) - pixel(along, peak - 2));
+            const after = Math.abs(pixel(along, peak + 2) - pixel(along, peak));
+            const curvature = before - 2 * peakGradient + after;
+            const offset = curvature < 0 ? 0.5 * (before - after) / curvature : 0;
+            const across = peak + offset;
+            points.push(...(steep ? [across, along] : [along, across]));
+        }
+        if (points.length / 2 < this.minEdgeFitPoints) {
+            return null;
+        }
+
+        const pointMat = cv.matFromArray(points.length / 2, 1, cv.CV_32FC2, points);
+        const line = new cv.Mat();
+        cv.fitLine(pointMat, line, cv.DIST_HUBER, 0, 0.01, 0.01);
+        const [vx, vy, x0, y0] = line.data32F;
+        pointMat.delete();
+        line.delete();
+
+        return { point: { x: x0, y: y0 }, direction: { x: vx, y: vy } };
+    }
+
+    /**
+     * Intersection of two lines given as { point, direction }, or null if parallel
+     */
+    intersectLines(first, second) {
+        const cross = first.direction.x * second.direction.y - first.direction.y * second.direction.x;
+        if (Math.abs(cross) < 1e-6) {
+            return null;
+        }
+        const dx = second.point.x - first.point.x;
+        const dy = second.point.y - first.point.y;
+        const s = (dx * second.direction.y - dy * second.direction.x) / cross;
+        return { x: first.point.x + s * first.direction.x, y: first.point.y + s * first.direction.y };
     }
 
     /**
@@ -217,19 +761,394 @@ class FrameDetector {
         const rightEdgeAngle = this.calculateEdgeAngle(sorted.topRight, sorted.bottomRight);
         
         // Average the two edge angles to get overall tilt
-        // If frame is tilted, both edges should show similar deviation from vertical
-        const avgTilt = (leftEdgeAngle + rightEdgeAngle) / 2;
-        
-        // Also check if edges are parallel (difference should be small for a flat frame)
-        const parallelDiff = Math.abs(leftEdgeAngle - rightEdgeAngle);
-        
-        // If edges aren't parallel, the frame might be viewed at extreme angle
-        // In this case, use the more vertical edge
-        if (parallelDiff > 5) {
-            return Math.abs(leftEdgeAngle) < Math.abs(rightEdgeAngle) ? leftEdgeAngle : rightEdgeAngle;
+        // If frame is tilted, both edges should show similar deviation from vertical.
+        // Non-parallel edges (viewing at an angle) are handled by calculatePerspectiveTilt.
+        return (leftEdgeAngle + rightEdgeAngle) / 2;
+    }
+
+    /**
+     * Calculate frame tilt by analyzing horizontal edges (top and bottom)
+     * Mirrors calculateFrameTilt, measured against true horizontal
+     */
+    calculateHorizontalTilt(corners) {
+        if (corners.length < 4) return 0;
+
+        const sorted = this.sortCorners(corners.slice(0, 4));
+
+        const topEdgeAngle = this.calculateHorizontalEdgeAngle(sorted.topLeft, sorted.topRight);
+        const bottomEdgeAngle = this.calculateHorizontalEdgeAngle(sorted.bottomLeft, sorted.bottomRight);
+
+        return (topEdgeAngle + bottomEdgeAngle) / 2;
+    }
+
+    /**
+     * Full level analysis using all four edges
+     * Returns separate vertical and horizontal tilt, a combined rotation weighted
+     * by edge length, and the edges that disagree with the combined rotation
+     */
+    analyzeFrameLevel(corners) {
+        const sorted = this.sortCorners(corners.slice(0, 4));
+        const edgeLength = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+        const edges = {
+            top: {
+                angle: this.calculateHorizontalEdgeAngle(sorted.topLeft, sorted.topRight),
+                length: edgeLength(sorted.topLeft, sorted.topRight)
+            },
+            right: {
+                angle: this.calculateEdgeAngle(sorted.topRight, sorted.bottomRight),
+                length: edgeLength(sorted.topRight, sorted.bottomRight)
+            },
+            bottom: {
+                angle: this.calculateHorizontalEdgeAngle(sorted.bottomLeft, sorted.bottomRight),
+                length: edgeLength(sorted.bottomLeft, sorted.bottomRight)
+            },
+            left: {
+                angle: this.calculateEdgeAngle(sorted.topLeft, sorted.bottomLeft),
+                length: edgeLength(sorted.topLeft, sorted.bottomLeft)
+            }
+        };
+
+        // Longer edges have more pixels behind them, so they get more weight
+        const allEdges = Object.values(edges);
+        const totalLength = allEdges.reduce((sum, e) => sum + e.length, 0);
+        const rotation = totalLength > 0
+            ? allEdges.reduce((sum, e) => sum + e.angle * e.length, 0) / totalLength
+            : 0;
+
+        // A rectangular frame has all four edges rotated by the same amount.
+        // Edges that deviate indicate a skewed (non-rectangular) outline.
+        const disagreeingEdges = Object.keys(edges).filter(
+            name => Math.abs(edges[name].angle - rotation) > this.skewTolerance
+        );
+
+        return {
+            verticalTilt: this.calculateFrameTilt(corners),
+            horizontalTilt: this.calculateHorizontalTilt(corners),
+            rotation: rotation,
+            edges: edges,
+            corners: sorted,
+            disagreeingEdges: disagreeingEdges,
+            isSkewed: disagreeingEdges.length > 0
+        };
+    }
+
+    /**
+     * Measure how well an outline (array of points) is described by its four sorted corners
+     * Returns { cornerCount, straightness (0-1), fit (0-1) }: straightness falls with the
+     * RMS distance of contour points from the quad's edges (1% of the perimeter scores 0),
+     * fit is the ratio of the contour's and the quad's areas.
+     */
+    measureQuadFit(outline, cornerCount, sorted, contourArea) {
+        const quad = [sorted.topLeft, sorted.topRight, sorted.bottomRight, sorted.bottomLeft];
+        const perimeter = quad.reduce((sum, p, i) => {
+            const next = quad[(i + 1) % 4];
+            return sum + Math.hypot(next.x - p.x, next.y - p.y);
+        }, 0);
+        const quadArea = Math.abs(quad.reduce((sum, p, i) => {
+            const next = quad[(i + 1) % 4];
+            return sum + p.x * next.y - next.x * p.y;
+        }, 0)) / 2;
+
+        let sumSquares = 0;
+        outline.forEach(point => {
+            const distance = Math.min(...quad.map((p, j) => this.distanceToSegment(point, p, quad[(j + 1) % 4])));
+            sumSquares += distance * distance;
+        });
+        const rms = outline.length > 0 ? Math.sqrt(sumSquares / outline.length) : 0;
+
+        return {
+            cornerCount: cornerCount,
+            straightness: perimeter > 0 ? Math.max(0, 1 - rms / (0.01 * perimeter)) : 0,
+            fit: quadArea > 0 && contourArea > 0 ? Math.min(contourArea, quadArea) / Math.max(contourArea, quadArea) : 0
+        };
+    }
+
+    /**
+     * Distance from a point to the segment a-b
+     */
+    distanceToSegment(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0
+            ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared))
+            : 0;
+        return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+    }
+
+    /**
+     * How well sensor and camera agree on the camera tilt (0-1)
+     * 1 when there is nothing to compare; 0 at twice the mismatch threshold.
+     */
+    getSensorAgreement() {
+        if (!this.isSensorFusionActive() || this.environmentalVerticals.length < 2) {
+            return 1;
         }
-        
-        return avgTilt;
+        const difference = Math.abs(this.deviceTilt - this.cameraTilt);
+        return Math.max(0, 1 - difference / (2 * this.mismatchThreshold));
+    }
+
+    /**
+     * Score how trustworthy a tracked detection is
+     * Returns { score, factors }, both 0-1: the score is the weighted mean of the factors
+     * (see confidenceWeights).
+     */
+    calculateConfidence(frame, sensorAgreement = 1) {
+        const { edges } = frame.level;
+        const parallelDeviation = (Math.abs(edges.top.angle - edges.bottom.angle) +
+            Math.abs(edges.left.angle - edges.right.angle)) / 2;
+        const { type, cornerCount, straightness, fit } = frame.shape;
+
+        const factors = {
+            corners: (type && type !== 'rectangle') || cornerCount <= 4 ? 1 : 4 / cornerCount,
+            straightness: straightness,
+            parallelism: Math.max(0, 1 - parallelDeviation / this.maxParallelDeviation),
+            fit: fit,
+            tracking: Math.min(1, (frame.trackAge || 0) / this.confidenceTrackAge),
+            agreement: sensorAgreement
+        };
+
+        const totalWeight = Object.values(this.confidenceWeights).reduce((sum, w) => sum + w, 0);
+        const score = Object.keys(this.confidenceWeights)
+            .reduce((sum, name) => sum + this.confidenceWeights[name] * factors[name], 0) / totalWeight;
+
+        return { score: score, factors: factors };
+    }
+
+    /**
+     * Calculate the true in-plane rotation of a frame on the wall
+     * The quad is rectified with a homography onto an upright rectangle, and the
+     * true vertical point is mapped through the same homography. Its direction in
+     * the rectified frame is the frame's rotation relative to true vertical.
+     * Returns null if the quad cannot be rectified.
+     */
+    calculatePerspectiveTilt(corners, verticalPoint, imageWidth, imageHeight) {
+        if (corners.length < 4 || !verticalPoint) return null;
+
+        const { topLeft, topRight, bottomRight, bottomLeft } = this.sortCorners(corners.slice(0, 4));
+
+        // Rectified size: average width, height from the estimated real aspect ratio.
+        // A wrong aspect ratio would scale the measured angle.
+        const width = (Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) +
+                       Math.hypot(bottomRight.x - bottomLeft.x, bottomRight.y - bottomLeft.y)) / 2;
+        const aspectRatio = this.estimateAspectRatio(
+            { topLeft, topRight, bottomRight, bottomLeft }, imageWidth, imageHeight
+        );
+        if (!aspectRatio || width < 1) return null;
+        const height = width / aspectRatio;
+        const h = this.getRectifyingHomography({ topLeft, topRight, bottomRight, bottomLeft }, width, height);
+
+        // Map the vertical point into the rectified frame
+        const [vx, vy, vw] = verticalPoint;
+        const px = h[0] * vx + h[1] * vy + h[2] * vw;
+        const py = h[3] * vx + h[4] * vy + h[5] * vw;
+        const pw = h[6] * vx + h[7] * vy + h[8] * vw;
+
+        let dx, dy;
+        if (Math.abs(pw) < 1e-9 * Math.hypot(px, py)) {
+            // Vertical point maps to infinity: its coordinates are a direction
+            dx = px;
+            dy = py;
+        } else {
+            // Finite point (measurement noise): use direction from the frame center
+            dx = px / pw - width / 2;
+            dy = py / pw - height / 2;
+        }
+
+        if (!isFinite(dx) || !isFinite(dy) || (dx === 0 && dy === 0)) return null;
+
+        // The vertical point may lie above or below the frame; use the downward direction
+        if (dy < 0) {
+            dx = -dx;
+            dy = -dy;
+        }
+
+        // A frame rotated clockwise sees true "down" rotated counter-clockwise
+        return Math.atan2(dx, dy) * (180 / Math.PI);
+    }
+
+    /**
+     * Tilt of the frame's vertical and horizontal sides on the wall, against true vertical
+     * The wall plane is spanned by the two directions the opposite sides converge to, seen
+     * with the pinhole camera of estimateAspectRatio. Each pair of sides is measured on that
+     * plane, so perspective does not pass for tilt and a skewed outline still shows.
+     * Returns { verticalTilt, horizontalTilt }, or null if the sides do not span a plane.
+     */
+    calculateSideTilts(corners, verticalPoint, imageWidth, imageHeight) {
+        if (corners.length < 4 || !verticalPoint) return null;
+
+        const { topLeft, topRight, bottomRight, bottomLeft } = this.sortCorners(corners.slice(0, 4));
+        const focal = this.getFocalLength(imageWidth);
+        const u0 = imageWidth / 2;
+        const v0 = imageHeight / 2;
+
+        const cross = (a, b) => [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+        const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+        const point = p => [p.x, p.y, 1];
+        // Homogeneous image point to the camera-space direction it is seen in
+        const toRay = ([x, y, w]) => [(x - u0 * w) / focal, (y - v0 * w) / focal, w];
+        const sideDirection = (a1, b1, a2, b2) => toRay(cross(
+            cross(point(a1), point(b1)),
+            cross(point(a2), point(b2))
+        ));
+
+        const vertical = sideDirection(topLeft, bottomLeft, topRight, bottomRight);
+        const horizontal = sideDirection(topLeft, topRight, bottomLeft, bottomRight);
+        let normal = cross(vertical, horizontal);
+        const length = Math.hypot(...normal);
+        if (!(length > 1e-12 * Math.hypot(...vertical) * Math.hypot(...horizontal))) return null;
+        // Facing away from the camera, so clockwise on screen is positive
+        normal = normal.map(n => n / length * (normal[2] < 0 ? -1 : 1));
+
+        // True down on the wall: the line from the frame's center toward the vertical point,
+        // as in calculatePerspectiveTilt, back-projected onto the wall plane
+        const center = cross(cross(point(topLeft), point(bottomRight)), cross(point(topRight), point(bottomLeft)));
+        const line = cross(center, verticalPoint);
+        const down = cross([focal * line[0], focal * line[1], u0 * line[0] + v0 * line[1] + line[2]], normal);
+        if (!(Math.hypot(...down) > 0)) return null;
+        const right = cross(down, normal);
+
+        // Signed angle on the wall plane, folded to ±90° as sides have no direction
+        const angle = (reference, direction) => {
+            const degrees = Math.atan2(dot(cross(reference, direction), normal), dot(reference, direction)) * (180 / Math.PI);
+            return degrees > 90 ? degrees - 180 : (degrees <= -90 ? degrees + 180 : degrees);
+        };
+
+        return {
+            verticalTilt: angle(down, vertical),
+            horizontalTilt: angle(right, horizontal)
+        };
+    }
+
+    /**
+     * Focal length in pixels for an image `imageWidth` pixels wide: the lens calibration's,
+     * scaled to the image, or the one that gives the assumed field of view
+     */
+    getFocalLength(imageWidth) {
+        const calibration = this.lensCalibration;
+        if (calibration && calibration.imageSize && calibration.imageSize.width > 0) {
+            return calibration.cameraMatrix[0] * imageWidth / calibration.imageSize.width;
+        }
+        return (imageWidth / 2) / Math.tan((this.assumedFieldOfView / 2) * (Math.PI / 180));
+    }
+
+    /**
+     * Estimate the real width/height ratio of a rectangle seen in perspective
+     * (Zhang & He, "Whiteboard scanning and image enhancement"), using a pinhole
+     * camera with the focal length from getFocalLength and the principal point at the center.
+     */
+    estimateAspectRatio(sorted, imageWidth, imageHeight) {
+        const focal = this.getFocalLength(imageWidth);
+        const u0 = imageWidth / 2;
+        const v0 = imageHeight / 2;
+
+        const point = p => [p.x, p.y, 1];
+        const cross = (a, b) => [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+        const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+        const m1 = point(sorted.topLeft);
+        const m2 = point(sorted.topRight);
+        const m3 = point(sorted.bottomLeft);
+        const m4 = point(sorted.bottomRight);
+
+        const k2 = dot(cross(m1, m4), m3) / dot(cross(m2, m4), m3);
+        const k3 = dot(cross(m1, m4), m2) / dot(cross(m3, m4), m2);
+        const n2 = m2.map((v, i) => k2 * v - m1[i]);
+        const n3 = m3.map((v, i) => k3 * v - m1[i]);
+
+        // Back-project the edge directions through the camera matrix
+        const normSq = n => ((n[0] - u0 * n[2]) / focal) ** 2 +
+                            ((n[1] - v0 * n[2]) / focal) ** 2 +
+                            n[2] ** 2;
+
+        const ratio = Math.sqrt(normSq(n2) / normSq(n3));
+        return isFinite(ratio) && ratio > 0 ? ratio : null;
+    }
+
+    /**
+     * Get the true vertical as a homogeneous image point [x, y, w]
+     * Uses the vanishing point of environmental verticals when available, rotated
+     * about the image center by the correction sensor fusion made to this frame's camera measurement.
+     * Without a vanishing point, verticals are assumed parallel (point at infinity).
+     */
+    getTrueVerticalPoint(width, height) {
+        const fusedRad = this.fusedTilt * (Math.PI / 180);
+
+        if (!this.verticalVanishingPoint) {
+            return [-Math.sin(fusedRad), Math.cos(fusedRad), 0];
+        }
+
+        // Express the vanishing point relative to the image center
+        const [vx, vy, vw] = this.verticalVanishingPoint;
+        const cx = width / 2;
+        const cy = height / 2;
+        let rx = vx - cx * vw;
+        let ry = vy - cy * vw;
+        if (vw < 0) {
+            rx = -rx;
+            ry = -ry;
+        }
+
+        // Rotate by the difference between fused tilt and the unsmoothed camera measurement
+        // the vanishing point was found with. Without a sensor in the fusion the point is
+        // used as is: the averaged line angle differs from its direction when verticals converge.
+        const sensorFused = this.sensorWeight > 0 && this.cameraMeasurement;
+        const delta = sensorFused ? fusedRad - this.cameraMeasurement.tilt * (Math.PI / 180) : 0;
+        const cos = Math.cos(delta);
+        const sin = Math.sin(delta);
+        const rotatedX = rx * cos - ry * sin;
+        const rotatedY = rx * sin + ry * cos;
+        const w = Math.abs(vw);
+
+        return [rotatedX + cx * w, rotatedY + cy * w, w];
+    }
+
+    /**
+     * Estimate the vanishing point of a set of line segments
+     * Least-squares intersection in homogeneous coordinates, weighted by length.
+     * Returns [x, y, w] (w near 0 means the lines are parallel), or null.
+     */
+    estimateVanishingPoint(segments) {
+        if (segments.length < 2) return null;
+
+        const sums = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+        segments.forEach(({ x1, y1, x2, y2, length }) => {
+            // Line through both endpoints, normalized so l·p is a pixel distance
+            const a = y1 - y2;
+            const b = x2 - x1;
+            const c = x1 * y2 - x2 * y1;
+            const norm = Math.hypot(a, b);
+            if (norm === 0) return;
+
+            const line = [a / norm, b / norm, c / norm];
+            for (let r = 0; r < 3; r++) {
+                for (let col = 0; col < 3; col++) {
+                    sums[r * 3 + col] += length * line[r] * line[col];
+                }
+            }
+        });
+
+        // The point closest to all lines is the eigenvector of the smallest eigenvalue
+        const scatter = cv.matFromArray(3, 3, cv.CV_64F, sums);
+        const eigenvalues = new cv.Mat();
+        const eigenvectors = new cv.Mat();
+        cv.eigen(scatter, eigenvalues, eigenvectors);
+        const point = Array.from(eigenvectors.data64F.slice(6, 9));
+
+        scatter.delete();
+        eigenvalues.delete();
+        eigenvectors.delete();
+
+        return point.every(isFinite) ? point : null;
     }
 
     /**
@@ -295,11 +1214,31 @@ class FrameDetector {
         return angleFromVertical;
     }
 
+    /**
+     * Calculate angle of an edge relative to horizontal (0° = perfectly level)
+     * Positive angle = tilted clockwise, Negative = tilted counter-clockwise
+     */
+    calculateHorizontalEdgeAngle(leftPoint, rightPoint) {
+        const dx = rightPoint.x - leftPoint.x;
+        const dy = rightPoint.y - leftPoint.y;
+
+        // Canvas y grows downwards, so a right end lower than the left end
+        // gives a positive (clockwise) angle
+        let angleFromHorizontal = Math.atan2(dy, dx) * (180 / Math.PI);
+
+        // Normalize to -90 to 90 range
+        if (angleFromHorizontal > 90) angleFromHorizontal -= 180;
+        if (angleFromHorizontal < -90) angleFromHorizontal += 180;
+
+        return angleFromHorizontal;
+    }
+
     /**
      * Detect environmental vertical lines (walls, door frames, etc.) to establish true vertical
-     * This compensates for camera tilt
+     * This compensates for camera tilt. Lines along the sides of `frameCandidates` (candidate
+     * quads) are left out, so a frame taller than the minimum line length is not a wall vertical.
      */
-    detectEnvironmentalVerticals(src) {
+    detectEnvironmentalVerticals(src, frameCandidates = []) {
         try {
             // Convert to grayscale
             const gray = new cv.Mat();
@@ -338,13 +1277,15 @@ class FrameDetector {
 
                 // Keep lines that are mostly vertical (within 30° of vertical)
                 // and are reasonably long (likely architectural features)
-                if (Math.abs(angleFromVertical) < 30 && length > src.rows * 0.2) {
+                if (Math.abs(angleFromVertical) < 30 && length > src.rows * 0.2 &&
+                    !this.isOnFrameSide({ x: x1, y: y1 }, { x: x2, y: y2 }, frameCandidates)) {
                     // Weight by length - longer lines are more reliable
                     const weight = length / src.rows;
                     verticalAngles.push({
                         angle: angleFromVertical,
                         weight: weight,
-                        length: length
+                        length: length,
+                        x1: x1, y1: y1, x2: x2, y2: y2
                     });
                 }
             }
@@ -354,11 +1295,20 @@ class FrameDetector {
                 // Sort by length and take top candidates
                 verticalAngles.sort((a, b) => b.length - a.length);
                 const topCandidates = verticalAngles.slice(0, Math.min(5, verticalAngles.length));
+                this.environmentalVerticals = topCandidates;
+                this.verticalVanishingPoint = this.estimateVanishingPoint(topCandidates);
 
                 const totalWeight = topCandidates.reduce((sum, v) => sum + v.weight, 0);
                 const weightedSum = topCandidates.reduce((sum, v) => sum + v.angle * v.weight, 0);
                 
                 this.cameraTilt = weightedSum / totalWeight;
+
+                // Unsmoothed measurement for the fusion, with a variance from the
+                // number, length and agreement of the lines
+                this.cameraMeasurement = {
+                    tilt: this.cameraTilt,
+                    variance: TiltFusion.getLineVariance(topCandidates)
+                };
                 
                 // Smooth camera tilt over time to reduce jitter
                 // Use exponential moving average
@@ -367,6 +1317,10 @@ class FrameDetector {
                 }
                 this.lastCameraTilt = this.cameraTilt;
             } else {
+                this.environmentalVerticals = [];
+                this.verticalVanishingPoint = null;
+                this.cameraMeasurement = null;
+
                 // No reliable verticals found, gradually return to no compensation
                 if (this.lastCameraTilt !== undefined) {
                     this.cameraTilt = this.lastCameraTilt * 0.9;
@@ -386,6 +1340,17 @@ class FrameDetector {
         }
     }
 
+    /**
+     * Check whether the segment a-b runs along a side of one of the candidate polygons
+     */
+    isOnFrameSide(a, b, frameCandidates) {
+        return frameCandidates.some(({ corners }) => corners.some((corner, i) => {
+            const next = corners[(i + 1) % corners.length];
+            return this.distanceToSegment(a, corner, next) <= this.frameSideMargin &&
+                   this.distanceToSegment(b, corner, next) <= this.frameSideMargin;
+        }));
+    }
+
     /**
      * Stabilize frame tilt measurement over time
      * Frames on walls don't move, so we can heavily smooth the measurements
@@ -415,21 +1380,8 @@ class FrameDetector {
             totalWeight += weight;
         }
         
-        const stabilizedTilt = weightedSum / totalWeight;
-        
-        // Clean up old frame buffers (if we have too many)
-        if (this.frameStabilityBuffer.size > 50) {
-            // Remove oldest entries
-            const entries = Array.from(this.frameStabilityBuffer.entries());
-            entries.sort((a, b) => b[1].length - a[1].length);
-            
-            // Keep only the 20 most active frames
-            const toKeep = entries.slice(0, 20);
-            this.frameStabilityBuffer.clear();
-            toKeep.forEach(([id, hist]) => this.frameStabilityBuffer.set(id, hist));
-        }
-        
-        return stabilizedTilt;
+        // Buffers are dropped by the tracker when a frame is lost for good
+        return weightedSum / totalWeight;
     }
 
     /**
@@ -457,43 +1409,77 @@ class FrameDetector {
 
     /**
      * Draw detection results on canvas
+     * `image` is the analyzed frame (canvas or ImageBitmap), `results` comes from analyzeFrame
      */
-    drawResults(src, frames, canvasElement) {
+    drawResults(image, results, canvasElement) {
         const ctx = canvasElement.getContext('2d');
+        const { frames, cameraTilt, deviceTilt, fusedTilt, sensorFusionActive, sensorMismatch,
+            tiltUncertainty, dominantTiltSource } = results;
         
         // Set canvas size to match source image dimensions
-        if (canvasElement.width !== src.cols || canvasElement.height !== src.rows) {
-            canvasElement.width = src.cols;
-            canvasElement.height = src.rows;
+        if (canvasElement.width !== results.width || canvasElement.height !== results.height) {
+            canvasElement.width = results.width;
+            canvasElement.height = results.height;
         }
 
         // Draw the source image
-        cv.imshow(canvasElement, src);
+        ctx.drawImage(image, 0, 0, results.width, results.height);
+
+        this.lastDrawnFrames = frames;
+        const lockedFrame = this.updateLock(frames);
 
         // Draw each detected frame
         frames.forEach((frame, index) => {
             const { rect, tilt, rawTilt } = frame;
+            if (frame.lowConfidence && this.hideLowConfidence) {
+                return;
+            }
+
+            // With a locked frame, the others are only outlined, faintly
+            const dimmed = this.lockedFrameId !== null && frame !== lockedFrame;
+            ctx.save();
+            if (dimmed) {
+                ctx.globalAlpha = 0.3;
+            }
             
-            // Determine color based on tilt angle (compensated tilt)
-            let color, status;
-            const absTilt = Math.abs(tilt);
+            // Determine color from the tolerance profile (green level, yellow slight, red tilted)
+            const judgement = frame.noOrientation
+                ? { status: 'unknown', label: 'Round', color: '#2196f3', offset: 0 } // Blue - nothing to judge
+                : frame.tolerance || this.tolerance.classify(tilt);
+            let color = judgement.color;
+            let status = judgement.label;
+            const rectangular = !frame.shape || frame.shape.type === 'rectangle';
             
-            if (absTilt <= 2) {
-                color = '#00ff00'; // Green - perfect
-                status = 'Perfect';
-            } else if (absTilt <= 5) {
-                color = '#ffff00'; // Yellow - slight tilt
-                status = 'Slight tilt';
-            } else {
-                color = '#ff0000'; // Red - significant tilt
-                status = 'Tilted';
+            if (frame.lowConfidence) {
+                color = '#9e9e9e'; // Grey - too uncertain to judge
+                status = 'Uncertain';
             }
 
             // Draw polygon around frame using actual corners for proper perspective
             ctx.strokeStyle = color;
             ctx.lineWidth = 3;
+            ctx.setLineDash(frame.lowConfidence ? [8, 6] : []);
             
-            if (frame.corners && frame.corners.length >= 4) {
+            if (!rectangular && (frame.ellipse || frame.polygon)) {
+                // Draw the fitted ellipse or the shape's outline
+                this.traceShape(ctx, frame);
+                ctx.stroke();
+
+                ctx.fillStyle = color + '20'; // Add alpha for transparency
+                ctx.fill();
+            } else if (frame.outline) {
+                // Draw the tracker's smoothed outline (already in drawing order); the tracker
+                // follows the fitted edges' corners when the sides were refined
+                ctx.beginPath();
+                ctx.moveTo(frame.outline[0].x, frame.outline[0].y);
+                frame.outline.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+                ctx.closePath();
+                ctx.stroke();
+                
+                // Also fill with semi-transparent color for better visibility
+                ctx.fillStyle = color + '20'; // Add alpha for transparency
+                ctx.fill();
+            } else if (frame.corners && frame.corners.length >= 4) {
                 // Sort corners to draw them in proper order
                 const sorted = this.sortCorners(frame.corners.slice(0, 4));
                 
@@ -513,11 +1499,32 @@ class FrameDetector {
                 // Fallback to rectangle if corners not available
                 ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
             }
+            ctx.setLineDash([]);
+            if (dimmed) {
+                ctx.restore();
+                return;
+            }
+
+            // Highlight edges that disagree with the combined rotation (skewed frame)
+            if (frame.level && frame.level.isSkewed) {
+                this.drawDisagreeingEdges(ctx, frame.level);
+                status = 'Skewed';
+            }
+
+            // Mat window and artwork, with a warning when the artwork slipped inside the frame
+            if (frame.nesting) {
+                this.drawNesting(ctx, frame, color);
+            }
 
             // Draw tilt information
             ctx.fillStyle = color;
             ctx.font = 'bold 16px Arial';
-            const tiltText = `${status}: ${tilt.toFixed(1)}°`;
+            const edgeWarning = frame.nearBorder ? ' ⚠ near edge' : '';
+            const confidenceText = frame.confidence !== undefined ? ` (${Math.round(frame.confidence * 100)}%)` : '';
+            const offsetText = this.tolerance.getProfile().unit === 'mm' ? ` / ${judgement.offset.toFixed(1)} mm` : '';
+            const tiltText = frame.noOrientation
+                ? `#${frame.frameId} ${status}: no orientation${confidenceText}${edgeWarning}`
+                : `#${frame.frameId} ${status}: ${tilt.toFixed(1)}°${offsetText}${confidenceText}${edgeWarning}`;
             const textY = rect.y - 10;
             
             // Draw text background
@@ -529,15 +1536,46 @@ class FrameDetector {
             ctx.fillStyle = color;
             ctx.fillText(tiltText, rect.x + 5, textY - 3);
 
+            // Draw separate vertical/horizontal readings (a shape's box has no edges of its own
+            // to read) and the real size below the main label
+            const details = [];
+            if (rectangular && frame.verticalTilt !== undefined && frame.horizontalTilt !== undefined) {
+                details.push(`V ${frame.verticalTilt.toFixed(1)}° | H ${frame.horizontalTilt.toFixed(1)}°`);
+            }
+            if (frame.isReference) {
+                details.push('Size reference');
+            } else if (frame.size) {
+                details.push(SizeEstimator.format(frame.size));
+            }
+            if (details.length > 0) {
+                const levelText = details.join(' | ');
+                ctx.font = '12px Arial';
+                const levelMetrics = ctx.measureText(levelText);
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+                ctx.fillRect(rect.x, textY + 5, levelMetrics.width + 10, 18);
+                ctx.fillStyle = color;
+                ctx.fillText(levelText, rect.x + 5, textY + 18);
+            }
+
             // Draw direction indicator
-            if (absTilt > 1) {
+            if (judgement.status !== 'level' && !frame.noOrientation) {
                 const direction = tilt > 0 ? '↻' : '↺';
                 ctx.font = 'bold 24px Arial';
                 ctx.fillText(direction, rect.x + rect.width - 30, rect.y + 30);
             }
 
+            // Mark the hanging feature a round frame was oriented by
+            if (frame.hanger && frame.ellipse) {
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(frame.ellipse.center.x, frame.ellipse.center.y);
+                ctx.lineTo(frame.hanger.x, frame.hanger.y);
+                ctx.stroke();
+            }
+
             // Draw corner points
-            if (frame.corners) {
+            if (frame.corners && rectangular) {
                 frame.corners.forEach(corner => {
                     ctx.fillStyle = color;
                     ctx.beginPath();
@@ -545,23 +1583,35 @@ class FrameDetector {
                     ctx.fill();
                 });
             }
+            ctx.restore();
         });
 
         // Draw camera tilt indicator
-        if (Math.abs(this.cameraTilt) > 0.5 || this.isSensorFusionActive()) {
+        if (Math.abs(cameraTilt) > 0.5 || sensorFusionActive) {
             let indicatorText = '';
             
-            if (this.isSensorFusionActive()) {
-                indicatorText = `Device: ${this.deviceTilt.toFixed(1)}° | Camera: ${this.cameraTilt.toFixed(1)}° | Combined: ${this.fusedTilt.toFixed(1)}°`;
+            // e.g. "± 0.4° (sensor-led)"
+            const uncertaintyText = tiltUncertainty !== null && tiltUncertainty !== undefined
+                ? ` ± ${tiltUncertainty.toFixed(1)}°${dominantTiltSource && dominantTiltSource !== 'none' ? ` (${dominantTiltSource}-led)` : ''}`
+                : '';
+
+            if (sensorFusionActive) {
+                indicatorText = `Device: ${deviceTilt.toFixed(1)}° | Camera: ${cameraTilt.toFixed(1)}° | Combined: ${fusedTilt.toFixed(1)}°${uncertaintyText}`;
+                if (sensorMismatch) {
+                    indicatorText += ' ⚠ Sensor and camera disagree';
+                }
             } else {
-                indicatorText = `Camera Tilt: ${this.cameraTilt.toFixed(1)}° (auto-compensating)`;
+                indicatorText = `Camera Tilt: ${fusedTilt.toFixed(1)}°${uncertaintyText} (auto-compensating)`;
             }
             
             ctx.font = 'bold 14px Arial';
             
             // Draw background
             const textMetrics = ctx.measureText(indicatorText);
-            const bgColor = this.isSensorFusionActive() ? 'rgba(0, 200, 100, 0.8)' : 'rgba(255, 165, 0, 0.8)';
+            let bgColor = sensorFusionActive ? 'rgba(0, 200, 100, 0.8)' : 'rgba(255, 165, 0, 0.8)';
+            if (sensorMismatch) {
+                bgColor = 'rgba(220, 40, 40, 0.85)';
+            }
             ctx.fillStyle = bgColor;
             ctx.fillRect(10, 10, textMetrics.width + 20, 30);
             
@@ -569,6 +1619,295 @@ class FrameDetector {
             ctx.fillStyle = 'white';
             ctx.fillText(indicatorText, 20, 30);
         }
+
+        if (results.comparison) {
+            this.drawComparison(ctx, results, canvasElement.height);
+        }
+
+        if (this.lockedFrameId !== null) {
+            this.drawLevelGauge(ctx, lockedFrame, canvasElement.width);
+        }
+
+        // Name the tolerance the colors were judged by (also ends up in snapshots)
+        if (results.toleranceDescription) {
+            ToleranceManager.drawProfileLabel(canvasElement, results.toleranceDescription);
+        }
+    }
+
+    /**
+     * Lock onto the frame at a point (canvas pixels) of the last drawn results
+     * Returns the locked frame, or null (and unlocks) when the point hits no frame.
+     */
+    lockFrameAt(point) {
+        const frame = this.getFrameAt(this.lastDrawnFrames, point);
+        this.setLockedFrame(frame ? frame.frameId : null);
+        return frame;
+    }
+
+    /**
+     * Lock onto a frame ID (null unlocks)
+     */
+    setLockedFrame(frameId) {
+        this.lockedFrameId = frameId !== undefined ? frameId : null;
+        this.lockMissCount = 0;
+    }
+
+    /**
+     * The smallest visible frame whose outline contains the point, or null
+     */
+    getFrameAt(frames, point) {
+        const hits = frames.filter(frame => {
+            if (frame.lowConfidence && this.hideLowConfidence) {
+                return false;
+            }
+            const { topLeft, topRight, bottomRight, bottomLeft } = frame.level.corners;
+            return this.isPointInPolygon(point, [topLeft, topRight, bottomRight, bottomLeft]);
+        });
+        if (hits.length === 0) {
+            return null;
+        }
+        return hits.reduce((smallest, frame) => (frame.area < smallest.area ? frame : smallest));
+    }
+
+    /**
+     * Ray-casting point in polygon test
+     */
+    isPointInPolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Find the locked frame among this result's frames
+     * The tracker keeps its ID while it moves; after maxLockMisses results without it the lock is dropped.
+     */
+    updateLock(frames) {
+        if (this.lockedFrameId === null) {
+            return null;
+        }
+        const frame = frames.find(f => f.frameId === this.lockedFrameId) || null;
+        this.lockMissCount = frame ? 0 : this.lockMissCount + 1;
+        if (this.lockMissCount > this.maxLockMisses) {
+            this.setLockedFrame(null);
+        }
+        return frame;
+    }
+
+    /**
+     * Trace the path of a round, oval, octagonal or arched frame (see ShapeClassifier)
+     */
+    traceShape(ctx, frame) {
+        ctx.beginPath();
+        if (frame.ellipse) {
+            const { center, major, minor, angle } = frame.ellipse;
+            ctx.ellipse(center.x, center.y, major, minor, angle * Math.PI / 180, 0, 2 * Math.PI);
+        } else {
+            ctx.moveTo(frame.polygon[0].x, frame.polygon[0].y);
+            frame.polygon.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+            ctx.closePath();
+        }
+    }
+
+    /**
+     * Outline the quads nested in a frame and say, inside its bottom edge, if the artwork is
+     * turned or the margins are uneven (in mm when the frame width is known)
+     */
+    drawNesting(ctx, frame, color) {
+        const { nesting, rect } = frame;
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([4, 3]);
+        nesting.layers.forEach(layer => {
+            const { topLeft, topRight, bottomRight, bottomLeft } = layer.corners;
+            ctx.beginPath();
+            ctx.moveTo(topLeft.x, topLeft.y);
+            [topRight, bottomRight, bottomLeft].forEach(point => ctx.lineTo(point.x, point.y));
+            ctx.closePath();
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        const warnings = [];
+        if (nesting.artworkRotated) {
+            const direction = nesting.artworkRotation > 0 ? '↻' : '↺';
+            warnings.push(`Art turned ${Math.abs(nesting.artworkRotation).toFixed(1)}° ${direction}`);
+        }
+        const uneven = nesting.layers.find(layer => !layer.even);
+        if (uneven) {
+            const frameWidth = this.tolerance.frameWidth || (frame.size && frame.size.width);
+            const unit = frameWidth ? ' mm' : ' px';
+            const format = value => Math.round(frameWidth ? value * frameWidth / nesting.width : value);
+            const { left, right, top, bottom } = uneven.margins;
+            warnings.push(`Margins L ${format(left)} R ${format(right)} · T ${format(top)} B ${format(bottom)}${unit}`);
+        }
+
+        if (warnings.length > 0) {
+            const text = `⚠ ${warnings.join(' · ')}`;
+            ctx.font = '12px Arial';
+            const textY = rect.y + rect.height - 24;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(rect.x, textY, ctx.measureText(text).width + 10, 18);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(text, rect.x + 5, textY + 13);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Overlay the comparison backend's frames as dashed magenta outlines labelled "B",
+     * with a legend naming both backends, their frame counts and run times
+     */
+    drawComparison(ctx, results, canvasHeight) {
+        const { comparison } = results;
+        const color = '#ff00ff';
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.font = 'bold 13px Arial';
+        comparison.frames.forEach(frame => {
+            const { topLeft, topRight, bottomRight, bottomLeft } = frame.level.corners;
+            ctx.beginPath();
+            ctx.moveTo(topLeft.x, topLeft.y);
+            [topRight, bottomRight, bottomLeft].forEach(point => ctx.lineTo(point.x, point.y));
+            ctx.closePath();
+            ctx.stroke();
+
+            // Below the frame, so it does not cover the main label above it
+            const text = `B ${frame.tilt.toFixed(1)}°`;
+            const textX = frame.rect.x;
+            const textY = frame.rect.y + frame.rect.height + 6;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(textX, textY, ctx.measureText(text).width + 10, 19);
+            ctx.fillStyle = color;
+            ctx.fillText(text, textX + 5, textY + 14);
+        });
+        ctx.setLineDash([]);
+
+        // Legend in the bottom left corner (the tolerance label takes the bottom right)
+        const describe = (label, name, count, time) =>
+            `${label}: ${name} · ${count} ${count === 1 ? 'frame' : 'frames'} · ${Math.round(time)} ms`;
+        const lines = [
+            { text: describe('A', results.backendName, results.frames.length, results.backendTime), color: '#ffffff' },
+            { text: describe('B', comparison.backendName, comparison.frames.length, comparison.backendTime), color: color }
+        ];
+        const width = Math.max(...lines.map(line => ctx.measureText(line.text).width)) + 12;
+        const y = canvasHeight - 10 - lines.length * 20;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(10, y, width, lines.length * 20 + 4);
+        lines.forEach((line, index) => {
+            ctx.fillStyle = line.color;
+            ctx.fillText(line.text, 16, y + 16 + index * 20);
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Draw a full-width level gauge for the locked frame
+     * The needle shows the tilt on a scale of twice the "slight" threshold, over a green
+     * band for the profile's level range.
+     */
+    drawLevelGauge(ctx, frame, canvasWidth) {
+        const x = 10;
+        const y = 50;
+        const width = canvasWidth - 20;
+        const height = 90;
+        const thresholds = this.tolerance.getThresholdAngles(frame && frame.size && frame.size.width);
+        const range = Math.max(1, 2 * thresholds.slight);
+        const toX = angle => x + width / 2 + (Math.max(-range, Math.min(range, angle)) / range) * (width / 2 - 20);
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(x, y, width, height);
+
+        // Scale: yellow band for slight tilt, green band for level, tick at 0
+        const barY = y + 58;
+        ctx.fillStyle = 'rgba(255, 255, 0, 0.35)';
+        ctx.fillRect(toX(-thresholds.slight), barY, toX(thresholds.slight) - toX(-thresholds.slight), 16);
+        ctx.fillStyle = 'rgba(0, 255, 0, 0.6)';
+        ctx.fillRect(toX(-thresholds.level), barY, toX(thresholds.level) - toX(-thresholds.level), 16);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(toX(0) - 1, barY - 4, 2, 24);
+
+        if (!frame) {
+            ctx.font = 'bold 24px Arial';
+            ctx.fillText(`#${this.lockedFrameId} lost - searching... (tap empty space to unlock)`, x + 14, y + 36);
+            ctx.restore();
+            return;
+        }
+
+        if (frame.noOrientation) {
+            ctx.font = 'bold 24px Arial';
+            ctx.fillText(`#${frame.frameId} round - no orientation to level (add a hanger or mark the top)`, x + 14, y + 36);
+            ctx.restore();
+            return;
+        }
+
+        const judgement = frame.tolerance || this.tolerance.classify(frame.tilt, frame.size && frame.size.width);
+        const color = frame.lowConfidence ? '#9e9e9e' : judgement.color;
+
+        // Needle
+        const needleX = toX(frame.tilt);
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(needleX, barY - 2);
+        ctx.lineTo(needleX - 9, barY - 16);
+        ctx.lineTo(needleX + 9, barY - 16);
+        ctx.closePath();
+        ctx.fill();
+        ctx.fillRect(needleX - 2, barY, 4, 16);
+
+        // Readout: tilt, direction and which side hangs low
+        const sign = frame.tilt > 0 ? '+' : '';
+        let direction = '';
+        if (judgement.status !== 'level') {
+            direction = frame.tilt > 0 ? '  ↻ right side low' : '  ↺ left side low';
+        }
+        ctx.font = 'bold 34px Arial';
+        ctx.fillText(`#${frame.frameId}  ${sign}${frame.tilt.toFixed(2)}°`, x + 14, y + 40);
+        const readoutWidth = ctx.measureText(`#${frame.frameId}  ${sign}${frame.tilt.toFixed(2)}°`).width;
+        ctx.font = 'bold 20px Arial';
+        ctx.fillText(`${frame.lowConfidence ? 'Uncertain' : judgement.label}${direction}`, x + 30 + readoutWidth, y + 38);
+        ctx.restore();
+    }
+
+    /**
+     * Draw frame edges that disagree with the combined rotation
+     */
+    drawDisagreeingEdges(ctx, level) {
+        const { topLeft, topRight, bottomRight, bottomLeft } = level.corners;
+        const edgePoints = {
+            top: [topLeft, topRight],
+            right: [topRight, bottomRight],
+            bottom: [bottomRight, bottomLeft],
+            left: [bottomLeft, topLeft]
+        };
+
+        ctx.save();
+        ctx.strokeStyle = '#ff00ff';
+        ctx.lineWidth = 4;
+        ctx.setLineDash([8, 6]);
+
+        level.disagreeingEdges.forEach(name => {
+            const [start, end] = edgePoints[name];
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
+        });
+
+        ctx.restore();
     }
 
     /**
@@ -578,6 +1917,64 @@ class FrameDetector {
         this.sensitivity = Math.max(1, Math.min(10, value));
     }
     
+    /**
+     * Select a tolerance profile ('standard', 'home', 'professional', 'museum' or 'custom')
+     * `custom` optionally sets the custom profile's { unit, level, slight }
+     */
+    setToleranceProfile(id, custom = null) {
+        if (custom) {
+            this.tolerance.setCustom(custom);
+        }
+        this.tolerance.setProfile(id);
+    }
+
+    /**
+     * Set the real frame width in mm for offset tolerances (null = unknown)
+     */
+    setToleranceFrameWidth(width) {
+        this.tolerance.setFrameWidth(width);
+    }
+
+    /**
+     * Use the tracked frame `frameId` as a reference object of known size (an id from
+     * SizeEstimator.getReferenceObjects); null clears the reference
+     * Frame IDs start over with tracking, so clear it when the scene changes.
+     */
+    setSizeReference(frameId, objectId) {
+        this.sizeEstimator.setReference(frameId, objectId);
+    }
+
+    /**
+     * Set the camera to wall distance in mm (null = unknown), for sizes without a reference object
+     */
+    setCameraDistance(distance) {
+        this.sizeEstimator.setCameraDistance(distance);
+    }
+
+    /**
+     * Set the camera's horizontal field of view in degrees
+     * CameraManager.getFieldOfView narrows lensFieldOfView for the running camera; a photo uses it as is.
+     */
+    setFieldOfView(degrees) {
+        if (degrees > 0 && degrees < 180) {
+            this.assumedFieldOfView = degrees;
+        }
+    }
+
+    /**
+     * Set the confidence (0-1) below which frames are flagged lowConfidence
+     */
+    setConfidenceThreshold(value) {
+        this.confidenceThreshold = Math.max(0, Math.min(1, value));
+    }
+
+    /**
+     * Hide low-confidence frames when drawing instead of greying them out
+     */
+    setHideLowConfidence(hide) {
+        this.hideLowConfidence = !!hide;
+    }
+
     /**
      * Set smoothing level (1-10 scale, user-friendly)
      * Adjusts frame stability tracking window
@@ -597,12 +1994,92 @@ class FrameDetector {
         console.log(`Frame smoothing level ${level}: stability window=${this.frameStabilityWindow} measurements`);
     }
 
+    /**
+     * Forget all tracked frames (and any lock), their tilt history and the fused camera tilt
+     * With `restartIds` new frames are numbered from 1 again.
+     */
+    resetTracking(restartIds = false) {
+        this.tracker.reset(restartIds);
+        this.setLockedFrame(null);
+        this.frameStabilityBuffer.clear();
+        this.tiltFusion.reset();
+    }
+
     /**
      * Set minimum contour area
      */
     setMinContourArea(area) {
         this.minContourArea = area;
     }
+
+    /**
+     * Select the backend that finds frames (an id from DetectorBackends)
+     * Tracking restarts, since frame IDs and smoothed tilts came from the old backend.
+     */
+    setBackend(id) {
+        const backend = DetectorBackends.get(id);
+        if (backend && backend !== this.backend) {
+            this.backend = backend;
+            this.resetTracking();
+        }
+    }
+
+    /**
+     * Run a second backend on every frame and overlay its results (null = off)
+     */
+    setComparisonBackend(id) {
+        this.comparisonBackend = (id && DetectorBackends.get(id)) || null;
+    }
+
+    /**
+     * Every setting that changes the results, as a plain object for session logs
+     */
+    getSettings() {
+        const reference = this.sizeEstimator.reference;
+        const { unit, level, slight } = this.tolerance.custom;
+        return {
+            sensitivity: this.sensitivity,
+            frameStabilityWindow: this.frameStabilityWindow,
+            confidenceThreshold: this.confidenceThreshold,
+            hideLowConfidence: this.hideLowConfidence,
+            backend: this.backend.id,
+            comparisonBackend: this.comparisonBackend ? this.comparisonBackend.id : null,
+            toleranceProfile: this.tolerance.profileId,
+            toleranceCustom: { unit, level, slight },
+            frameWidth: this.tolerance.frameWidth,
+            lensCalibration: this.lensCalibration,
+            fieldOfView: this.assumedFieldOfView,
+            sizeReference: reference ? { frameId: reference.frameId, objectId: reference.object.id } : null,
+            cameraDistance: this.sizeEstimator.cameraDistance
+        };
+    }
+
+    /**
+     * Restore settings from getSettings() (e.g. a recorded session's)
+     */
+    applySettings(settings) {
+        this.setBackend(settings.backend);
+        this.setComparisonBackend(settings.comparisonBackend);
+        this.setSensitivity(settings.sensitivity);
+        this.frameStabilityWindow = settings.frameStabilityWindow;
+        this.setConfidenceThreshold(settings.confidenceThreshold);
+        this.setHideLowConfidence(settings.hideLowConfidence);
+        this.setToleranceProfile(settings.toleranceProfile, settings.toleranceCustom);
+        this.setToleranceFrameWidth(settings.frameWidth);
+        this.setFieldOfView(settings.fieldOfView);
+        this.setCameraDistance(settings.cameraDistance);
+
+        // Unchanged ones are left alone: new undistortion maps are slow to build, and choosing
+        // the reference again would drop the scale kept while it is out of view
+        const current = this.getSettings();
+        if (JSON.stringify(settings.lensCalibration) !== JSON.stringify(current.lensCalibration)) {
+            this.setLensCalibration(settings.lensCalibration);
+        }
+        const reference = settings.sizeReference;
+        if (JSON.stringify(reference) !== JSON.stringify(current.sizeReference)) {
+            this.setSizeReference(reference && reference.frameId, reference && reference.objectId);
+        }
+    }
 }
 
 // Export for use in other modules
@@ -0,0 +1,117 @@
+/**
+ * Tilt Fusion - Kalman filter combining sensor and camera estimates of the camera roll
+ * The state is the roll (degrees) with its variance. Each update adds process noise
+ * for hand movement, then folds in whichever measurements are available, each
+ * weighted by its own variance, so a noisy source counts for less.
+ */
+
+class TiltFusion {
+    constructor() {
+        this.processNoise = 0.1; // Variance (deg²) the roll may drift between two updates
+        this.gapDecay = 0.9; // With no measurement at all, the estimate returns toward level
+        this.maxVariance = 100; // Uncertainty is capped at ±10°
+
+        this.reset();
+    }
+
+    /**
+     * Forget the estimate; the next measurement initializes it
+     */
+    reset() {
+        this.tilt = 0;
+        this.variance = Infinity;
+        this.dominantSource = 'none';
+        this.weights = { sensor: 0, camera: 0 };
+    }
+
+    /**
+     * Run one predict/update step
+     * `measurements` maps a source name ('sensor', 'camera') to { tilt, variance } or null.
+     * Returns { tilt, uncertainty, dominantSource, weights }.
+     */
+    update(measurements) {
+        const available = Object.entries(measurements)
+            .filter(([, m]) => m && Number.isFinite(m.tilt) && m.variance > 0);
+
+        // Predict: the phone may have moved since the last frame
+        if (Number.isFinite(this.variance)) {
+            if (available.length === 0) {
+                this.tilt *= this.gapDecay;
+            }
+            this.variance = Math.min(this.maxVariance, this.variance + this.processNoise);
+        }
+
+        // Update with each measurement in turn
+        available.forEach(([, m]) => {
+            if (!Number.isFinite(this.variance)) {
+                this.tilt = m.tilt;
+                this.variance = m.variance;
+                return;
+            }
+            const gain = this.variance / (this.variance + m.variance);
+            this.tilt += gain * (m.tilt - this.tilt);
+            this.variance *= (1 - gain);
+        });
+
+        // Share of the information each source contributed this step
+        const information = {};
+        available.forEach(([source, m]) => {
+            information[source] = 1 / m.variance;
+        });
+        const totalInformation = Object.values(information).reduce((a, b) => a + b, 0);
+        this.weights = { sensor: 0, camera: 0 };
+        Object.keys(information).forEach(source => {
+            this.weights[source] = information[source] / totalInformation;
+        });
+        this.dominantSource = available.length === 0
+            ? 'none'
+            : Object.keys(information).reduce((a, b) => (information[a] >= information[b] ? a : b));
+
+        return this.getEstimate();
+    }
+
+    /**
+     * Current estimate; uncertainty is one standard deviation in degrees (null before any measurement)
+     */
+    getEstimate() {
+        return {
+            tilt: this.tilt,
+            uncertainty: Number.isFinite(this.variance) ? Math.sqrt(this.variance) : null,
+            dominantSource: this.dominantSource,
+            weights: { ...this.weights }
+        };
+    }
+
+    /**
+     * Variance of a length-weighted mean of line angles (degrees)
+     * Combines the lines' disagreement with each line's own angular resolution
+     * (about 1 px over its length), so a few long, agreeing lines give a small variance.
+     * `lines` is [{ angle, length }]; returns null for no lines.
+     */
+    static getLineVariance(lines, minSpread = 0.5) {
+        if (!lines || lines.length === 0) {
+            return null;
+        }
+
+        const totalLength = lines.reduce((sum, l) => sum + l.length, 0);
+        const mean = lines.reduce((sum, l) => sum + l.angle * l.length, 0) / totalLength;
+
+        // Effective number of independent lines for length weights
+        const effectiveCount = totalLength ** 2 / lines.reduce((sum, l) => sum + l.length ** 2, 0);
+        const spread = lines.reduce((sum, l) => sum + l.length * (l.angle - mean) ** 2, 0) / totalLength;
+        // A single line (or lines that agree by chance) says nothing about the spread
+        const agreement = Math.max(spread, minSpread ** 2) / effectiveCount;
+
+        // Each line's angle is good to about (1 px / length) rad; with length weights
+        // the mean's variance is sum(length² · σ²) / totalLength²
+        const deg = 180 / Math.PI;
+        const resolution = lines.length * deg ** 2 / totalLength ** 2;
+
+        return agreement + resolution;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TiltFusion;
+}
@@ -0,0 +1,453 @@
+/**
+ * Gallery Analyzer - Analyzes the layout of a group of detected frames
+ * Checks edge/centerline alignment and spacing between neighboring frames
+ */
+
+class GalleryAnalyzer {
+    constructor() {
+        this.alignmentTolerance = 0.03; // Max misalignment as fraction of average frame size
+        this.spacingTolerance = 0.1; // Max gap difference as fraction of average gap
+        this.minTolerancePx = 3; // Never demand better than a few pixels
+        this.minOutlierGroupSize = 3; // With two frames either one could be the one that is off
+        this.lastAnalysis = null;
+    }
+
+    /**
+     * Analyze all frames in view
+     * Returns rows and columns of frames with their alignment and spacing,
+     * the outlier frame (if any) and guide lines for drawing
+     * With the wall's `scale` (see SizeEstimator.getScale), gaps and offsets are also given in mm.
+     */
+    analyze(frames, scale = null) {
+        const mmPerPixel = scale ? scale.mmPerPixel : null;
+        const boxes = frames.map(frame => this.getFrameBox(frame));
+
+        const rows = this.groupFrames(boxes, 'top', 'bottom')
+            .map(group => this.analyzeGroup(group, 'row', mmPerPixel));
+        const columns = this.groupFrames(boxes, 'left', 'right')
+            .map(group => this.analyzeGroup(group, 'column', mmPerPixel));
+
+        const outlier = this.findOutlier(rows.concat(columns), mmPerPixel);
+
+        const analysis = {
+            frameCount: frames.length,
+            mmPerPixel: mmPerPixel,
+            rows: rows,
+            columns: columns,
+            outlier: outlier,
+            frames: this.getFrameRoles(boxes, rows, columns, outlier),
+            guides: this.buildGuides(rows, columns)
+        };
+
+        this.lastAnalysis = analysis;
+        return analysis;
+    }
+
+    /**
+     * Get edges and center of a frame, preferring the sorted corners
+     */
+    getFrameBox(frame) {
+        let top, bottom, left, right;
+
+        if (frame.level && frame.level.corners) {
+            const { topLeft, topRight, bottomRight, bottomLeft } = frame.level.corners;
+            top = (topLeft.y + topRight.y) / 2;
+            bottom = (bottomLeft.y + bottomRight.y) / 2;
+            left = (topLeft.x + bottomLeft.x) / 2;
+            right = (topRight.x + bottomRight.x) / 2;
+        } else {
+            const { x, y, width, height } = frame.rect;
+            top = y;
+            bottom = y + height;
+            left = x;
+            right = x + width;
+        }
+
+        return {
+            frameId: frame.frameId,
+            top: top,
+            bottom: bottom,
+            left: left,
+            right: right,
+            centerX: (left + right) / 2,
+            centerY: (top + bottom) / 2
+        };
+    }
+
+    /**
+     * Group frames that overlap along one axis into rows (top/bottom) or columns (left/right)
+     * Only groups of two or more frames are returned
+     */
+    groupFrames(boxes, startKey, endKey) {
+        const sorted = boxes.slice().sort(
+            (a, b) => (a[startKey] + a[endKey]) - (b[startKey] + b[endKey])
+        );
+        const groups = [];
+
+        sorted.forEach(box => {
+            const size = box[endKey] - box[startKey];
+            const group = groups.find(g => {
+                const overlap = Math.min(g.end, box[endKey]) - Math.max(g.start, box[startKey]);
+                return overlap >= 0.5 * Math.min(size, g.minSize);
+            });
+
+            if (group) {
+                group.boxes.push(box);
+                group.start = Math.min(group.start, box[startKey]);
+                group.end = Math.max(group.end, box[endKey]);
+                group.minSize = Math.min(group.minSize, size);
+            } else {
+                groups.push({
+                    boxes: [box],
+                    start: box[startKey],
+                    end: box[endKey],
+                    minSize: size
+                });
+            }
+        });
+
+        return groups.filter(g => g.boxes.length >= 2).map(g => g.boxes);
+    }
+
+    /**
+     * Analyze alignment and spacing within one row or column
+     * Gaps carry `sizeMm` when `mmPerPixel` is known (null otherwise)
+     */
+    analyzeGroup(boxes, type, mmPerPixel = null) {
+        const isRow = type === 'row';
+        const references = isRow ? ['top', 'bottom', 'centerY'] : ['left', 'right', 'centerX'];
+        const [along, alongEnd] = isRow ? ['left', 'right'] : ['top', 'bottom'];
+
+        // Frames in reading order along the group
+        const ordered = boxes.slice().sort((a, b) => a[along] - b[along]);
+
+        const averageSize = ordered.reduce(
+            (sum, b) => sum + (isRow ? b.bottom - b.top : b.right - b.left), 0
+        ) / ordered.length;
+        const alignmentTolerance = Math.max(this.minTolerancePx, averageSize * this.alignmentTolerance);
+
+        const alignment = {};
+        references.forEach(key => {
+            const values = ordered.map(b => b[key]);
+            const median = this.median(values);
+            const deviation = Math.max(...values) - Math.min(...values);
+            alignment[key] = {
+                value: median,
+                deviation: deviation,
+                aligned: deviation <= alignmentTolerance
+            };
+        });
+
+        // Reference line the group follows most closely
+        const bestReference = references.reduce(
+            (best, key) => alignment[key].deviation < alignment[best].deviation ? key : best
+        );
+
+        // Gaps between neighbors
+        const gaps = [];
+        for (let i = 0; i < ordered.length - 1; i++) {
+            const size = ordered[i + 1][along] - ordered[i][alongEnd];
+            gaps.push({
+                between: [ordered[i].frameId, ordered[i + 1].frameId],
+                start: ordered[i][alongEnd],
+                end: ordered[i + 1][along],
+                size: size,
+                sizeMm: mmPerPixel ? size * mmPerPixel : null
+            });
+        }
+
+        let gapsEqual = null;
+        if (gaps.length >= 2) {
+            const sizes = gaps.map(g => g.size);
+            const averageGap = sizes.reduce((sum, g) => sum + g, 0) / sizes.length;
+            const spacingTolerance = Math.max(this.minTolerancePx, Math.abs(averageGap) * this.spacingTolerance);
+            gapsEqual = Math.max(...sizes) - Math.min(...sizes) <= spacingTolerance;
+        }
+
+        return {
+            type: type,
+            frameIds: ordered.map(b => b.frameId),
+            boxes: ordered,
+            alignment: alignment,
+            bestReference: bestReference,
+            aligned: alignment[bestReference].aligned,
+            tolerance: alignmentTolerance,
+            gaps: gaps,
+            gapsEqual: gapsEqual
+        };
+    }
+
+    /**
+     * Find the frame that deviates most from its group's best reference line
+     * or breaks otherwise equal spacing
+     * Groups smaller than minOutlierGroupSize are still reported as misaligned, but no
+     * frame in them is blamed.
+     */
+    findOutlier(groups, mmPerPixel = null) {
+        let outlier = null;
+
+        groups.forEach(group => {
+            if (group.boxes.length < this.minOutlierGroupSize) {
+                return;
+            }
+
+            // Alignment outlier: furthest from the median of the others
+            if (!group.aligned) {
+                const key = group.bestReference;
+                group.boxes.forEach(box => {
+                    const others = group.boxes.filter(b => b !== box).map(b => b[key]);
+                    const offset = box[key] - this.median(others);
+                    const score = Math.abs(offset) / group.tolerance;
+
+                    if (!outlier || score > outlier.score) {
+                        outlier = {
+                            frameId: box.frameId,
+                            groupType: group.type,
+                            reason: this.describeOffset(key, offset, mmPerPixel),
+                            offset: offset,
+                            score: score
+                        };
+                    }
+                });
+            }
+
+            // Spacing outlier: frame next to the gap furthest from the median gap
+            if (group.gapsEqual === false) {
+                const medianGap = this.median(group.gaps.map(g => g.size));
+                const worst = group.gaps.reduce((a, b) =>
+                    Math.abs(b.size - medianGap) > Math.abs(a.size - medianGap) ? b : a
+                );
+                const offset = worst.size - medianGap;
+                const score = Math.abs(offset) / Math.max(this.minTolerancePx, Math.abs(medianGap) * this.spacingTolerance);
+
+                if (!outlier || score > outlier.score) {
+                    // A frame squeezed between a narrow and a wide gap is the one to move,
+                    // otherwise blame the frame at the end of the row/column
+                    const index = group.gaps.indexOf(worst);
+                    const opposite = [index - 1, index + 1].find(i =>
+                        i >= 0 && i < group.gaps.length &&
+                        Math.sign(group.gaps[i].size - medianGap) === -Math.sign(offset)
+                    );
+                    let blamed;
+                    if (opposite !== undefined) {
+                        blamed = opposite < index ? worst.between[0] : worst.between[1];
+                    } else {
+                        blamed = index === 0 ? worst.between[0] : worst.between[1];
+                    }
+                    outlier = {
+                        frameId: blamed,
+                        groupType: group.type,
+                        reason: `gap ${this.formatLength(Math.abs(offset), mmPerPixel)} ${offset > 0 ? 'wider' : 'narrower'} than others`,
+                        offset: offset,
+                        score: score
+                    };
+                }
+            }
+        });
+
+        return outlier;
+    }
+
+    /**
+     * Describe an alignment offset in words
+     */
+    describeOffset(key, offset, mmPerPixel = null) {
+        const amount = this.formatLength(Math.abs(offset), mmPerPixel);
+        const names = {
+            top: 'top edge',
+            bottom: 'bottom edge',
+            centerY: 'centerline',
+            left: 'left edge',
+            right: 'right edge',
+            centerX: 'centerline'
+        };
+        const vertical = key === 'top' || key === 'bottom' || key === 'centerY';
+        const direction = vertical ? (offset > 0 ? 'low' : 'high') : (offset > 0 ? 'right' : 'left');
+        return `${names[key]} ${amount} ${direction}`;
+    }
+
+    /**
+     * A length in mm at a known scale, in pixels otherwise
+     */
+    formatLength(pixels, mmPerPixel = null) {
+        return mmPerPixel ? `${Math.round(pixels * mmPerPixel)} mm` : `${Math.round(pixels)}px`;
+    }
+
+    /**
+     * Map each frame to its row, column and outlier status
+     */
+    getFrameRoles(boxes, rows, columns, outlier) {
+        const roles = {};
+        boxes.forEach(box => {
+            roles[box.frameId] = {
+                row: rows.findIndex(r => r.frameIds.includes(box.frameId)),
+                column: columns.findIndex(c => c.frameIds.includes(box.frameId)),
+                isOutlier: !!outlier && outlier.frameId === box.frameId
+            };
+        });
+        return roles;
+    }
+
+    /**
+     * Build guide lines along each group's reference line and across its gaps
+     */
+    buildGuides(rows, columns) {
+        const guides = [];
+
+        rows.forEach(row => {
+            const y = row.alignment[row.bestReference].value;
+            const first = row.boxes[0];
+            const last = row.boxes[row.boxes.length - 1];
+            guides.push({
+                kind: 'alignment',
+                reference: row.bestReference,
+                aligned: row.aligned,
+                x1: first.left, y1: y, x2: last.right, y2: y
+            });
+
+            row.gaps.forEach(gap => {
+                const gapY = row.alignment.centerY.value;
+                guides.push({
+                    kind: 'gap',
+                    equal: row.gapsEqual !== false,
+                    size: gap.size,
+                    x1: gap.start, y1: gapY, x2: gap.end, y2: gapY
+                });
+            });
+        });
+
+        columns.forEach(column => {
+            const x = column.alignment[column.bestReference].value;
+            const first = column.boxes[0];
+            const last = column.boxes[column.boxes.length - 1];
+            guides.push({
+                kind: 'alignment',
+                reference: column.bestReference,
+                aligned: column.aligned,
+                x1: x, y1: first.top, x2: x, y2: last.bottom
+            });
+
+            column.gaps.forEach(gap => {
+                const gapX = column.alignment.centerX.value;
+                guides.push({
+                    kind: 'gap',
+                    equal: column.gapsEqual !== false,
+                    size: gap.size,
+                    x1: gapX, y1: gap.start, x2: gapX, y2: gap.end
+                });
+            });
+        });
+
+        return guides;
+    }
+
+    /**
+     * Draw guide lines and the outlier highlight on the canvas
+     * Canvas coordinates match the detection coordinates
+     */
+    drawGuides(canvasElement, analysis) {
+        if (!analysis || (analysis.rows.length === 0 && analysis.columns.length === 0)) {
+            return;
+        }
+
+        const ctx = canvasElement.getContext('2d');
+        ctx.save();
+
+        analysis.guides.forEach(guide => {
+            if (guide.kind === 'alignment') {
+                ctx.strokeStyle = guide.aligned ? 'rgba(0, 200, 255, 0.9)' : 'rgba(255, 140, 0, 0.9)';
+                ctx.lineWidth = 2;
+                ctx.setLineDash([12, 6]);
+            } else {
+                ctx.strokeStyle = guide.equal ? 'rgba(0, 200, 255, 0.9)' : 'rgba(255, 140, 0, 0.9)';
+                ctx.lineWidth = 2;
+                ctx.setLineDash([]);
+            }
+
+            ctx.beginPath();
+            ctx.moveTo(guide.x1, guide.y1);
+            ctx.lineTo(guide.x2, guide.y2);
+            ctx.stroke();
+
+            // Label gaps with their size
+            if (guide.kind === 'gap') {
+                const label = this.formatLength(guide.size, analysis.mmPerPixel);
+                ctx.font = 'bold 12px Arial';
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+                const textMetrics = ctx.measureText(label);
+                const midX = (guide.x1 + guide.x2) / 2;
+                const midY = (guide.y1 + guide.y2) / 2;
+                ctx.fillRect(midX - textMetrics.width / 2 - 4, midY - 16, textMetrics.width + 8, 16);
+                ctx.fillStyle = ctx.strokeStyle;
+                ctx.fillText(label, midX - textMetrics.width / 2, midY - 4);
+            }
+        });
+
+        // Highlight the outlier frame
+        if (analysis.outlier) {
+            const row = analysis.rows.concat(analysis.columns)
+                .find(g => g.frameIds.includes(analysis.outlier.frameId));
+            const box = row && row.boxes.find(b => b.frameId === analysis.outlier.frameId);
+
+            if (box) {
+                ctx.strokeStyle = '#ff3b30';
+                ctx.lineWidth = 3;
+                ctx.setLineDash([4, 4]);
+                ctx.strokeRect(box.left - 8, box.top - 8, box.right - box.left + 16, box.bottom - box.top + 16);
+
+                ctx.setLineDash([]);
+                ctx.font = 'bold 14px Arial';
+                const label = `Outlier: ${analysis.outlier.reason}`;
+                const textMetrics = ctx.measureText(label);
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+                ctx.fillRect(box.left - 8, box.bottom + 10, textMetrics.width + 10, 22);
+                ctx.fillStyle = '#ff3b30';
+                ctx.fillText(label, box.left - 3, box.bottom + 26);
+            }
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Get a short text summary of the last analysis
+     */
+    getSummary(analysis = this.lastAnalysis) {
+        if (!analysis) return '';
+
+        const groups = analysis.rows.concat(analysis.columns);
+        if (groups.length === 0) return '';
+
+        const names = {
+            top: 'tops', bottom: 'bottoms', centerY: 'centers',
+            left: 'lefts', right: 'rights', centerX: 'centers'
+        };
+
+        const parts = groups.map(group => {
+            const alignmentText = group.aligned
+                ? `${names[group.bestReference]} aligned`
+                : 'not aligned';
+            const spacingText = group.gapsEqual === null
+                ? ''
+                : (group.gapsEqual ? ', even spacing' : ', uneven spacing');
+            return `${group.type} of ${group.frameIds.length}: ${alignmentText}${spacingText}`;
+        });
+
+        return parts.join('; ');
+    }
+
+    /**
+     * Median of a list of numbers
+     */
+    median(values) {
+        if (values.length === 0) return 0;
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GalleryAnalyzer;
+}
@@ -0,0 +1,184 @@
+/**
+ * Audio Guidance - Turns the focused frame's tilt into sound and vibration, so it can be
+ * straightened without looking at the screen
+ * A tilted frame beeps faster and further from the base pitch the more it is off (higher
+ * when the right side hangs low, lower when the left does); a level frame gives a steady tone
+ * and a vibration pulse as it comes into tolerance.
+ */
+
+class AudioGuidance {
+    constructor() {
+        this.isEnabled = false;
+        this.isMuted = false;
+        this.audioContext = null;
+        this.oscillator = null;
+        this.gainNode = null;
+
+        this.baseFrequency = 440; // Hz, the steady "level" tone
+        this.maxTilt = 5; // Degrees at which pitch and beep rate reach their extremes
+        this.volume = 0.2;
+        this.beepLength = 0.06; // seconds
+        this.slowestBeepInterval = 800; // ms between beeps just outside tolerance
+        this.fastestBeepInterval = 150; // ms between beeps at maxTilt and beyond
+        this.updateInterval = 100; // ms; tone changes are rate limited to this
+        this.vibrationInterval = 2000; // ms; at most one "level" pulse per interval
+        this.levelVibration = [80, 60, 80];
+
+        this.vibrate = typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function'
+            ? pattern => navigator.vibrate(pattern)
+            : null;
+
+        this.lastUpdate = -Infinity;
+        this.lastStatus = null;
+        this.lastVibration = -Infinity;
+        this.nextBeepTime = 0;
+    }
+
+    /**
+     * Check if Web Audio is available
+     */
+    static isSupported() {
+        return typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+    }
+
+    /**
+     * Start guidance; must be called from a user gesture so the browser allows audio
+     */
+    async enable() {
+        if (!this.audioContext && AudioGuidance.isSupported()) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.audioContext = new AudioContextClass();
+            this.gainNode = this.audioContext.createGain();
+            this.gainNode.gain.value = 0;
+            this.gainNode.connect(this.audioContext.destination);
+            this.oscillator = this.audioContext.createOscillator();
+            this.oscillator.frequency.value = this.baseFrequency;
+            this.oscillator.connect(this.gainNode);
+            this.oscillator.start();
+        }
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+        this.isEnabled = true;
+        this.lastStatus = null;
+    }
+
+    /**
+     * Stop guidance and silence the tone
+     */
+    disable() {
+        this.isEnabled = false;
+        this.silence();
+        if (this.audioContext) {
+            this.audioContext.suspend();
+        }
+    }
+
+    /**
+     * Mute or unmute the tone (vibration continues)
+     */
+    setMuted(muted) {
+        this.isMuted = !!muted;
+        if (this.isMuted) {
+            this.silence();
+        }
+    }
+
+    /**
+     * The frame to guide: the locked frame if it is in view, otherwise the largest
+     * frame that is neither low-confidence nor without orientation; null if there is none
+     */
+    static selectFrame(frames, lockedFrameId = null) {
+        if (lockedFrameId !== null) {
+            const locked = frames.find(frame => frame.frameId === lockedFrameId);
+            if (locked) {
+                return locked;
+            }
+        }
+        const candidates = frames.filter(frame => !frame.lowConfidence && !frame.noOrientation);
+        if (candidates.length === 0) {
+            return null;
+        }
+        return candidates.reduce((largest, frame) => (frame.area > largest.area ? frame : largest));
+    }
+
+    /**
+     * Tone for a tilt and tolerance status ('level', 'slight' or 'tilted')
+     * Returns { frequency (Hz), beepInterval (ms, null = steady tone) }
+     */
+    getToneParameters(tilt, status) {
+        if (status === 'level') {
+            return { frequency: this.baseFrequency, beepInterval: null };
+        }
+
+        // Up to an octave above (right side low) or below (left side low) the level tone
+        const amount = Math.min(1, Math.abs(tilt) / this.maxTilt);
+        const octaves = Math.sign(tilt) * (0.25 + 0.75 * amount);
+        return {
+            frequency: this.baseFrequency * Math.pow(2, octaves),
+            beepInterval: this.slowestBeepInterval - (this.slowestBeepInterval - this.fastestBeepInterval) * amount
+        };
+    }
+
+    /**
+     * Guide towards level for the focused frame (null when no frame is in view)
+     * Called with every set of detection results; rate limited to updateInterval,
+     * except when the frame's tolerance status changes.
+     */
+    update(frame, now = (typeof performance !== 'undefined' ? performance.now() : Date.now())) {
+        if (!this.isEnabled) {
+            return;
+        }
+
+        const status = frame ? (frame.tolerance ? frame.tolerance.status : null) : 'none';
+        if (status === this.lastStatus && now - this.lastUpdate < this.updateInterval) {
+            return;
+        }
+
+        // A pulse on reaching tolerance, at most once per vibrationInterval
+        if (status === 'level' && this.lastStatus !== 'level' && this.lastStatus !== null &&
+            now - this.lastVibration >= this.vibrationInterval && this.vibrate) {
+            this.vibrate(this.levelVibration);
+            this.lastVibration = now;
+        }
+        this.lastStatus = status;
+        this.lastUpdate = now;
+
+        if (!frame || !frame.tolerance || this.isMuted || !this.audioContext) {
+            this.silence();
+            return;
+        }
+
+        const { frequency, beepInterval } = this.getToneParameters(frame.tilt, status);
+        const time = this.audioContext.currentTime;
+        this.oscillator.frequency.setTargetAtTime(frequency, time, 0.03);
+
+        if (beepInterval === null) {
+            this.gainNode.gain.setTargetAtTime(this.volume * 0.6, time, 0.03);
+            this.nextBeepTime = 0;
+        } else if (time >= this.nextBeepTime) {
+            this.gainNode.gain.cancelScheduledValues(time);
+            this.gainNode.gain.setValueAtTime(0, time);
+            this.gainNode.gain.linearRampToValueAtTime(this.volume, time + 0.01);
+            this.gainNode.gain.linearRampToValueAtTime(0, time + this.beepLength);
+            this.nextBeepTime = time + beepInterval / 1000;
+        }
+    }
+
+    /**
+     * Fade the tone out
+     */
+    silence() {
+        if (this.audioContext && this.gainNode) {
+            const time = this.audioContext.currentTime;
+            this.gainNode.gain.cancelScheduledValues(time);
+            this.gainNode.gain.setTargetAtTime(0, time, 0.02);
+        }
+        this.nextBeepTime = 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioGuidance;
+}
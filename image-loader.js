@@ -0,0 +1,177 @@
+/**
+ * Image Loader - Loads still photos for analysis
+ * Returns an upright canvas, honoring the EXIF orientation of phone photos
+ */
+
+class ImageLoader {
+    /**
+     * Load an image file into a canvas with the correct orientation
+     */
+    static async load(file) {
+        if (!file || !file.type.startsWith('image/')) {
+            throw new Error('Please choose an image file.');
+        }
+
+        const buffer = await file.arrayBuffer();
+        const orientation = ImageLoader.readExifOrientation(buffer);
+
+        const url = URL.createObjectURL(file);
+        try {
+            const image = await ImageLoader.loadImage(url);
+
+            // Most current browsers already rotate <img> by EXIF; only rotate ourselves if not
+            const alreadyApplied = orientation === 1 || await ImageLoader.browserAppliesOrientation();
+            return ImageLoader.drawOriented(image, alreadyApplied ? 1 : orientation);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Load an image element from a URL
+     */
+    static loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('The image could not be decoded.'));
+            image.src = url;
+        });
+    }
+
+    /**
+     * Read the EXIF orientation tag (1-8) from JPEG data; 1 if missing
+     */
+    static readExifOrientation(buffer) {
+        const view = new DataView(buffer);
+
+        // JPEG files start with the SOI marker
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) {
+            return 1;
+        }
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            const length = view.getUint16(offset + 2);
+
+            // APP1 segment with "Exif\0\0" header
+            if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+                return ImageLoader.readTiffOrientation(view, offset + 10);
+            }
+
+            // Stop at start of scan or at anything that is not a marker
+            if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) {
+                break;
+            }
+            offset += 2 + length;
+        }
+
+        return 1;
+    }
+
+    /**
+     * Find the orientation tag in the first IFD of a TIFF block
+     */
+    static readTiffOrientation(view, tiffStart) {
+        if (tiffStart + 8 > view.byteLength) return 1;
+
+        const littleEndian = view.getUint16(tiffStart) === 0x4949; // "II"
+        const ifdOffset = view.getUint32(tiffStart + 4, littleEndian);
+        const ifdStart = tiffStart + ifdOffset;
+        if (ifdStart + 2 > view.byteLength) return 1;
+
+        const entries = view.getUint16(ifdStart, littleEndian);
+        for (let i = 0; i < entries; i++) {
+            const entry = ifdStart + 2 + i * 12;
+            if (entry + 12 > view.byteLength) break;
+
+            if (view.getUint16(entry, littleEndian) === 0x0112) {
+                const orientation = view.getUint16(entry + 8, littleEndian);
+                return orientation >= 1 && orientation <= 8 ? orientation : 1;
+            }
+        }
+
+        return 1;
+    }
+
+    /**
+     * Check once whether the browser rotates images by their EXIF orientation
+     * Decodes a 2x1 JPEG tagged with orientation 6 (rotate 90°) and checks its size
+     */
+    static async browserAppliesOrientation() {
+        if (ImageLoader.appliesOrientation !== undefined) {
+            return ImageLoader.appliesOrientation;
+        }
+
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = 2;
+            canvas.height = 1;
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg'));
+            const jpeg = new Uint8Array(await blob.arrayBuffer());
+
+            // APP1 Exif segment: big-endian TIFF with one IFD entry, Orientation = 6
+            const exif = new Uint8Array([
+                0xFF, 0xE1, 0x00, 0x22,
+                0x45, 0x78, 0x69, 0x66, 0x00, 0x00,
+                0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08,
+                0x00, 0x01,
+                0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00,
+                0x00, 0x00, 0x00, 0x00
+            ]);
+
+            // Insert right after the SOI marker
+            const tagged = new Uint8Array(jpeg.length + exif.length);
+            tagged.set(jpeg.subarray(0, 2), 0);
+            tagged.set(exif, 2);
+            tagged.set(jpeg.subarray(2), 2 + exif.length);
+
+            const url = URL.createObjectURL(new Blob([tagged], { type: 'image/jpeg' }));
+            try {
+                const image = await ImageLoader.loadImage(url);
+                ImageLoader.appliesOrientation = image.naturalWidth === 1 && image.naturalHeight === 2;
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+        } catch (error) {
+            console.warn('Could not test EXIF orientation support:', error);
+            ImageLoader.appliesOrientation = true;
+        }
+
+        return ImageLoader.appliesOrientation;
+    }
+
+    /**
+     * Draw an image to a new canvas, rotating/flipping for an EXIF orientation
+     */
+    static drawOriented(image, orientation) {
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        const swapsAxes = orientation >= 5;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = swapsAxes ? height : width;
+        canvas.height = swapsAxes ? width : height;
+        const ctx = canvas.getContext('2d');
+
+        switch (orientation) {
+            case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+            case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+            case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+            case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+            case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+            case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+            case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+            default: break;
+        }
+
+        ctx.drawImage(image, 0, 0);
+        return canvas;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageLoader;
+}
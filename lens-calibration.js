@@ -0,0 +1,561 @@
+/**
+ * Lens Calibration - Measures a camera's intrinsics and lens distortion from views of
+ * a checkerboard, and builds the maps FrameDetector uses to undistort frames
+ * Calibrations are stored per camera deviceId. OpenCV.js builds without
+ * findChessboardCorners/cornerSubPix use the JavaScript fallbacks below.
+ */
+
+class LensCalibration {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.storagePrefix = 'frameChecker.lensCalibration.';
+
+        this.boardSize = { columns: 9, rows: 6 }; // Inner corners of a 10×7 square board
+        this.minViews = 10; // Views captured before calibrating
+        this.minViewDistance = 0.08; // Mean corner movement (fraction of image width) for a new view
+        this.views = []; // Ordered corner lists of the captured views
+        this.imageSize = null;
+    }
+
+    /**
+     * Storage key for a camera
+     */
+    getStorageKey(deviceId) {
+        return this.storagePrefix + (deviceId || 'default');
+    }
+
+    /**
+     * Load the saved calibration of a camera, or null
+     */
+    load(deviceId) {
+        try {
+            const saved = this.storage && this.storage.getItem(this.getStorageKey(deviceId));
+            if (saved) {
+                const calibration = JSON.parse(saved);
+                if (calibration && Array.isArray(calibration.cameraMatrix) && Array.isArray(calibration.distCoeffs)) {
+                    return calibration;
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load lens calibration:', error);
+        }
+        return null;
+    }
+
+    /**
+     * Save a calibration for a camera
+     */
+    save(deviceId, calibration) {
+        try {
+            if (this.storage) {
+                this.storage.setItem(this.getStorageKey(deviceId), JSON.stringify(calibration));
+            }
+        } catch (error) {
+            console.warn('Could not save lens calibration:', error);
+        }
+    }
+
+    /**
+     * Remove the saved calibration of a camera
+     */
+    clear(deviceId) {
+        if (this.storage) {
+            this.storage.removeItem(this.getStorageKey(deviceId));
+        }
+    }
+
+    /**
+     * Start collecting views for a new calibration
+     */
+    reset() {
+        this.views = [];
+        this.imageSize = null;
+    }
+
+    /**
+     * Look for the board in a frame (cv.Mat) and keep it as a view if it differs
+     * enough from the views already captured
+     * Returns { corners (null if not found), added, count }
+     */
+    addView(src) {
+        const corners = this.findBoardCorners(src);
+        const result = { corners: corners, added: false, count: this.views.length };
+        if (!corners) {
+            return result;
+        }
+
+        if (this.imageSize && (this.imageSize.width !== src.cols || this.imageSize.height !== src.rows)) {
+            // Camera resolution changed mid-calibration: start over
+            this.views = [];
+        }
+        this.imageSize = { width: src.cols, height: src.rows };
+
+        const isNewPose = this.views.every(view => {
+            const movement = view.reduce((sum, p, i) => sum + Math.hypot(p.x - corners[i].x, p.y - corners[i].y), 0);
+            return movement / view.length > this.minViewDistance * src.cols;
+        });
+        if (isNewPose) {
+            this.views.push(corners);
+            result.added = true;
+        }
+        result.count = this.views.length;
+        return result;
+    }
+
+    /**
+     * Check whether enough views were captured
+     */
+    isReady() {
+        return this.views.length >= this.minViews;
+    }
+
+    /**
+     * Compute intrinsics and distortion from the captured views
+     * Returns { cameraMatrix, distCoeffs, imageSize, rmsError, views, calibratedAt }
+     */
+    calibrate() {
+        if (this.views.length < 3) {
+            throw new Error('At least 3 board views are needed');
+        }
+
+        const { columns, rows } = this.boardSize;
+        const boardPoints = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                boardPoints.push(column, row, 0);
+            }
+        }
+
+        const objectPoints = new cv.MatVector();
+        const imagePoints = new cv.MatVector();
+        const cameraMatrix = new cv.Mat();
+        const distCoeffs = new cv.Mat();
+        const rvecs = new cv.MatVector();
+        const tvecs = new cv.MatVector();
+        const stdDevIntrinsics = new cv.Mat();
+        const stdDevExtrinsics = new cv.Mat();
+        const perViewErrors = new cv.Mat();
+
+        try {
+            this.views.forEach(corners => {
+                const objectMat = cv.matFromArray(boardPoints.length / 3, 1, cv.CV_32FC3, boardPoints);
+                const imageMat = cv.matFromArray(corners.length, 1, cv.CV_32FC2,
+                    corners.flatMap(p => [p.x, p.y]));
+                objectPoints.push_back(objectMat);
+                imagePoints.push_back(imageMat);
+                objectMat.delete();
+                imageMat.delete();
+            });
+
+            // Phone lenses are fitted well by k1, k2 and tangential terms; k3 tends to overfit.
+            // cv.CALIB_FIX_K3 is shadowed by the fisheye flag of the same name (64 = fix k2)
+            // in OpenCV.js builds, so calib3d's value is used directly.
+            const CALIB_FIX_K3 = 128;
+            const criteria = new cv.TermCriteria(cv.TermCriteria_COUNT + cv.TermCriteria_EPS, 100, 1e-9);
+            const rmsError = cv.calibrateCameraExtended(objectPoints, imagePoints,
+                new cv.Size(this.imageSize.width, this.imageSize.height),
+                cameraMatrix, distCoeffs, rvecs, tvecs, stdDevIntrinsics, stdDevExtrinsics,
+                perViewErrors, CALIB_FIX_K3, criteria);
+
+            return {
+                cameraMatrix: Array.from(cameraMatrix.data64F),
+                distCoeffs: Array.from(distCoeffs.data64F),
+                imageSize: { ...this.imageSize },
+                rmsError: rmsError,
+                views: this.views.length,
+                calibratedAt: Date.now()
+            };
+        } finally {
+            [objectPoints, imagePoints, cameraMatrix, distCoeffs, rvecs, tvecs,
+                stdDevIntrinsics, stdDevExtrinsics, perViewErrors].forEach(mat => mat.delete());
+        }
+    }
+
+    /**
+     * Find the board's inner corners in a frame (cv.Mat, any channel count)
+     * Returns them row by row ({ x, y }), or null if the whole board is not visible
+     */
+    findBoardCorners(src) {
+        const gray = new cv.Mat();
+        if (src.channels() === 4) {
+            cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+        } else if (src.channels() === 3) {
+            cv.cvtColor(src, gray, cv.COLOR_RGB2GRAY);
+        } else {
+            src.copyTo(gray);
+        }
+
+        try {
+            let corners = null;
+            if (typeof cv.findChessboardCorners === 'function') {
+                const found = new cv.Mat();
+                const patternSize = new cv.Size(this.boardSize.columns, this.boardSize.rows);
+                if (cv.findChessboardCorners(gray, patternSize, found)) {
+                    corners = [];
+                    for (let i = 0; i < found.rows; i++) {
+                        corners.push({ x: found.data32F[i * 2], y: found.data32F[i * 2 + 1] });
+                    }
+                }
+                found.delete();
+            } else {
+                corners = this.findBoardCornersFallback(gray);
+            }
+
+            return corners ? this.refineCorners(gray, corners) : null;
+        } finally {
+            gray.delete();
+        }
+    }
+
+    /**
+     * Checkerboard corners without findChessboardCorners
+     * Dark squares are separated by a small erosion and approximated by quads; each
+     * inner corner is where two dark squares meet diagonally, and a homography from
+     * the outermost corners to the board grid puts them in order.
+     */
+    findBoardCornersFallback(gray) {
+        const binary = new cv.Mat();
+        const kernel = cv.Mat.ones(3, 3, cv.CV_8U);
+        const contours = new cv.MatVector();
+        const hierarchy = new cv.Mat();
+        const quads = [];
+
+        try {
+            // Dark squares become white blobs; the block covers several squares
+            const blockSize = Math.max(3, Math.round(Math.min(gray.cols, gray.rows) / 8) | 1);
+            cv.adaptiveThreshold(gray, binary, 255, cv.ADAPTIVE_THRESH_MEAN_C, cv.THRESH_BINARY_INV, blockSize, 0);
+            cv.erode(binary, binary, kernel, new cv.Point(-1, -1), 2);
+            cv.findContours(binary, contours, hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_SIMPLE);
+
+            const minArea = gray.cols * gray.rows * 0.0002;
+            for (let i = 0; i < contours.size(); i++) {
+                const contour = contours.get(i);
+                const area = cv.contourArea(contour);
+                if (area >= minArea) {
+                    const approx = new cv.Mat();
+                    cv.approxPolyDP(contour, approx, 0.08 * cv.arcLength(contour, true), true);
+                    if (approx.rows === 4 && cv.isContourConvex(approx)) {
+                        const points = [];
+                        for (let j = 0; j < 4; j++) {
+                            points.push({ x: approx.data32S[j * 2], y: approx.data32S[j * 2 + 1] });
+                        }
+                        quads.push({ points: points, side: Math.sqrt(area) });
+                    }
+                    approx.delete();
+                }
+                contour.delete();
+            }
+        } finally {
+            binary.delete();
+            kernel.delete();
+            contours.delete();
+            hierarchy.delete();
+        }
+
+        // Squares of the board have similar sizes
+        if (quads.length === 0) {
+            return null;
+        }
+        const sides = quads.map(q => q.side).sort((a, b) => a - b);
+        const medianSide = sides[Math.floor(sides.length / 2)];
+        const boardQuads = quads.filter(q => q.side > medianSide * 0.5 && q.side < medianSide * 2);
+
+        const points = this.matchQuadCorners(boardQuads);
+        const expected = this.boardSize.columns * this.boardSize.rows;
+        return points.length === expected ? this.orderGrid(points) : null;
+    }
+
+    /**
+     * Inner corners: vertices of two different quads that are each other's nearest
+     */
+    matchQuadCorners(quads) {
+        const vertices = [];
+        quads.forEach((quad, quadIndex) => {
+            quad.points.forEach(p => vertices.push({ x: p.x, y: p.y, quadIndex: quadIndex, side: quad.side }));
+        });
+
+        const nearest = vertices.map((v, i) => {
+            let best = -1;
+            let bestDistance = Infinity;
+            vertices.forEach((w, j) => {
+                if (w.quadIndex === v.quadIndex) return;
+                const distance = Math.hypot(v.x - w.x, v.y - w.y);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = j;
+                }
+            });
+            return { index: best, distance: bestDistance };
+        });
+
+        const corners = [];
+        nearest.forEach((match, i) => {
+            const j = match.index;
+            if (j > i && nearest[j].index === i &&
+                match.distance < 0.6 * Math.min(vertices[i].side, vertices[j].side)) {
+                corners.push({ x: (vertices[i].x + vertices[j].x) / 2, y: (vertices[i].y + vertices[j].y) / 2 });
+            }
+        });
+        return corners;
+    }
+
+    /**
+     * Put corner points into board order (row by row)
+     * The four sharpest turns of the convex hull are the board's outer corners; the
+     * homography that maps them to the grid must land every point on a grid cell.
+     */
+    orderGrid(points) {
+        const hull = LensCalibration.convexHull(points);
+        if (hull.length < 4) {
+            return null;
+        }
+
+        // Turning angle at each hull vertex; edge points barely turn
+        const turns = hull.map((p, i) => {
+            const prev = hull[(i + hull.length - 1) % hull.length];
+            const next = hull[(i + 1) % hull.length];
+            const a = Math.atan2(p.y - prev.y, p.x - prev.x);
+            const b = Math.atan2(next.y - p.y, next.x - p.x);
+            let turn = Math.abs(b - a);
+            if (turn > Math.PI) turn = 2 * Math.PI - turn;
+            return { index: i, turn: turn };
+        });
+        const outer = turns
+            .sort((a, b) => b.turn - a.turn)
+            .slice(0, 4)
+            .sort((a, b) => a.index - b.index)
+            .map(t => hull[t.index]);
+
+        const { columns, rows } = this.boardSize;
+        const grid = [
+            { x: 0, y: 0 },
+            { x: columns - 1, y: 0 },
+            { x: columns - 1, y: rows - 1 },
+            { x: 0, y: rows - 1 }
+        ];
+
+        // The hull is clockwise (y down), like the grid corners; try both starting corners
+        let best = null;
+        for (let start = 0; start < 2; start++) {
+            const rotated = [0, 1, 2, 3].map(k => outer[(k + start) % 4]);
+            const homography = LensCalibration.getPerspectiveTransform(rotated, grid);
+            const cells = new Array(columns * rows).fill(null);
+            let maxError = 0;
+
+            for (const p of points) {
+                const g = LensCalibration.applyHomography(homography, p);
+                const column = Math.round(g.x);
+                const row = Math.round(g.y);
+                maxError = Math.max(maxError, Math.hypot(g.x - column, g.y - row));
+                if (column < 0 || column >= columns || row < 0 || row >= rows || cells[row * columns + column]) {
+                    maxError = Infinity;
+                    break;
+                }
+                cells[row * columns + column] = p;
+            }
+
+            if (maxError < 0.3 && (!best || maxError < best.error)) {
+                best = { error: maxError, cells: cells };
+            }
+        }
+
+        return best ? best.cells : null;
+    }
+
+    /**
+     * Refine corners to sub-pixel accuracy
+     * Uses cv.cornerSubPix where available; otherwise the same idea in JavaScript:
+     * the corner q is where every gradient g in the window is orthogonal to (p - q),
+     * solved from sum(g gᵀ) q = sum(g gᵀ p) a few times.
+     */
+    refineCorners(gray, corners) {
+        const spacing = Math.hypot(corners[1].x - corners[0].x, corners[1].y - corners[0].y);
+        const radius = Math.max(2, Math.min(8, Math.round(spacing / 4)));
+
+        if (typeof cv.cornerSubPix === 'function') {
+            const mat = cv.matFromArray(corners.length, 1, cv.CV_32FC2, corners.flatMap(p => [p.x, p.y]));
+            const criteria = new cv.TermCriteria(cv.TermCriteria_COUNT + cv.TermCriteria_EPS, 30, 0.01);
+            cv.cornerSubPix(gray, mat, new cv.Size(radius, radius), new cv.Size(-1, -1), criteria);
+            const refined = corners.map((p, i) => ({ x: mat.data32F[i * 2], y: mat.data32F[i * 2 + 1] }));
+            mat.delete();
+            return refined;
+        }
+
+        const gx = new cv.Mat();
+        const gy = new cv.Mat();
+        cv.Sobel(gray, gx, cv.CV_32F, 1, 0, 3);
+        cv.Sobel(gray, gy, cv.CV_32F, 0, 1, 3);
+        const width = gray.cols;
+        const height = gray.rows;
+        const sigma = radius / 2;
+
+        const refined = corners.map(corner => {
+            let q = { ...corner };
+            for (let iteration = 0; iteration < 10; iteration++) {
+                const cx = Math.round(q.x);
+                const cy = Math.round(q.y);
+                let a11 = 0, a12 = 0, a22 = 0, b1 = 0, b2 = 0;
+
+                for (let dy = -radius; dy <= radius; dy++) {
+                    for (let dx = -radius; dx <= radius; dx++) {
+                        const x = cx + dx;
+                        const y = cy + dy;
+                        if (x < 1 || y < 1 || x >= width - 1 || y >= height - 1) continue;
+
+                        const weight = Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma));
+                        const ix = gx.data32F[y * width + x];
+                        const iy = gy.data32F[y * width + x];
+                        const xx = weight * ix * ix;
+                        const xy = weight * ix * iy;
+                        const yy = weight * iy * iy;
+                        a11 += xx;
+                        a12 += xy;
+                        a22 += yy;
+                        b1 += xx * x + xy * y;
+                        b2 += xy * x + yy * y;
+                    }
+                }
+
+                const det = a11 * a22 - a12 * a12;
+                if (Math.abs(det) < 1e-9) break;
+                const next = { x: (a22 * b1 - a12 * b2) / det, y: (a11 * b2 - a12 * b1) / det };
+                const shift = Math.hypot(next.x - q.x, next.y - q.y);
+                if (shift > radius) break; // Diverging: keep the last good estimate
+                q = next;
+                if (shift < 0.01) break;
+            }
+            return q;
+        });
+
+        gx.delete();
+        gy.delete();
+        return refined;
+    }
+
+    /**
+     * Draw the found corners row by row (like OpenCV's drawChessboardCorners)
+     */
+    drawCorners(canvasElement, corners) {
+        if (!corners) return;
+
+        const ctx = canvasElement.getContext('2d');
+        const { columns } = this.boardSize;
+        const colors = ['#ff0000', '#ff8000', '#ffff00', '#00ff00', '#00c0ff', '#8040ff'];
+
+        ctx.save();
+        ctx.lineWidth = 2;
+        for (let row = 0; row * columns < corners.length; row++) {
+            const rowPoints = corners.slice(row * columns, (row + 1) * columns);
+            ctx.strokeStyle = colors[row % colors.length];
+            ctx.fillStyle = colors[row % colors.length];
+            ctx.beginPath();
+            rowPoints.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.stroke();
+            rowPoints.forEach(p => {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 4, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Undistortion maps for a frame size; the caller deletes map1 and map2
+     * The intrinsics are scaled when the frame size differs from the calibrated one.
+     */
+    static createUndistortMaps(calibration, width, height) {
+        const m = calibration.cameraMatrix.slice();
+        const { imageSize } = calibration;
+        if (imageSize && (imageSize.width !== width || imageSize.height !== height)) {
+            const scaleX = width / imageSize.width;
+            const scaleY = height / imageSize.height;
+            if (Math.abs(scaleX - scaleY) > 0.01) {
+                console.warn('Frame aspect ratio differs from the lens calibration; undistortion is approximate');
+            }
+            m[0] *= scaleX;
+            m[2] *= scaleX;
+            m[4] *= scaleY;
+            m[5] *= scaleY;
+        }
+
+        const cameraMatrix = cv.matFromArray(3, 3, cv.CV_64F, m);
+        const distCoeffs = cv.matFromArray(1, calibration.distCoeffs.length, cv.CV_64F, calibration.distCoeffs);
+        const identity = cv.Mat.eye(3, 3, cv.CV_64F);
+        const map1 = new cv.Mat();
+        const map2 = new cv.Mat();
+
+        // Keep the original camera matrix, so frame coordinates keep their scale
+        cv.initUndistortRectifyMap(cameraMatrix, distCoeffs, identity, cameraMatrix,
+            new cv.Size(width, height), cv.CV_32FC1, map1, map2);
+
+        cameraMatrix.delete();
+        distCoeffs.delete();
+        identity.delete();
+        return { width: width, height: height, map1: map1, map2: map2 };
+    }
+
+    /**
+     * Check whether any corner lies within `margin` (fraction of the shorter side) of the image border
+     */
+    static isNearBorder(corners, width, height, margin = 0.05) {
+        const distance = Math.min(width, height) * margin;
+        return corners.some(p => p.x < distance || p.y < distance ||
+            p.x > width - distance || p.y > height - distance);
+    }
+
+    /**
+     * Convex hull (clockwise in image coordinates, y down), monotone chain
+     */
+    static convexHull(points) {
+        const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+        if (sorted.length < 3) {
+            return sorted;
+        }
+
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const lower = [];
+        const upper = [];
+        sorted.forEach(p => {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+            lower.push(p);
+        });
+        sorted.slice().reverse().forEach(p => {
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+            upper.push(p);
+        });
+
+        // Counterclockwise in y-up terms is clockwise on screen
+        return lower.slice(0, -1).concat(upper.slice(0, -1));
+    }
+
+    /**
+     * 3×3 homography (row-major array) mapping four points onto four others
+     */
+    static getPerspectiveTransform(from, to) {
+        const src = cv.matFromArray(4, 1, cv.CV_32FC2, from.flatMap(p => [p.x, p.y]));
+        const dst = cv.matFromArray(4, 1, cv.CV_32FC2, to.flatMap(p => [p.x, p.y]));
+        const transform = cv.getPerspectiveTransform(src, dst);
+        const h = Array.from(transform.data64F);
+        src.delete();
+        dst.delete();
+        transform.delete();
+        return h;
+    }
+
+    /**
+     * Map a point through a row-major 3×3 homography
+     */
+    static applyHomography(h, p) {
+        const w = h[6] * p.x + h[7] * p.y + h[8];
+        return {
+            x: (h[0] * p.x + h[1] * p.y + h[2]) / w,
+            y: (h[3] * p.x + h[4] * p.y + h[5]) / w
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LensCalibration;
+}
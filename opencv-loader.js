@@ -0,0 +1,148 @@
+/**
+ * OpenCV Loader - Loads OpenCV.js from the locally served build, falling back to the CDN
+ * Works on the main thread (script tag) and in the detection worker (importScripts), and
+ * gives up with an error after a timeout instead of waiting forever without a signal.
+ * In the worker importScripts blocks until the file has arrived, so the timeout only
+ * covers the runtime start there; DetectorWorkerClient's initTimeout catches a stalled download.
+ */
+
+class OpenCvLoader {
+    /**
+     * @param {string[]} sources - URLs to try in order
+     * @param {Function} loadScript - Loads one URL; returns a promise (or throws)
+     */
+    constructor(sources = OpenCvLoader.getDefaultSources(), loadScript = OpenCvLoader.getScriptLoader()) {
+        this.sources = sources;
+        this.loadScript = loadScript;
+        this.timeout = 20000; // ms per source, for downloading and starting the WASM runtime
+        this.source = null; // The URL OpenCV.js was loaded from
+        this.runtime = null; // The ready cv, put back if a timed-out script still runs later
+    }
+
+    /**
+     * The bundled build (served with the app and precached for offline use), then the CDN
+     */
+    static getDefaultSources() {
+        return ['lib/opencv.js', 'https://docs.opencv.org/4.5.2/opencv.js'];
+    }
+
+    /**
+     * Script loader for the current context: importScripts in a worker, a script tag otherwise
+     * The script tag loader sets `attempt.cancel(onLateLoad)`, which removes the tag after a
+     * timeout. A removed script that was already requested still runs when it arrives, so
+     * `onLateLoad` is called then. importScripts is synchronous and has nothing to cancel.
+     */
+    static getScriptLoader() {
+        if (typeof importScripts === 'function' && typeof document === 'undefined') {
+            return url => importScripts(url);
+        }
+        return (url, attempt = {}) => new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.async = true;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`could not load ${url}`));
+            document.head.appendChild(script);
+
+            attempt.cancel = onLateLoad => {
+                script.onload = onLateLoad;
+                script.onerror = null;
+                script.remove();
+            };
+        });
+    }
+
+    /**
+     * Load OpenCV.js and wait for its runtime
+     * Resolves with the URL it was loaded from (the global cv is then ready); rejects once
+     * every source has failed or timed out. The cv Module is thenable, so it is never
+     * passed through a promise itself.
+     * @param {Function} onSourceFailed - Called with (url, error) before the next source is tried
+     */
+    async load(onSourceFailed = null) {
+        const failures = [];
+
+        for (const url of this.sources) {
+            const attempt = { cancel: null };
+            try {
+                await OpenCvLoader.withTimeout(
+                    Promise.resolve().then(() => this.loadScript(url, attempt)).then(() => OpenCvLoader.waitForRuntime()),
+                    this.timeout,
+                    `timed out after ${Math.round(this.timeout / 1000)} s`
+                );
+                this.source = url;
+                this.runtime = OpenCvLoader.getScope().cv;
+                return url;
+            } catch (error) {
+                // A script that arrives after all would replace the next source's cv with its own
+                if (attempt.cancel) {
+                    attempt.cancel(() => {
+                        if (this.runtime) {
+                            OpenCvLoader.getScope().cv = this.runtime;
+                        }
+                    });
+                }
+                failures.push(`${url}: ${error.message}`);
+                if (onSourceFailed) {
+                    onSourceFailed(url, error);
+                }
+            }
+        }
+
+        throw new Error(`OpenCV.js could not be loaded (${failures.join('; ')})`);
+    }
+
+    /**
+     * Wait until the global cv is usable
+     * Newer builds expose a promise, older ones a Module with onRuntimeInitialized.
+     * Resolves with nothing; use the global cv afterwards (it is the runtime waited for,
+     * even if another script redefined cv meanwhile).
+     */
+    static async waitForRuntime() {
+        const scope = OpenCvLoader.getScope();
+        if (typeof scope.cv === 'undefined') {
+            throw new Error('script did not define cv');
+        }
+
+        if (scope.cv instanceof Promise) {
+            scope.cv = await scope.cv;
+        } else if (!scope.cv.Mat) {
+            const module = scope.cv;
+            await new Promise(resolve => {
+                // Runs once, then hands the hook back to whatever was set before
+                const previous = module.onRuntimeInitialized;
+                module.onRuntimeInitialized = () => {
+                    module.onRuntimeInitialized = previous;
+                    if (typeof previous === 'function') {
+                        previous();
+                    }
+                    resolve();
+                };
+            });
+            scope.cv = module;
+        }
+    }
+
+    /**
+     * Global scope of the page or worker
+     */
+    static getScope() {
+        return typeof self !== 'undefined' ? self : globalThis;
+    }
+
+    /**
+     * Reject with `message` if the promise has not settled within `ms`
+     */
+    static withTimeout(promise, ms, message) {
+        let timeoutId;
+        const timeout = new Promise((resolve, reject) => {
+            timeoutId = setTimeout(() => reject(new Error(message)), ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpenCvLoader;
+}
@@ -0,0 +1,246 @@
+/**
+ * Sensor Calibration - Two-position zero-offset calibration for the orientation sensors
+ * The phone is measured lying on a level surface, turned 180° on the spot and measured again.
+ * A sensor offset reads the same in both positions while the surface's own slope changes
+ * sign, so offset = (first + second) / 2 per axis, independent of how level the surface is.
+ */
+
+class SensorCalibration {
+    constructor(sensorManager, storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.sensorManager = sensorManager;
+        this.storage = storage;
+        this.storageKey = `frameChecker.sensorCalibration.${SensorCalibration.getDeviceKey()}`;
+
+        this.axes = ['beta', 'gamma']; // Orientation axes that get an offset
+        this.settleTime = 1000; // ms to wait after the tap before measuring
+        this.measureTime = 2000; // ms of readings averaged per position
+        this.minSamples = 10; // Fewer readings than this means the sensor is not delivering data
+        this.maxDeviation = 0.5; // Max standard deviation (degrees) of a steady reading
+        this.maxSurfaceTilt = 5; // A surface sloping more than this is not "level"
+        this.maxFlatTilt = 10; // Both axes must be near 0°, i.e. the phone lies flat
+
+        this.firstPosition = null; // Averaged reading of the first position while waiting for the flip
+        this.record = null; // { offsets, surfaceTilt, calibratedAt }
+    }
+
+    /**
+     * Identify this device, so offsets are not shared between phones (e.g., synced storage)
+     */
+    static getDeviceKey() {
+        const ua = typeof navigator !== 'undefined' ? navigator.userAgent : 'unknown';
+        const screenSize = typeof screen !== 'undefined' ? `${screen.width}x${screen.height}` : '';
+        const text = `${ua}|${screenSize}`;
+
+        // Short FNV-1a hash of the description
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    /**
+     * Load saved offsets for this device and apply them
+     */
+    load() {
+        this.record = null;
+
+        try {
+            const saved = this.storage && this.storage.getItem(this.storageKey);
+            if (saved) {
+                const record = JSON.parse(saved);
+                if (record && record.offsets && typeof record.calibratedAt === 'number') {
+                    this.record = record;
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load sensor calibration:', error);
+        }
+
+        this.sensorManager.setCalibrationOffsets(this.record ? this.record.offsets : null);
+        return this.record;
+    }
+
+    /**
+     * Measure the first position (phone flat on the surface)
+     */
+    async measureFirstPosition() {
+        this.firstPosition = null;
+        this.firstPosition = await this.measure();
+        return this.firstPosition;
+    }
+
+    /**
+     * Measure the second position (turned 180°), then compute, save and apply the offsets
+     */
+    async measureSecondPosition() {
+        if (!this.firstPosition) {
+            throw new Error('Measure the first position before the flipped one');
+        }
+
+        const first = this.firstPosition;
+        const second = await this.measure();
+
+        // Turning the phone on the spot changes the compass heading by about 180°
+        const turnError = Math.abs((((second.alpha - first.alpha) % 360) + 360) % 360 - 180);
+        if (turnError > 30) {
+            throw new Error('Turn the phone 180° on the same spot before measuring again');
+        }
+
+        const offsets = {};
+        const surfaceTilt = {};
+        this.axes.forEach(axis => {
+            offsets[axis] = (first[axis] + second[axis]) / 2;
+            surfaceTilt[axis] = (first[axis] - second[axis]) / 2;
+        });
+
+        if (this.axes.some(axis => Math.abs(surfaceTilt[axis]) > this.maxSurfaceTilt)) {
+            throw new Error('The surface is not level enough for calibration');
+        }
+
+        this.firstPosition = null;
+        this.record = {
+            offsets: offsets,
+            surfaceTilt: surfaceTilt,
+            calibratedAt: Date.now()
+        };
+        this.save();
+        this.sensorManager.setCalibrationOffsets(offsets);
+
+        return this.record;
+    }
+
+    /**
+     * Average raw readings over measureTime after settleTime
+     * Resolves with { alpha, beta, gamma }; rejects if the phone moves or is not flat
+     */
+    async measure() {
+        await new Promise(resolve => setTimeout(resolve, this.settleTime));
+
+        const samples = [];
+        const listener = reading => samples.push({ ...reading });
+        this.sensorManager.addReadingListener(listener);
+        try {
+            await new Promise(resolve => setTimeout(resolve, this.measureTime));
+        } finally {
+            this.sensorManager.removeReadingListener(listener);
+        }
+
+        if (samples.length < this.minSamples) {
+            throw new Error('No sensor readings received');
+        }
+
+        const average = { alpha: this.circularMean(samples.map(s => s.alpha)) };
+        this.axes.forEach(axis => {
+            const values = samples.map(s => s[axis]);
+            const mean = values.reduce((a, b) => a + b, 0) / values.length;
+            const deviation = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+
+            if (deviation > this.maxDeviation) {
+                throw new Error('Keep the phone still while measuring');
+            }
+            if (Math.abs(mean) > this.maxFlatTilt) {
+                throw new Error('Lay the phone flat on a level surface');
+            }
+            average[axis] = mean;
+        });
+
+        return average;
+    }
+
+    /**
+     * Mean of compass angles (degrees), correct across the 0°/360° wrap
+     */
+    circularMean(angles) {
+        const rad = Math.PI / 180;
+        const sin = angles.reduce((sum, a) => sum + Math.sin(a * rad), 0);
+        const cos = angles.reduce((sum, a) => sum + Math.cos(a * rad), 0);
+        return (Math.atan2(sin, cos) / rad + 360) % 360;
+    }
+
+    /**
+     * Abort a calibration waiting for the second position
+     */
+    cancel() {
+        this.firstPosition = null;
+    }
+
+    /**
+     * Remove the saved calibration for this device
+     */
+    clear() {
+        this.firstPosition = null;
+        this.record = null;
+        if (this.storage) {
+            this.storage.removeItem(this.storageKey);
+        }
+        this.sensorManager.setCalibrationOffsets(null);
+    }
+
+    /**
+     * Persist the current calibration
+     */
+    save() {
+        try {
+            if (this.storage) {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.record));
+            }
+        } catch (error) {
+            console.warn('Could not save sensor calibration:', error);
+        }
+    }
+
+    /**
+     * Check whether offsets are applied
+     */
+    isCalibrated() {
+        return this.record !== null;
+    }
+
+    /**
+     * Check whether the first position was measured and the flip is pending
+     */
+    isAwaitingSecondPosition() {
+        return this.firstPosition !== null;
+    }
+
+    /**
+     * Human-readable calibration status with age, e.g. "Calibrated 3 days ago (β +0.4°, γ -0.9°)"
+     */
+    getStatusText(now = Date.now()) {
+        if (!this.record) {
+            return 'Sensors not calibrated';
+        }
+
+        const symbols = { beta: 'β', gamma: 'γ' };
+        const offsets = this.axes
+            .map(axis => {
+                const value = this.record.offsets[axis] || 0;
+                return `${symbols[axis] || axis} ${value >= 0 ? '+' : ''}${value.toFixed(1)}°`;
+            })
+            .join(', ');
+
+        return `Calibrated ${SensorCalibration.formatAge(now - this.record.calibratedAt)} (${offsets})`;
+    }
+
+    /**
+     * Format an age in ms as "just now", "5 min ago", "3 days ago", ...
+     */
+    static formatAge(ms) {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours} h ago`;
+
+        const days = Math.floor(hours / 24);
+        return days === 1 ? '1 day ago' : `${days} days ago`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SensorCalibration;
+}
@@ -1,6 +1,15 @@
 /**
  * Sensor Manager - Handles device orientation/gyroscope sensors
  * Provides smoothed device orientation data for tilt compensation
+ *
+ * Two backends deliver the readings:
+ * - 'orientation': deviceorientation Euler angles (beta/gamma)
+ * - 'motion': gravity from devicemotion fused with the gyroscope in a complementary
+ *   filter, giving the camera roll around the viewing axis in any pose
+ *
+ * Device tilt is reported in the camera image's frame: the device roll is turned by
+ * the screen rotation (the browser rotates the video with the screen) and flipped
+ * for a front camera, which looks the other way.
  */
 
 class SensorManager {
@@ -19,7 +28,8 @@ class SensorManager {
         // Smoothed sensor data using exponential moving average
         this.smoothedOrientation = {
             beta: 0,
-            gamma: 0
+            gamma: 0,
+            roll: 0
         };
         
         // Smoothing configuration
@@ -29,13 +39,51 @@ class SensorManager {
         // Circular buffer for additional smoothing (rolling average)
         this.orientationBuffer = {
             beta: [],
-            gamma: []
+            gamma: [],
+            roll: []
         };
         this.bufferSize = 10; // Number of readings to average
         
         // Deadband for stable reading (helps with minor hand shake)
         this.deadbandSize = 0.5; // degrees
-        this.lastStableOrientation = { beta: 0, gamma: 0 };
+        this.lastStableOrientation = { beta: 0, gamma: 0, roll: 0 };
+
+        // Reading source: 'orientation' (deviceorientation) or 'motion' (devicemotion + gyroscope)
+        this.backend = 'orientation';
+        this.isMotionSupported = false;
+
+        // Complementary filter state for the motion backend
+        this.gyroWeight = 0.98; // Share of the gyro-propagated gravity per update
+        this.accelerationTolerance = 0.15; // Skip the accelerometer when |a| is off g by more than this
+        this.maxGyroStep = 0.1; // Longest gap (s) integrated from the gyroscope
+        this.gravity = null; // Filtered unit "up" vector in device coordinates
+        this.heading = 0; // Integrated rotation about the screen normal (degrees)
+        this.lastMotionTime = null;
+
+        // Camera image frame
+        this.screenAngle = 0; // screen.orientation.angle: 0, 90, 180 or 270
+        this.facingMode = 'environment'; // 'environment' (back) or 'user' (front) camera
+        this.minScreenGravity = 0.17; // Below sin(10°) of gravity in the screen plane the phone lies flat and roll is undefined
+        this.onScreenAngleChange = null; // Called with the new angle (e.g., session recorder)
+
+        // Zero offsets from SensorCalibration, subtracted from beta/gamma
+        this.calibrationOffsets = { beta: 0, gamma: 0 };
+        this.isCalibrated = false;
+
+        // Tilt noise (standard deviation, degrees) reported to the fusion, before hand jitter
+        this.tiltNoise = 1.0; // Uncalibrated: zero offset of typical phone sensors
+        this.calibratedTiltNoise = 0.3;
+
+        // Event handler bound once, so stop() can remove the same function
+        this.boundHandleOrientation = this.handleOrientation.bind(this);
+        this.boundHandleMotion = this.handleMotion.bind(this);
+        this.boundUpdateScreenAngle = this.updateScreenAngle.bind(this);
+
+        // Listeners notified with every raw reading (e.g., session recorder)
+        this.readingListeners = [];
+
+        // Replay mode: readings are injected instead of coming from the device
+        this.isReplaying = false;
         
         // Check support
         this.checkSupport();
@@ -59,6 +107,8 @@ class SensorManager {
         } else {
             console.log('Device orientation API not supported');
         }
+
+        this.isMotionSupported = !!window.DeviceMotionEvent;
         
         return this.isSupported;
     }
@@ -72,9 +122,10 @@ class SensorManager {
         }
 
         // Check if permission is required (iOS 13+)
-        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+        const PermissionEvent = this.backend === 'motion' ? DeviceMotionEvent : DeviceOrientationEvent;
+        if (typeof PermissionEvent.requestPermission === 'function') {
             try {
-                const permissionState = await DeviceOrientationEvent.requestPermission();
+                const permissionState = await PermissionEvent.requestPermission();
                 this.isPermissionGranted = (permissionState === 'granted');
                 
                 if (!this.isPermissionGranted) {
@@ -112,24 +163,186 @@ class SensorManager {
         }
 
         // Start listening to orientation changes
-        window.addEventListener('deviceorientation', this.handleOrientation.bind(this), true);
+        this.addDeviceListener();
+        this.addScreenListener();
         this.isActive = true;
         
-        console.log('Sensor manager started');
+        console.log(`Sensor manager started (${this.backend} backend)`);
         return true;
     }
 
+    /**
+     * Listen to the events of the current backend
+     */
+    addDeviceListener() {
+        if (this.backend === 'motion') {
+            window.addEventListener('devicemotion', this.boundHandleMotion, true);
+        } else {
+            window.addEventListener('deviceorientation', this.boundHandleOrientation, true);
+        }
+    }
+
+    /**
+     * Stop listening to the events of the current backend
+     */
+    removeDeviceListener() {
+        if (this.backend === 'motion') {
+            window.removeEventListener('devicemotion', this.boundHandleMotion, true);
+        } else {
+            window.removeEventListener('deviceorientation', this.boundHandleOrientation, true);
+        }
+    }
+
+    /**
+     * Follow screen rotation (orientationchange, and screen.orientation where available)
+     */
+    addScreenListener() {
+        this.updateScreenAngle();
+        window.addEventListener('orientationchange', this.boundUpdateScreenAngle);
+        if (typeof screen !== 'undefined' && screen.orientation && screen.orientation.addEventListener) {
+            screen.orientation.addEventListener('change', this.boundUpdateScreenAngle);
+        }
+    }
+
+    /**
+     * Stop following screen rotation
+     */
+    removeScreenListener() {
+        window.removeEventListener('orientationchange', this.boundUpdateScreenAngle);
+        if (typeof screen !== 'undefined' && screen.orientation && screen.orientation.removeEventListener) {
+            screen.orientation.removeEventListener('change', this.boundUpdateScreenAngle);
+        }
+    }
+
+    /**
+     * Read the current screen rotation
+     */
+    updateScreenAngle() {
+        this.setScreenAngle(SensorManager.getScreenAngle());
+    }
+
+    /**
+     * Current screen rotation in degrees (0, 90, 180, 270)
+     * Falls back to the deprecated window.orientation (-90 = 270) on older iOS
+     */
+    static getScreenAngle() {
+        if (typeof screen !== 'undefined' && screen.orientation && typeof screen.orientation.angle === 'number') {
+            return screen.orientation.angle;
+        }
+        if (typeof window !== 'undefined' && typeof window.orientation === 'number') {
+            return window.orientation;
+        }
+        return 0;
+    }
+
+    /**
+     * Set the screen rotation the camera image is shown in
+     */
+    setScreenAngle(angle) {
+        const normalized = ((Math.round(angle / 90) * 90) % 360 + 360) % 360;
+        if (normalized === this.screenAngle) {
+            return;
+        }
+        this.screenAngle = normalized;
+        console.log(`Screen rotation: ${normalized}°`);
+        if (this.onScreenAngleChange) {
+            this.onScreenAngleChange(normalized);
+        }
+    }
+
+    /**
+     * Set the facing mode of the camera in use ('environment' or 'user')
+     */
+    setFacingMode(facingMode) {
+        this.facingMode = facingMode === 'user' ? 'user' : 'environment';
+    }
+
+    /**
+     * Select the reading source: 'orientation' or 'motion'
+     * Switches the event listener when active; smoothing starts over.
+     */
+    setBackend(backend) {
+        if (!['orientation', 'motion'].includes(backend) || backend === this.backend) {
+            return;
+        }
+        if (backend === 'motion' && !this.isMotionSupported && !this.isReplaying) {
+            console.warn('DeviceMotion not supported - keeping orientation backend');
+            return;
+        }
+
+        const listening = this.isActive && !this.isReplaying;
+        if (listening) {
+            this.removeDeviceListener();
+        }
+        this.backend = backend;
+        this.reset();
+        if (listening) {
+            this.addDeviceListener();
+        }
+        console.log(`Sensor backend: ${backend}`);
+    }
+
     /**
      * Stop listening to device orientation events
      */
     stop() {
         if (this.isActive) {
-            window.removeEventListener('deviceorientation', this.handleOrientation.bind(this), true);
+            if (!this.isReplaying) {
+                this.removeDeviceListener();
+                this.removeScreenListener();
+            }
             this.isActive = false;
+            this.isReplaying = false;
             console.log('Sensor manager stopped');
         }
     }
 
+    /**
+     * Start replay mode: readings come from injectReading() instead of the device
+     */
+    startReplay() {
+        this.stop();
+        this.reset();
+        this.isReplaying = true;
+        this.isActive = true;
+        this.isPermissionGranted = true;
+        console.log('Sensor manager replaying recorded readings');
+    }
+
+    /**
+     * Feed a recorded reading through the smoothing pipeline
+     * Readings with a gravity vector were recorded from the motion backend and go
+     * through the complementary filter again ({ t, gravity, rotationRate }).
+     */
+    injectReading(reading) {
+        if (!this.isReplaying) {
+            return;
+        }
+        if (reading.gravity) {
+            this.handleMotion({
+                accelerationIncludingGravity: reading.gravity,
+                rotationRate: reading.rotationRate || null,
+                timeStamp: reading.t
+            });
+        } else {
+            this.handleOrientation(reading);
+        }
+    }
+
+    /**
+     * Register a listener for raw readings
+     */
+    addReadingListener(listener) {
+        this.readingListeners.push(listener);
+    }
+
+    /**
+     * Remove a raw reading listener
+     */
+    removeReadingListener(listener) {
+        this.readingListeners = this.readingListeners.filter(l => l !== listener);
+    }
+
     /**
      * Handle device orientation event
      */
@@ -145,23 +358,151 @@ class SensorManager {
             gamma: event.gamma || 0
         };
 
+        this.readingListeners.forEach(listener => listener(this.deviceOrientation));
+
         // Apply multi-stage smoothing
         this.applySmoothing();
     }
 
+    /**
+     * Handle device motion event (motion backend)
+     * The gravity estimate is rotated by the gyroscope and pulled toward the
+     * accelerometer's gravity, which is trusted only while |a| is close to g.
+     */
+    handleMotion(event) {
+        const acceleration = event && event.accelerationIncludingGravity;
+        if (!acceleration || acceleration.x === null || acceleration.x === undefined) {
+            return; // No valid data
+        }
+
+        const measured = { x: acceleration.x || 0, y: acceleration.y || 0, z: acceleration.z || 0 };
+        const magnitude = Math.hypot(measured.x, measured.y, measured.z);
+        if (magnitude === 0) {
+            return;
+        }
+
+        const rate = event.rotationRate;
+        const hasGyro = !!rate && rate.alpha !== null && rate.alpha !== undefined;
+        const dt = this.getMotionStep(event);
+
+        if (!this.gravity) {
+            this.gravity = { x: measured.x / magnitude, y: measured.y / magnitude, z: measured.z / magnitude };
+        } else {
+            let predicted = this.gravity;
+            let gyroWeight = 0;
+
+            if (hasGyro && dt > 0) {
+                // A world-fixed vector seen from the rotating device: dg/dt = -ω × g
+                // rotationRate.beta/gamma/alpha are about the device x/y/z axes
+                const rad = Math.PI / 180;
+                const wx = (rate.beta || 0) * rad;
+                const wy = (rate.gamma || 0) * rad;
+                const wz = (rate.alpha || 0) * rad;
+                const g = this.gravity;
+                predicted = {
+                    x: g.x - (wy * g.z - wz * g.y) * dt,
+                    y: g.y - (wz * g.x - wx * g.z) * dt,
+                    z: g.z - (wx * g.y - wy * g.x) * dt
+                };
+                this.heading = (((this.heading + (rate.alpha || 0) * dt) % 360) + 360) % 360;
+
+                // Linear acceleration (hand movement) corrupts the accelerometer's gravity
+                const isAccelerating = Math.abs(magnitude / 9.81 - 1) > this.accelerationTolerance;
+                gyroWeight = isAccelerating ? 1 : this.gyroWeight;
+            }
+
+            const blended = {
+                x: gyroWeight * predicted.x + (1 - gyroWeight) * measured.x / magnitude,
+                y: gyroWeight * predicted.y + (1 - gyroWeight) * measured.y / magnitude,
+                z: gyroWeight * predicted.z + (1 - gyroWeight) * measured.z / magnitude
+            };
+            const length = Math.hypot(blended.x, blended.y, blended.z) || 1;
+            this.gravity = { x: blended.x / length, y: blended.y / length, z: blended.z / length };
+        }
+
+        const angles = SensorManager.gravityToAngles(this.gravity);
+        this.deviceOrientation = {
+            alpha: this.heading,
+            beta: angles.beta,
+            gamma: angles.gamma,
+            roll: angles.roll
+        };
+
+        this.readingListeners.forEach(listener => listener({
+            ...this.deviceOrientation,
+            gravity: measured,
+            rotationRate: hasGyro ? { alpha: rate.alpha, beta: rate.beta, gamma: rate.gamma } : null
+        }));
+
+        this.applySmoothing();
+    }
+
+    /**
+     * Seconds since the previous motion event (0 for the first one)
+     */
+    getMotionStep(event) {
+        const time = typeof event.timeStamp === 'number' ? event.timeStamp : null;
+        let dt = 0;
+
+        if (time !== null && this.lastMotionTime !== null) {
+            dt = (time - this.lastMotionTime) / 1000;
+        } else if (typeof event.interval === 'number') {
+            dt = event.interval / 1000; // interval is in ms
+        }
+        this.lastMotionTime = time;
+
+        return Math.max(0, Math.min(this.maxGyroStep, dt));
+    }
+
+    /**
+     * Convert a unit "up" vector in device coordinates to orientation angles
+     * beta/gamma follow the deviceorientation convention (flat on its back = 0/0);
+     * roll is the rotation of the screen's up direction about the viewing axis,
+     * with the same sign as camera tilt (positive = image content turned clockwise).
+     */
+    static gravityToAngles(up) {
+        const deg = 180 / Math.PI;
+        // up = (-sin γ cos β, sin β, cos γ cos β) with γ in [-90°, 90°]
+        const beta = Math.atan2(up.y, (up.z < 0 ? -1 : 1) * Math.hypot(up.x, up.z)) * deg;
+        const gamma = up.z !== 0 ? Math.atan(-up.x / up.z) * deg : (up.x > 0 ? -90 : 90);
+        const roll = Math.atan2(up.x, up.y) * deg;
+
+        return { beta: beta, gamma: gamma, roll: roll };
+    }
+
+    /**
+     * Fold an angle in degrees into (-180, 180]
+     */
+    static wrapAngle(angle) {
+        const folded = ((angle % 360) + 360) % 360;
+        return folded > 180 ? folded - 360 : folded;
+    }
+
+    /**
+     * Mean direction of angles in degrees (-180 to 180), from their summed sines and cosines
+     */
+    static meanAngle(angles) {
+        const rad = Math.PI / 180;
+        const sin = angles.reduce((sum, a) => sum + Math.sin(a * rad), 0);
+        const cos = angles.reduce((sum, a) => sum + Math.cos(a * rad), 0);
+        return Math.atan2(sin, cos) / rad;
+    }
+
     /**
      * Apply multiple smoothing techniques to reduce jitter
      */
     applySmoothing() {
-        const { beta, gamma } = this.deviceOrientation;
+        const { beta, gamma, roll = 0 } = this.deviceOrientation;
 
         // Stage 1: Add to circular buffer
         this.orientationBuffer.beta.push(beta);
         this.orientationBuffer.gamma.push(gamma);
+        this.orientationBuffer.roll.push(roll);
         
         if (this.orientationBuffer.beta.length > this.bufferSize) {
             this.orientationBuffer.beta.shift();
             this.orientationBuffer.gamma.shift();
+            this.orientationBuffer.roll.shift();
         }
 
         // Stage 2: Calculate rolling average
@@ -169,12 +510,15 @@ class SensorManager {
                        this.orientationBuffer.beta.length;
         const avgGamma = this.orientationBuffer.gamma.reduce((a, b) => a + b, 0) / 
                         this.orientationBuffer.gamma.length;
+        // Roll wraps at ±180° (phone upside down), so it is averaged as a direction
+        const avgRoll = SensorManager.meanAngle(this.orientationBuffer.roll);
 
         // Stage 3: Apply exponential moving average
-        if (this.smoothedOrientation.beta === 0 && this.smoothedOrientation.gamma === 0) {
+        if (this.orientationBuffer.beta.length === 1) {
             // First reading - initialize
             this.smoothedOrientation.beta = avgBeta;
             this.smoothedOrientation.gamma = avgGamma;
+            this.smoothedOrientation.roll = avgRoll;
         } else {
             // EMA: smoothed = (alpha * new) + ((1 - alpha) * old)
             this.smoothedOrientation.beta = 
@@ -184,6 +528,10 @@ class SensorManager {
             this.smoothedOrientation.gamma = 
                 (this.smoothingFactor * avgGamma) + 
                 ((1 - this.smoothingFactor) * this.smoothedOrientation.gamma);
+
+            this.smoothedOrientation.roll = SensorManager.wrapAngle(
+                this.smoothedOrientation.roll +
+                this.smoothingFactor * SensorManager.wrapAngle(avgRoll - this.smoothedOrientation.roll));
         }
 
         // Stage 4: Apply deadband to create stable zones
@@ -196,6 +544,7 @@ class SensorManager {
     applyDeadband() {
         const betaDiff = Math.abs(this.smoothedOrientation.beta - this.lastStableOrientation.beta);
         const gammaDiff = Math.abs(this.smoothedOrientation.gamma - this.lastStableOrientation.gamma);
+        const rollDiff = Math.abs(SensorManager.wrapAngle(this.smoothedOrientation.roll - this.lastStableOrientation.roll));
 
         // Only update stable orientation if change exceeds deadband
         if (betaDiff > this.deadbandSize) {
@@ -205,60 +554,91 @@ class SensorManager {
         if (gammaDiff > this.deadbandSize) {
             this.lastStableOrientation.gamma = this.smoothedOrientation.gamma;
         }
+
+        if (rollDiff > this.deadbandSize) {
+            this.lastStableOrientation.roll = this.smoothedOrientation.roll;
+        }
     }
 
     /**
-     * Get device tilt relative to gravity (combines beta and gamma)
-     * Returns the tilt angle that affects how we see vertical lines
+     * Get device tilt in the camera image's coordinate frame
+     * Positive = image content turned clockwise, like FrameDetector's cameraTilt.
+     * Returns the residual to the nearest quarter turn, so a phone held sideways in a
+     * rotation-locked UI still gives the small tilt that frames appear with.
      */
     getDeviceTilt() {
         if (!this.isActive || !this.isPermissionGranted) {
             return 0;
         }
 
-        // Use stable (deadbanded) orientation
-        const { beta, gamma } = this.lastStableOrientation;
+        const imageRoll = this.getImageRoll();
+        if (imageRoll === null) {
+            return 0; // Phone lies flat: the viewing axis is vertical
+        }
+        return imageRoll - Math.round(imageRoll / 90) * 90;
+    }
 
-        // Detect device orientation mode
-        // beta: front-to-back tilt (0° = vertical/upright, ±90° = horizontal/flat)
-        // gamma: left-right tilt (-90° to 90°)
-        
-        // When device is in landscape mode (sideways), beta approaches ±90°
-        const isLandscape = Math.abs(beta) > 60;
-        
-        // For most camera viewing angles, gamma (left-right tilt) is what matters
-        // When holding phone in portrait mode to view a wall:
-        // - gamma represents the phone's roll (rotation around viewing axis)
-        // - This directly affects how vertical lines appear
-        
-        // When in landscape mode, the axes change:
-        // - The phone is rotated 90°, so gamma becomes less relevant
-        // - We need to use beta differently
-        
-        let tilt;
-        if (isLandscape) {
-            // In landscape mode, calculate tilt based on how much the device
-            // deviates from horizontal (±90°)
-            // When beta is close to 90 or -90, the device is horizontal
-            const horizontalDeviation = Math.abs(Math.abs(beta) - 90);
-            // Use gamma for the actual tilt direction in landscape
-            tilt = gamma;
-        } else {
-            // Portrait mode - use gamma as primary tilt indicator
-            if (Math.abs(beta) < 45) {
-                // Phone mostly upright - use gamma
-                tilt = gamma;
-            } else {
-                // Phone tilted forward/back significantly
-                // Use a combination weighted by how vertical the phone is
-                const verticalFactor = Math.abs(Math.cos(beta * Math.PI / 180));
-                tilt = gamma * verticalFactor;
-            }
+    /**
+     * Roll of the camera image around the viewing axis in degrees (-180 to 180)
+     * or null when the phone lies flat
+     */
+    getImageRoll() {
+        const { beta, gamma, roll } = this.lastStableOrientation;
+
+        const angleRoll = this.getRollFromAngles(beta, gamma);
+        if (angleRoll === null) {
+            return null;
         }
-        
-        return tilt;
+
+        // The motion backend measures roll directly from the filtered gravity vector. Both
+        // backends correct the raw roll by the calibration bias projected onto the screen:
+        // subtracting the offsets from beta/gamma first is wrong once the phone stands upright.
+        const deviceRoll = (this.backend === 'motion' ? roll : angleRoll) - this.getRollOffset(beta, gamma);
+
+        // The image is shown upright in the rotated screen; a front camera looks
+        // toward the user, so the same device roll turns its image the other way
+        let imageRoll = deviceRoll - this.screenAngle;
+        imageRoll = ((imageRoll % 360) + 540) % 360 - 180;
+        return this.facingMode === 'user' ? -imageRoll : imageRoll;
     }
     
+    /**
+     * Device roll from beta/gamma (degrees), or null when the phone lies flat
+     * Gravity in the screen plane from the Euler angles: up = (-sin γ cos β, sin β, cos γ cos β)
+     */
+    getRollFromAngles(beta, gamma) {
+        const rad = Math.PI / 180;
+        const upX = -Math.sin(gamma * rad) * Math.cos(beta * rad);
+        const upY = Math.sin(beta * rad);
+        if (Math.hypot(upX, upY) < this.minScreenGravity) {
+            return null;
+        }
+        return Math.atan2(upX, upY) / rad;
+    }
+
+    /**
+     * Variance (deg²) of getDeviceTilt() for the fusion
+     * The sensor's zero-offset noise (smaller once calibrated) plus the jitter of the
+     * buffered readings, reduced by the averaging over the buffer
+     */
+    getTiltVariance() {
+        const base = this.isCalibrated ? this.calibratedTiltNoise : this.tiltNoise;
+
+        const rolls = this.orientationBuffer.beta
+            .map((beta, i) => (this.backend === 'motion'
+                ? this.orientationBuffer.roll[i]
+                : this.getRollFromAngles(beta, this.orientationBuffer.gamma[i])))
+            .filter(roll => roll !== null);
+
+        let jitter = 0;
+        if (rolls.length > 1) {
+            const mean = SensorManager.meanAngle(rolls);
+            jitter = rolls.reduce((sum, r) => sum + SensorManager.wrapAngle(r - mean) ** 2, 0) / (rolls.length - 1) / rolls.length;
+        }
+
+        return base * base + jitter;
+    }
+
     /**
      * Get device orientation mode (portrait or landscape)
      * Returns object with orientation and tilt
@@ -268,14 +648,62 @@ class SensorManager {
             return { mode: 'unknown', tilt: 0 };
         }
 
-        const { beta, gamma } = this.lastStableOrientation;
-        const isLandscape = Math.abs(beta) > 60;
+        const { beta, gamma } = this.getCalibratedOrientation();
+        const isLandscape = this.screenAngle === 90 || this.screenAngle === 270;
         
         return {
             mode: isLandscape ? 'landscape' : 'portrait',
             tilt: this.getDeviceTilt(),
             beta: beta,
-            gamma: gamma
+            gamma: gamma,
+            screenAngle: this.screenAngle,
+            imageRoll: this.getImageRoll()
+        };
+    }
+
+    /**
+     * Get stable orientation with the calibration offsets removed
+     */
+    getCalibratedOrientation() {
+        const { beta, gamma, roll } = this.lastStableOrientation;
+        const offsets = this.calibrationOffsets;
+
+        return {
+            beta: beta - offsets.beta,
+            gamma: gamma - offsets.gamma,
+            roll: roll - this.getRollOffset(beta, gamma)
+        };
+    }
+
+    /**
+     * Roll error (degrees) the calibration offsets cause at the raw orientation beta/gamma
+     * The offsets stand for an accelerometer bias b = (-sin γ₀, sin β₀, 0) in g, which is
+     * projected onto the current screen plane.
+     */
+    getRollOffset(beta, gamma) {
+        const offsets = this.calibrationOffsets;
+        const rad = Math.PI / 180;
+
+        const up = {
+            x: -Math.sin(gamma * rad) * Math.cos(beta * rad),
+            y: Math.sin(beta * rad)
+        };
+        const bias = { x: -Math.sin(offsets.gamma * rad), y: Math.sin(offsets.beta * rad) };
+        const screenLength = up.x * up.x + up.y * up.y;
+        // d(atan2(x, y)) = (y dx - x dy) / (x² + y²)
+        return screenLength > 0.01
+            ? (bias.x * up.y - bias.y * up.x) / screenLength / rad
+            : 0;
+    }
+
+    /**
+     * Set zero offsets ({ beta, gamma } in degrees); null clears them
+     */
+    setCalibrationOffsets(offsets) {
+        this.isCalibrated = !!offsets;
+        this.calibrationOffsets = {
+            beta: (offsets && offsets.beta) || 0,
+            gamma: (offsets && offsets.gamma) || 0
         };
     }
 
@@ -348,8 +776,12 @@ class SensorManager {
     reset() {
         this.orientationBuffer.beta = [];
         this.orientationBuffer.gamma = [];
-        this.smoothedOrientation = { beta: 0, gamma: 0 };
-        this.lastStableOrientation = { beta: 0, gamma: 0 };
+        this.orientationBuffer.roll = [];
+        this.smoothedOrientation = { beta: 0, gamma: 0, roll: 0 };
+        this.lastStableOrientation = { beta: 0, gamma: 0, roll: 0 };
+        this.gravity = null;
+        this.heading = 0;
+        this.lastMotionTime = null;
     }
 }
 
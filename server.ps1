@@ -72,6 +72,8 @@ try {
                 '.jpeg' { 'image/jpeg' }
                 '.gif'  { 'image/gif' }
                 '.svg'  { 'image/svg+xml' }
+                '.wasm' { 'application/wasm' }
+                '.webmanifest' { 'application/manifest+json' }
                 default { 'application/octet-stream' }
             }
             $response.ContentType = $contentType
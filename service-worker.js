@@ -0,0 +1,122 @@
+/**
+ * Service Worker - Precaches the app and OpenCV.js so Frame Checker works without a signal
+ * Every file is served from the cache of the current CACHE_VERSION. Bump the version when
+ * releasing changes: the new worker precaches the new files, waits until the page asks it
+ * to take over (the "Update" button), then deletes the old caches.
+ */
+
+const CACHE_VERSION = 'v1';
+const CACHE_PREFIX = 'frame-checker-';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+// The app shell; installation fails (and the old version stays) if any of these is missing
+const APP_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'opencv-loader.js',
+    'camera.js',
+    'sensor.js',
+    'sensor-calibration.js',
+    'tracker.js',
+    'fusion.js',
+    'lens-calibration.js',
+    'tolerance.js',
+    'guidance.js',
+    'announcer.js',
+    'detector-backends.js',
+    'shape-classifier.js',
+    'size-estimator.js',
+    'detector.js',
+    'gallery.js',
+    'corrections.js',
+    'detector-worker-client.js',
+    'detector-worker.js',
+    'image-loader.js',
+    'session-recorder.js',
+    'session-player.js',
+    'app.js'
+];
+
+// Large and optional: the bundled OpenCV.js may not have been downloaded into lib/
+const OPENCV_FILES = ['lib/opencv.js', 'https://docs.opencv.org/4.5.2/opencv.js'];
+
+/**
+ * Precache the app shell, plus whichever OpenCV.js builds can be fetched
+ */
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    // Bypass the HTTP cache so a new version never precaches stale files
+    await cache.addAll(APP_FILES.map(url => new Request(url, { cache: 'reload' })));
+
+    await Promise.all(OPENCV_FILES.map(async url => {
+        try {
+            const crossOrigin = new URL(url, self.location).origin !== self.location.origin;
+            const response = await fetch(new Request(url, { cache: 'reload', mode: crossOrigin ? 'no-cors' : 'cors' }));
+            if (response.ok || response.type === 'opaque') {
+                await cache.put(url, response);
+            }
+        } catch (error) {
+            console.warn(`Not precaching ${url}: ${error.message}`);
+        }
+    }));
+}
+
+/**
+ * Delete the caches of other versions
+ */
+async function deleteOldCaches() {
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name)));
+}
+
+/**
+ * Cache first; anything else (including OpenCV.js if it was not precached) is fetched
+ * and added to the cache, so it is available offline next time
+ */
+async function respond(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+if (typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope) {
+    self.addEventListener('install', event => {
+        event.waitUntil(precache());
+    });
+
+    self.addEventListener('activate', event => {
+        event.waitUntil(deleteOldCaches().then(() => self.clients.claim()));
+    });
+
+    self.addEventListener('message', event => {
+        if (event.data && event.data.type === 'skip-waiting') {
+            self.skipWaiting();
+        }
+    });
+
+    self.addEventListener('fetch', event => {
+        // Camera frames, sessions and uploads never go through fetch; only cache plain GETs
+        if (event.request.method !== 'GET' || !event.request.url.startsWith('http')) {
+            return;
+        }
+        event.respondWith(respond(event.request));
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CACHE_NAME, APP_FILES, OPENCV_FILES };
+}
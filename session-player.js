@@ -0,0 +1,169 @@
+/**
+ * Session Player - Replays a recorded session deterministically
+ * Steps through the recorded video at a fixed frame interval and feeds the
+ * recorded sensor readings and setting changes in timestamp order
+ */
+
+class SessionPlayer {
+    constructor(videoElement, sensorManager) {
+        this.videoElement = videoElement;
+        this.sensorManager = sensorManager;
+        this.log = null;
+        this.videoUrl = null;
+        this.isPlaying = false;
+        this.stopRequested = false;
+        this.frameInterval = 1 / 30; // seconds between analyzed frames
+    }
+
+    /**
+     * Load a recorded video file and its JSON log
+     */
+    async load(videoFile, logFile) {
+        const logText = await logFile.text();
+        const log = JSON.parse(logText);
+        if (!log || !Array.isArray(log.sensorReadings) || !Array.isArray(log.settingChanges)) {
+            throw new Error('Not a Frame Checker session log');
+        }
+
+        this.unload();
+        this.log = log;
+        this.videoUrl = URL.createObjectURL(videoFile);
+
+        // Frames are stepped by seeking, so the video must never play on its own
+        this.videoElement.onloadedmetadata = null;
+        this.videoElement.srcObject = null;
+        this.videoElement.src = this.videoUrl;
+        this.videoElement.muted = true;
+        await this.waitForEvent('loadedmetadata');
+        this.videoElement.pause();
+        await this.ensureDuration();
+
+        return log;
+    }
+
+    /**
+     * Replay the session
+     * `applySetting(name, value)` is called for the initial settings and each change,
+     * `onFrame(timeSeconds)` is called once per step after the video has been seeked
+     */
+    async play({ applySetting, onFrame }) {
+        if (!this.log) {
+            throw new Error('No session loaded');
+        }
+
+        this.isPlaying = true;
+        this.stopRequested = false;
+
+        // Start from the recorded state
+        Object.entries(this.log.settings || {}).forEach(([name, value]) => applySetting(name, value));
+        const hasSensorData = this.log.sensorReadings.length > 0;
+        if (hasSensorData) {
+            this.sensorManager.startReplay();
+        }
+
+        let readingIndex = 0;
+        let settingIndex = 0;
+        let frameCount = 0;
+        const duration = this.videoElement.duration;
+
+        try {
+            for (let time = 0; time <= duration && !this.stopRequested; time += this.frameInterval) {
+                await this.seek(time);
+                const timeMs = time * 1000;
+
+                // Feed everything that happened up to this frame, in order
+                while (settingIndex < this.log.settingChanges.length &&
+                       this.log.settingChanges[settingIndex].t <= timeMs) {
+                    const change = this.log.settingChanges[settingIndex++];
+                    applySetting(change.name, change.value);
+                }
+
+                while (hasSensorData && readingIndex < this.log.sensorReadings.length &&
+                       this.log.sensorReadings[readingIndex].t <= timeMs) {
+                    this.sensorManager.injectReading(this.log.sensorReadings[readingIndex++]);
+                }
+
+                onFrame(time);
+                frameCount++;
+            }
+        } finally {
+            if (hasSensorData) {
+                this.sensorManager.stop();
+                this.sensorManager.reset();
+            }
+            this.isPlaying = false;
+        }
+
+        return frameCount;
+    }
+
+    /**
+     * Ask a running replay to stop after the current frame
+     */
+    stop() {
+        this.stopRequested = true;
+    }
+
+    /**
+     * Release the loaded video
+     */
+    unload() {
+        if (this.videoUrl) {
+            this.videoElement.removeAttribute('src');
+            this.videoElement.load();
+            URL.revokeObjectURL(this.videoUrl);
+            this.videoUrl = null;
+        }
+        this.log = null;
+    }
+
+    /**
+     * Seek the video and wait until the frame is available
+     */
+    async seek(time) {
+        if (Math.abs(this.videoElement.currentTime - time) < 1e-6) {
+            return;
+        }
+        const seeked = this.waitForEvent('seeked');
+        this.videoElement.currentTime = time;
+        await seeked;
+    }
+
+    /**
+     * MediaRecorder WebM files have no duration in their header.
+     * Seeking far past the end makes the browser scan the file and report it.
+     */
+    async ensureDuration() {
+        if (isFinite(this.videoElement.duration)) {
+            return;
+        }
+
+        const durationKnown = this.waitForEvent('durationchange');
+        this.videoElement.currentTime = Number.MAX_SAFE_INTEGER;
+        await durationKnown;
+        await this.seek(0);
+    }
+
+    /**
+     * Wait for a single video element event
+     */
+    waitForEvent(name) {
+        return new Promise((resolve, reject) => {
+            const onEvent = () => {
+                this.videoElement.removeEventListener('error', onError);
+                resolve();
+            };
+            const onError = () => {
+                this.videoElement.removeEventListener(name, onEvent);
+                reject(new Error('The recorded video could not be played'));
+            };
+            this.videoElement.addEventListener(name, onEvent, { once: true });
+            this.videoElement.addEventListener('error', onError, { once: true });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionPlayer;
+}
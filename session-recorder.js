@@ -0,0 +1,195 @@
+/**
+ * Session Recorder - Records the camera video together with a timestamped log
+ * of sensor readings, setting changes and detection results
+ * Recorded sessions can be replayed with SessionPlayer for reproducible debugging
+ */
+
+class SessionRecorder {
+    constructor() {
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.log = null;
+        this.startTime = 0;
+        this.isRecording = false;
+        this.sensorManager = null;
+        this.sensorListener = null;
+    }
+
+    /**
+     * Start recording a camera stream
+     * `settings` holds the current settings (the detector's as one `detector` snapshot, see
+     * FrameDetector.getSettings) so replay starts from the same state
+     */
+    start(stream, sensorManager, settings = {}) {
+        if (this.isRecording) {
+            throw new Error('A session is already being recorded');
+        }
+        if (!stream) {
+            throw new Error('Camera must be running to record a session');
+        }
+
+        const mimeType = SessionRecorder.getSupportedMimeType();
+        const videoTrack = stream.getVideoTracks()[0];
+        const trackSettings = videoTrack ? videoTrack.getSettings() : {};
+
+        this.log = {
+            version: 1,
+            startedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            mimeType: mimeType,
+            video: {
+                width: trackSettings.width || null,
+                height: trackSettings.height || null,
+                facingMode: trackSettings.facingMode || null
+            },
+            settings: { ...settings },
+            sensorReadings: [],
+            settingChanges: [],
+            detections: []
+        };
+
+        this.chunks = [];
+        this.mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType: mimeType } : undefined);
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        };
+
+        // Log raw sensor readings with the same time base as the video
+        this.sensorManager = sensorManager;
+        this.sensorListener = (reading) => {
+            const entry = {
+                t: this.elapsed(),
+                alpha: reading.alpha,
+                beta: reading.beta,
+                gamma: reading.gamma
+            };
+            // Motion backend: keep the raw input so replay runs the same filter
+            if (reading.gravity) {
+                entry.gravity = { ...reading.gravity };
+                entry.rotationRate = reading.rotationRate ? { ...reading.rotationRate } : null;
+            }
+            this.log.sensorReadings.push(entry);
+        };
+        if (sensorManager) {
+            sensorManager.addReadingListener(this.sensorListener);
+        }
+
+        this.mediaRecorder.start(1000);
+        this.startTime = performance.now();
+        this.isRecording = true;
+        console.log(`Session recording started (${mimeType || 'default format'})`);
+    }
+
+    /**
+     * Milliseconds since recording started
+     */
+    elapsed() {
+        return Math.round((performance.now() - this.startTime) * 10) / 10;
+    }
+
+    /**
+     * Log a setting change (e.g., smoothing slider, or a new detector settings snapshot)
+     */
+    recordSetting(name, value) {
+        if (!this.isRecording) return;
+        this.log.settingChanges.push({ t: this.elapsed(), name: name, value: value });
+    }
+
+    /**
+     * Log a summary of one set of detection results
+     */
+    recordDetections(results) {
+        if (!this.isRecording) return;
+        this.log.detections.push({
+            t: this.elapsed(),
+            cameraTilt: results.cameraTilt,
+            deviceTilt: results.deviceTilt,
+            fusedTilt: results.fusedTilt,
+            toleranceProfile: results.toleranceProfile,
+            backend: results.backend,
+            frames: results.frames.map(frame => ({
+                frameId: frame.frameId,
+                tilt: frame.tilt,
+                rawTilt: frame.rawTilt,
+                status: frame.tolerance && frame.tolerance.status,
+                offset: frame.tolerance && frame.tolerance.offset,
+                confidence: frame.confidence,
+                lowConfidence: frame.lowConfidence,
+                shape: frame.shape && frame.shape.type,
+                rect: frame.rect
+            }))
+        });
+    }
+
+    /**
+     * Stop recording
+     * Resolves with { video: Blob, log: Object }
+     */
+    stop() {
+        if (!this.isRecording) {
+            return Promise.reject(new Error('No session is being recorded'));
+        }
+
+        if (this.sensorManager) {
+            this.sensorManager.removeReadingListener(this.sensorListener);
+        }
+        this.isRecording = false;
+
+        return new Promise(resolve => {
+            this.mediaRecorder.onstop = () => {
+                const video = new Blob(this.chunks, { type: this.mediaRecorder.mimeType || 'video/webm' });
+                this.log.durationMs = this.elapsed();
+                console.log(`Session recording stopped: ${this.log.sensorReadings.length} sensor readings`);
+                resolve({ video: video, log: this.log });
+            };
+            this.mediaRecorder.stop();
+        });
+    }
+
+    /**
+     * Download a recorded session as a video file and a JSON log
+     */
+    static download(session, baseName) {
+        const extension = session.video.type.includes('mp4') ? 'mp4' : 'webm';
+        const logBlob = new Blob([JSON.stringify(session.log, null, 2)], { type: 'application/json' });
+
+        SessionRecorder.downloadBlob(session.video, `${baseName}.${extension}`);
+        SessionRecorder.downloadBlob(logBlob, `${baseName}.json`);
+    }
+
+    /**
+     * Trigger a download for a blob
+     */
+    static downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Pick the first video format MediaRecorder supports
+     */
+    static getSupportedMimeType() {
+        const candidates = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    /**
+     * Check if session recording is supported
+     */
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionRecorder;
+}
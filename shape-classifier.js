@@ -0,0 +1,443 @@
+/**
+ * Shape Classifier - Recognizes frames that are not plain rectangles, so the right tilt
+ * rule is applied to each: the major axis of an oval, the hanging feature of a round frame
+ * (or no orientation at all without one), the four upright sides of an octagon and the
+ * straight sides and bottom of an arched-top frame
+ * Works on a candidate's outline points; plain quads are left to the rectangle rules.
+ */
+
+class ShapeClassifier {
+    constructor() {
+        this.maxEllipseError = 0.015; // RMS distance from the fitted ellipse, as a fraction of its mean radius
+        this.minEllipseAreaRatio = 0.95; // Outline area / ellipse area must lie between this...
+        this.maxEllipseAreaRatio = 1.05; // ...and this
+        this.circleAxisRatio = 1.06; // Major/minor axis ratio below which an ellipse is a circle
+        this.hangerThreshold = 0.04; // Outward deviation (fraction of the radius) that belongs to a hanging feature
+        this.maxHangerFraction = 0.15; // Share of the outline a hanging feature may take
+        this.maxHangerAngle = 45; // Degrees from straight up a hanging feature may be
+        this.maxSideAngleError = 5; // Degrees an octagon's upright sides may disagree
+        this.maxCornerAngleError = 15; // Degrees the corners of an arched frame may be off square
+        this.minArchHeight = 0.15; // Height of an arch above its sides, as a fraction of the width
+        this.archDetail = 0.005; // Polygon approximation accuracy for arched frames, as a fraction of the perimeter
+        this.sideTrim = 0.2; // Fraction of each straight side next to its ends left out of the line fit
+        this.sideSearchRadius = 2; // Pixels from a polygon side within which outline points are fitted
+    }
+
+    /**
+     * Classify a candidate ({ corners, cornerCount, points, area }, see DetectorBackends)
+     * Returns null when the rectangle rules apply, otherwise { type ('oval', 'circle',
+     * 'octagon' or 'arched'), tilt (degrees, positive = clockwise; null = no orientation),
+     * corners (an upright box around the shape at its tilt, for tracking and perspective),
+     * polygon, ellipse, hanger, straightness (0-1), fit (0-1) }.
+     */
+    classify(candidate) {
+        if (!candidate.points || candidate.cornerCount <= 4) {
+            return null;
+        }
+
+        const outline = ShapeClassifier.densify(candidate.points);
+        const perimeter = outline.length; // One point per pixel
+        if (perimeter < 20) {
+            return null;
+        }
+
+        const ellipse = this.fitEllipse(outline);
+        const elliptical = ellipse ? this.matchEllipse(outline, ellipse, candidate.area) : null;
+        if (elliptical) {
+            return this.describeEllipse(outline, ellipse, elliptical, perimeter);
+        }
+
+        const polygon = candidate.corners.slice(0, candidate.cornerCount);
+        const octagonTilt = this.getOctagonTilt(polygon, outline);
+        if (octagonTilt !== null) {
+            return this.describePolygon('octagon', octagonTilt, polygon, outline, candidate.area);
+        }
+
+        // The arch is cut into the sides by a coarse polygon; its straight parts need a finer one
+        if (ShapeClassifier.isConvex(polygon)) {
+            const detailed = this.simplify(candidate.points, this.archDetail * perimeter);
+            const archedTilt = this.getArchedTilt(detailed, outline);
+            if (archedTilt !== null) {
+                return this.describePolygon('arched', archedTilt, detailed, outline, candidate.area);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Resample a closed outline to about one point per pixel along it
+     * Contours keep only the ends of straight runs, which would weight a fit towards corners.
+     */
+    static densify(points) {
+        const dense = [];
+        points.forEach((point, i) => {
+            const next = points[(i + 1) % points.length];
+            const steps = Math.max(1, Math.round(Math.hypot(next.x - point.x, next.y - point.y)));
+            for (let step = 0; step < steps; step++) {
+                dense.push({
+                    x: point.x + (next.x - point.x) * step / steps,
+                    y: point.y + (next.y - point.y) * step / steps
+                });
+            }
+        });
+        return dense;
+    }
+
+    /**
+     * Least-squares ellipse through the points
+     * Returns { center, major, minor (semi-axes), angle (of the major axis, degrees clockwise
+     * from horizontal) } or null
+     */
+    fitEllipse(points) {
+        if (points.length < 5) {
+            return null;
+        }
+        const mat = cv.matFromArray(points.length, 1, cv.CV_32FC2, points.flatMap(p => [p.x, p.y]));
+        const box = cv.fitEllipse(mat);
+        mat.delete();
+
+        const { width, height } = box.size;
+        if (!(width > 0 && height > 0)) {
+            return null;
+        }
+        // The box angle turns its width axis; the major axis is whichever is longer
+        const widthIsMajor = width >= height;
+        return {
+            center: { x: box.center.x, y: box.center.y },
+            major: Math.max(width, height) / 2,
+            minor: Math.min(width, height) / 2,
+            angle: ShapeClassifier.normalizeAngle(box.angle + (widthIsMajor ? 0 : 90), 180)
+        };
+    }
+
+    /**
+     * Signed distance of a point from the ellipse along the ray from its center
+     * (positive outside), an approximation good for the small distances of a close fit
+     */
+    ellipseDistance(point, ellipse) {
+        const r = ellipse.angle * Math.PI / 180;
+        const dx = point.x - ellipse.center.x;
+        const dy = point.y - ellipse.center.y;
+        const u = dx * Math.cos(r) + dy * Math.sin(r);
+        const v = -dx * Math.sin(r) + dy * Math.cos(r);
+        const scale = Math.hypot(u / ellipse.major, v / ellipse.minor);
+        return scale > 0 ? (1 - 1 / scale) * Math.hypot(u, v) : -Math.min(ellipse.major, ellipse.minor);
+    }
+
+    /**
+     * Check that the outline is an ellipse, apart from a small outward hanging feature
+     * Returns { rms (px), hanger (the outline points beyond hangerThreshold) } or null
+     */
+    matchEllipse(outline, ellipse, area) {
+        const radius = Math.sqrt(ellipse.major * ellipse.minor);
+        const areaRatio = area / (Math.PI * ellipse.major * ellipse.minor);
+        if (areaRatio < this.minEllipseAreaRatio || areaRatio > this.maxEllipseAreaRatio) {
+            return null;
+        }
+
+        const hanger = [];
+        let sumSquares = 0;
+        let inliers = 0;
+        outline.forEach(point => {
+            const distance = this.ellipseDistance(point, ellipse);
+            if (distance > this.hangerThreshold * radius) {
+                hanger.push(point);
+            } else {
+                sumSquares += distance * distance;
+                inliers++;
+            }
+        });
+
+        const rms = inliers > 0 ? Math.sqrt(sumSquares / inliers) : Infinity;
+        if (hanger.length > this.maxHangerFraction * outline.length || rms > this.maxEllipseError * radius) {
+            return null;
+        }
+        return { rms: rms, hanger: hanger };
+    }
+
+    /**
+     * An oval tilts with its major axis; a circle only has an orientation if a hanging
+     * feature shows which way is up
+     */
+    describeEllipse(outline, ellipse, { rms, hanger }, perimeter) {
+        const isCircle = ellipse.major / ellipse.minor < this.circleAxisRatio;
+        let tilt = isCircle ? null : ShapeClassifier.normalizeAngle(ellipse.angle, 90);
+        let hangerPoint = null;
+
+        // The hanging feature must be one compact group in the upper half
+        if (isCircle && hanger.length > 0) {
+            const directions = hanger.map(point => Math.atan2(point.y - ellipse.center.y, point.x - ellipse.center.x));
+            const sumX = directions.reduce((sum, a) => sum + Math.cos(a), 0);
+            const sumY = directions.reduce((sum, a) => sum + Math.sin(a), 0);
+            if (Math.hypot(sumX, sumY) / hanger.length > 0.9) {
+                const up = Math.atan2(sumX, -sumY) * 180 / Math.PI;
+                if (Math.abs(up) <= this.maxHangerAngle) {
+                    tilt = up;
+                    hangerPoint = {
+                        x: hanger.reduce((sum, p) => sum + p.x, 0) / hanger.length,
+                        y: hanger.reduce((sum, p) => sum + p.y, 0) / hanger.length
+                    };
+                }
+            }
+        }
+
+        return {
+            type: isCircle ? 'circle' : 'oval',
+            tilt: tilt,
+            corners: ShapeClassifier.orientedBox(outline, tilt || 0),
+            polygon: null,
+            ellipse: ellipse,
+            hanger: hangerPoint,
+            straightness: Math.max(0, 1 - rms / (0.01 * perimeter)),
+            fit: 1 - hanger.length / outline.length
+        };
+    }
+
+    /**
+     * Tilt of an octagon from its four upright sides, or null if the polygon is not one
+     * The sides alternate between upright and cut corners; the upright set is the one whose
+     * sides agree (modulo 90°), or on a regular octagon the one nearer the axes.
+     */
+    getOctagonTilt(polygon, outline) {
+        if (polygon.length !== 8 || !ShapeClassifier.isConvex(polygon)) {
+            return null;
+        }
+
+        const sides = ShapeClassifier.getSides(polygon);
+        const sets = [0, 1].map(offset => {
+            const set = sides.filter((side, i) => i % 2 === offset);
+            const folded = set.map(side => ShapeClassifier.normalizeAngle(side.angle - set[0].angle, 90));
+            // Mean direction modulo 90°, so sides near +45° and -45° average to 45°, not 0°
+            const sin = set.reduce((sum, side) => sum + side.length * Math.sin(side.angle * Math.PI / 45), 0);
+            const cos = set.reduce((sum, side) => sum + side.length * Math.cos(side.angle * Math.PI / 45), 0);
+            return {
+                set: set,
+                spread: Math.max(...folded) - Math.min(...folded),
+                direction: Math.atan2(sin, cos) * 45 / Math.PI
+            };
+        }).sort((a, b) => (a.spread <= this.maxSideAngleError && b.spread <= this.maxSideAngleError)
+            ? Math.abs(a.direction) - Math.abs(b.direction)
+            : a.spread - b.spread);
+        const [upright, cut] = sets;
+        if (upright.spread > this.maxSideAngleError) {
+            return null;
+        }
+
+        // Cut corners lie well away from the upright sides' directions
+        const tilt = ShapeClassifier.meanAxisAngle(upright.set);
+        const isCut = side => Math.abs(ShapeClassifier.normalizeAngle(side.angle - tilt, 90)) >= 45 - 3 * this.maxSideAngleError;
+        return cut.set.every(isCut) ? ShapeClassifier.meanAxisAngle(this.fitSides(upright.set, outline)) : null;
+    }
+
+    /**
+     * Polygon approximation of an outline, `epsilon` pixels from it at most
+     */
+    simplify(points, epsilon) {
+        const mat = cv.matFromArray(points.length, 1, cv.CV_32FC2, points.flatMap(p => [p.x, p.y]));
+        const approx = new cv.Mat();
+        try {
+            cv.approxPolyDP(mat, approx, epsilon, true);
+            const polygon = [];
+            for (let i = 0; i < approx.rows; i++) {
+                polygon.push({ x: approx.data32F[i * 2], y: approx.data32F[i * 2 + 1] });
+            }
+            return polygon;
+        } finally {
+            mat.delete();
+            approx.delete();
+        }
+    }
+
+    /**
+     * Tilt of an arched-top frame from its straight sides and bottom, or null if the polygon
+     * is not one: two upright sides square to a bottom edge, and an arch over them instead of
+     * a straight top
+     */
+    getArchedTilt(polygon, outline) {
+        if (polygon.length < 5) {
+            return null;
+        }
+
+        const sides = ShapeClassifier.getSides(polygon);
+        const isSquare = (a, b) => Math.abs(Math.abs(ShapeClassifier.normalizeAngle(a.angle - b.angle, 180)) - 90) <= this.maxCornerAngleError;
+        const center = {
+            x: polygon.reduce((sum, p) => sum + p.x, 0) / polygon.length,
+            y: polygon.reduce((sum, p) => sum + p.y, 0) / polygon.length
+        };
+
+        for (let i = 0; i < sides.length; i++) {
+            const bottom = sides[i];
+            const left = sides[(i + 1) % sides.length];
+            const right = sides[(i + sides.length - 1) % sides.length];
+            const bottomMiddle = { x: (bottom.a.x + bottom.b.x) / 2, y: (bottom.a.y + bottom.b.y) / 2 };
+
+            // The bottom is a near-horizontal edge below the middle, square to its neighbours
+            if (Math.abs(ShapeClassifier.normalizeAngle(bottom.angle, 180)) > 45 || bottomMiddle.y <= center.y ||
+                !isSquare(bottom, left) || !isSquare(bottom, right) ||
+                Math.min(left.length, right.length) < 0.25 * bottom.length) {
+                continue;
+            }
+
+            // The rest must rise above the line across the tops of the sides
+            const topLine = { a: left.b, b: right.a };
+            const width = Math.hypot(topLine.b.x - topLine.a.x, topLine.b.y - topLine.a.y);
+            const arch = polygon.filter(point => point !== bottom.a && point !== bottom.b);
+            const rise = Math.max(...arch.map(point => ShapeClassifier.distanceFromLine(point, topLine, bottomMiddle)));
+            if (width > 0 && rise >= this.minArchHeight * width) {
+                return ShapeClassifier.meanAxisAngle(this.fitSides([bottom, left, right], outline));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Refit straight sides to the outline points along their middle, where the polygon's
+     * corners do not pull them; sides with too few points keep their chord's angle
+     */
+    fitSides(sides, outline) {
+        return sides.map(side => {
+            const dx = (side.b.x - side.a.x) / side.length;
+            const dy = (side.b.y - side.a.y) / side.length;
+            const near = outline.filter(point => {
+                const along = (point.x - side.a.x) * dx + (point.y - side.a.y) * dy;
+                const across = -(point.x - side.a.x) * dy + (point.y - side.a.y) * dx;
+                return along > this.sideTrim * side.length && along < (1 - this.sideTrim) * side.length &&
+                    Math.abs(across) <= this.sideSearchRadius;
+            });
+            if (near.length < 5) {
+                return side;
+            }
+
+            // Principal direction of the points, turned to run the same way as the chord
+            const mean = {
+                x: near.reduce((sum, p) => sum + p.x, 0) / near.length,
+                y: near.reduce((sum, p) => sum + p.y, 0) / near.length
+            };
+            let sxx = 0, syy = 0, sxy = 0;
+            near.forEach(p => {
+                sxx += (p.x - mean.x) ** 2;
+                syy += (p.y - mean.y) ** 2;
+                sxy += (p.x - mean.x) * (p.y - mean.y);
+            });
+            let angle = 0.5 * Math.atan2(2 * sxy, sxx - syy) * 180 / Math.PI;
+            angle += 180 * Math.round((Math.atan2(dy, dx) * 180 / Math.PI - angle) / 180);
+            return { ...side, angle: ShapeClassifier.normalizeAngle(angle, 360) };
+        });
+    }
+
+    /**
+     * Result for a polygonal shape: fit measured against the polygon's sides
+     */
+    describePolygon(type, tilt, polygon, outline, area) {
+        const sides = ShapeClassifier.getSides(polygon);
+        const perimeter = sides.reduce((sum, side) => sum + side.length, 0);
+        const polygonArea = Math.abs(polygon.reduce((sum, p, i) => {
+            const next = polygon[(i + 1) % polygon.length];
+            return sum + p.x * next.y - next.x * p.y;
+        }, 0)) / 2;
+
+        const sumSquares = outline.reduce((sum, point) => {
+            const distance = Math.min(...sides.map(side => ShapeClassifier.distanceToSegment(point, side.a, side.b)));
+            return sum + distance * distance;
+        }, 0);
+        const rms = Math.sqrt(sumSquares / outline.length);
+
+        return {
+            type: type,
+            tilt: tilt,
+            corners: ShapeClassifier.orientedBox(outline, tilt),
+            polygon: polygon,
+            ellipse: null,
+            hanger: null,
+            straightness: Math.max(0, 1 - rms / (0.01 * perimeter)),
+            fit: polygonArea > 0 ? Math.min(area, polygonArea) / Math.max(area, polygonArea) : 0
+        };
+    }
+
+    /**
+     * Sides of a closed polygon: { a, b, length, angle (degrees, -180 to 180) }
+     */
+    static getSides(polygon) {
+        return polygon.map((a, i) => {
+            const b = polygon[(i + 1) % polygon.length];
+            return {
+                a: a,
+                b: b,
+                length: Math.hypot(b.x - a.x, b.y - a.y),
+                angle: Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI
+            };
+        });
+    }
+
+    /**
+     * Length-weighted rotation of sides from the nearest axis (degrees, positive = clockwise)
+     */
+    static meanAxisAngle(sides) {
+        const total = sides.reduce((sum, side) => sum + side.length, 0);
+        return sides.reduce((sum, side) => sum + ShapeClassifier.normalizeAngle(side.angle, 90) * side.length, 0) / total;
+    }
+
+    /**
+     * Fold an angle into (-period/2, period/2]
+     */
+    static normalizeAngle(angle, period) {
+        let folded = angle % period;
+        if (folded > period / 2) folded -= period;
+        if (folded <= -period / 2) folded += period;
+        return folded;
+    }
+
+    static isConvex(polygon) {
+        const turns = polygon.map((p, i) => {
+            const q = polygon[(i + 1) % polygon.length];
+            const r = polygon[(i + 2) % polygon.length];
+            return (q.x - p.x) * (r.y - q.y) - (q.y - p.y) * (r.x - q.x);
+        });
+        return turns.every(turn => turn >= 0) || turns.every(turn => turn <= 0);
+    }
+
+    /**
+     * Distance of a point from the line through a and b, on the side away from `reference`
+     * (negative on the reference's side)
+     */
+    static distanceFromLine(point, { a, b }, reference) {
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        const side = p => ((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x)) / length;
+        return Math.sign(side(reference)) === Math.sign(side(point)) ? -Math.abs(side(point)) : Math.abs(side(point));
+    }
+
+    static distanceToSegment(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0
+            ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared))
+            : 0;
+        return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+    }
+
+    /**
+     * Corners of the smallest box around the points with sides at `tilt` degrees,
+     * in topLeft, topRight, bottomRight, bottomLeft order
+     */
+    static orientedBox(points, tilt) {
+        const r = tilt * Math.PI / 180;
+        const cos = Math.cos(r);
+        const sin = Math.sin(r);
+        // Coordinates along the box's own (rotated) axes
+        const us = points.map(p => p.x * cos + p.y * sin);
+        const vs = points.map(p => -p.x * sin + p.y * cos);
+        const [minU, maxU] = [Math.min(...us), Math.max(...us)];
+        const [minV, maxV] = [Math.min(...vs), Math.max(...vs)];
+        return [[minU, minV], [maxU, minV], [maxU, maxV], [minU, maxV]].map(([u, v]) => ({
+            x: u * cos - v * sin,
+            y: u * sin + v * cos
+        }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShapeClassifier;
+}
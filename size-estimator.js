@@ -0,0 +1,124 @@
+/**
+ * Size Estimator - Real-world frame sizes (mm) and camera distance from pixel measurements
+ * The scale comes from a reference object of known size detected on the wall (a credit
+ * card, a sheet of paper, ...) or from the camera's focal length and a distance the user
+ * enters. Both assume the frames hang on the same wall, facing the camera.
+ */
+
+class SizeEstimator {
+    constructor() {
+        this.reference = null; // { frameId, object } - the tracked quad that is a reference object
+        this.referenceScale = null; // mm per pixel last measured on the reference (kept while it is out of view)
+        this.cameraDistance = null; // mm from the camera to the wall, entered by the user (null = unknown)
+    }
+
+    /**
+     * Objects of known size that can be held against the wall, width and height in mm
+     */
+    static getReferenceObjects() {
+        return [
+            { id: 'card', label: 'Credit card', width: 85.6, height: 53.98 },
+            { id: 'a4', label: 'A4 sheet', width: 297, height: 210 },
+            { id: 'letter', label: 'US Letter sheet', width: 279.4, height: 215.9 },
+            { id: 'a5', label: 'A5 sheet', width: 210, height: 148 }
+        ];
+    }
+
+    /**
+     * Use the tracked frame `frameId` as the reference object `objectId` (null clears it)
+     */
+    setReference(frameId, objectId) {
+        const object = SizeEstimator.getReferenceObjects().find(o => o.id === objectId);
+        this.reference = frameId !== null && frameId !== undefined && object ? { frameId: frameId, object: object } : null;
+        this.referenceScale = null;
+    }
+
+    /**
+     * Set the camera to wall distance in mm (null or 0 = unknown)
+     */
+    setCameraDistance(distance) {
+        this.cameraDistance = distance > 0 ? distance : null;
+    }
+
+    /**
+     * Width and height of a quad in pixels, each the mean of two opposite sides
+     */
+    static measureSides({ topLeft, topRight, bottomRight, bottomLeft }) {
+        return {
+            width: (Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) +
+                    Math.hypot(bottomRight.x - bottomLeft.x, bottomRight.y - bottomLeft.y)) / 2,
+            height: (Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y) +
+                     Math.hypot(bottomRight.x - topRight.x, bottomRight.y - topRight.y)) / 2
+        };
+    }
+
+    /**
+     * The wall's scale for one set of tracked frames
+     * `focalLength` is in pixels. Returns { mmPerPixel, distance (mm), method ('reference' or
+     * 'distance'), referenceVisible } or null when neither a reference nor a distance is known.
+     * A reference object wins over the entered distance; while it is out of view its last
+     * scale is kept.
+     */
+    getScale(frames, focalLength) {
+        if (this.reference) {
+            const frame = frames.find(f => f.frameId === this.reference.frameId);
+            if (frame) {
+                // The object may lie either way round: long side to long side
+                const sides = SizeEstimator.measureSides(frame.level.corners);
+                const { width, height } = this.reference.object;
+                const long = Math.max(sides.width, sides.height);
+                const short = Math.min(sides.width, sides.height);
+                if (short > 0) {
+                    this.referenceScale = (Math.max(width, height) / long + Math.min(width, height) / short) / 2;
+                }
+            }
+            if (this.referenceScale) {
+                return {
+                    mmPerPixel: this.referenceScale,
+                    distance: this.referenceScale * focalLength,
+                    method: 'reference',
+                    referenceVisible: !!frame
+                };
+            }
+        }
+
+        if (this.cameraDistance && focalLength > 0) {
+            return {
+                mmPerPixel: this.cameraDistance / focalLength,
+                distance: this.cameraDistance,
+                method: 'distance',
+                referenceVisible: false
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Real size of a frame at a scale from getScale
+     * Returns { width, height, distance (mm), method } or null
+     */
+    measure(frame, scale) {
+        if (!scale) {
+            return null;
+        }
+        const sides = SizeEstimator.measureSides(frame.level.corners);
+        return {
+            width: sides.width * scale.mmPerPixel,
+            height: sides.height * scale.mmPerPixel,
+            distance: scale.distance,
+            method: scale.method
+        };
+    }
+
+    /**
+     * Overlay text for a size, e.g. "≈ 402 × 301 mm at 2.1 m"
+     */
+    static format(size) {
+        return `≈ ${Math.round(size.width)} × ${Math.round(size.height)} mm at ${(size.distance / 1000).toFixed(1)} m`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SizeEstimator;
+}
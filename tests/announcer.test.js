@@ -0,0 +1,105 @@
+/**
+ * FrameAnnouncer descriptions and change announcements (no DOM or speech needed)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const FrameAnnouncer = require('../announcer.js');
+
+function frame(frameId, x, tilt, status, extra = {}) {
+    return {
+        frameId: frameId,
+        rect: { x: x, y: 100, width: 100, height: 80 },
+        tilt: tilt,
+        tolerance: { status: status },
+        ...extra
+    };
+}
+
+/**
+ * Feed the same frames for a number of results, 100 ms apart; returns the announcements made
+ */
+function feed(announcer, frames, results, start) {
+    const announcements = [];
+    for (let i = 0; i < results; i++) {
+        const text = announcer.getAnnouncement(frames, start + i * 100);
+        if (text) {
+            announcements.push(text);
+        }
+    }
+    return announcements;
+}
+
+test('frames are named by position from left to right', () => {
+    const names = FrameAnnouncer.describePositions([frame(7, 400, 0), frame(3, 10, 0), frame(5, 200, 0)]);
+    assert.deepEqual([...names.entries()], [[3, 'left frame'], [5, 'middle frame'], [7, 'right frame']]);
+
+    const many = FrameAnnouncer.describePositions([0, 1, 2, 3].map(i => frame(i, i * 150, 0)));
+    assert.deepEqual([...many.values()], ['left frame', '2nd frame from left', '3rd frame from left', 'right frame']);
+
+    assert.equal(FrameAnnouncer.describePositions([frame(1, 0, 0)]).get(1), 'frame');
+});
+
+test('descriptions give status, tilt and direction', () => {
+    const announcer = new FrameAnnouncer();
+    const [left, right] = announcer.describe([
+        frame(1, 0, 3.04, 'tilted'),
+        frame(2, 300, -0.2, 'level', { lowConfidence: true })
+    ]);
+
+    assert.equal(left.text, 'left frame, tilted 3 degrees clockwise');
+    assert.equal(left.direction, 'clockwise');
+    assert.equal(right.text, 'right frame, level, uncertain');
+    assert.equal(announcer.describe([frame(1, 0, -1, 'slight')])[0].text, 'frame, slightly tilted, 1 degree counter-clockwise');
+    assert.equal(announcer.describe([frame(1, 0, 0, null, { tolerance: null, noOrientation: true })])[0].text,
+        'frame, round, no orientation');
+});
+
+test('changes are announced once they settle, not on every result', () => {
+    const announcer = new FrameAnnouncer();
+    const frames = [frame(1, 0, 3, 'tilted'), frame(2, 300, 0.5, 'level')];
+
+    assert.deepEqual(feed(announcer, frames, 10, 0), [
+        '2 frames detected. Left frame, tilted 3 degrees clockwise. Right frame, level.'
+    ]);
+
+    // Unchanged frames are not repeated, and a status flicker is ignored
+    assert.deepEqual(feed(announcer, frames, 30, 5000), []);
+    assert.deepEqual(feed(announcer, [frame(1, 0, 0.4, 'level'), frames[1]], 2, 8000), []);
+    assert.deepEqual(feed(announcer, frames, 5, 8200), []);
+
+    // Only the frame that changed is read
+    assert.deepEqual(feed(announcer, [frame(1, 0, 0.4, 'level'), frames[1]], 6, 9000), ['Left frame, level.']);
+});
+
+test('announcements are rate limited, and a waiting change is made later', () => {
+    const announcer = new FrameAnnouncer();
+    feed(announcer, [frame(1, 0, 3, 'tilted')], 5, 0);
+
+    assert.deepEqual(feed(announcer, [frame(1, 0, 0.1, 'level')], 10, 1000), []);
+    assert.deepEqual(feed(announcer, [frame(1, 0, 0.1, 'level')], 1, 3500), ['Frame, level.']);
+});
+
+test('low-confidence frames are not announced', () => {
+    const announcer = new FrameAnnouncer();
+    assert.deepEqual(feed(announcer, [frame(1, 0, 3, 'tilted', { lowConfidence: true })], 10, 0), []);
+
+    assert.deepEqual(feed(announcer, [], 10, 5000), []);
+});
+
+test('frames leaving the view are announced', () => {
+    const announcer = new FrameAnnouncer();
+    feed(announcer, [frame(1, 0, 3, 'tilted')], 5, 0);
+
+    assert.deepEqual(feed(announcer, [], 10, 5000), ['No frames detected.']);
+});
+
+test('getSummary reads every frame at once', () => {
+    const announcer = new FrameAnnouncer();
+    assert.equal(
+        announcer.getSummary([frame(1, 0, -2.5, 'slight'), frame(2, 300, 6, 'tilted')]),
+        '2 frames detected. Left frame, slightly tilted, 2.5 degrees counter-clockwise. Right frame, tilted 6 degrees clockwise.'
+    );
+    assert.equal(announcer.getSummary([]), 'No frames detected.');
+});
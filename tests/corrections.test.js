@@ -0,0 +1,102 @@
+/**
+ * CorrectionAdvisor instructions for the different hanging methods
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CorrectionAdvisor = require('../corrections.js');
+
+// A 3:2 landscape frame as the detector reports it
+function frame(tilt, frameId = 1) {
+    return {
+        frameId: frameId,
+        tilt: tilt,
+        rect: { x: 0, y: 0, width: 300, height: 200 },
+        level: {
+            edges: {
+                top: { length: 300 },
+                right: { length: 200 },
+                bottom: { length: 300 },
+                left: { length: 200 }
+            }
+        }
+    };
+}
+
+function mmFor(lever, tilt) {
+    return Math.round(lever * Math.tan(Math.abs(tilt) * Math.PI / 180));
+}
+
+test('corners: raise the low corner by width × tan(tilt)', () => {
+    const advisor = new CorrectionAdvisor();
+    advisor.setFrameWidth(500);
+
+    const right = advisor.getCorrection(frame(2));
+    assert.equal(right.side, 'right');
+    assert.equal(right.amount, mmFor(500, 2));
+    assert.equal(right.text, `Raise the right corner ${mmFor(500, 2)} mm`);
+
+    const left = advisor.getCorrection(frame(-3.4));
+    assert.equal(left.text, `Raise the left corner ${mmFor(500, 3.4)} mm`);
+});
+
+test('two hooks: raise the low hook over the hook spacing', () => {
+    const advisor = new CorrectionAdvisor();
+    advisor.setFrameWidth(600);
+    advisor.setHangingMethod('two-hooks');
+
+    // Default spacing is half the frame width
+    assert.equal(advisor.getCorrection(frame(2)).text, `Raise the right hook ${mmFor(300, 2)} mm`);
+
+    advisor.setHookSpacing(400);
+    assert.equal(advisor.getCorrection(frame(-2)).text, `Raise the left hook ${mmFor(400, 2)} mm`);
+});
+
+test('wire: slide the hook toward the low side by half the frame height × tan(tilt)', () => {
+    const advisor = new CorrectionAdvisor();
+    advisor.setFrameWidth(600); // 3:2 frame, 400 mm tall
+    advisor.setHangingMethod('wire');
+
+    assert.equal(advisor.getCorrection(frame(3)).text, `Slide the wire hook ${mmFor(200, 3)} mm right`);
+    assert.equal(advisor.getCorrection(frame(-3)).text, `Slide the wire hook ${mmFor(200, 3)} mm left`);
+});
+
+test('corrections under 1 mm count as level', () => {
+    const advisor = new CorrectionAdvisor();
+    advisor.setFrameWidth(200);
+
+    const correction = advisor.getCorrection(frame(0.1));
+    assert.equal(correction.isLevel, true);
+    assert.equal(correction.amount, 0);
+    assert.equal(correction.text, 'Level');
+});
+
+test('without a frame width only the direction is given', () => {
+    const advisor = new CorrectionAdvisor();
+
+    const correction = advisor.getCorrection(frame(4));
+    assert.equal(correction.amount, null);
+    assert.equal(correction.text, 'Raise the right corner');
+});
+
+test('a measured frame size stands in for an unknown width, as an estimate', () => {
+    const advisor = new CorrectionAdvisor();
+    const measured = { ...frame(2), size: { width: 400, height: 270, distance: 2000, method: 'reference' } };
+
+    assert.equal(advisor.getCorrection(measured).text, `Raise the right corner ≈${mmFor(400, 2)} mm`);
+
+    // An entered width is exact and wins
+    advisor.setFrameWidth(500);
+    assert.equal(advisor.getCorrection(measured).text, `Raise the right corner ${mmFor(500, 2)} mm`);
+});
+
+test('summary lists frames that need work', () => {
+    const advisor = new CorrectionAdvisor();
+    advisor.setFrameWidth(500);
+
+    const corrections = advisor.getCorrections([frame(0, 1), frame(2, 2)]);
+    assert.equal(advisor.getSummary(corrections), `#2: Raise the right corner ${mmFor(500, 2)} mm`);
+    assert.equal(advisor.getSummary([corrections[0]]), 'All frames level');
+    assert.equal(advisor.getSummary([]), '');
+});
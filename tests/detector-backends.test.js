@@ -0,0 +1,163 @@
+/**
+ * Detector backend tests: the registry, line assembly helpers and each backend on
+ * synthetic scenes (scene tests need OpenCV.js, see helpers/opencv.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skipWithoutOpenCV } = require('./helpers/opencv.js');
+const { createScene } = require('./helpers/scenes.js');
+const { DetectorBackends, LineSegmentBackend } = require('../detector-backends.js');
+const FrameDetector = require('../detector.js');
+
+const ANGLE_TOLERANCE = 0.5;
+
+function assertAngle(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) <= ANGLE_TOLERANCE,
+        `${message || 'angle'}: expected ${expected}° ± ${ANGLE_TOLERANCE}°, got ${actual.toFixed(3)}°`);
+}
+
+/**
+ * Analyze a scene once with the given backend and free it
+ */
+function analyzeWith(backendId, options) {
+    const detector = new FrameDetector();
+    detector.setBackend(backendId);
+    const scene = createScene(cv, options);
+    try {
+        return detector.analyzeFrame(scene);
+    } finally {
+        scene.delete();
+    }
+}
+
+test('DetectorBackends lists the backends with the contour search first', () => {
+    const ids = DetectorBackends.getAll().map(backend => backend.id);
+    assert.deepEqual(ids, ['contour', 'adaptive', 'lines']);
+    assert.equal(DetectorBackends.get('lines').name, 'Line segments');
+    assert.equal(DetectorBackends.get('unknown'), undefined);
+});
+
+test('DetectorBackends.register adds a backend or replaces one with the same id', () => {
+    try {
+        const custom = { id: 'custom', name: 'Custom', findCandidates: () => [] };
+        DetectorBackends.register(custom);
+        assert.equal(DetectorBackends.get('custom'), custom);
+
+        const replacement = { id: 'custom', name: 'Replacement', findCandidates: () => [] };
+        DetectorBackends.register(replacement);
+        assert.equal(DetectorBackends.get('custom'), replacement);
+        assert.equal(DetectorBackends.getAll().filter(backend => backend.id === 'custom').length, 1);
+    } finally {
+        DetectorBackends.backends = null;
+    }
+});
+
+test('LineSegmentBackend.coverage measures the union of segments along a side', () => {
+    const backend = new LineSegmentBackend();
+    const segment = (x1, x2) => ({ a: { x: x1, y: 0 }, b: { x: x2, y: 0 }, length: Math.abs(x2 - x1) });
+    const a = { x: 0, y: 0 };
+    const b = { x: 100, y: 0 };
+
+    assert.equal(backend.coverage({ segments: [segment(0, 100)] }, a, b), 1);
+    // Overlapping segments count once, parts beyond the side not at all
+    assert.ok(Math.abs(backend.coverage({ segments: [segment(10, 40), segment(30, 60), segment(90, 150)] }, a, b) - 0.6) < 1e-9);
+    // Direction of the segments does not matter
+    assert.ok(Math.abs(backend.coverage({ segments: [segment(50, 0)] }, a, b) - 0.5) < 1e-9);
+    assert.equal(backend.coverage({ segments: [segment(120, 200)] }, a, b), 0);
+});
+
+test('LineSegmentBackend.overlap is the shared area as a fraction of the smaller box', () => {
+    const big = { x: 0, y: 0, width: 200, height: 100 };
+    assert.equal(LineSegmentBackend.overlap(big, { x: 50, y: 25, width: 20, height: 20 }), 1);
+    assert.equal(LineSegmentBackend.overlap(big, { x: 150, y: 0, width: 100, height: 100 }), 0.5);
+    assert.equal(LineSegmentBackend.overlap(big, { x: 300, y: 0, width: 50, height: 50 }), 0);
+});
+
+test('every backend measures a clear frame', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    DetectorBackends.getAll().forEach(backend => {
+        const results = analyzeWith(backend.id, { frames: [{ x: 320, y: 240, width: 180, height: 120, tilt: 2 }] });
+        assert.equal(results.backend, backend.id);
+        assert.equal(results.frames.length, 1, `one frame with ${backend.id}`);
+        assertAngle(results.frames[0].tilt, 2, backend.id);
+        assert.ok(results.backendTime >= 0);
+    });
+});
+
+test('adaptive threshold and line segments find a faint frame on a similar wall', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const scene = { seed: 3, frames: [{ x: 320, y: 240, width: 220, height: 160, tilt: 1.5, color: 178 }], noise: 3, texture: 6 };
+    ['adaptive', 'lines'].forEach(id => {
+        const results = analyzeWith(id, scene);
+        assert.equal(results.frames.length, 1, `one frame with ${id}`);
+        assertAngle(results.frames[0].tilt, 1.5, id);
+    });
+});
+
+test('line segments separate a frame from a door frame it touches', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const results = analyzeWith('lines', {
+        seed: 3,
+        frames: [{ x: 320, y: 240, width: 200, height: 120, tilt: 1 }],
+        doors: [{ x: 224, thickness: 6 }],
+        noise: 3
+    });
+    const frame = results.frames.find(f => Math.abs(f.rect.width - 200) < 20 && Math.abs(f.rect.height - 120) < 20);
+    assert.ok(frame, 'the frame itself, not a blob merged with the door');
+    assertAngle(frame.tilt, 1, 'frame next to a door');
+});
+
+test('setBackend restarts tracking and ignores unknown ids', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const detector = new FrameDetector();
+    const scene = createScene(cv, { frames: [{ x: 320, y: 240, width: 180, height: 120, tilt: 2 }] });
+    try {
+        detector.analyzeFrame(scene);
+        assert.equal(detector.tracker.tracks.size, 1);
+
+        detector.setBackend('unknown');
+        assert.equal(detector.backend.id, 'contour');
+        assert.equal(detector.tracker.tracks.size, 1);
+
+        detector.setBackend('lines');
+        assert.equal(detector.backend.id, 'lines');
+        assert.equal(detector.tracker.tracks.size, 0);
+    } finally {
+        scene.delete();
+    }
+});
+
+test('comparison mode reports a second backend on the same image', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const detector = new FrameDetector();
+    const scene = createScene(cv, { frames: [{ x: 320, y: 240, width: 180, height: 120, tilt: -3 }] });
+    try {
+        assert.equal(detector.analyzeFrame(scene).comparison, null);
+
+        detector.setComparisonBackend('lines');
+        const results = detector.analyzeFrame(scene);
+        assert.equal(results.backend, 'contour');
+        assert.equal(results.comparison.backend, 'lines');
+        assert.equal(results.comparison.backendName, 'Line segments');
+        assert.equal(results.comparison.frames.length, 1);
+        assertAngle(results.comparison.frames[0].tilt, -3, 'comparison frame');
+        assert.equal(results.comparison.frames[0].tolerance.status, results.frames[0].tolerance.status);
+
+        // Comparing a backend with itself is pointless
+        detector.setBackend('lines');
+        assert.equal(detector.analyzeFrame(scene).comparison, null);
+
+        detector.setComparisonBackend(null);
+        detector.setBackend('contour');
+        assert.equal(detector.analyzeFrame(scene).comparison, null);
+    } finally {
+        scene.delete();
+    }
+});
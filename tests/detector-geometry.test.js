@@ -0,0 +1,253 @@
+/**
+ * FrameDetector geometry helpers (pure JavaScript, no OpenCV needed)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./helpers/opencv.js'); // Sets the FrameTracker and TiltFusion globals detector.js expects
+const FrameDetector = require('../detector.js');
+const { frameCorners, createCamera } = require('./helpers/scenes.js');
+
+const TOLERANCE = 1e-9;
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `${message || 'value'}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+test('sortCorners identifies corners regardless of input order', () => {
+    const detector = new FrameDetector();
+    const topLeft = { x: 100, y: 50 };
+    const topRight = { x: 300, y: 60 };
+    const bottomRight = { x: 290, y: 200 };
+    const bottomLeft = { x: 95, y: 190 };
+
+    const sorted = detector.sortCorners([bottomRight, topLeft, bottomLeft, topRight]);
+
+    assert.deepEqual(sorted, { topLeft, topRight, bottomRight, bottomLeft });
+});
+
+test('sortCorners handles rotated frames', () => {
+    const detector = new FrameDetector();
+    const [topLeft, topRight, bottomRight, bottomLeft] =
+        frameCorners({ x: 320, y: 240, width: 200, height: 120, tilt: 20 });
+
+    const sorted = detector.sortCorners([topRight, bottomLeft, topLeft, bottomRight]);
+
+    assert.deepEqual(sorted, { topLeft, topRight, bottomRight, bottomLeft });
+});
+
+test('sortCorners falls back to vertical order when quadrant classification fails', () => {
+    const detector = new FrameDetector();
+    // A diamond has corners exactly on the center lines
+    const sorted = detector.sortCorners([
+        { x: 100, y: 0 }, { x: 200, y: 100 }, { x: 100, y: 200 }, { x: 0, y: 100 }
+    ]);
+
+    const distinct = new Set(Object.values(sorted));
+    assert.equal(distinct.size, 4);
+    assert.ok(sorted.topLeft.y <= sorted.bottomLeft.y);
+    assert.ok(sorted.topRight.y <= sorted.bottomRight.y);
+});
+
+test('calculateEdgeAngle is positive for clockwise tilt', () => {
+    const detector = new FrameDetector();
+
+    assertClose(detector.calculateEdgeAngle({ x: 0, y: 0 }, { x: 0, y: 100 }), 0, TOLERANCE);
+    // Bottom end further left = rotated clockwise on screen
+    assertClose(detector.calculateEdgeAngle({ x: 0, y: 0 }, { x: -100, y: 100 }), 45, TOLERANCE);
+    assertClose(detector.calculateEdgeAngle({ x: 0, y: 0 }, { x: 100, y: 100 }), -45, TOLERANCE);
+});
+
+test('calculateFrameTilt returns the rotation of a tilted rectangle', () => {
+    const detector = new FrameDetector();
+
+    [-10, -5, -2, -0.5, 0, 0.5, 2, 5, 10].forEach(tilt => {
+        const corners = frameCorners({ x: 320, y: 240, width: 200, height: 140, tilt: tilt });
+        assertClose(detector.calculateFrameTilt(corners), tilt, TOLERANCE, `tilt ${tilt}°`);
+        assertClose(detector.calculateHorizontalTilt(corners), tilt, TOLERANCE, `horizontal tilt ${tilt}°`);
+    });
+});
+
+test('calculateFrameTilt ignores corner order and needs four corners', () => {
+    const detector = new FrameDetector();
+    const corners = frameCorners({ x: 320, y: 240, width: 200, height: 140, tilt: 3 });
+
+    assertClose(detector.calculateFrameTilt([corners[2], corners[0], corners[3], corners[1]]), 3, TOLERANCE);
+    assert.equal(detector.calculateFrameTilt(corners.slice(0, 3)), 0);
+});
+
+test('analyzeFrameLevel flags edges that disagree with the frame rotation', () => {
+    const detector = new FrameDetector();
+
+    const level = detector.analyzeFrameLevel(frameCorners({ x: 320, y: 240, width: 200, height: 140, tilt: 4 }));
+    assertClose(level.rotation, 4, TOLERANCE);
+    assert.equal(level.isSkewed, false);
+
+    // Bottom-right corner pulled down: the right and bottom edges no longer match
+    const skewed = frameCorners({ x: 320, y: 240, width: 200, height: 140, tilt: 0 });
+    skewed[2] = { x: skewed[2].x, y: skewed[2].y + 30 };
+    const skewedLevel = detector.analyzeFrameLevel(skewed);
+    assert.equal(skewedLevel.isSkewed, true);
+    assert.ok(skewedLevel.disagreeingEdges.includes('bottom'));
+});
+
+test('getTrueVerticalPoint keeps the vanishing point unless sensor fusion corrected the camera tilt', () => {
+    const detector = new FrameDetector();
+    // Converging verticals: the point's direction from the center (2.29°) is not the averaged line angle (2°)
+    detector.verticalVanishingPoint = [400, 2240, 1];
+    detector.cameraMeasurement = { tilt: 2, variance: 0.1 };
+    detector.fusedTilt = 2;
+    detector.sensorWeight = 0.5;
+    assert.deepEqual(detector.getTrueVerticalPoint(640, 480), [400, 2240, 1]);
+
+    // Camera-only fusion lags the measurement, but there is nothing to correct the point with
+    detector.cameraTilt = 1.5; // Smoothed over earlier frames
+    detector.fusedTilt = 1.8;
+    detector.sensorWeight = 0;
+    assert.deepEqual(detector.getTrueVerticalPoint(640, 480), [400, 2240, 1]);
+
+    // Sensors moved this frame's measurement by 1°: the point turns 1° about the image center
+    detector.fusedTilt = 3;
+    detector.sensorWeight = 0.5;
+    const [x, y, w] = detector.getTrueVerticalPoint(640, 480);
+    const angle = Math.atan2(x / w - 320, y / w - 240) - Math.atan2(80, 2000);
+    assertClose(angle * 180 / Math.PI, -1, 1e-9, 'rotation');
+    assertClose(Math.hypot(x / w - 320, y / w - 240), Math.hypot(80, 2000), 1e-9, 'distance from the center');
+
+    // Without a vanishing point the fused tilt gives a point at infinity
+    detector.verticalVanishingPoint = null;
+    const [px, py, pw] = detector.getTrueVerticalPoint(640, 480);
+    assert.equal(pw, 0);
+    assertClose(Math.atan2(-px, py) * 180 / Math.PI, 3, 1e-9, 'direction');
+});
+
+test('calculateSideTilts measures the sides on the wall, not in the image', () => {
+    const detector = new FrameDetector();
+    const camera = createCamera({ width: 640, height: 480, yaw: 20, pitch: 10 });
+    const project = p => {
+        const q = camera(p);
+        return [q.x, q.y, 1];
+    };
+    const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    // Where the wall's verticals meet in the image
+    const verticalPoint = cross(
+        cross(project({ x: 0, y: 0 }), project({ x: 0, y: 480 })),
+        cross(project({ x: 640, y: 0 }), project({ x: 640, y: 480 }))
+    );
+
+    const corners = frameCorners({ x: 320, y: 240, width: 200, height: 140, tilt: 2 }).map(camera);
+    const level = detector.analyzeFrameLevel(corners);
+    assert.ok(Math.abs(level.horizontalTilt - 2) > 1, 'the image angles are off');
+    const tilts = detector.calculateSideTilts(corners, verticalPoint, 640, 480);
+    assertClose(tilts.verticalTilt, 2, 1e-9, 'vertical');
+    assertClose(tilts.horizontalTilt, 2, 1e-9, 'horizontal');
+
+    // A skewed outline, level sides and a top and bottom at 3°, keeps its skew
+    const slope = 200 * Math.tan(3 * Math.PI / 180);
+    const skewed = [{ x: 220, y: 170 }, { x: 420, y: 170 + slope }, { x: 420, y: 310 + slope }, { x: 220, y: 310 }];
+    const skewedTilts = detector.calculateSideTilts(skewed.map(camera), verticalPoint, 640, 480);
+    assertClose(skewedTilts.verticalTilt, 0, 1e-9, 'skewed vertical');
+    assertClose(skewedTilts.horizontalTilt, 3, 1e-9, 'skewed horizontal');
+});
+
+test('calculateConfidence penalizes extra corners, poor fit and non-parallel edges', () => {
+    const detector = new FrameDetector();
+    const corners = frameCorners({ x: 320, y: 240, width: 200, height: 120 });
+    const frame = {
+        level: detector.analyzeFrameLevel(corners),
+        shape: { cornerCount: 4, straightness: 1, fit: 1 },
+        trackAge: 10
+    };
+
+    assertClose(detector.calculateConfidence(frame).score, 1, TOLERANCE, 'clean tracked frame');
+
+    const heptagon = detector.calculateConfidence({ ...frame, shape: { cornerCount: 7, straightness: 1, fit: 0.6 } });
+    assertClose(heptagon.factors.corners, 4 / 7, TOLERANCE, 'corner factor');
+    assert.ok(heptagon.score < 0.85, `heptagon score ${heptagon.score}`);
+
+    const trapezoid = [
+        { x: 220, y: 180 }, { x: 420, y: 150 }, { x: 420, y: 330 }, { x: 220, y: 300 }
+    ];
+    const skewed = detector.calculateConfidence({ ...frame, level: detector.analyzeFrameLevel(trapezoid) });
+    assert.ok(skewed.factors.parallelism < 0.5, `parallelism ${skewed.factors.parallelism}`);
+});
+
+test('intersectLines meets fitted sides at the corner, and rejects parallel lines', () => {
+    const detector = new FrameDetector();
+    const top = { point: { x: 0, y: 10.25 }, direction: { x: 1, y: 0 } };
+    const left = { point: { x: 20.5, y: 0 }, direction: { x: 0, y: 1 } };
+
+    assert.deepEqual(detector.intersectLines(left, top), { x: 20.5, y: 10.25 });
+    assert.equal(detector.intersectLines(top, { point: { x: 0, y: 50 }, direction: { x: -1, y: 0 } }), null);
+});
+
+test('tapping a frame locks the smallest one under the point, tapping empty space unlocks', () => {
+    const detector = new FrameDetector();
+    const toFrame = (frameId, options) => {
+        const [topLeft, topRight, bottomRight, bottomLeft] = frameCorners(options);
+        return {
+            frameId: frameId,
+            area: options.width * options.height,
+            level: { corners: { topLeft, topRight, bottomRight, bottomLeft } }
+        };
+    };
+    const outer = toFrame(1, { x: 320, y: 240, width: 400, height: 300 });
+    const inner = toFrame(2, { x: 320, y: 240, width: 100, height: 80, tilt: 10 });
+    detector.lastDrawnFrames = [outer, inner];
+
+    assert.equal(detector.lockFrameAt({ x: 330, y: 245 }), inner);
+    assert.equal(detector.lockedFrameId, 2);
+    assert.equal(detector.lockFrameAt({ x: 150, y: 120 }), outer);
+    assert.equal(detector.lockedFrameId, 1);
+    assert.equal(detector.lockFrameAt({ x: 600, y: 450 }), null);
+    assert.equal(detector.lockedFrameId, null);
+});
+
+test('a lock survives short gaps and is dropped when the frame stays gone', () => {
+    const detector = new FrameDetector();
+    const frame = { frameId: 4 };
+    detector.setLockedFrame(4);
+
+    assert.equal(detector.updateLock([frame]), frame);
+    for (let i = 0; i < detector.maxLockMisses; i++) {
+        assert.equal(detector.updateLock([]), null);
+    }
+    assert.equal(detector.lockedFrameId, 4, 'still locked after maxLockMisses gaps');
+    assert.equal(detector.updateLock([frame]), frame, 'found again');
+
+    for (let i = 0; i <= detector.maxLockMisses; i++) {
+        detector.updateLock([]);
+    }
+    assert.equal(detector.lockedFrameId, null);
+});
+
+test('getSettings and applySettings carry every result-changing setting', () => {
+    const detector = new FrameDetector();
+    detector.setSensitivity(8);
+    detector.setSmoothingLevel(9);
+    detector.setConfidenceThreshold(0.7);
+    detector.setHideLowConfidence(true);
+    detector.setToleranceProfile('custom', { unit: 'mm', level: 2, slight: 5 });
+    detector.setToleranceFrameWidth(400);
+    detector.setLensCalibration({ cameraMatrix: [800, 0, 320, 0, 800, 240, 0, 0, 1], distCoeffs: [0.1, 0, 0, 0, 0], imageSize: { width: 640, height: 480 } });
+    detector.setFieldOfView(50);
+    detector.setSizeReference(3, 'a4');
+    detector.setCameraDistance(1500);
+
+    // Through JSON, as in a session log
+    const settings = JSON.parse(JSON.stringify(detector.getSettings()));
+    const replay = new FrameDetector();
+    replay.applySettings(settings);
+    assert.deepEqual(replay.getSettings(), settings);
+    assert.equal(replay.tolerance.getProfile().unit, 'mm');
+
+    // Unchanged, the size reference keeps the scale it measured
+    replay.sizeEstimator.referenceScale = 0.5;
+    replay.applySettings(settings);
+    assert.equal(replay.sizeEstimator.referenceScale, 0.5);
+
+    replay.applySettings(new FrameDetector().getSettings());
+    assert.deepEqual(replay.getSettings(), new FrameDetector().getSettings());
+});
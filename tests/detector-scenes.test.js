@@ -0,0 +1,518 @@
+/**
+ * FrameDetector end-to-end tests on synthetic scenes (needs OpenCV.js, see helpers/opencv.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skipWithoutOpenCV } = require('./helpers/opencv.js');
+const { createScene } = require('./helpers/scenes.js');
+const FrameDetector = require('../detector.js');
+
+// OpenCV's anti-aliased drawing shifts near-axis edges, up to ~0.3° on a ~120 px edge
+// (supersampled scenes avoid that, see the sub-pixel edge test)
+const ANGLE_TOLERANCE = 0.5;
+
+// Frames are kept shorter than the detector's minimum environmental line length
+// (30% of the image height), so only the taller-frame test relies on their sides being left out of the wall verticals
+const FRAME = { x: 320, y: 240, width: 180, height: 120 };
+const DOORS = [{ x: 40 }, { x: 600 }];
+
+function assertAngle(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) <= ANGLE_TOLERANCE,
+        `${message || 'angle'}: expected ${expected}° ± ${ANGLE_TOLERANCE}°, got ${actual.toFixed(3)}°`);
+}
+
+/**
+ * Run one detection on a fresh detector and free the scene
+ */
+function detectScene(options) {
+    const detector = new FrameDetector();
+    const scene = createScene(cv, options);
+    try {
+        const frames = detector.detectFrames(scene);
+        return { detector, frames };
+    } finally {
+        scene.delete();
+    }
+}
+
+test('detectFrames measures frames tilted by known angles', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    [-5, -2, 0, 2, 5].forEach(tilt => {
+        const { frames } = detectScene({ frames: [{ ...FRAME, tilt: tilt }] });
+
+        assert.equal(frames.length, 1, `one frame at ${tilt}°`);
+        assertAngle(frames[0].tilt, tilt, `frame tilted ${tilt}°`);
+        assertAngle(frames[0].rawTilt, tilt, `raw tilt at ${tilt}°`);
+    });
+});
+
+test('analyzeFrame accepts grayscale, RGB and RGBA mats', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const scene = createScene(cv, { frames: [{ ...FRAME, tilt: 3 }] });
+    const gray = new cv.Mat();
+    const rgb = new cv.Mat();
+    cv.cvtColor(scene, gray, cv.COLOR_RGBA2GRAY);
+    cv.cvtColor(scene, rgb, cv.COLOR_RGBA2RGB);
+
+    try {
+        [scene, gray, rgb].forEach(source => {
+            const results = new FrameDetector().analyzeFrame(source);
+            assert.equal(results.width, 640);
+            assert.equal(results.height, 480);
+            assert.equal(results.frames.length, 1);
+            assertAngle(results.frames[0].tilt, 3, `${source.channels()}-channel source`);
+        });
+
+        // The caller's mat is not modified or freed
+        assert.equal(scene.channels(), 4);
+        assert.equal(scene.cols, 640);
+    } finally {
+        scene.delete();
+        gray.delete();
+        rgb.delete();
+    }
+});
+
+test('detectFrames survives sensor noise and a textured wall', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const { frames } = detectScene({
+        frames: [{ ...FRAME, tilt: 2 }],
+        texture: 15,
+        noise: 20,
+        seed: 7
+    });
+
+    assert.equal(frames.length, 1);
+    assertAngle(frames[0].tilt, 2);
+});
+
+test('detectFrames corrects perspective when the wall is viewed at an angle', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    [{ yaw: 25, tilt: -3 }, { yaw: -20, tilt: 2 }].forEach(({ yaw, tilt }) => {
+        const { frames } = detectScene({ frames: [{ ...FRAME, tilt: tilt }], camera: { yaw: yaw } });
+
+        assert.equal(frames.length, 1, `one frame at yaw ${yaw}°`);
+        assert.equal(frames[0].perspectiveCorrected, true);
+        assertAngle(frames[0].tilt, tilt, `frame tilted ${tilt}° seen at yaw ${yaw}°`);
+    });
+});
+
+test('vertical and horizontal tilt are perspective-corrected like the frame tilt', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const { frames } = detectScene({ frames: [{ ...FRAME, tilt: -3 }], camera: { yaw: 25, pitch: 10 } });
+
+    assert.equal(frames.length, 1);
+    const [frame] = frames;
+    assertAngle(frame.tilt, -3, 'tilt');
+    assertAngle(frame.verticalTilt, frame.tilt, 'vertical tilt');
+    assertAngle(frame.horizontalTilt, frame.tilt, 'horizontal tilt');
+});
+
+test('detectEnvironmentalVerticals measures camera roll from door frames', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    [-4, 3].forEach(roll => {
+        const detector = new FrameDetector();
+        const scene = createScene(cv, { doors: DOORS, camera: { roll: roll } });
+
+        detector.detectEnvironmentalVerticals(scene);
+        scene.delete();
+
+        assert.ok(detector.environmentalVerticals.length >= 2, 'door lines found');
+        assertAngle(detector.getCameraTilt(), roll, `camera roll ${roll}°`);
+    });
+});
+
+test('detectEnvironmentalVerticals ignores a wall without verticals', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const detector = new FrameDetector();
+    const scene = createScene(cv, { texture: 15, noise: 10 });
+
+    detector.detectEnvironmentalVerticals(scene);
+    scene.delete();
+
+    assert.equal(detector.environmentalVerticals.length, 0);
+    assert.equal(detector.verticalVanishingPoint, null);
+    assert.equal(detector.getCameraTilt(), 0);
+});
+
+test('frames are measured against the door frames when the camera is rolled', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    [{ roll: 3, tilt: 0 }, { roll: -4, tilt: 2 }].forEach(({ roll, tilt }) => {
+        const { frames } = detectScene({
+            frames: [{ ...FRAME, tilt: tilt }],
+            doors: DOORS,
+            camera: { roll: roll }
+        });
+
+        // Door lines are too thin to be taken for frames
+        assert.equal(frames.length, 1);
+        assertAngle(frames[0].rawTilt, tilt + roll, 'tilt as seen by the camera');
+        assertAngle(frames[0].tilt, tilt, `frame tilted ${tilt}° with camera roll ${roll}°`);
+    });
+});
+
+test('converging door frames give a vanishing point for a pitched camera', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const { detector, frames } = detectScene({
+        frames: [{ ...FRAME, tilt: 2 }],
+        doors: DOORS,
+        camera: { pitch: 10 }
+    });
+
+    // Pitched up, verticals converge far below the image
+    const [, vy, vw] = detector.verticalVanishingPoint;
+    assert.ok(vy / vw > 480, 'vanishing point below the image');
+
+    assert.equal(frames.length, 1);
+    assertAngle(frames[0].tilt, 2);
+});
+
+test('detectFrames keeps frame IDs while the camera pans', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const detector = new FrameDetector();
+    const ids = [];
+
+    [0, 6, 12].forEach(pan => {
+        const scene = createScene(cv, {
+            frames: [
+                { x: 170 - pan, y: 220, width: 160, height: 110, tilt: 1 },
+                { x: 470 - pan, y: 260, width: 140, height: 120, tilt: -3 }
+            ]
+        });
+        const frames = detector.detectFrames(scene).sort((a, b) => a.rect.x - b.rect.x);
+        scene.delete();
+
+        assert.equal(frames.length, 2);
+        assertAngle(frames[0].rawTilt, 1, 'left frame');
+        assertAngle(frames[1].rawTilt, -3, 'right frame');
+        ids.push(frames.map(frame => frame.frameId));
+    });
+
+    assert.notEqual(ids[0][0], ids[0][1]);
+    assert.deepEqual(ids[1], ids[0]);
+    assert.deepEqual(ids[2], ids[0]);
+});
+
+test('a frame taller than the environmental line length is not taken as a wall vertical', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const { frames } = detectScene({ frames: [{ ...FRAME, height: 220, tilt: 4 }] });
+
+    assert.equal(frames.length, 1);
+    assertAngle(frames[0].tilt, 4);
+});
+
+test('a sensor tilt that disagrees with the door frames is flagged', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    [{ deviceTilt: 3, mismatch: false }, { deviceTilt: -3, mismatch: true }].forEach(({ deviceTilt, mismatch }) => {
+        const detector = new FrameDetector();
+        detector.enableSensorFusion({ isActiveAndReady: () => true, getDeviceTilt: () => deviceTilt });
+
+        const scene = createScene(cv, { doors: DOORS, camera: { roll: 3 } });
+        const results = detector.analyzeFrame(scene);
+        scene.delete();
+
+        assert.equal(results.sensorMismatch, mismatch, `sensor ${deviceTilt}° against camera roll 3°`);
+    });
+});
+
+test('the fused tilt reports its uncertainty and leading source', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const detector = new FrameDetector();
+    const scene = createScene(cv, { doors: DOORS, camera: { roll: 2 } });
+    const cameraOnly = detector.analyzeFrame(scene);
+
+    assert.equal(cameraOnly.dominantTiltSource, 'camera');
+    assert.ok(cameraOnly.tiltUncertainty > 0 && cameraOnly.tiltUncertainty < 1,
+        `camera uncertainty ${cameraOnly.tiltUncertainty}`);
+    assertAngle(cameraOnly.fusedTilt, 2);
+
+    // A very noisy sensor barely moves the estimate away from the door frames
+    detector.resetTracking();
+    detector.enableSensorFusion({
+        isActiveAndReady: () => true,
+        getDeviceTilt: () => 8,
+        getTiltVariance: () => 25
+    });
+    const fused = detector.analyzeFrame(scene);
+    scene.delete();
+
+    assert.equal(fused.dominantTiltSource, 'camera');
+    assertAngle(fused.fusedTilt, 2);
+});
+
+test('clean frames score high confidence that grows while they are tracked', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const detector = new FrameDetector();
+    const scene = createScene(cv, { frames: [{ ...FRAME, tilt: 3 }], noise: 10, texture: 10 });
+    const scores = [];
+    for (let i = 0; i < 6; i++) {
+        const results = detector.analyzeFrame(scene);
+        assert.equal(results.frames.length, 1);
+        scores.push(results.frames[0].confidence);
+    }
+    scene.delete();
+
+    const { factors } = detector.calculateConfidence(detector.lastDetectedFrames[0]);
+    assert.equal(factors.corners, 1);
+    assert.ok(factors.fit > 0.9, `fit ${factors.fit}`);
+    assert.ok(factors.parallelism > 0.9, `parallelism ${factors.parallelism}`);
+    assert.ok(scores[0] > 0.8, `first score ${scores[0]}`);
+    assert.ok(scores[5] > scores[0], `score ${scores[0]} -> ${scores[5]}`);
+    assert.equal(detector.lastDetectedFrames[0].lowConfidence, false);
+});
+
+test('frames below the confidence threshold are flagged, and sensor disagreement lowers the score', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const scene = createScene(cv, { frames: [FRAME], doors: DOORS });
+    const strict = new FrameDetector();
+    strict.setConfidenceThreshold(0.95);
+    const flagged = strict.analyzeFrame(scene).frames[0];
+    assert.equal(flagged.lowConfidence, true);
+
+    const disagreeing = new FrameDetector();
+    disagreeing.enableSensorFusion({ isActiveAndReady: () => true, getDeviceTilt: () => 6 });
+    const results = disagreeing.analyzeFrame(scene);
+    scene.delete();
+
+    assert.equal(results.confidenceThreshold, 0.5);
+    assert.equal(results.frames[0].confidenceFactors.agreement, 0);
+    assert.ok(results.frames[0].confidence < flagged.confidence);
+});
+
+test('sub-pixel edge fitting measures small frames to a few hundredths of a degree', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    [-4.3, -1.1, 0.6, 1.9, 5.2].forEach(tilt => {
+        const { frames } = detectScene({
+            frames: [{ x: 300, y: 230, width: 150, height: 100, tilt: tilt }],
+            noise: 8,
+            supersample: 4
+        });
+
+        assert.equal(frames.length, 1);
+        assert.equal(frames[0].edgeRefined, true);
+        assert.ok(Math.abs(frames[0].rawTilt - tilt) < 0.1,
+            `frame tilted ${tilt}°: measured ${frames[0].rawTilt.toFixed(3)}°`);
+        assert.ok(frames[0].corners.some(corner => !Number.isInteger(corner.x)), 'corners are sub-pixel');
+    });
+});
+
+test('results judge each frame by the selected tolerance profile', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const scene = createScene(cv, { frames: [{ ...FRAME, tilt: 0.6 }] });
+    const detector = new FrameDetector();
+    const standard = detector.analyzeFrame(scene);
+
+    detector.resetTracking();
+    detector.setToleranceProfile('museum');
+    const museum = detector.analyzeFrame(scene);
+    scene.delete();
+
+    assert.equal(standard.toleranceProfile, 'standard');
+    assert.equal(standard.frames[0].tolerance.status, 'level');
+    assert.equal(museum.toleranceProfile, 'museum');
+    assert.equal(museum.toleranceDescription, 'Museum ±0.3°');
+    assert.equal(museum.frames[0].tolerance.status, 'slight');
+});
+
+/**
+ * A dark frame with a light mat and an artwork, drawn on top of each other; `artwork`
+ * overrides the artwork's position and tilt
+ */
+function framedArtwork(tilt, artwork = {}) {
+    return [
+        { x: 320, y: 240, width: 200, height: 130, tilt: tilt },
+        { x: 320, y: 240, width: 170, height: 100, tilt: tilt, color: 235 },
+        { x: 320, y: 240, width: 120, height: 60, tilt: tilt, color: 110, ...artwork }
+    ];
+}
+
+test('the mat and artwork inside a frame are found with even margins', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    [{}, { camera: { yaw: 20 } }].forEach(options => {
+        const { frames } = detectScene({ ...options, frames: framedArtwork(1) });
+        const label = options.camera ? 'wall seen at an angle' : 'straight on';
+
+        assert.equal(frames.length, 1, `${label}: the mat and artwork are not separate frames`);
+        assertAngle(frames[0].tilt, 1, label);
+
+        const { nesting } = frames[0];
+        assert.deepEqual(nesting.layers.map(layer => layer.role), ['mat', 'artwork']);
+        assert.ok(Math.abs(nesting.layers[0].margins.left - 15) < 1.5, `${label}: frame edge to mat`);
+        assert.ok(Math.abs(nesting.layers[1].margins.left - 25) < 1.5, `${label}: mat margin`);
+        assertAngle(nesting.artworkRotation, 0, `${label}: artwork rotation`);
+        assert.equal(nesting.artworkRotated, false);
+        assert.equal(nesting.marginsEven, true, label);
+    });
+});
+
+test('artwork that slipped inside its frame is reported as turned with uneven margins', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    // Turned 2° further than the frame and 6 px off center to the right
+    const { frames } = detectScene({ frames: framedArtwork(1, { x: 326, tilt: 3 }) });
+
+    assert.equal(frames.length, 1);
+    assertAngle(frames[0].tilt, 1, 'the frame itself');
+
+    const { nesting } = frames[0];
+    assertAngle(nesting.artworkRotation, 2, 'artwork rotation in the frame');
+    assert.equal(nesting.artworkRotated, true);
+    assert.equal(nesting.marginsEven, false);
+
+    const { margins } = nesting.layers[1];
+    assert.ok(Math.abs(margins.left - margins.right - 12) < 1.5,
+        `left margin 12 px wider: left ${margins.left.toFixed(1)}, right ${margins.right.toFixed(1)}`);
+    assert.ok(Math.abs(margins.top - margins.bottom) < 2);
+});
+
+test('a plain frame has no nested quads', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const { frames } = detectScene({ frames: [{ ...FRAME, tilt: 2 }] });
+    assert.equal(frames[0].nesting, null);
+});
+
+test('oval frames are measured along their major axis', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    [
+        { width: 100, height: 140, tilt: 3 },
+        { width: 170, height: 120, tilt: -2 }
+    ].forEach(oval => {
+        const label = `${oval.width}×${oval.height} oval at ${oval.tilt}°`;
+        const { frames } = detectScene({ frames: [{ x: 320, y: 240, shape: 'ellipse', ...oval }] });
+
+        assert.equal(frames.length, 1, label);
+        assert.equal(frames[0].shape.type, 'oval', label);
+        assertAngle(frames[0].tilt, oval.tilt, label);
+        assert.ok(Math.abs(frames[0].ellipse.major - Math.max(oval.width, oval.height) / 2) < 3, `${label}: major axis`);
+        assert.equal(frames[0].lowConfidence, false, label);
+    });
+});
+
+test('a round frame has no orientation unless a hanger shows which way is up', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const round = { x: 320, y: 240, width: 130, height: 130, shape: 'ellipse' };
+    const plain = detectScene({ frames: [{ ...round, tilt: 3 }] }).frames[0];
+    assert.equal(plain.shape.type, 'circle');
+    assert.equal(plain.noOrientation, true);
+    assert.equal(plain.tolerance, null);
+    assert.equal(plain.tilt, 0);
+
+    [0, 3].forEach(tilt => {
+        const frame = detectScene({ frames: [{ ...round, tilt: tilt, hanger: 14 }] }).frames[0];
+        assert.equal(frame.shape.type, 'circle');
+        assert.equal(frame.noOrientation, false, `hanger at ${tilt}°`);
+        assertAngle(frame.tilt, tilt, 'direction of the hanger');
+        assert.ok(frame.hanger.y < frame.ellipse.center.y);
+    });
+});
+
+test('octagonal and arched frames are measured from their straight sides', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    [
+        { shape: 'octagon', width: 140, height: 140, tilt: 0 },
+        { shape: 'octagon', width: 160, height: 120, tilt: 3 },
+        { shape: 'arched', width: 120, height: 140, tilt: 0 },
+        { shape: 'arched', width: 120, height: 140, tilt: -3 }
+    ].forEach(shaped => {
+        const label = `${shaped.shape} at ${shaped.tilt}°`;
+        const { frames } = detectScene({ frames: [{ x: 320, y: 240, ...shaped }] });
+
+        assert.equal(frames.length, 1, label);
+        assert.equal(frames[0].shape.type, shaped.shape, label);
+        assertAngle(frames[0].tilt, shaped.tilt, label);
+        assert.equal(frames[0].lowConfidence, false, label);
+    });
+
+    // Rectangles keep the rectangle rules
+    assert.equal(detectScene({ frames: [{ ...FRAME, tilt: 2 }] }).frames[0].shape.type, 'rectangle');
+});
+
+test('frame sizes come from a reference card on the wall or the camera distance', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    // One scene pixel is one millimetre on the wall: an 86 × 54 px card and a 180 × 120 px frame
+    const detector = new FrameDetector();
+    const scene = createScene(cv, {
+        frames: [
+            { x: 140, y: 240, width: 85.6, height: 53.98, color: 230 },
+            { x: 400, y: 240, width: 180, height: 120, tilt: 1 }
+        ]
+    });
+    try {
+        let results = detector.analyzeFrame(scene);
+        assert.ok(results.frames.every(frame => frame.size === null), 'no sizes without a scale');
+
+        const card = results.frames.find(frame => frame.rect.width < 100);
+        detector.setSizeReference(card.frameId, 'card');
+        results = detector.analyzeFrame(scene);
+
+        const frame = results.frames.find(f => f.frameId !== card.frameId);
+        assert.equal(results.frames.find(f => f.frameId === card.frameId).isReference, true);
+        assert.ok(Math.abs(frame.size.width - 180) < 5, `width ${frame.size.width.toFixed(1)} mm`);
+        assert.ok(Math.abs(frame.size.height - 120) < 5, `height ${frame.size.height.toFixed(1)} mm`);
+        // The scene camera stands one focal length (in scene pixels, so millimetres) from the wall
+        const focalLength = detector.getFocalLength(640);
+        assert.ok(Math.abs(results.scale.distance - focalLength) < 0.03 * focalLength, 'distance from the card');
+
+        // Entered distance: the scene's focal length twice over doubles every size
+        detector.setSizeReference(null, null);
+        detector.setCameraDistance(2 * focalLength);
+        results = detector.analyzeFrame(scene);
+        const far = results.frames.find(f => f.frameId === frame.frameId);
+        assert.equal(far.size.method, 'distance');
+        assert.ok(Math.abs(far.size.width - 360) < 8, `width ${far.size.width.toFixed(1)} mm`);
+    } finally {
+        scene.delete();
+    }
+});
+
+test('a size reference picked on a photo still applies when the photo is analysed again', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const detector = new FrameDetector();
+    const scene = createScene(cv, {
+        frames: [
+            { x: 140, y: 240, width: 85.6, height: 53.98, color: 230 },
+            { x: 400, y: 240, width: 180, height: 120, tilt: 1 }
+        ]
+    });
+    try {
+        const first = detector.analyzeStillImage(scene);
+        const card = first.frames.find(frame => frame.rect.width < 100);
+        detector.setSizeReference(card.frameId, 'card');
+
+        // Any setting change re-analyses the photo from scratch
+        const results = detector.analyzeStillImage(scene);
+        assert.deepEqual(results.frames.map(f => f.frameId), first.frames.map(f => f.frameId));
+        assert.equal(results.frames.find(f => f.frameId === card.frameId).isReference, true);
+        const frame = results.frames.find(f => f.frameId !== card.frameId);
+        assert.ok(frame.size, 'the other frame has a size');
+        assert.ok(Math.abs(frame.size.width - 180) < 5, `width ${frame.size.width.toFixed(1)} mm`);
+    } finally {
+        scene.delete();
+    }
+});
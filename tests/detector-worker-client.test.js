@@ -0,0 +1,76 @@
+/**
+ * DetectorWorkerClient frame transfer: VideoFrame where available, ImageBitmap otherwise
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const DetectorWorkerClient = require('../detector-worker-client.js');
+
+class FakeVideoFrame {
+    constructor(source) {
+        if (!source.hasFrame) {
+            throw new Error('no frame decoded yet');
+        }
+        this.closed = false;
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+class FakeBitmap {
+    close() {}
+}
+
+/**
+ * Run with fake VideoFrame and createImageBitmap globals (VideoFrame left out if `videoFrames` is false)
+ */
+async function withFrameApis(videoFrames, fn) {
+    const saved = { VideoFrame: globalThis.VideoFrame, createImageBitmap: globalThis.createImageBitmap };
+    if (videoFrames) {
+        globalThis.VideoFrame = FakeVideoFrame;
+    } else {
+        delete globalThis.VideoFrame;
+    }
+    globalThis.createImageBitmap = async () => new FakeBitmap();
+    try {
+        return await fn();
+    } finally {
+        Object.entries(saved).forEach(([name, value]) => {
+            if (value === undefined) {
+                delete globalThis[name];
+            } else {
+                globalThis[name] = value;
+            }
+        });
+    }
+}
+
+const VIDEO = { videoWidth: 640, videoHeight: 480, hasFrame: true };
+
+test('a video is sent as a VideoFrame, anything else as an ImageBitmap', async () => {
+    await withFrameApis(true, async () => {
+        const client = new DetectorWorkerClient();
+        assert.ok(await client.grabFrame(VIDEO) instanceof FakeVideoFrame);
+        assert.ok(await client.grabFrame({ width: 640, height: 480 }) instanceof FakeBitmap);
+        // A video that has not decoded a frame yet
+        assert.ok(await client.grabFrame({ ...VIDEO, hasFrame: false }) instanceof FakeBitmap);
+    });
+
+    await withFrameApis(false, async () => {
+        assert.ok(await new DetectorWorkerClient().grabFrame(VIDEO) instanceof FakeBitmap);
+    });
+});
+
+test('the client falls back to bitmaps when the worker cannot analyze a VideoFrame', async () => {
+    await withFrameApis(true, async () => {
+        const client = new DetectorWorkerClient();
+        const frame = await client.grabFrame(VIDEO);
+
+        client.handleResults({ results: null, image: frame });
+        assert.equal(frame.closed, true);
+        assert.ok(await client.grabFrame(VIDEO) instanceof FakeBitmap);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * TiltFusion Kalman filter and camera line variance
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TiltFusion = require('../fusion.js');
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `${message || 'value'}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+test('the first measurement initializes the estimate', () => {
+    const fusion = new TiltFusion();
+    assert.equal(fusion.getEstimate().uncertainty, null);
+
+    const estimate = fusion.update({ camera: { tilt: 2.5, variance: 0.04 } });
+    assert.equal(estimate.tilt, 2.5);
+    assertClose(estimate.uncertainty, 0.2, 1e-9);
+    assert.equal(estimate.dominantSource, 'camera');
+});
+
+test('sources are weighted by their variance', () => {
+    const fusion = new TiltFusion();
+    fusion.processNoise = 0;
+
+    // Sensor four times as precise as the camera: 80% / 20%
+    const estimate = fusion.update({
+        sensor: { tilt: 1, variance: 0.25 },
+        camera: { tilt: 3, variance: 1 }
+    });
+    assertClose(estimate.tilt, 1.4, 1e-9);
+    assertClose(estimate.uncertainty, Math.sqrt(0.2), 1e-9);
+    assert.equal(estimate.dominantSource, 'sensor');
+    assertClose(estimate.weights.sensor, 0.8, 1e-9);
+});
+
+test('repeated measurements shrink the uncertainty and noisy ones barely move the estimate', () => {
+    const fusion = new TiltFusion();
+    for (let i = 0; i < 30; i++) {
+        fusion.update({ camera: { tilt: i % 2 ? 1.2 : 0.8, variance: 0.5 } });
+    }
+    const settled = fusion.getEstimate();
+    assertClose(settled.tilt, 1, 0.15);
+    assert.ok(settled.uncertainty < Math.sqrt(0.5));
+
+    const after = fusion.update({ camera: { tilt: 10, variance: 100 } });
+    assert.ok(after.tilt < 1.5, `outlier pulled the estimate to ${after.tilt}`);
+});
+
+test('without measurements the estimate returns toward level and grows uncertain', () => {
+    const fusion = new TiltFusion();
+    fusion.update({ camera: { tilt: 4, variance: 0.1 }, sensor: null });
+
+    const before = fusion.getEstimate();
+    const after = fusion.update({ camera: null, sensor: null });
+    assert.ok(Math.abs(after.tilt) < Math.abs(before.tilt));
+    assert.ok(after.uncertainty > before.uncertainty);
+    assert.equal(after.dominantSource, 'none');
+
+    fusion.reset();
+    assert.equal(fusion.update({}).tilt, 0);
+});
+
+test('getLineVariance rewards more, longer and agreeing lines', () => {
+    assert.equal(TiltFusion.getLineVariance([]), null);
+
+    const one = TiltFusion.getLineVariance([{ angle: 1, length: 200 }]);
+    const two = TiltFusion.getLineVariance([{ angle: 1, length: 200 }, { angle: 1.1, length: 200 }]);
+    const longer = TiltFusion.getLineVariance([{ angle: 1, length: 400 }, { angle: 1.1, length: 400 }]);
+    const disagreeing = TiltFusion.getLineVariance([{ angle: -2, length: 200 }, { angle: 4, length: 200 }]);
+
+    assert.ok(two < one);
+    assert.ok(longer < two);
+    assert.ok(disagreeing > two);
+    assertClose(disagreeing, 9 / 2 + 2 * (180 / Math.PI) ** 2 / 400 ** 2, 1e-9);
+});
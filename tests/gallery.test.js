@@ -0,0 +1,112 @@
+/**
+ * GalleryAnalyzer rows, columns, alignment, spacing and outliers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const GalleryAnalyzer = require('../gallery.js');
+
+function frame(frameId, x, y, width = 100, height = 80) {
+    return { frameId: frameId, rect: { x: x, y: y, width: width, height: height } };
+}
+
+test('frames overlapping vertically form a row, horizontally a column', () => {
+    const analysis = new GalleryAnalyzer().analyze([
+        frame(1, 0, 100), frame(2, 150, 110), frame(3, 0, 300)
+    ]);
+
+    assert.deepEqual(analysis.rows.map(row => row.frameIds), [[1, 2]]);
+    assert.deepEqual(analysis.columns.map(column => column.frameIds), [[1, 3]]);
+    assert.deepEqual(analysis.frames[1], { row: 0, column: 0, isOutlier: false });
+    assert.deepEqual(analysis.frames[3], { row: -1, column: 0, isOutlier: false });
+});
+
+test('a row is aligned along the reference line it follows most closely', () => {
+    const analyzer = new GalleryAnalyzer();
+    // Different heights with level centerlines
+    const analysis = analyzer.analyze([
+        frame(1, 0, 100, 100, 80), frame(2, 150, 80, 100, 120), frame(3, 300, 110, 100, 60)
+    ]);
+
+    const [row] = analysis.rows;
+    assert.equal(row.bestReference, 'centerY');
+    assert.equal(row.aligned, true);
+    assert.equal(row.alignment.top.aligned, false);
+    assert.equal(row.alignment.centerY.value, 140);
+    assert.equal(analysis.outlier, null);
+    assert.equal(analyzer.getSummary(), 'row of 3: centers aligned, even spacing');
+});
+
+test('the frame off its row\'s line is the outlier', () => {
+    const analysis = new GalleryAnalyzer().analyze([
+        frame(1, 0, 100), frame(2, 150, 120), frame(3, 300, 100)
+    ]);
+
+    const [row] = analysis.rows;
+    assert.equal(row.aligned, false);
+    assert.equal(analysis.outlier.frameId, 2);
+    assert.equal(analysis.outlier.groupType, 'row');
+    assert.equal(analysis.outlier.reason, 'top edge 20px low');
+    assert.equal(analysis.frames[2].isOutlier, true);
+
+    const guide = analysis.guides.find(g => g.kind === 'alignment');
+    assert.deepEqual(guide, { kind: 'alignment', reference: 'top', aligned: false, x1: 0, y1: 100, x2: 400, y2: 100 });
+});
+
+test('gaps are measured between neighbours and uneven spacing blames the frame that moved', () => {
+    // Frame 3 sits 20 px left of even 50 px spacing: a 30 px gap before it, 70 px after
+    const analysis = new GalleryAnalyzer().analyze([
+        frame(1, 0, 100), frame(2, 150, 100), frame(3, 280, 100), frame(4, 450, 100), frame(5, 600, 100)
+    ]);
+
+    const [row] = analysis.rows;
+    assert.deepEqual(row.gaps.map(gap => gap.size), [50, 30, 70, 50]);
+    assert.deepEqual(row.gaps[1].between, [2, 3]);
+    assert.equal(row.gapsEqual, false);
+    assert.equal(analysis.outlier.frameId, 3);
+    assert.equal(analysis.outlier.reason, 'gap 20px narrower than others');
+
+    // A wide gap at the end of the row blames the last frame
+    const end = new GalleryAnalyzer().analyze([
+        frame(1, 0, 100), frame(2, 150, 100), frame(3, 300, 100), frame(4, 480, 100)
+    ]);
+    assert.equal(end.outlier.frameId, 4);
+    assert.equal(end.outlier.reason, 'gap 30px wider than others');
+});
+
+test('small differences are within tolerance', () => {
+    const analysis = new GalleryAnalyzer().analyze([
+        frame(1, 0, 100), frame(2, 152, 102), frame(3, 300, 101)
+    ]);
+
+    assert.equal(analysis.rows[0].aligned, true);
+    assert.equal(analysis.rows[0].gapsEqual, true);
+    assert.equal(analysis.outlier, null);
+});
+
+test('two misaligned frames are reported without blaming either', () => {
+    const analysis = new GalleryAnalyzer().analyze([frame(1, 0, 100), frame(2, 150, 130)]);
+
+    assert.equal(analysis.rows[0].aligned, false);
+    assert.equal(analysis.rows[0].gapsEqual, null);
+    assert.equal(analysis.outlier, null);
+    assert.equal(analysis.frames[1].isOutlier, false);
+    assert.equal(analysis.frames[2].isOutlier, false);
+});
+
+test('with a known scale, gaps and offsets are given in mm', () => {
+    // 2 mm per pixel: the 30 px gap is 60 mm, 20 px off even spacing is 40 mm
+    const frames = [frame(1, 0, 100), frame(2, 150, 100), frame(3, 280, 100), frame(4, 450, 100), frame(5, 600, 100)];
+    const analyzer = new GalleryAnalyzer();
+    const analysis = analyzer.analyze(frames, { mmPerPixel: 2 });
+
+    assert.deepEqual(analysis.rows[0].gaps.map(gap => gap.sizeMm), [100, 60, 140, 100]);
+    assert.equal(analysis.outlier.reason, 'gap 40 mm narrower than others');
+    assert.equal(analyzer.describeOffset('top', 10, 2), 'top edge 20 mm low');
+
+    // Without a scale they stay in pixels
+    const unscaled = analyzer.analyze(frames);
+    assert.equal(unscaled.rows[0].gaps[0].sizeMm, null);
+    assert.equal(unscaled.outlier.reason, 'gap 20px narrower than others');
+});
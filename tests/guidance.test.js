@@ -0,0 +1,96 @@
+/**
+ * AudioGuidance tone mapping, frame selection and rate limiting (no Web Audio needed)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AudioGuidance = require('../guidance.js');
+
+function frame(tilt, status, extra = {}) {
+    return { frameId: 1, area: 1000, tilt: tilt, tolerance: { status: status }, ...extra };
+}
+
+/**
+ * Enabled guidance without an AudioContext, recording vibration patterns
+ */
+function createGuidance() {
+    const guidance = new AudioGuidance();
+    const pulses = [];
+    guidance.vibrate = pattern => pulses.push(pattern);
+    guidance.isEnabled = true;
+    return { guidance, pulses };
+}
+
+test('a level frame gives a steady base tone', () => {
+    const guidance = new AudioGuidance();
+    assert.deepEqual(guidance.getToneParameters(0.4, 'level'), { frequency: 440, beepInterval: null });
+});
+
+test('pitch moves up for clockwise and down for counter-clockwise tilt, beeps speed up with tilt', () => {
+    const guidance = new AudioGuidance();
+    const slightRight = guidance.getToneParameters(1, 'slight');
+    const farRight = guidance.getToneParameters(4, 'tilted');
+    const farLeft = guidance.getToneParameters(-4, 'tilted');
+
+    assert.ok(slightRight.frequency > 440 && farRight.frequency > slightRight.frequency);
+    assert.ok(Math.abs(farLeft.frequency * farRight.frequency - 440 * 440) < 1e-6, 'symmetric in octaves');
+    assert.ok(farRight.beepInterval < slightRight.beepInterval);
+    assert.equal(guidance.getToneParameters(30, 'tilted').beepInterval, guidance.fastestBeepInterval);
+    assert.equal(guidance.getToneParameters(30, 'tilted').frequency, 880);
+});
+
+test('selectFrame prefers the locked frame, then the largest confident frame with an orientation', () => {
+    const small = { frameId: 1, area: 100 };
+    const large = { frameId: 2, area: 900 };
+    const uncertain = { frameId: 3, area: 5000, lowConfidence: true };
+
+    assert.equal(AudioGuidance.selectFrame([small, large, uncertain]), large);
+    assert.equal(AudioGuidance.selectFrame([small, large, uncertain], 1), small);
+    assert.equal(AudioGuidance.selectFrame([small, large], 7), large, 'locked frame out of view');
+    assert.equal(AudioGuidance.selectFrame([uncertain]), null);
+
+    // A round frame without a hanger has no tilt to guide towards, unless it is locked
+    const round = { frameId: 4, area: 5000, noOrientation: true };
+    assert.equal(AudioGuidance.selectFrame([small, large, round]), large);
+    assert.equal(AudioGuidance.selectFrame([small, round], 4), round);
+});
+
+test('vibrates when the frame comes into tolerance, at most once per interval', () => {
+    const { guidance, pulses } = createGuidance();
+
+    guidance.update(frame(3, 'slight'), 0);
+    guidance.update(frame(1, 'level'), 200);
+    assert.equal(pulses.length, 1);
+
+    // Wobbling in and out of tolerance right away does not pulse again
+    guidance.update(frame(2.5, 'slight'), 400);
+    guidance.update(frame(1, 'level'), 600);
+    assert.equal(pulses.length, 1);
+
+    guidance.update(frame(2.5, 'slight'), 2300);
+    guidance.update(frame(1, 'level'), 2400);
+    assert.equal(pulses.length, 2);
+});
+
+test('updates are rate limited unless the status changes', () => {
+    const { guidance } = createGuidance();
+
+    guidance.update(frame(3, 'slight'), 0);
+    guidance.update(frame(3.2, 'slight'), 50);
+    assert.equal(guidance.lastUpdate, 0);
+
+    guidance.update(frame(1, 'level'), 60);
+    assert.equal(guidance.lastUpdate, 60);
+    assert.equal(guidance.lastStatus, 'level');
+});
+
+test('disabled guidance does nothing', () => {
+    const { guidance, pulses } = createGuidance();
+    guidance.isEnabled = false;
+
+    guidance.update(frame(3, 'slight'), 0);
+    guidance.update(frame(0, 'level'), 500);
+    assert.equal(pulses.length, 0);
+    assert.equal(guidance.lastStatus, null);
+});
@@ -0,0 +1,71 @@
+/**
+ * OpenCV.js loader for the Node test suite
+ * Loads the WASM build from OPENCV_JS (default: lib/opencv.js) and exposes it as the
+ * global `cv` the browser modules expect. Tests that need OpenCV are skipped when it is missing,
+ * except under CI (the CI environment variable is set), where they fail instead.
+ * lib/README.md explains how to fetch the build.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OPENCV_PATH = path.resolve(process.env.OPENCV_JS || path.join(__dirname, '..', '..', 'lib', 'opencv.js'));
+
+// Browser modules reference each other as globals
+global.FrameTracker = require('../../tracker.js');
+global.TiltFusion = require('../../fusion.js');
+global.LensCalibration = require('../../lens-calibration.js');
+global.ToleranceManager = require('../../tolerance.js');
+global.DetectorBackends = require('../../detector-backends.js').DetectorBackends;
+global.ShapeClassifier = require('../../shape-classifier.js');
+global.SizeEstimator = require('../../size-estimator.js');
+
+let loading = null;
+
+/**
+ * Load OpenCV.js once and wait for the WASM runtime
+ * Resolves true once the global cv is ready, false if the file does not exist.
+ * (The Module object is thenable, so it must not be used as a promise result itself.)
+ */
+function loadOpenCV() {
+    if (!loading) {
+        loading = (async () => {
+            if (!fs.existsSync(OPENCV_PATH)) {
+                return false;
+            }
+
+            let cv = require(OPENCV_PATH);
+
+            // Newer builds export a promise, older ones a Module with onRuntimeInitialized
+            if (cv instanceof Promise) {
+                cv = await cv;
+            } else if (!cv.Mat) {
+                await new Promise(resolve => {
+                    cv.onRuntimeInitialized = resolve;
+                });
+            }
+
+            global.cv = cv;
+            return true;
+        })();
+    }
+    return loading;
+}
+
+/**
+ * Skip a test when OpenCV.js is not available, or fail it under CI
+ * Returns true if the test was skipped
+ */
+async function skipWithoutOpenCV(t) {
+    if (await loadOpenCV()) {
+        return false;
+    }
+    const message = `OpenCV.js not found at ${OPENCV_PATH} (set OPENCV_JS, or see lib/README.md)`;
+    if (process.env.CI) {
+        throw new Error(message);
+    }
+    t.skip(message);
+    return true;
+}
+
+module.exports = { loadOpenCV, skipWithoutOpenCV, OPENCV_PATH };
@@ -0,0 +1,381 @@
+/**
+ * Synthetic scene generator for detector tests
+ * Draws picture frames and door-frame verticals on a wall, as seen by a pinhole camera
+ * with known roll, yaw and pitch, so every expected angle is known exactly.
+ *
+ * Scene coordinates are the pixels a level camera facing the wall head-on would see.
+ * Camera roll uses the detector's convention: positive = image content rotated clockwise.
+ */
+
+const SUBPIXEL_SHIFT = 4; // Draw with 1/16 pixel precision
+
+/**
+ * Small seeded PRNG (mulberry32), so noise and texture are identical on every run
+ */
+function createRng(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Rotate a point about a center, clockwise on screen for positive degrees
+ */
+function rotatePoint(point, center, degrees) {
+    const r = degrees * Math.PI / 180;
+    const dx = point.x - center.x;
+    const dy = point.y - center.y;
+    return {
+        x: center.x + dx * Math.cos(r) - dy * Math.sin(r),
+        y: center.y + dx * Math.sin(r) + dy * Math.cos(r)
+    };
+}
+
+/**
+ * Corners of a frame on the wall, tilted by `tilt` degrees about its center
+ */
+function frameCorners({ x, y, width, height, tilt = 0 }) {
+    const center = { x, y };
+    return [
+        { x: x - width / 2, y: y - height / 2 },
+        { x: x + width / 2, y: y - height / 2 },
+        { x: x + width / 2, y: y + height / 2 },
+        { x: x - width / 2, y: y + height / 2 }
+    ].map(point => rotatePoint(point, center, tilt));
+}
+
+/**
+ * Outline of a frame on the wall, tilted by `tilt` degrees about its center
+ * shape: 'rectangle' (default), 'ellipse' (width and height are its axes), 'octagon'
+ * (regular when square) or 'arched' (a semicircle of the frame's width on top; the height
+ * includes it). Curves are drawn as 180-point polygons.
+ */
+function frameOutline(frame) {
+    const { x, y, width, height, tilt = 0, shape = 'rectangle' } = frame;
+    const center = { x, y };
+    const left = x - width / 2;
+    const right = x + width / 2;
+    const top = y - height / 2;
+    const bottom = y + height / 2;
+    let points;
+
+    if (shape === 'ellipse') {
+        points = Array.from({ length: 180 }, (_, i) => ({
+            x: x + width / 2 * Math.cos(i * Math.PI / 90),
+            y: y + height / 2 * Math.sin(i * Math.PI / 90)
+        }));
+    } else if (shape === 'octagon') {
+        const cutX = width / (2 + Math.SQRT2);
+        const cutY = height / (2 + Math.SQRT2);
+        points = [
+            { x: left + cutX, y: top }, { x: right - cutX, y: top },
+            { x: right, y: top + cutY }, { x: right, y: bottom - cutY },
+            { x: right - cutX, y: bottom }, { x: left + cutX, y: bottom },
+            { x: left, y: bottom - cutY }, { x: left, y: top + cutY }
+        ];
+    } else if (shape === 'arched') {
+        const radius = width / 2;
+        points = [{ x: left, y: bottom }, { x: right, y: bottom }];
+        for (let i = 0; i <= 180; i++) {
+            points.push({ x: x + radius * Math.cos(i * Math.PI / 180), y: top + radius - radius * Math.sin(i * Math.PI / 180) });
+        }
+    } else {
+        return frameCorners(frame);
+    }
+    return points.map(point => rotatePoint(point, center, tilt));
+}
+
+/**
+ * A hanging tab of `size` pixels at the top middle of a frame, overlapping it by half
+ */
+function hangerCorners({ x, y, height, tilt = 0, hanger }) {
+    const top = y - height / 2;
+    return [
+        { x: x - hanger / 2, y: top - hanger / 2 },
+        { x: x + hanger / 2, y: top - hanger / 2 },
+        { x: x + hanger / 2, y: top + hanger / 2 },
+        { x: x - hanger / 2, y: top + hanger / 2 }
+    ].map(point => rotatePoint(point, { x, y }, tilt));
+}
+
+/**
+ * Create a projector from scene coordinates to image coordinates
+ * The camera looks at the scene center from the focal distance (so a level head-on camera
+ * is the identity); yaw and pitch turn the wall about that center point.
+ */
+function createCamera({ width, height, roll = 0, yaw = 0, pitch = 0, fieldOfView = 65 }) {
+    const cx = width / 2;
+    const cy = height / 2;
+    const f = (width / 2) / Math.tan(fieldOfView * Math.PI / 360);
+    const cosYaw = Math.cos(yaw * Math.PI / 180);
+    const sinYaw = Math.sin(yaw * Math.PI / 180);
+    const cosPitch = Math.cos(pitch * Math.PI / 180);
+    const sinPitch = Math.sin(pitch * Math.PI / 180);
+
+    return point => {
+        // Wall point relative to the center, turned by yaw (about vertical) then pitch (about horizontal)
+        let X = point.x - cx;
+        let Y = point.y - cy;
+        let Z = 0;
+        [X, Z] = [cosYaw * X, -sinYaw * X];
+        [Y, Z] = [cosPitch * Y - sinPitch * Z, sinPitch * Y + cosPitch * Z];
+        Z += f;
+
+        const projected = { x: cx + f * X / Z, y: cy + f * Y / Z };
+        return rotatePoint(projected, { x: cx, y: cy }, roll);
+    };
+}
+
+/**
+ * Convert a point to OpenCV's fixed-point drawing coordinates
+ */
+function toFixed(cv, point) {
+    const scale = 1 << SUBPIXEL_SHIFT;
+    return new cv.Point(Math.round(point.x * scale), Math.round(point.y * scale));
+}
+
+/**
+ * Build an RGBA cv.Mat for a scene. The caller must delete() it.
+ *
+ * options:
+ *   width, height   image size (default 640x480)
+ *   wall            wall brightness 0-255 (default 190)
+ *   texture         amplitude of a smooth wallpaper-like pattern (default 0)
+ *   noise           amplitude of per-pixel sensor noise (default 0)
+ *   seed            PRNG seed for texture and noise
+ *   supersample     draw at this many times the size and scale down (default 1), for edges
+ *                   without the bias of OpenCV's anti-aliasing on near-axis lines
+ *   camera          { roll, yaw, pitch, fieldOfView } in degrees
+ *   frames          [{ x, y, width, height, tilt, color, shape, hanger }] in scene coordinates
+ *                   (shape and hanger: see frameOutline and hangerCorners)
+ *   doors           [{ x, color, thickness }] full-height true verticals
+ */
+function createScene(cv, options = {}) {
+    const {
+        width = 640,
+        height = 480,
+        wall = 190,
+        texture = 0,
+        noise = 0,
+        seed = 1,
+        camera = {},
+        frames = [],
+        doors = [],
+        supersample = 1
+    } = options;
+
+    const rng = createRng(seed);
+    const toImage = createCamera({ width, height, ...camera });
+    // Pixel centers of the large image that average into pixel (x, y)
+    const project = point => {
+        const projected = toImage(point);
+        return {
+            x: (projected.x + 0.5) * supersample - 0.5,
+            y: (projected.y + 0.5) * supersample - 0.5
+        };
+    };
+    let scene = new cv.Mat(height, width, cv.CV_8UC4, new cv.Scalar(wall, wall, wall, 255));
+
+    if (texture > 0) {
+        addTexture(cv, scene, texture, rng);
+    }
+
+    if (supersample > 1) {
+        const small = scene;
+        scene = new cv.Mat();
+        cv.resize(small, scene, new cv.Size(width * supersample, height * supersample), 0, 0, cv.INTER_LINEAR);
+        small.delete();
+    }
+
+    // Door frames run well past the image edges so they cross the whole view
+    doors.forEach(({ x, color = 90, thickness = 4 }) => {
+        const top = project({ x, y: -height });
+        const bottom = project({ x, y: height * 2 });
+        cv.line(scene, toFixed(cv, top), toFixed(cv, bottom), new cv.Scalar(color, color, color, 255),
+            thickness * supersample, cv.LINE_AA, SUBPIXEL_SHIFT);
+    });
+
+    frames.forEach(frame => {
+        const color = frame.color !== undefined ? frame.color : 40;
+        const outlines = frame.hanger ? [frameOutline(frame), hangerCorners(frame)] : [frameOutline(frame)];
+        outlines.forEach(outline => {
+            const corners = outline.map(project);
+            const points = cv.matFromArray(corners.length, 1, cv.CV_32SC2,
+                corners.flatMap(corner => {
+                    const fixed = toFixed(cv, corner);
+                    return [fixed.x, fixed.y];
+                }));
+            const polygons = new cv.MatVector();
+            polygons.push_back(points);
+            cv.fillPoly(scene, polygons, new cv.Scalar(color, color, color, 255), cv.LINE_AA, SUBPIXEL_SHIFT);
+            points.delete();
+            polygons.delete();
+        });
+    });
+
+    if (supersample > 1) {
+        const large = scene;
+        scene = new cv.Mat();
+        cv.resize(large, scene, new cv.Size(width, height), 0, 0, cv.INTER_AREA);
+        large.delete();
+    }
+
+    if (noise > 0) {
+        addNoise(scene, noise, rng);
+    }
+
+    return scene;
+}
+
+/**
+ * Add a smooth random pattern (coarse random grid, upscaled with cubic interpolation)
+ */
+function addTexture(cv, scene, amplitude, rng) {
+    const coarse = new cv.Mat(Math.ceil(scene.rows / 24), Math.ceil(scene.cols / 24), cv.CV_32F);
+    for (let i = 0; i < coarse.data32F.length; i++) {
+        coarse.data32F[i] = (rng() - 0.5) * 2 * amplitude;
+    }
+
+    const pattern = new cv.Mat();
+    cv.resize(coarse, pattern, new cv.Size(scene.cols, scene.rows), 0, 0, cv.INTER_CUBIC);
+
+    const data = scene.data;
+    for (let i = 0; i < pattern.data32F.length; i++) {
+        const offset = pattern.data32F[i];
+        for (let c = 0; c < 3; c++) {
+            data[i * 4 + c] = Math.max(0, Math.min(255, data[i * 4 + c] + offset));
+        }
+    }
+
+    coarse.delete();
+    pattern.delete();
+}
+
+/**
+ * Add uniform per-pixel noise in [-amplitude, amplitude]
+ */
+function addNoise(scene, amplitude, rng) {
+    const data = scene.data;
+    for (let i = 0; i < data.length; i += 4) {
+        const offset = (rng() - 0.5) * 2 * amplitude;
+        for (let c = 0; c < 3; c++) {
+            data[i + c] = Math.max(0, Math.min(255, data[i + c] + offset));
+        }
+    }
+}
+
+/**
+ * Apply radial (k1, k2) lens distortion to a point in normalized camera coordinates
+ */
+function distortNormalized({ x, y }, { k1 = 0, k2 = 0 }) {
+    const r2 = x * x + y * y;
+    const factor = 1 + k1 * r2 + k2 * r2 * r2;
+    return { x: x * factor, y: y * factor };
+}
+
+/**
+ * Render a checkerboard seen through a distorting lens. The caller must delete() the image.
+ * Inner corners sit at board coordinates (column, row) in squares; the board has one more
+ * square on every side than inner corners, on white paper with a one-square margin.
+ *
+ * options:
+ *   width, height   image size (default 640x480)
+ *   board           { columns, rows } inner corners (default 9x6)
+ *   pose            { rx, ry, rz } rotation in degrees, { x, y, z } board center in squares
+ *   lens            { focal, k1, k2 } focal length in pixels, radial distortion
+ *
+ * Returns { image (gray cv.Mat), corners (true pixel positions, row by row) }
+ */
+function createBoardView(cv, options = {}) {
+    const {
+        width = 640,
+        height = 480,
+        board = { columns: 9, rows: 6 },
+        pose = {},
+        lens = {}
+    } = options;
+    const { rx = 0, ry = 0, rz = 0, x = 0, y = 0, z = 16 } = pose;
+    const { focal = 520 } = lens;
+    const cx = width / 2;
+    const cy = height / 2;
+
+    // Board-to-camera rotation R = Rz * Ry * Rx, columns are the board axes
+    const rad = Math.PI / 180;
+    const [sx, cxr] = [Math.sin(rx * rad), Math.cos(rx * rad)];
+    const [sy, cyr] = [Math.sin(ry * rad), Math.cos(ry * rad)];
+    const [sz, czr] = [Math.sin(rz * rad), Math.cos(rz * rad)];
+    const R = [
+        [czr * cyr, czr * sy * sx - sz * cxr, czr * sy * cxr + sz * sx],
+        [sz * cyr, sz * sy * sx + czr * cxr, sz * sy * cxr - czr * sx],
+        [-sy, cyr * sx, cyr * cxr]
+    ];
+    // Board coordinates relative to the board center
+    const center = { x: (board.columns - 1) / 2, y: (board.rows - 1) / 2 };
+    const t = [x, y, z];
+    const normal = [R[0][2], R[1][2], R[2][2]];
+    const tDotN = t[0] * normal[0] + t[1] * normal[1] + t[2] * normal[2];
+
+    const project = (bx, by) => {
+        const px = bx - center.x;
+        const py = by - center.y;
+        const X = R[0][0] * px + R[0][1] * py + t[0];
+        const Y = R[1][0] * px + R[1][1] * py + t[1];
+        const Z = R[2][0] * px + R[2][1] * py + t[2];
+        const d = distortNormalized({ x: X / Z, y: Y / Z }, lens);
+        return { x: cx + focal * d.x, y: cy + focal * d.y };
+    };
+
+    // Brightness of the board plane at a ray through normalized (undistorted) coordinates
+    const shade = (nx, ny) => {
+        const dDotN = nx * normal[0] + ny * normal[1] + normal[2];
+        if (dDotN === 0) return 128;
+        const s = tDotN / dDotN;
+        const p = [s * nx - t[0], s * ny - t[1], s - t[2]];
+        const bx = R[0][0] * p[0] + R[1][0] * p[1] + R[2][0] * p[2] + center.x;
+        const by = R[0][1] * p[0] + R[1][1] * p[1] + R[2][1] * p[2] + center.y;
+
+        if (bx < -1 || by < -1 || bx > board.columns || by > board.rows) {
+            const onPaper = bx > -2 && by > -2 && bx < board.columns + 1 && by < board.rows + 1;
+            return onPaper ? 230 : 120;
+        }
+        return (Math.floor(bx) + Math.floor(by)) % 2 === 0 ? 30 : 230;
+    };
+
+    const image = new cv.Mat(height, width, cv.CV_8UC1);
+    const offsets = [0.25, 0.75];
+    for (let v = 0; v < height; v++) {
+        for (let u = 0; u < width; u++) {
+            let sum = 0;
+            offsets.forEach(oy => offsets.forEach(ox => {
+                // Undo the distortion by fixed-point iteration
+                const dx = (u + ox - 0.5 - cx) / focal;
+                const dy = (v + oy - 0.5 - cy) / focal;
+                let nx = dx;
+                let ny = dy;
+                for (let i = 0; i < 6; i++) {
+                    const r2 = nx * nx + ny * ny;
+                    const factor = 1 + (lens.k1 || 0) * r2 + (lens.k2 || 0) * r2 * r2;
+                    nx = dx / factor;
+                    ny = dy / factor;
+                }
+                sum += shade(nx, ny);
+            }));
+            image.data[v * width + u] = Math.round(sum / 4);
+        }
+    }
+
+    const corners = [];
+    for (let row = 0; row < board.rows; row++) {
+        for (let column = 0; column < board.columns; column++) {
+            corners.push(project(column, row));
+        }
+    }
+    return { image, corners };
+}
+
+module.exports = { createScene, createCamera, frameCorners, frameOutline, rotatePoint, createRng, createBoardView, distortNormalized };
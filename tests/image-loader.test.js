@@ -0,0 +1,70 @@
+/**
+ * ImageLoader EXIF orientation parsing on hand-built JPEG headers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ImageLoader = require('../image-loader.js');
+
+const SOI = [0xFF, 0xD8];
+const SOS = [0xFF, 0xDA, 0x00, 0x02];
+const APP0 = [0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00];
+
+function uint16(value, littleEndian) {
+    const bytes = [value >> 8, value & 0xFF];
+    return littleEndian ? bytes.reverse() : bytes;
+}
+
+function uint32(value, littleEndian) {
+    const bytes = [value >>> 24, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+    return littleEndian ? bytes.reverse() : bytes;
+}
+
+/**
+ * APP1 Exif segment with one IFD holding the given tag (Orientation = 0x0112) as a SHORT
+ */
+function exifSegment(value, { littleEndian = false, tag = 0x0112 } = {}) {
+    const tiff = [
+        ...(littleEndian ? [0x49, 0x49] : [0x4D, 0x4D]), ...uint16(42, littleEndian), ...uint32(8, littleEndian),
+        ...uint16(1, littleEndian),
+        ...uint16(tag, littleEndian), ...uint16(3, littleEndian), ...uint32(1, littleEndian),
+        ...uint16(value, littleEndian), 0x00, 0x00,
+        ...uint32(0, littleEndian)
+    ];
+    const payload = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00, ...tiff];
+    return [0xFF, 0xE1, ...uint16(payload.length + 2), ...payload];
+}
+
+function jpeg(...segments) {
+    return new Uint8Array([...SOI, ...segments.flat(), ...SOS, 0x00, 0x00]).buffer;
+}
+
+test('orientation is read from big- and little-endian EXIF', () => {
+    [1, 3, 6, 8].forEach(orientation => {
+        assert.equal(ImageLoader.readExifOrientation(jpeg(exifSegment(orientation))), orientation, `MM ${orientation}`);
+        assert.equal(ImageLoader.readExifOrientation(jpeg(exifSegment(orientation, { littleEndian: true }))), orientation, `II ${orientation}`);
+    });
+});
+
+test('the EXIF segment is found after other segments', () => {
+    assert.equal(ImageLoader.readExifOrientation(jpeg(APP0, exifSegment(6, { littleEndian: true }))), 6);
+});
+
+test('missing or unusable orientation reads as 1', () => {
+    // No APP1 segment
+    assert.equal(ImageLoader.readExifOrientation(jpeg(APP0)), 1);
+    // EXIF without an orientation tag, and an out-of-range value
+    assert.equal(ImageLoader.readExifOrientation(jpeg(exifSegment(6, { tag: 0x010F }))), 1);
+    assert.equal(ImageLoader.readExifOrientation(jpeg(exifSegment(9))), 1);
+    // An EXIF segment after the start of scan is image data
+    assert.equal(ImageLoader.readExifOrientation(new Uint8Array([...SOI, ...SOS, ...exifSegment(6)]).buffer), 1);
+    // Not a JPEG, or too short
+    assert.equal(ImageLoader.readExifOrientation(new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A]).buffer), 1);
+    assert.equal(ImageLoader.readExifOrientation(new Uint8Array(SOI).buffer), 1);
+});
+
+test('a truncated EXIF block reads as 1', () => {
+    const bytes = new Uint8Array(jpeg(exifSegment(6)));
+    assert.equal(ImageLoader.readExifOrientation(bytes.slice(0, 24).buffer), 1);
+});
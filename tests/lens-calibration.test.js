@@ -0,0 +1,187 @@
+/**
+ * LensCalibration tests on rendered checkerboard views (needs OpenCV.js, see helpers/opencv.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skipWithoutOpenCV } = require('./helpers/opencv.js');
+const { createBoardView, createScene } = require('./helpers/scenes.js');
+const LensCalibration = require('../lens-calibration.js');
+const FrameDetector = require('../detector.js');
+
+// A typical phone wide-angle lens: noticeable barrel distortion
+const LENS = { focal: 520, k1: -0.25, k2: 0.05 };
+
+const POSES = [
+    { z: 12 },
+    { rx: 20, z: 13, y: -1 },
+    { rx: -20, ry: 10, z: 13, y: 1 },
+    { ry: 25, z: 14, x: -2 },
+    { ry: -25, z: 14, x: 2 },
+    { rx: -15, ry: -20, rz: -10, z: 12, x: -3, y: -2 },
+    { rz: 30, z: 15, x: 3, y: -2 },
+    { rx: 10, ry: -10, rz: -25, z: 14, x: -3, y: 2 },
+    { rx: -25, z: 12, y: 2 }
+];
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+/**
+ * Largest distance of a board row's corners from the line through its end corners
+ */
+function maxRowBow(corners, columns = 9, rows = 6) {
+    let worst = 0;
+    for (let row = 0; row < rows; row++) {
+        const points = corners.slice(row * columns, (row + 1) * columns);
+        const a = points[0];
+        const b = points[columns - 1];
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        points.forEach(p => {
+            const distance = Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / length;
+            worst = Math.max(worst, distance);
+        });
+    }
+    return worst;
+}
+
+test('findBoardCorners locates all inner corners to sub-pixel accuracy', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const calibration = new LensCalibration(null);
+    const { image, corners } = createBoardView(cv, { pose: { rx: 10, ry: -15, rz: 5 }, lens: LENS });
+    try {
+        const found = calibration.findBoardCorners(image);
+
+        assert.equal(found.length, 54);
+        const errors = found.map((p, i) => Math.hypot(p.x - corners[i].x, p.y - corners[i].y));
+        assert.ok(Math.max(...errors) < 0.3, `max corner error ${Math.max(...errors).toFixed(3)} px`);
+    } finally {
+        image.delete();
+    }
+});
+
+test('findBoardCorners returns null without a board', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const scene = createScene(cv, { frames: [{ x: 320, y: 240, width: 180, height: 120 }] });
+    try {
+        assert.equal(new LensCalibration(null).findBoardCorners(scene), null);
+    } finally {
+        scene.delete();
+    }
+});
+
+test('addView skips views too close to one already captured', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const calibration = new LensCalibration(null);
+    const first = createBoardView(cv, { pose: { z: 12 }, lens: LENS });
+    const nearby = createBoardView(cv, { pose: { z: 12, rz: 1 }, lens: LENS });
+    try {
+        assert.equal(calibration.addView(first.image).added, true);
+        const result = calibration.addView(nearby.image);
+        assert.ok(result.corners, 'board found');
+        assert.equal(result.added, false);
+        assert.equal(result.count, 1);
+    } finally {
+        first.image.delete();
+        nearby.image.delete();
+    }
+});
+
+test('calibrate recovers focal length and distortion, and the maps straighten board rows', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const calibration = new LensCalibration(null);
+    POSES.forEach(pose => {
+        const { image } = createBoardView(cv, { pose: pose, lens: LENS });
+        calibration.addView(image);
+        image.delete();
+    });
+    assert.ok(calibration.views.length >= 6, `${calibration.views.length} views captured`);
+
+    const result = calibration.calibrate();
+    assert.ok(result.rmsError < 0.5, `rms error ${result.rmsError}`);
+    assert.ok(Math.abs(result.cameraMatrix[0] - LENS.focal) < 5, `fx ${result.cameraMatrix[0]}`);
+    assert.ok(Math.abs(result.distCoeffs[0] - LENS.k1) < 0.02, `k1 ${result.distCoeffs[0]}`);
+    assert.deepEqual(result.imageSize, { width: 640, height: 480 });
+
+    // A new view: rows bow under distortion, and are straight again once remapped
+    const { image, corners } = createBoardView(cv, { pose: { rx: 10, ry: 5, z: 11, x: 1 }, lens: LENS });
+    const maps = LensCalibration.createUndistortMaps(result, 640, 480);
+    const undistorted = new cv.Mat();
+    try {
+        cv.remap(image, undistorted, maps.map1, maps.map2, cv.INTER_LINEAR);
+        const straightened = calibration.findBoardCorners(undistorted);
+
+        assert.ok(maxRowBow(corners) > 3, `distorted bow ${maxRowBow(corners).toFixed(2)} px`);
+        assert.ok(maxRowBow(straightened) < 0.8, `undistorted bow ${maxRowBow(straightened).toFixed(2)} px`);
+    } finally {
+        image.delete();
+        undistorted.delete();
+        maps.map1.delete();
+        maps.map2.delete();
+    }
+});
+
+test('calibrate needs at least three views', () => {
+    const calibration = new LensCalibration(null);
+    assert.throws(() => calibration.calibrate(), /3 board views/);
+});
+
+test('calibrations are saved per camera', () => {
+    const storage = memoryStorage();
+    const calibration = new LensCalibration(storage);
+    const saved = { cameraMatrix: [500, 0, 320, 0, 500, 240, 0, 0, 1], distCoeffs: [-0.2, 0, 0, 0, 0] };
+
+    calibration.save('back-camera', saved);
+    assert.deepEqual(new LensCalibration(storage).load('back-camera'), saved);
+    assert.equal(calibration.load('front-camera'), null);
+
+    calibration.clear('back-camera');
+    assert.equal(calibration.load('back-camera'), null);
+});
+
+test('isNearBorder flags corners within the margin', () => {
+    const inside = [{ x: 100, y: 100 }, { x: 500, y: 100 }, { x: 500, y: 380 }, { x: 100, y: 380 }];
+    const atEdge = [{ x: 10, y: 100 }, { x: 500, y: 100 }, { x: 500, y: 380 }, { x: 10, y: 380 }];
+
+    assert.equal(LensCalibration.isNearBorder(inside, 640, 480), false);
+    assert.equal(LensCalibration.isNearBorder(atEdge, 640, 480), true);
+});
+
+test('detector warns near the border without a lens calibration, and undistorts with one', async (t) => {
+    if (await skipWithoutOpenCV(t)) return;
+
+    const scene = createScene(cv, { frames: [{ x: 110, y: 240, width: 180, height: 120 }] });
+    const detector = new FrameDetector();
+    try {
+        let results = detector.analyzeFrame(scene);
+        assert.equal(results.lensCorrected, false);
+        assert.equal(results.frames.length, 1);
+        assert.equal(results.frames[0].nearBorder, true);
+
+        // A distortion-free calibration leaves the image unchanged
+        detector.setLensCalibration({
+            cameraMatrix: [520, 0, 320, 0, 520, 240, 0, 0, 1],
+            distCoeffs: [0, 0, 0, 0, 0],
+            imageSize: { width: 640, height: 480 }
+        });
+        results = detector.analyzeFrame(scene);
+        assert.equal(results.lensCorrected, true);
+        assert.equal(results.frames.length, 1);
+        assert.equal(results.frames[0].nearBorder, false);
+        assert.ok(Math.abs(results.frames[0].tilt) < 0.5);
+    } finally {
+        scene.delete();
+        detector.setLensCalibration(null);
+    }
+});
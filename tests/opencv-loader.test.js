@@ -0,0 +1,163 @@
+/**
+ * OpenCvLoader fallback and timeout, and the service worker's precache list
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const OpenCvLoader = require('../opencv-loader.js');
+const { APP_FILES, OPENCV_FILES } = require('../service-worker.js');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Run with a fake global cv, restoring the real one (if a test helper loaded it) afterwards
+ */
+async function withGlobalCv(fn) {
+    const saved = globalThis.cv;
+    try {
+        return await fn();
+    } finally {
+        globalThis.cv = saved;
+    }
+}
+
+test('falls back to the next source when the bundled build is missing', async () => {
+    await withGlobalCv(async () => {
+        delete globalThis.cv;
+        const tried = [];
+        const failed = [];
+        const loader = new OpenCvLoader(['lib/opencv.js', 'https://cdn/opencv.js'], url => {
+            tried.push(url);
+            if (url === 'lib/opencv.js') {
+                throw new Error('404');
+            }
+            globalThis.cv = { Mat: function Mat() {} };
+        });
+
+        assert.equal(await loader.load(url => failed.push(url)), 'https://cdn/opencv.js');
+        assert.equal(typeof globalThis.cv.Mat, 'function');
+        assert.deepEqual(tried, ['lib/opencv.js', 'https://cdn/opencv.js']);
+        assert.deepEqual(failed, ['lib/opencv.js']);
+        assert.equal(loader.source, 'https://cdn/opencv.js');
+    });
+});
+
+test('waits for the WASM runtime of promise and Module style builds', async () => {
+    await withGlobalCv(async () => {
+        const ready = { Mat: function Mat() {} };
+        globalThis.cv = Promise.resolve(ready);
+        await OpenCvLoader.waitForRuntime();
+        assert.equal(globalThis.cv, ready);
+
+        // Like the real Module, it is thenable, and must not be adopted as a promise result
+        const module = { then: () => assert.fail('Module adopted as a promise') };
+        globalThis.cv = module;
+        setTimeout(() => module.onRuntimeInitialized(), 10);
+        await OpenCvLoader.waitForRuntime();
+        assert.equal(globalThis.cv, module);
+    });
+});
+
+test('the runtime hook resolves once and hands back an earlier hook', async () => {
+    await withGlobalCv(async () => {
+        let earlierCalls = 0;
+        const earlier = () => earlierCalls++;
+        const module = { onRuntimeInitialized: earlier };
+        globalThis.cv = module;
+
+        const waiting = OpenCvLoader.waitForRuntime();
+        // Another script defines cv while the runtime starts
+        globalThis.cv = { Mat: function Mat() {} };
+        module.onRuntimeInitialized();
+        await waiting;
+
+        assert.equal(globalThis.cv, module);
+        assert.equal(module.onRuntimeInitialized, earlier);
+        assert.equal(earlierCalls, 1);
+    });
+});
+
+test('gives up with an error naming every source once they time out', async () => {
+    await withGlobalCv(async () => {
+        delete globalThis.cv;
+        const loader = new OpenCvLoader(['lib/opencv.js', 'https://cdn/opencv.js'], () => new Promise(() => {}));
+        loader.timeout = 20;
+
+        await assert.rejects(loader.load(), error => {
+            assert.match(error.message, /lib\/opencv\.js: timed out/);
+            assert.match(error.message, /https:\/\/cdn\/opencv\.js: timed out/);
+            return true;
+        });
+        assert.equal(loader.source, null);
+    });
+});
+
+test('a timed-out script tag is removed before the next source and cannot replace its cv', async () => {
+    const savedDocument = globalThis.document;
+    const events = [];
+    const scripts = {};
+    globalThis.document = {
+        createElement: () => ({
+            remove() {
+                events.push(`remove ${this.src}`);
+            }
+        }),
+        head: {
+            appendChild(script) {
+                events.push(`add ${script.src}`);
+                scripts[script.src] = script;
+                if (script.src === 'https://cdn/opencv.js') {
+                    setTimeout(() => {
+                        globalThis.cv = { Mat: function Mat() {} };
+                        script.onload();
+                    }, 5);
+                }
+            }
+        }
+    };
+
+    try {
+        await withGlobalCv(async () => {
+            delete globalThis.cv;
+            const loader = new OpenCvLoader(['lib/opencv.js', 'https://cdn/opencv.js']);
+            loader.timeout = 20;
+
+            assert.equal(await loader.load(), 'https://cdn/opencv.js');
+            assert.deepEqual(events, ['add lib/opencv.js', 'remove lib/opencv.js', 'add https://cdn/opencv.js']);
+
+            // The bundled build arrives late and runs anyway
+            const ready = globalThis.cv;
+            globalThis.cv = { late: true };
+            scripts['lib/opencv.js'].onload();
+            assert.equal(globalThis.cv, ready);
+        });
+    } finally {
+        globalThis.document = savedDocument;
+    }
+});
+
+test('a script that does not define cv counts as a failure', async () => {
+    await withGlobalCv(async () => {
+        delete globalThis.cv;
+        const loader = new OpenCvLoader(['lib/opencv.js'], () => {});
+        await assert.rejects(loader.load(), /did not define cv/);
+    });
+});
+
+test('the service worker precaches every file the page and the worker load', () => {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const pageScripts = [...html.matchAll(/<script src="([^"]+)"/g)].map(match => match[1]);
+    const worker = fs.readFileSync(path.join(ROOT, 'detector-worker.js'), 'utf8');
+    const workerScripts = [...worker.match(/importScripts\(([^)]*)\)/)[1].matchAll(/'([^']+)'/g)].map(match => match[1]);
+
+    [...pageScripts, ...workerScripts, 'detector-worker.js', 'styles.css', 'manifest.webmanifest'].forEach(file => {
+        assert.ok(APP_FILES.includes(file), `${file} is precached`);
+    });
+    APP_FILES.filter(file => file !== './').forEach(file => {
+        assert.ok(fs.existsSync(path.join(ROOT, file)), `${file} exists`);
+    });
+    assert.deepEqual(OPENCV_FILES, OpenCvLoader.getDefaultSources());
+});
@@ -0,0 +1,176 @@
+/**
+ * Two-position sensor calibration and its use in SensorManager
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.window = global.window || {}; // SensorManager checks window.DeviceOrientationEvent
+const SensorManager = require('../sensor.js');
+const SensorCalibration = require('../sensor-calibration.js');
+
+/**
+ * Sensor stand-in that delivers a batch of readings to every new listener
+ */
+function fakeSensor() {
+    return {
+        reading: { alpha: 0, beta: 0, gamma: 0 },
+        offsets: null,
+        addReadingListener(listener) {
+            for (let i = 0; i < 20; i++) {
+                listener({ ...this.reading });
+            }
+        },
+        removeReadingListener() {},
+        setCalibrationOffsets(offsets) {
+            this.offsets = offsets;
+        }
+    };
+}
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+function createCalibration(sensor, storage = memoryStorage()) {
+    const calibration = new SensorCalibration(sensor, storage);
+    calibration.settleTime = 0;
+    calibration.measureTime = 0;
+    return calibration;
+}
+
+test('offsets are the mean of both positions, independent of the surface slope', async () => {
+    const sensor = fakeSensor();
+    const calibration = createCalibration(sensor);
+
+    // Sensor offset β +0.6°, γ -1.2° on a surface sloping β 1.5°, γ -0.8°
+    sensor.reading = { alpha: 10, beta: 0.6 + 1.5, gamma: -1.2 - 0.8 };
+    await calibration.measureFirstPosition();
+    assert.equal(calibration.isAwaitingSecondPosition(), true);
+
+    sensor.reading = { alpha: 190, beta: 0.6 - 1.5, gamma: -1.2 + 0.8 };
+    const record = await calibration.measureSecondPosition();
+
+    assert.ok(Math.abs(record.offsets.beta - 0.6) < 1e-9);
+    assert.ok(Math.abs(record.offsets.gamma + 1.2) < 1e-9);
+    assert.ok(Math.abs(record.surfaceTilt.beta - 1.5) < 1e-9);
+    assert.deepEqual(sensor.offsets, record.offsets);
+    assert.equal(calibration.isAwaitingSecondPosition(), false);
+});
+
+test('the second position must be turned about 180°', async () => {
+    const sensor = fakeSensor();
+    const calibration = createCalibration(sensor);
+
+    sensor.reading = { alpha: 350, beta: 1, gamma: 1 };
+    await calibration.measureFirstPosition();
+
+    // Still facing the same way
+    sensor.reading = { alpha: 5, beta: 1, gamma: 1 };
+    await assert.rejects(calibration.measureSecondPosition(), /Turn the phone 180°/);
+
+    // Turned across the 0°/360° wrap
+    sensor.reading = { alpha: 165, beta: 1, gamma: 1 };
+    await calibration.measureSecondPosition();
+    assert.equal(calibration.isCalibrated(), true);
+});
+
+test('measuring rejects a moving or upright phone', async () => {
+    const sensor = fakeSensor();
+    const calibration = createCalibration(sensor);
+
+    sensor.reading = { alpha: 0, beta: 80, gamma: 0 };
+    await assert.rejects(calibration.measureFirstPosition(), /flat/);
+
+    let flip = false;
+    sensor.addReadingListener = listener => {
+        for (let i = 0; i < 20; i++) {
+            flip = !flip;
+            listener({ alpha: 0, beta: flip ? 2 : -2, gamma: 0 });
+        }
+    };
+    await assert.rejects(calibration.measureFirstPosition(), /still/);
+});
+
+test('calibration is saved per device and loaded again', async () => {
+    const storage = memoryStorage();
+    const sensor = fakeSensor();
+    const calibration = createCalibration(sensor, storage);
+
+    sensor.reading = { alpha: 0, beta: 0.4, gamma: 0.9 };
+    await calibration.measureFirstPosition();
+    sensor.reading = { alpha: 180, beta: 0.4, gamma: 0.9 };
+    await calibration.measureSecondPosition();
+
+    const otherSensor = fakeSensor();
+    const loaded = createCalibration(otherSensor, storage).load();
+    assert.ok(loaded);
+    assert.ok(Math.abs(otherSensor.offsets.gamma - 0.9) < 1e-9);
+
+    calibration.clear();
+    assert.equal(createCalibration(fakeSensor(), storage).load(), null);
+});
+
+test('status text shows offsets and age', () => {
+    const calibration = createCalibration(fakeSensor());
+    assert.equal(calibration.getStatusText(), 'Sensors not calibrated');
+
+    calibration.record = { offsets: { beta: 0.4, gamma: -0.9 }, calibratedAt: 0 };
+    assert.equal(calibration.getStatusText(3 * 86400000), 'Calibrated 3 days ago (β +0.4°, γ -0.9°)');
+    assert.equal(SensorCalibration.formatAge(30000), 'just now');
+    assert.equal(SensorCalibration.formatAge(5 * 60000), '5 min ago');
+});
+
+test('SensorManager.getDeviceTilt removes the calibration bias at any pose, upright included', () => {
+    const rad = Math.PI / 180;
+    const offsets = { beta: 0.8, gamma: -1.2 };
+    // The accelerometer bias the offsets stand for (what a flat phone reads as β₀, γ₀)
+    const bias = { x: -Math.sin(offsets.gamma * rad), y: Math.sin(offsets.beta * rad), z: 0 };
+
+    function sensorAt(up, backend, calibrationOffsets) {
+        const sensorManager = new SensorManager();
+        sensorManager.isActive = true;
+        sensorManager.isPermissionGranted = true;
+        sensorManager.backend = backend;
+        sensorManager.lastStableOrientation = SensorManager.gravityToAngles(up);
+        sensorManager.setCalibrationOffsets(calibrationOffsets);
+        return sensorManager;
+    }
+
+    // Camera roll r with the phone leaning back by `lean` from upright (lean 30° is β 60°)
+    [
+        { roll: 3, lean: 0 },
+        { roll: -5, lean: 0 },
+        { roll: 2, lean: 10 },
+        { roll: -4, lean: 30 },
+        { roll: 6, lean: 55 }
+    ].forEach(({ roll, lean }) => {
+        const up = {
+            x: Math.sin(roll * rad) * Math.cos(lean * rad),
+            y: Math.cos(roll * rad) * Math.cos(lean * rad),
+            z: Math.sin(lean * rad)
+        };
+        const measured = { x: up.x + bias.x, y: up.y + bias.y, z: up.z + bias.z };
+        const length = Math.hypot(measured.x, measured.y, measured.z);
+        Object.keys(measured).forEach(axis => { measured[axis] /= length; });
+
+        ['orientation', 'motion'].forEach(backend => {
+            // The correction is first order in the bias, so leaning far back leaves a few hundredths
+            const calibrated = sensorAt(measured, backend, offsets).getDeviceTilt();
+            assert.ok(Math.abs(calibrated - roll) < 0.05,
+                `${backend}, roll ${roll}°, lean ${lean}°: got ${calibrated.toFixed(3)}°`);
+
+            // Without the calibration the bias shows up as roll error
+            const uncalibrated = sensorAt(measured, backend, null).getDeviceTilt();
+            assert.ok(Math.abs(uncalibrated - roll) > 0.5, `${backend} uncalibrated error`);
+        });
+    });
+
+    const sensorManager = sensorAt({ x: 0, y: Math.sin(60 * rad), z: Math.cos(60 * rad) }, 'orientation', offsets);
+    assert.ok(Math.abs(sensorManager.getDeviceOrientation().beta - (60 - offsets.beta)) < 1e-9);
+});
@@ -0,0 +1,200 @@
+/**
+ * SensorManager motion backend: gravity angles and the complementary filter
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.window = global.window || {};
+global.window.DeviceMotionEvent = global.window.DeviceMotionEvent || function DeviceMotionEvent() {};
+const SensorManager = require('../sensor.js');
+
+const G = 9.81;
+const RAD = Math.PI / 180;
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `${message || 'value'}: expected ${expected} ± ${tolerance}, got ${actual.toFixed(3)}`);
+}
+
+/**
+ * Accelerometer reading of an upright phone turned clockwise by `turn` degrees
+ * (as seen by the user), pitched back by `pitch` degrees
+ */
+function uprightGravity(turn, pitch = 0) {
+    return {
+        x: -Math.sin(turn * RAD) * Math.cos(pitch * RAD) * G,
+        y: Math.cos(turn * RAD) * Math.cos(pitch * RAD) * G,
+        z: Math.sin(pitch * RAD) * G
+    };
+}
+
+function motionSensor() {
+    const sensorManager = new SensorManager();
+    sensorManager.setBackend('motion');
+    sensorManager.startReplay();
+    return sensorManager;
+}
+
+function feed(sensorManager, count, gravity, rotationRate = { alpha: 0, beta: 0, gamma: 0 }, start = 0) {
+    for (let i = 0; i < count; i++) {
+        sensorManager.injectReading({ t: start + i * 16, gravity: gravity, rotationRate: rotationRate });
+    }
+    return start + count * 16;
+}
+
+test('gravityToAngles follows the deviceorientation beta/gamma convention', () => {
+    const flat = SensorManager.gravityToAngles({ x: 0, y: 0, z: 1 });
+    assertClose(flat.beta, 0, 1e-9, 'flat beta');
+    assertClose(flat.gamma, 0, 1e-9, 'flat gamma');
+
+    const upright = SensorManager.gravityToAngles({ x: 0, y: 1, z: 0 });
+    assertClose(upright.beta, 90, 1e-9, 'upright beta');
+    assertClose(upright.roll, 0, 1e-9, 'upright roll');
+
+    // Flat, right edge lowered by 20°
+    const tilted = SensorManager.gravityToAngles({ x: -Math.sin(20 * RAD), y: 0, z: Math.cos(20 * RAD) });
+    assertClose(tilted.gamma, 20, 1e-9, 'gamma');
+});
+
+test('motion backend measures roll around the viewing axis in any pitch', () => {
+    [[-4, 0], [3, 0], [5, 40], [-2, -30]].forEach(([turn, pitch]) => {
+        const sensorManager = motionSensor();
+        feed(sensorManager, 60, uprightGravity(turn, pitch));
+
+        // A phone turned clockwise sees the wall turned counterclockwise
+        assertClose(sensorManager.getDeviceTilt(), -turn, 0.1, `turn ${turn}° at pitch ${pitch}°`);
+    });
+});
+
+test('roll is smoothed across the ±180° wrap of an upside-down phone', () => {
+    // Upside down, turned 2° each way: roll readings go from -178° to 178°
+    const sensorManager = motionSensor();
+    let t = feed(sensorManager, 60, uprightGravity(178));
+    assertClose(sensorManager.getDeviceTilt(), 2, 0.1, 'before');
+
+    for (let i = 0; i < 60; i++) {
+        t = feed(sensorManager, 1, uprightGravity(182), undefined, t);
+        const tilt = sensorManager.getDeviceTilt();
+        assert.ok(Math.abs(tilt) <= 2.1, `reading ${i}: tilt ${tilt.toFixed(2)} left the ±2° range`);
+    }
+    feed(sensorManager, 200, uprightGravity(182), undefined, t);
+    assertClose(sensorManager.getDeviceTilt(), -2, sensorManager.deadbandSize, 'after');
+    assert.ok(Math.abs(sensorManager.getSmoothedOrientation().roll) > 177, 'smoothed roll stays near ±180°');
+
+    // Jitter either side of the wrap counts as much as the same jitter upright, not as a 358° swing
+    const variance = turn => {
+        const shaky = motionSensor();
+        for (let i = 0; i < 20; i++) {
+            shaky.injectReading({ t: i * 16, gravity: uprightGravity(turn + (i % 2 ? 1 : -1)), rotationRate: null });
+        }
+        return shaky.getTiltVariance();
+    };
+    assertClose(variance(180), variance(0), 1e-6, 'variance across the wrap');
+});
+
+test('wrapAngle and meanAngle treat -180° and 180° as the same direction', () => {
+    assert.equal(SensorManager.wrapAngle(-180), 180);
+    assert.equal(SensorManager.wrapAngle(359), -1);
+    assertClose(Math.abs(SensorManager.meanAngle([179, -179])), 180, 1e-9, 'mean across the wrap');
+    assertClose(SensorManager.meanAngle([-10, 20]), 5, 1e-9, 'mean near zero');
+});
+
+test('the gyroscope carries the estimate through hand acceleration', () => {
+    const sensorManager = motionSensor();
+    let t = feed(sensorManager, 60, uprightGravity(2));
+
+    // A jerk sideways: |a| is far from g and the phone did not rotate
+    t = feed(sensorManager, 10, { x: 6, y: G, z: 0 }, undefined, t);
+    assertClose(sensorManager.getDeviceTilt(), -2, 0.2, 'during the jerk');
+
+    // The gyroscope reports a turn before the accelerometer settles: -20°/s for 0.5 s
+    feed(sensorManager, 31, uprightGravity(2), { alpha: -20, beta: 0, gamma: 0 }, t);
+    assert.ok(sensorManager.getRawOrientation().roll < -4, 'gyro turn followed');
+});
+
+test('calibration offsets correct the roll of an upright phone', () => {
+    const sensorManager = motionSensor();
+    feed(sensorManager, 60, uprightGravity(0));
+    assertClose(sensorManager.getDeviceTilt(), 0, 0.1, 'uncalibrated');
+
+    // Lying flat, the sensor read γ +1° too much: its x axis is biased by -sin 1° g
+    sensorManager.setCalibrationOffsets({ beta: 0, gamma: 1 });
+    assertClose(sensorManager.getDeviceTilt(), 1, 0.05, 'calibrated');
+});
+
+test('orientation backend measures the same roll from beta/gamma', () => {
+    [[-4, 20], [6, 0], [2, -15]].forEach(([turn, pitch]) => {
+        const gravity = uprightGravity(turn, pitch);
+        const { beta, gamma } = SensorManager.gravityToAngles({ x: gravity.x / G, y: gravity.y / G, z: gravity.z / G });
+
+        const sensorManager = new SensorManager();
+        sensorManager.startReplay();
+        for (let i = 0; i < 20; i++) {
+            sensorManager.injectReading({ t: i * 16, alpha: 0, beta: beta, gamma: gamma });
+        }
+        assertClose(sensorManager.getDeviceTilt(), -turn, 0.1, `turn ${turn}° at pitch ${pitch}°`);
+    });
+});
+
+test('device tilt follows the screen rotation and the camera facing', () => {
+    const sensorManager = motionSensor();
+
+    // Phone turned counterclockwise into landscape (screen angle 90°), then 3° further
+    feed(sensorManager, 60, uprightGravity(-90 - 3));
+    sensorManager.setScreenAngle(90);
+    assertClose(sensorManager.getImageRoll(), 3, 0.1, 'landscape-primary');
+    assert.equal(sensorManager.getDeviceOrientation().mode, 'landscape');
+
+    // Same pose with the UI locked to portrait: the image is sideways
+    sensorManager.setScreenAngle(0);
+    assertClose(sensorManager.getImageRoll(), 93, 0.1, 'rotation-locked');
+    assertClose(sensorManager.getDeviceTilt(), 3, 0.1, 'residual to the quarter turn');
+
+    // The front camera sees the wall turn the other way
+    sensorManager.setScreenAngle(90);
+    sensorManager.setFacingMode('user');
+    assertClose(sensorManager.getDeviceTilt(), -3, 0.1, 'front camera');
+});
+
+test('screen rotation changes are normalized and reported', () => {
+    const sensorManager = new SensorManager();
+    const angles = [];
+    sensorManager.onScreenAngleChange = angle => angles.push(angle);
+
+    sensorManager.setScreenAngle(-90); // window.orientation style
+    sensorManager.setScreenAngle(270);
+    sensorManager.setScreenAngle(180);
+
+    assert.deepEqual(angles, [270, 180]);
+});
+
+test('a phone lying flat gives no tilt', () => {
+    const sensorManager = new SensorManager();
+    sensorManager.startReplay();
+    for (let i = 0; i < 20; i++) {
+        sensorManager.injectReading({ t: i * 16, alpha: 0, beta: 2, gamma: 4 });
+    }
+    assert.equal(sensorManager.getImageRoll(), null);
+    assert.equal(sensorManager.getDeviceTilt(), 0);
+});
+
+test('setBackend ignores unknown backends', () => {
+    const sensorManager = new SensorManager();
+    sensorManager.setBackend('magnetometer');
+    assert.equal(sensorManager.backend, 'orientation');
+});
+
+test('tilt variance drops after calibration and grows with jitter', () => {
+    const steady = motionSensor();
+    feed(steady, 20, uprightGravity(1));
+    const uncalibrated = steady.getTiltVariance();
+    steady.setCalibrationOffsets({ beta: 0, gamma: 0 });
+    assert.ok(steady.getTiltVariance() < uncalibrated);
+
+    const shaky = motionSensor();
+    for (let i = 0; i < 20; i++) {
+        shaky.injectReading({ t: i * 16, gravity: uprightGravity(i % 2 ? 4 : -4), rotationRate: null });
+    }
+    assert.ok(shaky.getTiltVariance() > uncalibrated);
+});
@@ -0,0 +1,97 @@
+/**
+ * ShapeClassifier geometry: tilt rules for octagonal and arched outlines and the helpers
+ * they use (ellipse fitting is covered by the scene tests, it needs OpenCV.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ShapeClassifier = require('../shape-classifier.js');
+const { frameOutline } = require('./helpers/scenes.js');
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `${message || 'value'}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+test('normalizeAngle folds angles into half a period either side of zero', () => {
+    assert.equal(ShapeClassifier.normalizeAngle(92.5, 90), 2.5);
+    assert.equal(ShapeClassifier.normalizeAngle(-87.5, 90), 2.5);
+    assert.equal(ShapeClassifier.normalizeAngle(180, 90), 0);
+    assert.equal(ShapeClassifier.normalizeAngle(45, 90), 45);
+    assert.equal(ShapeClassifier.normalizeAngle(-45, 90), 45);
+    assert.equal(ShapeClassifier.normalizeAngle(190, 360), -170);
+});
+
+test('orientedBox encloses the points with sides at the tilt', () => {
+    const outline = frameOutline({ x: 200, y: 150, width: 120, height: 80, tilt: 5 });
+    const box = ShapeClassifier.orientedBox(outline, 5);
+
+    box.forEach((corner, i) => {
+        assertClose(corner.x, outline[i].x, 1e-9, `corner ${i} x`);
+        assertClose(corner.y, outline[i].y, 1e-9, `corner ${i} y`);
+    });
+    const top = ShapeClassifier.getSides(box)[0];
+    assertClose(top.angle, 5, 1e-9, 'top side angle');
+});
+
+test('fitSides refits a side to the outline along its middle', () => {
+    const side = ShapeClassifier.getSides([{ x: 0, y: 0 }, { x: 100, y: 0 }])[0];
+    // The outline runs 1 px lower at the far end than the chord between the corners
+    const outline = Array.from({ length: 101 }, (_, i) => ({ x: i, y: i / 100 }));
+
+    const [fitted] = new ShapeClassifier().fitSides([side], outline);
+    assertClose(fitted.angle, Math.atan2(1, 100) * 180 / Math.PI, 1e-6, 'fitted angle');
+
+    // Without outline points nearby the chord is kept
+    assert.equal(new ShapeClassifier().fitSides([side], [])[0], side);
+});
+
+test('octagons are measured from their upright sides, square or stretched', () => {
+    const classifier = new ShapeClassifier();
+    [
+        { width: 140, height: 140, tilt: 0 },
+        { width: 140, height: 140, tilt: -4 },
+        { width: 160, height: 120, tilt: 3 },
+        { width: 120, height: 160, tilt: 12 }
+    ].forEach(frame => {
+        const polygon = frameOutline({ x: 300, y: 200, shape: 'octagon', ...frame });
+        const outline = ShapeClassifier.densify(polygon);
+        assertClose(classifier.getOctagonTilt(polygon, outline), frame.tilt, 1e-6,
+            `${frame.width}×${frame.height} at ${frame.tilt}°`);
+    });
+
+    // Eight corners alone do not make an octagon
+    const star = Array.from({ length: 8 }, (_, i) => ({
+        x: 300 + (i % 2 ? 40 : 80) * Math.cos(i * Math.PI / 4),
+        y: 200 + (i % 2 ? 40 : 80) * Math.sin(i * Math.PI / 4)
+    }));
+    assert.equal(classifier.getOctagonTilt(star, ShapeClassifier.densify(star)), null);
+});
+
+test('arched frames are measured from their straight sides and bottom', () => {
+    const classifier = new ShapeClassifier();
+    [0, 3, -5].forEach(tilt => {
+        const outline = frameOutline({ x: 300, y: 200, width: 120, height: 160, shape: 'arched', tilt: tilt });
+        // A coarse polygon as the contour approximation would give it
+        const polygon = outline.filter((point, i) => i < 2 || (i - 2) % 20 === 0);
+        assertClose(classifier.getArchedTilt(polygon, ShapeClassifier.densify(outline)), tilt, 1e-6, `arched at ${tilt}°`);
+    });
+
+    // A straight top is a rectangle's, not an arch
+    const box = frameOutline({ x: 300, y: 200, width: 120, height: 160, tilt: 2 });
+    const pentagon = [box[0], { x: (box[0].x + box[1].x) / 2, y: (box[0].y + box[1].y) / 2 - 2 }, box[1], box[2], box[3]];
+    assert.equal(classifier.getArchedTilt(pentagon, ShapeClassifier.densify(pentagon)), null);
+
+    // Upside down, the "arch" is at the bottom
+    const hanging = frameOutline({ x: 300, y: 200, width: 120, height: 160, shape: 'arched', tilt: 180 });
+    const flipped = hanging.filter((point, i) => i < 2 || (i - 2) % 20 === 0);
+    assert.equal(classifier.getArchedTilt(flipped, ShapeClassifier.densify(hanging)), null);
+});
+
+test('classify leaves plain quads and outlines without points to the rectangle rules', () => {
+    const classifier = new ShapeClassifier();
+    const corners = frameOutline({ x: 300, y: 200, width: 120, height: 80, tilt: 2 });
+    assert.equal(classifier.classify({ corners: corners, cornerCount: 4, points: corners, area: 9600 }), null);
+    assert.equal(classifier.classify({ corners: corners, cornerCount: 6, area: 9600 }), null);
+});
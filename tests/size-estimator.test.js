@@ -0,0 +1,106 @@
+/**
+ * SizeEstimator scale from a reference object or a camera distance, and frame sizes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SizeEstimator = require('../size-estimator.js');
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `${message || 'value'}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+/**
+ * A detected frame with an upright width × height pixel outline at (x, y)
+ */
+function frame(frameId, x, y, width, height) {
+    return {
+        frameId: frameId,
+        level: {
+            corners: {
+                topLeft: { x: x, y: y },
+                topRight: { x: x + width, y: y },
+                bottomRight: { x: x + width, y: y + height },
+                bottomLeft: { x: x, y: y + height }
+            }
+        }
+    };
+}
+
+test('measureSides averages opposite sides', () => {
+    const sides = SizeEstimator.measureSides({
+        topLeft: { x: 0, y: 0 },
+        topRight: { x: 100, y: 0 },
+        bottomRight: { x: 110, y: 50 },
+        bottomLeft: { x: 0, y: 50 }
+    });
+    assert.equal(sides.width, 105);
+    assertClose(sides.height, (50 + Math.hypot(10, 50)) / 2, 1e-9, 'height');
+});
+
+test('a reference object sets the scale, either way round', () => {
+    const estimator = new SizeEstimator();
+    estimator.setReference(2, 'card');
+
+    // 85.6 × 53.98 mm card seen 171.2 × 107.96 px: 0.5 mm per pixel
+    [frame(2, 0, 0, 171.2, 107.96), frame(2, 0, 0, 107.96, 171.2)].forEach(reference => {
+        const scale = estimator.getScale([frame(1, 300, 0, 400, 300), reference], 1000);
+        assertClose(scale.mmPerPixel, 0.5, 1e-9, 'mm per pixel');
+        assertClose(scale.distance, 500, 1e-6, 'distance from the focal length');
+        assert.equal(scale.method, 'reference');
+        assert.equal(scale.referenceVisible, true);
+
+        const size = estimator.measure(frame(1, 300, 0, 400, 300), scale);
+        assertClose(size.width, 200, 1e-9, 'width');
+        assertClose(size.height, 150, 1e-9, 'height');
+    });
+});
+
+test('the last reference scale is kept while the reference is out of view', () => {
+    const estimator = new SizeEstimator();
+    estimator.setReference(2, 'a4');
+    estimator.getScale([frame(2, 0, 0, 297, 210)], 1000);
+
+    const scale = estimator.getScale([frame(1, 0, 0, 400, 300)], 1000);
+    assertClose(scale.mmPerPixel, 1, 1e-9, 'mm per pixel');
+    assert.equal(scale.referenceVisible, false);
+
+    // Choosing the reference again starts over
+    estimator.setReference(3, 'a4');
+    estimator.setCameraDistance(null);
+    assert.equal(estimator.getScale([frame(1, 0, 0, 400, 300)], 1000), null);
+});
+
+test('without a reference the entered distance and focal length set the scale', () => {
+    const estimator = new SizeEstimator();
+    assert.equal(estimator.getScale([frame(1, 0, 0, 400, 300)], 1000), null);
+    assert.equal(estimator.measure(frame(1, 0, 0, 400, 300), null), null);
+
+    estimator.setCameraDistance(2000);
+    const scale = estimator.getScale([frame(1, 0, 0, 400, 300)], 1000);
+    assert.equal(scale.mmPerPixel, 2);
+    assert.equal(scale.method, 'distance');
+    assert.deepEqual(estimator.measure(frame(1, 0, 0, 400, 300), scale),
+        { width: 800, height: 600, distance: 2000, method: 'distance' });
+
+    // A reference object wins once it has been measured
+    estimator.setReference(2, 'card');
+    assert.equal(estimator.getScale([frame(2, 0, 0, 85.6, 53.98)], 1000).method, 'reference');
+
+    estimator.setCameraDistance(0);
+    assert.equal(estimator.cameraDistance, null);
+});
+
+test('unknown reference objects are ignored', () => {
+    const estimator = new SizeEstimator();
+    estimator.setReference(2, 'banana');
+    assert.equal(estimator.reference, null);
+    estimator.setReference(null, 'card');
+    assert.equal(estimator.reference, null);
+});
+
+test('format gives millimetres and the distance in metres', () => {
+    assert.equal(SizeEstimator.format({ width: 401.6, height: 300.8, distance: 2140 }), '≈ 402 × 301 mm at 2.1 m');
+});
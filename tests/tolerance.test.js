@@ -0,0 +1,101 @@
+/**
+ * ToleranceManager profiles and thresholds
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ToleranceManager = require('../tolerance.js');
+const CorrectionAdvisor = require('../corrections.js');
+
+test('the standard profile keeps the original 2° and 5° thresholds', () => {
+    const tolerance = new ToleranceManager();
+
+    assert.equal(tolerance.classify(1.9).status, 'level');
+    assert.equal(tolerance.classify(-2).label, 'Perfect');
+    assert.equal(tolerance.classify(3).status, 'slight');
+    assert.equal(tolerance.classify(-5.5).status, 'tilted');
+    assert.equal(tolerance.classify(-5.5).color, '#ff0000');
+});
+
+test('profiles change what counts as level', () => {
+    const tolerance = new ToleranceManager();
+
+    tolerance.setProfile('museum');
+    assert.equal(tolerance.classify(0.25).status, 'level');
+    assert.equal(tolerance.classify(0.5).status, 'slight');
+    assert.equal(tolerance.classify(1.2).status, 'tilted');
+    assert.equal(tolerance.getDescription(), 'Museum ±0.3°');
+
+    tolerance.setProfile('home');
+    assert.equal(tolerance.classify(1.2).status, 'level');
+
+    tolerance.setProfile('no-such-profile');
+    assert.equal(tolerance.getProfile().id, 'home');
+});
+
+test('offset thresholds hold wide frames to a tighter angle', () => {
+    const tolerance = new ToleranceManager();
+    tolerance.setProfile('professional'); // ±2 mm across the frame
+
+    tolerance.setFrameWidth(200);
+    const narrow = tolerance.classify(0.5); // 1.7 mm
+    assert.equal(narrow.status, 'level');
+    assert.equal(narrow.offset, 1.7);
+    assert.equal(narrow.widthAssumed, false);
+
+    tolerance.setFrameWidth(1000);
+    assert.equal(tolerance.classify(0.5).status, 'tilted'); // 8.7 mm
+    assert.equal(tolerance.classify(0.2).status, 'slight'); // 3.5 mm
+
+    tolerance.setFrameWidth(null);
+    assert.equal(tolerance.classify(0.1).widthAssumed, true);
+    assert.match(tolerance.getDescription(), /assuming 500 mm wide/);
+
+    // A measured width is used while none is entered
+    const measured = tolerance.classify(0.5, 200);
+    assert.equal(measured.offset, 1.7);
+    assert.equal(measured.widthAssumed, false);
+    tolerance.setFrameWidth(1000);
+    assert.equal(tolerance.classify(0.5, 200).status, 'tilted');
+});
+
+test('custom thresholds are validated', () => {
+    const tolerance = new ToleranceManager();
+    tolerance.setProfile('custom');
+    tolerance.setCustom({ unit: 'mm', level: 4, slight: 2 });
+
+    const profile = tolerance.getProfile();
+    assert.equal(profile.unit, 'mm');
+    assert.equal(profile.level, 4);
+    assert.equal(profile.slight, 4, 'slight is never below level');
+
+    tolerance.setCustom({ unit: 'inches', level: -1 });
+    assert.equal(tolerance.getProfile().unit, 'mm');
+    assert.equal(tolerance.getProfile().level, 4);
+});
+
+test('correction advice follows the tolerance judgement', () => {
+    const advisor = new CorrectionAdvisor();
+    advisor.setFrameWidth(300);
+    const tolerance = new ToleranceManager();
+    tolerance.setProfile('museum');
+
+    const frame = { frameId: 1, tilt: 0.15, rect: { x: 0, y: 0, width: 300, height: 200 } };
+    assert.equal(advisor.getCorrection({ ...frame, tolerance: tolerance.classify(0.15) }).isLevel, true);
+
+    const slight = advisor.getCorrection({ ...frame, tilt: 0.5, tolerance: tolerance.classify(0.5) });
+    assert.equal(slight.isLevel, false);
+    assert.equal(slight.text, 'Raise the right corner 3 mm');
+});
+
+test('threshold angles convert millimetre profiles with the frame width', () => {
+    const tolerance = new ToleranceManager();
+    assert.deepEqual(tolerance.getThresholdAngles(), { level: 2, slight: 5 });
+
+    tolerance.setProfile('professional');
+    tolerance.setFrameWidth(1000);
+    const { level, slight } = tolerance.getThresholdAngles();
+    assert.ok(Math.abs(level - Math.atan(2 / 1000) * 180 / Math.PI) < 1e-9);
+    assert.ok(Math.abs(slight - Math.atan(5 / 1000) * 180 / Math.PI) < 1e-9);
+});
@@ -0,0 +1,90 @@
+/**
+ * FrameTracker association, coasting and track lifetime
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const FrameTracker = require('../tracker.js');
+
+function box(x, y, width = 100, height = 80) {
+    return {
+        corners: [
+            { x: x, y: y },
+            { x: x + width, y: y },
+            { x: x + width, y: y + height },
+            { x: x, y: y + height }
+        ]
+    };
+}
+
+test('new detections get distinct IDs', () => {
+    const tracker = new FrameTracker();
+    const results = tracker.update([box(0, 0), box(300, 0)]);
+
+    assert.equal(results.length, 2);
+    assert.notEqual(results[0].id, results[1].id);
+});
+
+test('IDs follow frames as they move and change detection order', () => {
+    const tracker = new FrameTracker();
+    const [left, right] = tracker.update([box(0, 0), box(300, 0)]);
+
+    for (let step = 1; step <= 5; step++) {
+        const results = tracker.update([box(300 + step * 8, 4), box(step * 8, 4)]);
+        assert.equal(results[0].id, right.id);
+        assert.equal(results[1].id, left.id);
+    }
+});
+
+test('a briefly lost frame keeps its ID and coasts with the camera motion', () => {
+    const tracker = new FrameTracker();
+    const [left, right] = tracker.update([box(0, 0), box(300, 0)]);
+
+    // Right frame is missed for a few frames while everything pans 10 px left
+    for (let step = 1; step <= 3; step++) {
+        tracker.update([box(-step * 10, 0)]);
+    }
+    assert.ok(tracker.hasTrack(right.id));
+
+    const [, found] = tracker.update([box(-40, 0), box(260, 0)]);
+    assert.equal(found.id, right.id);
+    assert.ok(Math.abs(found.corners[0].x - 260) < 10, `coasted to ${found.corners[0].x}`);
+    assert.notEqual(found.id, left.id);
+});
+
+test('tracks are dropped after maxMissedFrames and the owner is notified', () => {
+    const tracker = new FrameTracker();
+    const removed = [];
+    tracker.onTrackRemoved = id => removed.push(id);
+
+    const [frame] = tracker.update([box(0, 0)]);
+    for (let i = 0; i < tracker.maxMissedFrames; i++) {
+        tracker.update([]);
+    }
+    assert.ok(tracker.hasTrack(frame.id));
+
+    tracker.update([]);
+    assert.equal(tracker.hasTrack(frame.id), false);
+    assert.deepEqual(removed, [frame.id]);
+});
+
+test('reset drops every track', () => {
+    const tracker = new FrameTracker();
+    const removed = [];
+    tracker.onTrackRemoved = id => removed.push(id);
+
+    const results = tracker.update([box(0, 0), box(300, 0)]);
+    tracker.reset();
+
+    assert.deepEqual(removed.sort(), results.map(r => r.id).sort());
+    assert.equal(tracker.update([box(0, 0)])[0].id, results[1].id + 1);
+});
+
+test('reset can number new tracks from 1 again', () => {
+    const tracker = new FrameTracker();
+    tracker.update([box(0, 0), box(300, 0)]);
+    tracker.reset(true);
+
+    assert.deepEqual(tracker.update([box(0, 0), box(300, 0)]).map(r => r.id), [1, 2]);
+});
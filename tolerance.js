@@ -0,0 +1,148 @@
+/**
+ * Tolerance Manager - Named tolerance profiles that decide when a frame counts as level
+ * Thresholds are either degrees of tilt or the visible height offset (mm) from one side
+ * of the frame to the other, so a wide frame is held to a tighter angle.
+ */
+
+class ToleranceManager {
+    constructor() {
+        this.profileId = 'standard';
+        this.custom = { id: 'custom', name: 'Custom', unit: 'degrees', level: 1, slight: 3 };
+        this.frameWidth = null; // Real frame width in mm, for offset thresholds
+        this.assumedFrameWidth = 500; // mm, used for offset thresholds while the width is unknown
+    }
+
+    /**
+     * Built-in profiles; `level` and `slight` are the upper limits of green and yellow
+     */
+    static getPresets() {
+        return [
+            { id: 'standard', name: 'Standard', unit: 'degrees', level: 2, slight: 5 },
+            { id: 'home', name: 'Home', unit: 'degrees', level: 1.5, slight: 3 },
+            { id: 'professional', name: 'Professional', unit: 'mm', level: 2, slight: 5 },
+            { id: 'museum', name: 'Museum', unit: 'degrees', level: 0.3, slight: 1 }
+        ];
+    }
+
+    /**
+     * Select a profile by id ('standard', 'home', 'professional', 'museum' or 'custom')
+     */
+    setProfile(id) {
+        if (id === 'custom' || ToleranceManager.getPresets().some(p => p.id === id)) {
+            this.profileId = id;
+        }
+    }
+
+    /**
+     * Set the custom profile's thresholds; `unit` is 'degrees' or 'mm'
+     */
+    setCustom({ unit, level, slight }) {
+        if (unit === 'degrees' || unit === 'mm') {
+            this.custom.unit = unit;
+        }
+        if (level > 0) {
+            this.custom.level = level;
+        }
+        if (slight > 0) {
+            this.custom.slight = slight;
+        }
+        this.custom.slight = Math.max(this.custom.slight, this.custom.level);
+    }
+
+    /**
+     * Set the real frame width in mm (null or 0 = unknown)
+     */
+    setFrameWidth(width) {
+        this.frameWidth = width > 0 ? width : null;
+    }
+
+    /**
+     * The active profile
+     */
+    getProfile() {
+        if (this.profileId === 'custom') {
+            return { ...this.custom };
+        }
+        return ToleranceManager.getPresets().find(p => p.id === this.profileId);
+    }
+
+    /**
+     * The active thresholds as tilt angles { level, slight } (degrees)
+     * Millimetre thresholds are converted with the frame width (the entered one, else
+     * `measuredWidth` in mm, else the assumed one).
+     */
+    getThresholdAngles(measuredWidth = null) {
+        const profile = this.getProfile();
+        if (profile.unit !== 'mm') {
+            return { level: profile.level, slight: profile.slight };
+        }
+        const width = this.frameWidth || measuredWidth || this.assumedFrameWidth;
+        const toAngle = offset => Math.atan(offset / width) * 180 / Math.PI;
+        return { level: toAngle(profile.level), slight: toAngle(profile.slight) };
+    }
+
+    /**
+     * Judge a tilt (degrees) against the active profile
+     * `measuredWidth` (mm, e.g. from SizeEstimator) is used when no width was entered.
+     * Returns { status ('level', 'slight' or 'tilted'), label, color, offset (mm), widthAssumed }
+     */
+    classify(tilt, measuredWidth = null) {
+        const profile = this.getProfile();
+        const width = this.frameWidth || measuredWidth || this.assumedFrameWidth;
+        const offset = width * Math.abs(Math.tan(tilt * Math.PI / 180));
+        const value = profile.unit === 'mm' ? offset : Math.abs(tilt);
+
+        let status;
+        if (value <= profile.level) {
+            status = 'level';
+        } else if (value <= profile.slight) {
+            status = 'slight';
+        } else {
+            status = 'tilted';
+        }
+
+        return {
+            status: status,
+            label: { level: 'Perfect', slight: 'Slight tilt', tilted: 'Tilted' }[status],
+            color: { level: '#00ff00', slight: '#ffff00', tilted: '#ff0000' }[status],
+            offset: Math.round(offset * 10) / 10,
+            widthAssumed: !this.frameWidth && !measuredWidth
+        };
+    }
+
+    /**
+     * Short description of the active profile, e.g. "Museum ±0.3°" or "Professional ±2 mm"
+     */
+    getDescription() {
+        const profile = this.getProfile();
+        if (profile.unit === 'mm') {
+            const width = this.frameWidth ? '' : `, assuming ${this.assumedFrameWidth} mm wide`;
+            return `${profile.name} ±${profile.level} mm across the frame${width}`;
+        }
+        return `${profile.name} ±${profile.level}°`;
+    }
+
+    /**
+     * Draw the profile description in the bottom right corner of the canvas
+     */
+    static drawProfileLabel(canvasElement, description) {
+        const ctx = canvasElement.getContext('2d');
+        const text = `Tolerance: ${description}`;
+
+        ctx.save();
+        ctx.font = '13px Arial';
+        const width = ctx.measureText(text).width + 12;
+        const x = canvasElement.width - width - 10;
+        const y = canvasElement.height - 32;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(x, y, width, 22);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(text, x + 6, y + 16);
+        ctx.restore();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ToleranceManager;
+}
@@ -0,0 +1,273 @@
+/**
+ * Frame Tracker - Keeps stable IDs for detected frames across video frames
+ * Associates detections by overlap and corner distance, predicts corner motion
+ * with an alpha-beta filter and smooths the drawn outline
+ */
+
+class FrameTracker {
+    constructor() {
+        this.tracks = new Map(); // id -> track state
+        this.nextId = 1;
+
+        // Association
+        this.minOverlap = 0.2; // Minimum IoU (predicted vs detected box) to consider a match
+        this.maxCornerDistance = 0.35; // Max mean corner distance as fraction of box diagonal
+
+        // Motion model (alpha-beta filter per corner coordinate)
+        this.alpha = 0.5; // Position correction gain (lower = smoother outline)
+        this.beta = 0.1; // Velocity correction gain
+        this.velocityDecay = 0.8; // Velocity damping while a frame is lost
+
+        // Track lifetime
+        this.maxMissedFrames = 15; // Keep a lost frame's ID for ~0.5s at 30fps
+
+        // Called with the track ID when a track is dropped
+        this.onTrackRemoved = null;
+    }
+
+    /**
+     * Update tracks with the detections of one video frame
+     * Each detection needs `corners`: [topLeft, topRight, bottomRight, bottomLeft]
+     * Returns one entry per detection: { id, corners (smoothed), age, hits }
+     */
+    update(detections) {
+        // Predict where every track should be now
+        this.tracks.forEach(track => {
+            track.predicted = track.corners.map((c, i) => ({
+                x: c.x + track.velocity[i].x,
+                y: c.y + track.velocity[i].y
+            }));
+        });
+
+        const matches = this.associate(detections);
+        const matchedTracks = new Set();
+        const results = new Array(detections.length);
+        const displacements = [];
+
+        matches.forEach(({ trackId, detectionIndex }) => {
+            const track = this.tracks.get(trackId);
+            const measured = detections[detectionIndex].corners;
+
+            // Camera motion estimate: how far matched frames moved this frame
+            displacements.push(this.meanOffset(track.corners, measured));
+
+            this.correct(track, measured);
+            matchedTracks.add(trackId);
+            results[detectionIndex] = this.describe(track);
+        });
+
+        // Tracks without a detection coast along with the camera motion
+        const cameraMotion = displacements.length > 0
+            ? {
+                x: this.median(displacements.map(d => d.x)),
+                y: this.median(displacements.map(d => d.y))
+            }
+            : null;
+
+        Array.from(this.tracks.values()).forEach(track => {
+            if (matchedTracks.has(track.id)) return;
+
+            track.misses++;
+            if (track.misses > this.maxMissedFrames) {
+                this.removeTrack(track.id);
+                return;
+            }
+
+            if (cameraMotion) {
+                track.corners = track.corners.map(c => ({ x: c.x + cameraMotion.x, y: c.y + cameraMotion.y }));
+                track.velocity = track.velocity.map(() => ({ ...cameraMotion }));
+            } else {
+                track.corners = track.predicted;
+                track.velocity = track.velocity.map(v => ({
+                    x: v.x * this.velocityDecay,
+                    y: v.y * this.velocityDecay
+                }));
+            }
+        });
+
+        // Start new tracks for unmatched detections
+        detections.forEach((detection, index) => {
+            if (results[index]) return;
+
+            const track = {
+                id: this.nextId++,
+                corners: detection.corners.map(c => ({ x: c.x, y: c.y })),
+                velocity: detection.corners.map(() => ({ x: 0, y: 0 })),
+                age: 0,
+                hits: 1,
+                misses: 0
+            };
+            this.tracks.set(track.id, track);
+            results[index] = this.describe(track);
+        });
+
+        this.tracks.forEach(track => {
+            track.age++;
+            delete track.predicted;
+        });
+
+        return results;
+    }
+
+    /**
+     * Greedily match detections to predicted tracks, cheapest pairs first
+     */
+    associate(detections) {
+        const candidates = [];
+
+        this.tracks.forEach(track => {
+            const trackBox = this.boundingBox(track.predicted);
+            const diagonal = Math.hypot(trackBox.width, trackBox.height);
+
+            detections.forEach((detection, detectionIndex) => {
+                const overlap = this.intersectionOverUnion(trackBox, this.boundingBox(detection.corners));
+                const distance = this.meanCornerDistance(track.predicted, detection.corners) / diagonal;
+
+                if (overlap < this.minOverlap && distance > this.maxCornerDistance) {
+                    return;
+                }
+
+                candidates.push({
+                    trackId: track.id,
+                    detectionIndex: detectionIndex,
+                    cost: (1 - overlap) + distance
+                });
+            });
+        });
+
+        candidates.sort((a, b) => a.cost - b.cost);
+
+        const usedTracks = new Set();
+        const usedDetections = new Set();
+        const matches = [];
+
+        candidates.forEach(candidate => {
+            if (usedTracks.has(candidate.trackId) || usedDetections.has(candidate.detectionIndex)) {
+                return;
+            }
+            usedTracks.add(candidate.trackId);
+            usedDetections.add(candidate.detectionIndex);
+            matches.push(candidate);
+        });
+
+        return matches;
+    }
+
+    /**
+     * Alpha-beta correction of a track with a measured set of corners
+     */
+    correct(track, measured) {
+        track.corners = track.predicted.map((p, i) => {
+            const residualX = measured[i].x - p.x;
+            const residualY = measured[i].y - p.y;
+
+            track.velocity[i] = {
+                x: track.velocity[i].x + this.beta * residualX,
+                y: track.velocity[i].y + this.beta * residualY
+            };
+
+            return {
+                x: p.x + this.alpha * residualX,
+                y: p.y + this.alpha * residualY
+            };
+        });
+
+        track.hits++;
+        track.misses = 0;
+    }
+
+    /**
+     * Public view of a track
+     */
+    describe(track) {
+        return {
+            id: track.id,
+            corners: track.corners.map(c => ({ x: c.x, y: c.y })),
+            age: track.age,
+            hits: track.hits
+        };
+    }
+
+    /**
+     * Drop a track and notify the owner
+     */
+    removeTrack(id) {
+        this.tracks.delete(id);
+        if (this.onTrackRemoved) {
+            this.onTrackRemoved(id);
+        }
+    }
+
+    /**
+     * Drop all tracks (e.g., when the camera restarts)
+     * New tracks keep counting up from the last ID unless `restartIds` is set
+     */
+    reset(restartIds = false) {
+        Array.from(this.tracks.keys()).forEach(id => this.removeTrack(id));
+        if (restartIds) {
+            this.nextId = 1;
+        }
+    }
+
+    /**
+     * Check whether a track is still alive (possibly while briefly lost)
+     */
+    hasTrack(id) {
+        return this.tracks.has(id);
+    }
+
+    /**
+     * Axis-aligned bounding box of a set of points
+     */
+    boundingBox(points) {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x: x, y: y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+
+    /**
+     * Intersection over union of two boxes
+     */
+    intersectionOverUnion(a, b) {
+        const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+        const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+        if (width <= 0 || height <= 0) return 0;
+
+        const intersection = width * height;
+        const union = a.width * a.height + b.width * b.height - intersection;
+        return union > 0 ? intersection / union : 0;
+    }
+
+    /**
+     * Mean distance between corresponding corners
+     */
+    meanCornerDistance(a, b) {
+        return a.reduce((sum, p, i) => sum + Math.hypot(p.x - b[i].x, p.y - b[i].y), 0) / a.length;
+    }
+
+    /**
+     * Mean offset from one set of corners to another
+     */
+    meanOffset(from, to) {
+        return {
+            x: from.reduce((sum, p, i) => sum + (to[i].x - p.x), 0) / from.length,
+            y: from.reduce((sum, p, i) => sum + (to[i].y - p.y), 0) / from.length
+        };
+    }
+
+    /**
+     * Median of a list of numbers
+     */
+    median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameTracker;
+}